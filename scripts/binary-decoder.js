@@ -0,0 +1,645 @@
+/**
+ * 바이너리 형식 디코딩 모듈
+ * MessagePack과 CBOR 데이터를 JSON으로 표현할 수 있는 값으로 변환합니다.
+ * - 바이너리(bin, 바이트 문자열)는 16진수 문자열("0x...")로 표시
+ * - 확장 타입은 { "$ext": 타입, "value": 값 }, CBOR 태그는 { "$tag": 번호, "value": 값 }으로 유지
+ * - 값이 여러 개 이어져 있으면(로그 등) 각 값을 원소로 하는 배열로 반환
+ */
+
+class BinaryDecoder {
+    constructor() {
+        this.formats = {
+            msgpack: {
+                name: 'MessagePack',
+                extensions: ['.msgpack', '.mpk'],
+                mimeTypes: ['application/msgpack', 'application/x-msgpack', 'application/vnd.msgpack']
+            },
+            cbor: {
+                name: 'CBOR',
+                extensions: ['.cbor'],
+                mimeTypes: ['application/cbor']
+            }
+        };
+
+        this.preciseNumbers = new PreciseNumbers();
+
+        this.bytes = null;
+        this.view = null;
+        this.offset = 0;
+        this.options = {};
+        this.textDecoder = null;
+    }
+
+    /**
+     * 파일 이름이나 MIME 타입으로 바이너리 형식을 판단합니다.
+     * @param {File} file - 확인할 파일
+     * @returns {string|null} 'msgpack', 'cbor' 또는 null
+     */
+    getFormat(file) {
+        const fileName = file.name.toLowerCase();
+        const entry = Object.entries(this.formats).find(([, format]) =>
+            format.extensions.some(ext => fileName.endsWith(ext)) || format.mimeTypes.includes(file.type));
+        return entry ? entry[0] : null;
+    }
+
+    /**
+     * MessagePack 또는 CBOR 파일인지 확인합니다.
+     * @param {File} file - 확인할 파일
+     * @returns {boolean} 바이너리 형식 여부
+     */
+    isBinaryFile(file) {
+        return this.getFormat(file) !== null;
+    }
+
+    /**
+     * 형식의 표시 이름을 반환합니다.
+     * @param {string} format - 'msgpack' 또는 'cbor'
+     * @returns {string} 표시 이름
+     */
+    getFormatName(format) {
+        return this.formats[format] ? this.formats[format].name : format;
+    }
+
+    /**
+     * 바이트 배열을 디코딩합니다.
+     * @param {ArrayBuffer} buffer - 파일 내용
+     * @param {string} format - 'msgpack' 또는 'cbor'
+     * @param {Object} options - 디코딩 옵션
+     * @param {boolean} options.preciseNumbers - 큰 정수를 BigInt로 보존할지 여부
+     * @returns {Object} { value, valueCount }
+     * @throws {Error} 잘못된 데이터 (position 속성에 바이트 위치 포함)
+     */
+    decode(buffer, format, options = {}) {
+        this.bytes = new Uint8Array(buffer);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.offset = 0;
+        this.options = options;
+        this.textDecoder = new TextDecoder('utf-8');
+
+        if (this.bytes.length === 0) {
+            this.error('파일이 비어 있습니다.');
+        }
+
+        const readValue = format === 'cbor' ? () => this.readCBOR() : () => this.readMessagePack();
+        const values = [];
+
+        while (this.offset < this.bytes.length) {
+            values.push(readValue());
+        }
+
+        return {
+            value: values.length === 1 ? values[0] : values,
+            valueCount: values.length
+        };
+    }
+
+    /**
+     * 디코딩 오류를 발생시킵니다.
+     * @param {string} message - 오류 메시지
+     * @param {number} position - 바이트 위치
+     */
+    error(message, position = this.offset) {
+        const error = new Error(`${message} (${position}바이트 위치)`);
+        error.position = position;
+        throw error;
+    }
+
+    // ===== 공통 읽기 =====
+
+    /**
+     * 읽을 바이트가 충분한지 확인합니다.
+     * @param {number} length - 필요한 바이트 수
+     */
+    ensure(length) {
+        if (this.offset + length > this.bytes.length) {
+            this.error('데이터가 중간에 끝났습니다.');
+        }
+    }
+
+    /**
+     * 부호 없는 정수를 읽습니다. (빅 엔디언)
+     * @param {number} size - 바이트 수 (1, 2, 4, 8)
+     * @returns {number|bigint} 정수 (8바이트는 BigInt)
+     */
+    readUint(size) {
+        this.ensure(size);
+        const offset = this.offset;
+        this.offset += size;
+
+        switch (size) {
+            case 1: return this.view.getUint8(offset);
+            case 2: return this.view.getUint16(offset);
+            case 4: return this.view.getUint32(offset);
+            default: return this.view.getBigUint64(offset);
+        }
+    }
+
+    /**
+     * 부호 있는 정수를 읽습니다. (빅 엔디언)
+     * @param {number} size - 바이트 수 (1, 2, 4, 8)
+     * @returns {number|bigint} 정수 (8바이트는 BigInt)
+     */
+    readInt(size) {
+        this.ensure(size);
+        const offset = this.offset;
+        this.offset += size;
+
+        switch (size) {
+            case 1: return this.view.getInt8(offset);
+            case 2: return this.view.getInt16(offset);
+            case 4: return this.view.getInt32(offset);
+            default: return this.view.getBigInt64(offset);
+        }
+    }
+
+    /**
+     * 부동소수점 수를 읽습니다. JSON으로 표현할 수 없는 NaN, Infinity는 문자열로 바꿉니다.
+     * @param {number} size - 바이트 수 (2, 4, 8)
+     * @returns {number|string} 실수
+     */
+    readFloat(size) {
+        this.ensure(size);
+        const offset = this.offset;
+        this.offset += size;
+
+        let value;
+        if (size === 2) {
+            value = this.toHalfFloat(this.view.getUint16(offset));
+        } else if (size === 4) {
+            value = this.view.getFloat32(offset);
+        } else {
+            value = this.view.getFloat64(offset);
+        }
+
+        return Number.isFinite(value) ? value : String(value);
+    }
+
+    /**
+     * 16비트 반정밀도 실수를 변환합니다.
+     * @param {number} half - 16비트 값
+     * @returns {number} 실수
+     */
+    toHalfFloat(half) {
+        const sign = half & 0x8000 ? -1 : 1;
+        const exponent = (half >> 10) & 0x1f;
+        const fraction = half & 0x3ff;
+
+        if (exponent === 0) {
+            return sign * Math.pow(2, -14) * (fraction / 1024);
+        }
+        if (exponent === 0x1f) {
+            return fraction ? NaN : sign * Infinity;
+        }
+        return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+    }
+
+    /**
+     * 바이트를 그대로 읽습니다.
+     * @param {number} length - 바이트 수
+     * @returns {Uint8Array} 바이트 배열
+     */
+    readBytes(length) {
+        this.ensure(length);
+        const bytes = this.bytes.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return bytes;
+    }
+
+    /**
+     * UTF-8 문자열을 읽습니다.
+     * @param {number} length - 바이트 수
+     * @returns {string} 문자열
+     */
+    readString(length) {
+        return this.textDecoder.decode(this.readBytes(length));
+    }
+
+    /**
+     * 바이트 배열을 16진수 문자열로 변환합니다.
+     * @param {Uint8Array} bytes - 바이트 배열
+     * @returns {string} "0x" 접두사가 붙은 16진수 문자열
+     */
+    toHex(bytes) {
+        let hex = '0x';
+        for (let i = 0; i < bytes.length; i++) {
+            hex += bytes[i].toString(16).padStart(2, '0');
+        }
+        return hex;
+    }
+
+    /**
+     * 64비트 정수를 JSON 값으로 변환합니다.
+     * 안전한 범위를 넘으면 정밀 숫자 모드에서는 BigInt, 아니면 문자열로 유지합니다.
+     * @param {bigint} value - 정수
+     * @returns {number|bigint|string} 변환된 값
+     */
+    toInteger(value) {
+        const safeValue = this.preciseNumbers.toSafeValue(value);
+        if (typeof safeValue === 'bigint' && !this.options.preciseNumbers) {
+            return value.toString();
+        }
+        return safeValue;
+    }
+
+    /**
+     * 맵의 키를 객체 키 문자열로 변환합니다.
+     * @param {*} key - 키 값
+     * @returns {string} 키 문자열
+     */
+    toKey(key) {
+        if (typeof key === 'string') {
+            return key;
+        }
+        if (typeof key === 'object' && key !== null) {
+            return this.preciseNumbers.stringify(key);
+        }
+        return String(key);
+    }
+
+    /**
+     * 맵 항목을 객체에 설정합니다. __proto__ 같은 키도 일반 속성으로 설정합니다.
+     * @param {Object} obj - 대상 객체
+     * @param {*} key - 키 값
+     * @param {*} value - 값
+     */
+    setEntry(obj, key, value) {
+        Object.defineProperty(obj, this.toKey(key), { value: value, writable: true, enumerable: true, configurable: true });
+    }
+
+    // ===== MessagePack =====
+
+    /**
+     * MessagePack 값 하나를 읽습니다.
+     * @returns {*} 디코딩된 값
+     */
+    readMessagePack() {
+        const start = this.offset;
+        const type = this.readUint(1);
+
+        if (type <= 0x7f) {
+            return type; // positive fixint
+        }
+        if (type >= 0xe0) {
+            return type - 0x100; // negative fixint
+        }
+        if ((type & 0xf0) === 0x80) {
+            return this.readMessagePackMap(type & 0x0f);
+        }
+        if ((type & 0xf0) === 0x90) {
+            return this.readMessagePackArray(type & 0x0f);
+        }
+        if ((type & 0xe0) === 0xa0) {
+            return this.readString(type & 0x1f);
+        }
+
+        switch (type) {
+            case 0xc0: return null;
+            case 0xc2: return false;
+            case 0xc3: return true;
+            case 0xc4: return this.toHex(this.readBytes(this.readUint(1)));
+            case 0xc5: return this.toHex(this.readBytes(this.readUint(2)));
+            case 0xc6: return this.toHex(this.readBytes(this.readUint(4)));
+            case 0xc7: return this.readMessagePackExtension(this.readUint(1));
+            case 0xc8: return this.readMessagePackExtension(this.readUint(2));
+            case 0xc9: return this.readMessagePackExtension(this.readUint(4));
+            case 0xca: return this.readFloat(4);
+            case 0xcb: return this.readFloat(8);
+            case 0xcc: return this.readUint(1);
+            case 0xcd: return this.readUint(2);
+            case 0xce: return this.readUint(4);
+            case 0xcf: return this.toInteger(this.readUint(8));
+            case 0xd0: return this.readInt(1);
+            case 0xd1: return this.readInt(2);
+            case 0xd2: return this.readInt(4);
+            case 0xd3: return this.toInteger(this.readInt(8));
+            case 0xd4: return this.readMessagePackExtension(1);
+            case 0xd5: return this.readMessagePackExtension(2);
+            case 0xd6: return this.readMessagePackExtension(4);
+            case 0xd7: return this.readMessagePackExtension(8);
+            case 0xd8: return this.readMessagePackExtension(16);
+            case 0xd9: return this.readString(this.readUint(1));
+            case 0xda: return this.readString(this.readUint(2));
+            case 0xdb: return this.readString(this.readUint(4));
+            case 0xdc: return this.readMessagePackArray(this.readUint(2));
+            case 0xdd: return this.readMessagePackArray(this.readUint(4));
+            case 0xde: return this.readMessagePackMap(this.readUint(2));
+            case 0xdf: return this.readMessagePackMap(this.readUint(4));
+            default:
+                this.error(`알 수 없는 MessagePack 타입 0x${type.toString(16)}입니다.`, start);
+        }
+    }
+
+    /**
+     * MessagePack 배열을 읽습니다.
+     * @param {number} length - 원소 수
+     * @returns {Array} 배열
+     */
+    readMessagePackArray(length) {
+        const result = [];
+        for (let i = 0; i < length; i++) {
+            result.push(this.readMessagePack());
+        }
+        return result;
+    }
+
+    /**
+     * MessagePack 맵을 읽습니다.
+     * @param {number} length - 항목 수
+     * @returns {Object} 객체
+     */
+    readMessagePackMap(length) {
+        const result = {};
+        for (let i = 0; i < length; i++) {
+            const key = this.readMessagePack();
+            this.setEntry(result, key, this.readMessagePack());
+        }
+        return result;
+    }
+
+    /**
+     * MessagePack 확장 타입을 읽습니다. 타임스탬프(-1)는 ISO 8601 문자열로 변환합니다.
+     * @param {number} length - 데이터 바이트 수
+     * @returns {Object} { $ext, value }
+     */
+    readMessagePackExtension(length) {
+        const type = this.readInt(1);
+        const start = this.offset;
+        const data = this.readBytes(length);
+
+        if (type === -1 && [4, 8, 12].includes(length)) {
+            const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+            let seconds;
+            let nanoseconds = 0;
+
+            if (length === 4) {
+                seconds = view.getUint32(0);
+            } else if (length === 8) {
+                // 상위 30비트 나노초, 하위 34비트 초
+                const high = view.getUint32(0);
+                nanoseconds = high >>> 2;
+                seconds = (high & 0x3) * 0x100000000 + view.getUint32(4);
+            } else {
+                nanoseconds = view.getUint32(0);
+                seconds = Number(view.getBigInt64(4));
+            }
+
+            return { $ext: type, value: this.formatTimestamp(seconds, nanoseconds, start) };
+        }
+
+        return { $ext: type, value: this.toHex(data) };
+    }
+
+    /**
+     * 초와 나노초를 ISO 8601 문자열로 변환합니다.
+     * @param {number} seconds - 유닉스 시간 (초)
+     * @param {number} nanoseconds - 나노초
+     * @param {number} position - 바이트 위치 (오류용)
+     * @returns {string} ISO 8601 문자열
+     */
+    formatTimestamp(seconds, nanoseconds, position) {
+        const date = new Date(seconds * 1000);
+        if (Number.isNaN(date.getTime())) {
+            this.error('표현할 수 없는 타임스탬프입니다.', position);
+        }
+
+        const fraction = nanoseconds ? `.${String(nanoseconds).padStart(9, '0').replace(/0+$/, '')}` : '';
+        return date.toISOString().replace(/\.\d{3}Z$/, `${fraction}Z`);
+    }
+
+    // ===== CBOR =====
+
+    /**
+     * CBOR 항목의 인자(길이 또는 값)를 읽습니다.
+     * @param {number} info - 초기 바이트의 하위 5비트
+     * @param {number} start - 항목 시작 위치 (오류용)
+     * @returns {number|bigint|null} 인자 (무한 길이는 null)
+     */
+    readCBORArgument(info, start) {
+        if (info < 24) {
+            return info;
+        }
+        switch (info) {
+            case 24: return this.readUint(1);
+            case 25: return this.readUint(2);
+            case 26: return this.readUint(4);
+            case 27: return this.readUint(8);
+            case 31: return null;
+            default:
+                this.error(`잘못된 CBOR 추가 정보 ${info}입니다.`, start);
+        }
+    }
+
+    /**
+     * CBOR 길이 인자를 숫자로 변환합니다.
+     * @param {number|bigint} length - 길이 인자
+     * @param {number} start - 항목 시작 위치 (오류용)
+     * @returns {number} 길이
+     */
+    toLength(length, start) {
+        if (typeof length === 'bigint') {
+            if (length > BigInt(this.bytes.length)) {
+                this.error('길이가 데이터 크기보다 큽니다.', start);
+            }
+            return Number(length);
+        }
+        return length;
+    }
+
+    /**
+     * CBOR 값 하나를 읽습니다.
+     * @returns {*} 디코딩된 값
+     */
+    readCBOR() {
+        const start = this.offset;
+        const initial = this.readUint(1);
+        const major = initial >> 5;
+        const info = initial & 0x1f;
+
+        if (major === 7) {
+            return this.readCBORSimple(info, start);
+        }
+
+        const argument = this.readCBORArgument(info, start);
+        if (argument === null && (major === 0 || major === 1 || major === 6)) {
+            this.error('정수와 태그에는 무한 길이를 쓸 수 없습니다.', start);
+        }
+
+        switch (major) {
+            case 0:
+                return typeof argument === 'bigint' ? this.toInteger(argument) : argument;
+            case 1:
+                return typeof argument === 'bigint' ? this.toInteger(-1n - argument) : -1 - argument;
+            case 2:
+                return this.toHex(this.readCBORChunks(major, argument, start, length => this.readBytes(length), chunks => this.concatBytes(chunks)));
+            case 3:
+                return this.readCBORChunks(major, argument, start, length => this.readString(length), chunks => chunks.join(''));
+            case 4:
+                return this.readCBORArray(argument, start);
+            case 5:
+                return this.readCBORMap(argument, start);
+            default:
+                return this.readCBORTag(argument);
+        }
+    }
+
+    /**
+     * CBOR 바이트/텍스트 문자열을 읽습니다. 무한 길이면 조각들을 이어 붙입니다.
+     * @param {number} major - 주 타입 (2 또는 3)
+     * @param {number|bigint|null} length - 길이 (null이면 무한 길이)
+     * @param {number} start - 항목 시작 위치 (오류용)
+     * @param {Function} readChunk - 조각 읽기 함수 (length)
+     * @param {Function} join - 조각 합치기 함수 (chunks)
+     * @returns {*} 문자열 또는 바이트 배열
+     */
+    readCBORChunks(major, length, start, readChunk, join) {
+        if (length !== null) {
+            return readChunk(this.toLength(length, start));
+        }
+
+        const chunks = [];
+        while (true) {
+            this.ensure(1);
+            if (this.bytes[this.offset] === 0xff) {
+                this.offset++;
+                return join(chunks);
+            }
+
+            const chunkStart = this.offset;
+            const initial = this.readUint(1);
+            if (initial >> 5 !== major || (initial & 0x1f) === 31) {
+                this.error('무한 길이 문자열의 조각 타입이 올바르지 않습니다.', chunkStart);
+            }
+            chunks.push(readChunk(this.toLength(this.readCBORArgument(initial & 0x1f, chunkStart), chunkStart)));
+        }
+    }
+
+    /**
+     * 바이트 배열 조각들을 하나로 합칩니다.
+     * @param {Array} chunks - 바이트 배열 목록
+     * @returns {Uint8Array} 합친 바이트 배열
+     */
+    concatBytes(chunks) {
+        const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        let offset = 0;
+        chunks.forEach(chunk => {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return result;
+    }
+
+    /**
+     * 무한 길이 컬렉션의 끝(0xff)인지 확인하고, 끝이면 건너뜁니다.
+     * @returns {boolean} 끝 여부
+     */
+    readCBORBreak() {
+        this.ensure(1);
+        if (this.bytes[this.offset] === 0xff) {
+            this.offset++;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * CBOR 배열을 읽습니다.
+     * @param {number|bigint|null} length - 원소 수 (null이면 무한 길이)
+     * @param {number} start - 항목 시작 위치 (오류용)
+     * @returns {Array} 배열
+     */
+    readCBORArray(length, start) {
+        const result = [];
+
+        if (length === null) {
+            while (!this.readCBORBreak()) {
+                result.push(this.readCBOR());
+            }
+            return result;
+        }
+
+        const count = this.toLength(length, start);
+        for (let i = 0; i < count; i++) {
+            result.push(this.readCBOR());
+        }
+        return result;
+    }
+
+    /**
+     * CBOR 맵을 읽습니다.
+     * @param {number|bigint|null} length - 항목 수 (null이면 무한 길이)
+     * @param {number} start - 항목 시작 위치 (오류용)
+     * @returns {Object} 객체
+     */
+    readCBORMap(length, start) {
+        const result = {};
+
+        if (length === null) {
+            while (!this.readCBORBreak()) {
+                const key = this.readCBOR();
+                this.setEntry(result, key, this.readCBOR());
+            }
+            return result;
+        }
+
+        const count = this.toLength(length, start);
+        for (let i = 0; i < count; i++) {
+            const key = this.readCBOR();
+            this.setEntry(result, key, this.readCBOR());
+        }
+        return result;
+    }
+
+    /**
+     * CBOR 태그를 읽습니다. 큰 정수 태그(2, 3)는 값을 정수로 바꾸고, 그 외에는 값을 그대로 둡니다.
+     * @param {number|bigint} tag - 태그 번호
+     * @returns {Object} { $tag, value }
+     */
+    readCBORTag(tag) {
+        const tagNumber = typeof tag === 'bigint' ? this.toInteger(tag) : tag;
+        const valueStart = this.offset;
+        const isBignum = tag === 2 || tag === 3;
+
+        // 큰 정수는 16진수로 바뀌기 전의 바이트가 필요
+        if (isBignum && this.bytes[valueStart] >> 5 === 2) {
+            const hex = this.readCBOR();
+            let value = hex === '0x' ? 0n : BigInt(hex);
+            if (tag === 3) {
+                value = -1n - value;
+            }
+            return { $tag: tagNumber, value: this.toInteger(value) };
+        }
+
+        return { $tag: tagNumber, value: this.readCBOR() };
+    }
+
+    /**
+     * CBOR 단순 값과 실수(주 타입 7)를 읽습니다.
+     * @param {number} info - 초기 바이트의 하위 5비트
+     * @param {number} start - 항목 시작 위치 (오류용)
+     * @returns {*} 값
+     */
+    readCBORSimple(info, start) {
+        if (info < 20) {
+            return { $simple: info };
+        }
+
+        switch (info) {
+            case 20: return false;
+            case 21: return true;
+            case 22: return null;
+            case 23: return null; // undefined
+            case 24: return { $simple: this.readUint(1) };
+            case 25: return this.readFloat(2);
+            case 26: return this.readFloat(4);
+            case 27: return this.readFloat(8);
+            case 31:
+                this.error('예상하지 못한 무한 길이 끝 표시(0xff)입니다.', start);
+                break;
+            default:
+                this.error(`잘못된 CBOR 단순 값 ${info}입니다.`, start);
+        }
+    }
+}
+
+// 전역에서 사용할 수 있도록 내보내기
+window.BinaryDecoder = BinaryDecoder;
@@ -0,0 +1,711 @@
+/**
+ * 컬럼 필터 모듈
+ * 헤더 아래의 필터 행에서 컬럼마다 타입에 맞는 조건(문자열, 숫자, 불리언, 날짜)을 입력받아
+ * 모든 조건을 만족하는(AND) 행만 남깁니다. 적용 중인 조건은 칩으로 표시합니다.
+ */
+
+class ColumnFilter {
+    constructor() {
+        // 컬럼별 필터 상태 ({ kind, operator, value, value2 })
+        this.filters = {};
+
+        // 필터 행 표시 여부
+        this.visible = false;
+
+        // 조건이 바뀌었을 때 호출되는 콜백
+        this.onChange = null;
+
+        // 텍스트 입력 디바운싱
+        this.inputDelay = 300;
+        this.inputTimer = null;
+
+        // 컬럼 종류별 연산자
+        this.operators = {
+            string: [
+                { value: 'contains', text: '포함', symbol: '∋' },
+                { value: 'equals', text: '같음', symbol: '=' },
+                { value: 'regex', text: '정규식', symbol: '~' },
+                { value: 'empty', text: '비어 있음', symbol: '= ∅' }
+            ],
+            number: [
+                { value: 'eq', text: '=', symbol: '=' },
+                { value: 'ne', text: '≠', symbol: '≠' },
+                { value: 'gt', text: '>', symbol: '>' },
+                { value: 'gte', text: '≥', symbol: '≥' },
+                { value: 'lt', text: '<', symbol: '<' },
+                { value: 'lte', text: '≤', symbol: '≤' },
+                { value: 'between', text: '범위', symbol: '∈' }
+            ],
+            boolean: [
+                { value: 'is', text: '=', symbol: '=' }
+            ],
+            date: [
+                { value: 'before', text: '이전', symbol: '<' },
+                { value: 'after', text: '이후', symbol: '>' },
+                { value: 'between', text: '기간', symbol: '∈' }
+            ]
+        };
+
+        // 날짜 컬럼으로 판단할 ISO 8601 문자열
+        this.datePattern = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+        this.preciseNumbers = new PreciseNumbers();
+
+        // DOM 요소 참조
+        this.toggleButton = null;
+        this.chipsContainer = null;
+        this.filterRow = null;
+
+        this.init();
+    }
+
+    /**
+     * 필터 토글 버튼과 칩 영역을 초기화합니다.
+     */
+    init() {
+        this.toggleButton = document.getElementById('filter-toggle');
+        this.chipsContainer = document.getElementById('filter-chips');
+
+        if (this.toggleButton) {
+            this.toggleButton.addEventListener('click', () => {
+                this.setVisible(!this.visible);
+            });
+        }
+
+        if (this.chipsContainer) {
+            this.chipsContainer.addEventListener('click', (event) => {
+                const removeButton = event.target.closest('[data-remove-filter]');
+                if (!removeButton) {
+                    return;
+                }
+
+                if (removeButton.hasAttribute('data-clear-all')) {
+                    this.clearAll();
+                } else {
+                    this.removeFilter(removeButton.getAttribute('data-remove-filter'));
+                }
+            });
+        }
+    }
+
+    /**
+     * 필터 행을 보이거나 숨깁니다. 숨겨도 적용 중인 조건은 유지됩니다.
+     * @param {boolean} visible - 표시 여부
+     */
+    setVisible(visible) {
+        this.visible = visible;
+
+        if (this.filterRow) {
+            this.filterRow.style.display = visible ? '' : 'none';
+        }
+        if (this.toggleButton) {
+            this.toggleButton.setAttribute('aria-pressed', String(visible));
+            this.toggleButton.classList.toggle('btn--active', visible);
+        }
+
+        if (visible && this.filterRow) {
+            const firstControl = this.filterRow.querySelector('input, select');
+            if (firstControl) {
+                firstControl.focus();
+            }
+        }
+    }
+
+    /**
+     * 컬럼 타입과 값으로 필터 종류를 정합니다.
+     * @param {string} columnType - 테이블 컬럼 타입 ('auto', 'number', 'date', ...)
+     * @param {Array} values - 컬럼 값 샘플
+     * @returns {string} 'string', 'number', 'boolean', 'date'
+     */
+    getColumnKind(columnType, values) {
+        switch (columnType) {
+            case 'number':
+            case 'number-time':
+            case 'number-hex':
+            case 'number-binary':
+                return 'number';
+            case 'boolean':
+                return 'boolean';
+            case 'date':
+                return 'date';
+            case 'string':
+            case 'json':
+            case 'raw':
+                return 'string';
+            default:
+                break;
+        }
+
+        const present = values.filter(value => value !== null && value !== undefined && value !== '');
+        if (present.length === 0) {
+            return 'string';
+        }
+        if (present.every(value => typeof value === 'number' || typeof value === 'bigint')) {
+            return 'number';
+        }
+        if (present.every(value => typeof value === 'boolean')) {
+            return 'boolean';
+        }
+        if (present.every(value => typeof value === 'string' && this.datePattern.test(value) && !isNaN(Date.parse(value)))) {
+            return 'date';
+        }
+        return 'string';
+    }
+
+    /**
+     * 헤더 아래에 넣을 필터 행을 만듭니다.
+     * 종류가 바뀐 컬럼의 조건은 지웁니다.
+     * @param {Array} headers - 헤더 배열
+     * @param {Function} getKind - 컬럼의 필터 종류를 반환하는 함수 (header) => kind
+     * @returns {HTMLElement} 필터 행 tr 요소
+     */
+    createFilterRow(headers, getKind) {
+        const tr = document.createElement('tr');
+        tr.className = 'filter-row';
+        tr.style.display = this.visible ? '' : 'none';
+
+        headers.forEach(header => {
+            tr.appendChild(this.createFilterCell(header, getKind(header)));
+        });
+
+        this.filterRow = tr;
+        return tr;
+    }
+
+    /**
+     * 한 컬럼의 필터 셀을 만듭니다.
+     * 적용 중인 조건의 종류가 다르면 조건을 지우지 않고 그 종류의 입력으로 표시합니다.
+     * @param {string} header - 컬럼 이름
+     * @param {string} kind - 필터 종류
+     * @returns {HTMLElement} 필터 td 요소
+     */
+    createFilterCell(header, kind) {
+        let filter = this.filters[header];
+        if (filter && filter.kind !== kind) {
+            if (this.isActive(filter)) {
+                kind = filter.kind;
+            } else {
+                delete this.filters[header];
+                filter = null;
+            }
+        }
+        if (!filter) {
+            filter = { kind: kind, operator: this.operators[kind][0].value, value: '', value2: '' };
+        }
+
+        const td = document.createElement('td');
+        td.className = 'filter-cell';
+        td.setAttribute('data-column', header);
+        td.setAttribute('data-kind', kind);
+
+        const controls = document.createElement('div');
+        controls.className = 'filter-cell__controls';
+
+        if (kind === 'boolean') {
+            // 불린은 값 선택만 사용
+            const select = document.createElement('select');
+            select.className = 'filter-cell__select';
+            select.setAttribute('aria-label', `${header} 필터`);
+            [['', '전체'], ['true', 'true'], ['false', 'false'], ['null', 'null']].forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                select.appendChild(option);
+            });
+            select.value = filter.value;
+            select.addEventListener('change', () => {
+                this.updateFilter(header, { kind: kind, operator: 'is', value: select.value, value2: '' });
+            });
+            controls.appendChild(select);
+            td.appendChild(controls);
+            return td;
+        }
+
+        const operatorSelect = document.createElement('select');
+        operatorSelect.className = 'filter-cell__operator';
+        operatorSelect.setAttribute('aria-label', `${header} 필터 조건`);
+        this.operators[kind].forEach(operator => {
+            const option = document.createElement('option');
+            option.value = operator.value;
+            option.textContent = operator.text;
+            operatorSelect.appendChild(option);
+        });
+        operatorSelect.value = filter.operator;
+
+        const inputType = kind === 'date' ? 'date' : 'text';
+        const input = this.createInput(inputType, `${header} 필터 값`, filter.value);
+        const endInput = this.createInput(inputType, `${header} 필터 끝 값`, filter.value2);
+        endInput.classList.add('filter-cell__input--end');
+
+        if (kind === 'number') {
+            input.inputMode = 'decimal';
+            endInput.inputMode = 'decimal';
+        }
+
+        const updateInputs = () => {
+            const operator = operatorSelect.value;
+            input.style.display = operator === 'empty' ? 'none' : '';
+            endInput.style.display = operator === 'between' ? '' : 'none';
+            input.placeholder = operator === 'between' ? (kind === 'number' ? '최소' : '') : this.getPlaceholder(kind, operator);
+            endInput.placeholder = kind === 'number' ? '최대' : '';
+        };
+        updateInputs();
+
+        const readState = () => ({
+            kind: kind,
+            operator: operatorSelect.value,
+            value: input.value,
+            value2: endInput.value
+        });
+
+        operatorSelect.addEventListener('change', () => {
+            updateInputs();
+            this.updateFilter(header, readState());
+        });
+
+        [input, endInput].forEach(element => {
+            element.addEventListener('input', () => {
+                clearTimeout(this.inputTimer);
+                this.inputTimer = setTimeout(() => {
+                    this.updateFilter(header, readState());
+                }, this.inputDelay);
+            });
+            element.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape' && element.value) {
+                    event.stopPropagation();
+                    element.value = '';
+                    clearTimeout(this.inputTimer);
+                    this.updateFilter(header, readState());
+                }
+            });
+        });
+
+        controls.appendChild(operatorSelect);
+        controls.appendChild(input);
+        controls.appendChild(endInput);
+        td.appendChild(controls);
+
+        this.markInvalid(td, filter);
+        return td;
+    }
+
+    /**
+     * 필터 값 입력 요소를 만듭니다.
+     * @param {string} type - input 타입
+     * @param {string} label - 접근성 이름
+     * @param {string} value - 초기 값
+     * @returns {HTMLElement} input 요소
+     */
+    createInput(type, label, value) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.className = 'filter-cell__input';
+        input.setAttribute('aria-label', label);
+        input.spellcheck = false;
+        input.value = value;
+        return input;
+    }
+
+    /**
+     * 연산자에 맞는 입력 안내 문구를 반환합니다.
+     * @param {string} kind - 필터 종류
+     * @param {string} operator - 연산자
+     * @returns {string} 안내 문구
+     */
+    getPlaceholder(kind, operator) {
+        if (kind === 'number') {
+            return '숫자';
+        }
+        if (operator === 'regex') {
+            return '정규식';
+        }
+        return kind === 'string' ? '검색어' : '';
+    }
+
+    /**
+     * 컬럼의 필터 조건을 바꾸고 변경을 알립니다.
+     * @param {string} header - 컬럼 이름
+     * @param {Object} state - 필터 상태 ({ kind, operator, value, value2 })
+     */
+    updateFilter(header, state) {
+        this.filters[header] = state;
+
+        const cell = this.findCell(header);
+        if (cell) {
+            this.markInvalid(cell, state);
+        }
+
+        this.renderChips();
+        this.notifyChange();
+    }
+
+    /**
+     * 컬럼의 필터 조건을 지우고 필터 행의 입력도 비웁니다.
+     * @param {string} header - 컬럼 이름
+     */
+    removeFilter(header) {
+        delete this.filters[header];
+        this.resetCell(header);
+        this.renderChips();
+        this.notifyChange();
+    }
+
+    /**
+     * 모든 필터 조건을 지우고 변경을 알립니다.
+     */
+    clearAll() {
+        Object.keys(this.filters).forEach(header => this.resetCell(header));
+        this.filters = {};
+        this.renderChips();
+        this.notifyChange();
+    }
+
+    /**
+     * 새 데이터를 표시할 때 모든 조건을 알림 없이 지웁니다.
+     */
+    reset() {
+        clearTimeout(this.inputTimer);
+        this.filters = {};
+        this.renderChips();
+    }
+
+    /**
+     * 필터 행에서 컬럼의 입력을 초기 상태로 되돌립니다.
+     * @param {string} header - 컬럼 이름
+     */
+    resetCell(header) {
+        const cell = this.findCell(header);
+        if (!cell) {
+            return;
+        }
+
+        const replacement = this.createFilterCell(header, cell.getAttribute('data-kind'));
+        cell.replaceWith(replacement);
+    }
+
+    /**
+     * 컬럼의 필터 종류가 바뀌었으면 이전 종류의 조건을 지우고 필터 셀을 새로 만듭니다.
+     * 조건이 지워졌으면 호출한 쪽에서 다시 필터링해야 합니다.
+     * @param {string} header - 컬럼 이름
+     * @param {string} kind - 새 필터 종류
+     * @returns {boolean} 적용 중이던 조건이 지워졌는지 여부
+     */
+    updateColumnKind(header, kind) {
+        const cell = this.findCell(header);
+        if (!cell || cell.getAttribute('data-kind') === kind) {
+            return false;
+        }
+
+        const wasActive = this.isActive(this.filters[header]);
+        delete this.filters[header];
+        cell.replaceWith(this.createFilterCell(header, kind));
+        this.renderChips();
+        return wasActive;
+    }
+
+    /**
+     * 필터 행에서 컬럼의 셀을 찾습니다.
+     * @param {string} header - 컬럼 이름
+     * @returns {HTMLElement|null} 필터 td 요소
+     */
+    findCell(header) {
+        if (!this.filterRow) {
+            return null;
+        }
+        return Array.from(this.filterRow.children).find(cell => cell.getAttribute('data-column') === header) || null;
+    }
+
+    /**
+     * 잘못된 입력(정규식, 숫자, 날짜)이면 셀에 표시합니다.
+     * @param {HTMLElement} cell - 필터 td 요소
+     * @param {Object} filter - 필터 상태
+     */
+    markInvalid(cell, filter) {
+        const invalid = this.hasInput(filter) && this.compile(filter) === null;
+        cell.classList.toggle('filter-cell--invalid', invalid);
+        cell.title = invalid ? this.getInvalidMessage(filter) : '';
+    }
+
+    /**
+     * 잘못된 입력에 대한 안내 문구를 반환합니다.
+     * @param {Object} filter - 필터 상태
+     * @returns {string} 안내 문구
+     */
+    getInvalidMessage(filter) {
+        switch (filter.kind) {
+            case 'number':
+                return '숫자를 입력하세요.';
+            case 'date':
+                return '날짜를 입력하세요.';
+            default:
+                return '올바른 정규식이 아닙니다.';
+        }
+    }
+
+    /**
+     * 필터에 입력된 값이 있는지 확인합니다.
+     * @param {Object} filter - 필터 상태
+     * @returns {boolean} 입력 여부
+     */
+    hasInput(filter) {
+        if (!filter) {
+            return false;
+        }
+        if (filter.operator === 'empty') {
+            return true;
+        }
+        if (filter.operator === 'between') {
+            return filter.value.trim() !== '' || filter.value2.trim() !== '';
+        }
+        return filter.value.trim() !== '';
+    }
+
+    /**
+     * 필터가 행을 거르는 중인지 확인합니다. (입력이 있고 올바른 경우)
+     * @param {Object} filter - 필터 상태
+     * @returns {boolean} 적용 여부
+     */
+    isActive(filter) {
+        return this.hasInput(filter) && this.compile(filter) !== null;
+    }
+
+    /**
+     * 적용 중인 필터가 있는지 확인합니다.
+     * @returns {boolean} 적용 여부
+     */
+    hasActiveFilters() {
+        return Object.values(this.filters).some(filter => this.isActive(filter));
+    }
+
+    /**
+     * 필터 상태를 값 검사 함수로 변환합니다.
+     * @param {Object} filter - 필터 상태
+     * @returns {Function|null} (value) => boolean (입력이 잘못되었으면 null)
+     */
+    compile(filter) {
+        const text = filter.value.trim();
+
+        switch (filter.kind) {
+            case 'boolean':
+                if (filter.value === 'null') {
+                    return value => value === null || value === undefined;
+                }
+                return value => String(value) === filter.value;
+
+            case 'number': {
+                const parse = (input) => {
+                    const normalized = input.trim().replace(/,/g, '');
+                    return normalized !== '' && this.preciseNumbers.isNumeric(normalized) ? normalized : null;
+                };
+                const compare = (value, target) => this.preciseNumbers.isNumeric(value)
+                    ? this.preciseNumbers.compare(value, target)
+                    : null;
+
+                if (filter.operator === 'between') {
+                    const min = filter.value.trim() ? parse(filter.value) : '';
+                    const max = filter.value2.trim() ? parse(filter.value2) : '';
+                    if (min === null || max === null) {
+                        return null;
+                    }
+                    return value => {
+                        const low = min === '' ? 0 : compare(value, min);
+                        const high = max === '' ? 0 : compare(value, max);
+                        return low !== null && high !== null && low >= 0 && high <= 0;
+                    };
+                }
+
+                const target = parse(filter.value);
+                if (target === null) {
+                    return null;
+                }
+
+                const tests = {
+                    eq: result => result === 0,
+                    ne: result => result !== 0,
+                    gt: result => result > 0,
+                    gte: result => result >= 0,
+                    lt: result => result < 0,
+                    lte: result => result <= 0
+                };
+                return value => {
+                    const result = compare(value, target);
+                    // 숫자가 아닌 값은 '≠'에서만 남김
+                    return result === null ? filter.operator === 'ne' : tests[filter.operator](result);
+                };
+            }
+
+            case 'date': {
+                const start = this.parseDateInput(filter.value);
+                const end = this.parseDateInput(filter.value2);
+                const toTime = value => {
+                    if (typeof value === 'number') {
+                        return value;
+                    }
+                    if (typeof value !== 'string') {
+                        return null;
+                    }
+                    // Date.parse는 YYYY-MM-DD를 UTC 자정으로 읽으므로 입력 값과 같은 로컬 자정으로 맞춤
+                    const time = this.parseDateInput(value) ?? Date.parse(value);
+                    return isNaN(time) ? null : time;
+                };
+                // 일광 절약 시간 전환일에도 하루 끝을 맞추기 위해 다음 날 로컬 자정을 사용
+                const nextDay = time => {
+                    const date = new Date(time);
+                    date.setDate(date.getDate() + 1);
+                    return date.getTime();
+                };
+
+                if (filter.operator === 'between') {
+                    if ((start === null && filter.value.trim()) || (end === null && filter.value2.trim())) {
+                        return null;
+                    }
+                    return value => {
+                        const time = toTime(value);
+                        return time !== null &&
+                            (start === null || time >= start) &&
+                            (end === null || time < nextDay(end));
+                    };
+                }
+
+                if (start === null) {
+                    return null;
+                }
+                return filter.operator === 'before'
+                    ? value => { const time = toTime(value); return time !== null && time < start; }
+                    : value => { const time = toTime(value); return time !== null && time >= nextDay(start); };
+            }
+
+            default: {
+                const toText = value => (value === null || value === undefined)
+                    ? ''
+                    : (typeof value === 'object' ? this.preciseNumbers.stringify(value) : String(value));
+
+                switch (filter.operator) {
+                    case 'empty':
+                        return value => toText(value) === '';
+                    case 'equals':
+                        return value => toText(value).toLowerCase() === text.toLowerCase();
+                    case 'regex':
+                        try {
+                            const regex = new RegExp(filter.value, 'i');
+                            return value => regex.test(toText(value));
+                        } catch (error) {
+                            return null;
+                        }
+                    default:
+                        return value => toText(value).toLowerCase().includes(text.toLowerCase());
+                }
+            }
+        }
+    }
+
+    /**
+     * date 입력 값(YYYY-MM-DD)을 로컬 자정의 시각으로 변환합니다.
+     * @param {string} text - 입력 값
+     * @returns {number|null} 밀리초 시각 (비어 있거나 잘못되면 null)
+     */
+    parseDateInput(text) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text.trim());
+        if (!match) {
+            return null;
+        }
+        const time = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime();
+        return isNaN(time) ? null : time;
+    }
+
+    /**
+     * 행 목록에 적용 중인 필터를 모두 적용합니다.
+     * @param {Array} rows - 행 목록
+     * @param {Function} getValue - 행에서 컬럼 값을 꺼내는 함수 (row, header) => value
+     * @returns {Array} 조건을 모두 만족하는 행 목록
+     */
+    apply(rows, getValue) {
+        const tests = Object.entries(this.filters)
+            .filter(([, filter]) => this.isActive(filter))
+            .map(([header, filter]) => ({ header: header, test: this.compile(filter) }));
+
+        if (tests.length === 0) {
+            return rows;
+        }
+
+        return rows.filter(row => tests.every(({ header, test }) => test(getValue(row, header))));
+    }
+
+    /**
+     * 필터 상태를 칩에 표시할 문구로 변환합니다.
+     * @param {string} header - 컬럼 이름
+     * @param {Object} filter - 필터 상태
+     * @returns {string} 표시 문구
+     */
+    describe(header, filter) {
+        const operator = this.operators[filter.kind].find(item => item.value === filter.operator);
+        const symbol = operator ? operator.symbol : '';
+
+        if (filter.operator === 'empty') {
+            return `${header} ${symbol}`;
+        }
+        if (filter.operator === 'between') {
+            return `${header} ${symbol} ${filter.value.trim() || '…'} ~ ${filter.value2.trim() || '…'}`;
+        }
+        if (filter.operator === 'regex') {
+            return `${header} ${symbol} /${filter.value}/`;
+        }
+        return `${header} ${symbol} ${filter.value.trim()}`;
+    }
+
+    /**
+     * 적용 중인 필터를 지울 수 있는 칩으로 표시합니다.
+     */
+    renderChips() {
+        if (!this.chipsContainer) {
+            return;
+        }
+
+        this.chipsContainer.innerHTML = '';
+        const active = Object.entries(this.filters).filter(([, filter]) => this.isActive(filter));
+
+        active.forEach(([header, filter]) => {
+            const chip = document.createElement('span');
+            chip.className = 'filter-chip';
+
+            const label = document.createElement('span');
+            label.className = 'filter-chip__label';
+            label.textContent = this.describe(header, filter);
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'filter-chip__remove';
+            removeButton.setAttribute('data-remove-filter', header);
+            removeButton.setAttribute('aria-label', `${header} 필터 지우기`);
+            removeButton.textContent = '×';
+
+            chip.appendChild(label);
+            chip.appendChild(removeButton);
+            this.chipsContainer.appendChild(chip);
+        });
+
+        if (active.length > 1) {
+            const clearButton = document.createElement('button');
+            clearButton.type = 'button';
+            clearButton.className = 'filter-chip filter-chip--clear';
+            clearButton.setAttribute('data-remove-filter', '');
+            clearButton.setAttribute('data-clear-all', '');
+            clearButton.textContent = '모두 지우기';
+            this.chipsContainer.appendChild(clearButton);
+        }
+
+        this.chipsContainer.style.display = active.length > 0 ? '' : 'none';
+    }
+
+    /**
+     * 조건 변경을 알립니다.
+     */
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+}
+
+// 전역에서 사용할 수 있도록 내보내기
+window.ColumnFilter = ColumnFilter;
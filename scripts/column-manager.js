@@ -0,0 +1,542 @@
+/**
+ * 컬럼 관리 모듈
+ * 컬럼 메뉴에서 컬럼을 숨기거나 다시 표시하고, 순서를 바꾸고, 왼쪽/오른쪽에 고정합니다.
+ * 헤더 경계를 끌어 직접 정한 컬럼 너비도 레이아웃에 함께 기억합니다.
+ * 레이아웃은 컬럼 구성으로 만든 데이터셋 키별로 저장하므로 같은 구조의 데이터를 다시 열면 복원됩니다.
+ */
+
+class ColumnManager {
+    constructor() {
+        // 현재 데이터셋의 전체 컬럼과 식별자
+        this.columns = [];
+        this.datasetKey = null;
+
+        // 레이아웃 (order: 컬럼 순서, hidden: 숨긴 컬럼, pinned: 컬럼별 고정 위치 'left' | 'right',
+        //          widths: 사용자가 직접 정한 컬럼별 너비(px))
+        this.layout = this.createDefaultLayout();
+
+        // 레이아웃이 바뀌었을 때 호출되는 콜백
+        this.onChange = null;
+
+        // 레이아웃 저장소 콜백 (main에서 StateManager와 연결)
+        this.loadLayout = null; // (datasetKey) => layout | null
+        this.saveLayout = null; // (datasetKey, layout | null) => void
+
+        // 드래그 중인 메뉴 항목의 컬럼
+        this.draggedColumn = null;
+
+        // DOM 요소 참조
+        this.container = null;
+        this.toggleButton = null;
+        this.panel = null;
+        this.list = null;
+        this.showAllButton = null;
+        this.resetButton = null;
+
+        this.handleDocumentClick = this.handleDocumentClick.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * 컬럼 메뉴를 초기화합니다.
+     */
+    init() {
+        this.container = document.getElementById('column-menu');
+        this.toggleButton = document.getElementById('column-menu-toggle');
+        this.panel = document.getElementById('column-menu-panel');
+        this.list = document.getElementById('column-menu-list');
+        this.showAllButton = document.getElementById('column-show-all');
+        this.resetButton = document.getElementById('column-reset');
+
+        if (this.toggleButton) {
+            this.toggleButton.addEventListener('click', () => {
+                this.setPanelOpen(!this.isPanelOpen());
+            });
+        }
+
+        if (this.panel) {
+            this.panel.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape') {
+                    this.setPanelOpen(false);
+                    this.toggleButton.focus();
+                }
+            });
+        }
+
+        if (this.list) {
+            this.list.addEventListener('change', (event) => {
+                const checkbox = event.target.closest('[data-column-visible]');
+                if (checkbox && !this.setHidden(checkbox.getAttribute('data-column-visible'), !checkbox.checked)) {
+                    // 마지막으로 보이는 컬럼은 숨길 수 없음
+                    checkbox.checked = true;
+                }
+            });
+
+            this.list.addEventListener('click', (event) => {
+                const pinButton = event.target.closest('[data-pin-side]');
+                if (pinButton) {
+                    const column = pinButton.closest('[data-column]').getAttribute('data-column');
+                    const side = pinButton.getAttribute('data-pin-side');
+                    this.setPinned(column, this.getPinned(column) === side ? null : side);
+                }
+            });
+
+            this.attachListDragEvents();
+        }
+
+        if (this.showAllButton) {
+            this.showAllButton.addEventListener('click', () => {
+                this.showAll();
+            });
+        }
+
+        if (this.resetButton) {
+            this.resetButton.addEventListener('click', () => {
+                this.reset();
+            });
+        }
+
+        // 메뉴 밖을 클릭하면 닫기
+        document.addEventListener('click', this.handleDocumentClick);
+    }
+
+    /**
+     * 메뉴 항목을 끌어서 순서를 바꾸는 이벤트를 등록합니다.
+     */
+    attachListDragEvents() {
+        this.list.addEventListener('dragstart', (event) => {
+            const item = event.target.closest('[data-column]');
+            if (!item) return;
+            this.draggedColumn = item.getAttribute('data-column');
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', this.draggedColumn);
+        });
+
+        this.list.addEventListener('dragover', (event) => {
+            if (this.draggedColumn !== null && event.target.closest('[data-column]')) {
+                event.preventDefault();
+            }
+        });
+
+        this.list.addEventListener('drop', (event) => {
+            const item = event.target.closest('[data-column]');
+            if (!item || this.draggedColumn === null) return;
+            event.preventDefault();
+
+            const rect = item.getBoundingClientRect();
+            const after = event.clientY > rect.top + rect.height / 2;
+            this.moveColumn(this.draggedColumn, item.getAttribute('data-column'), after);
+            this.draggedColumn = null;
+        });
+
+        this.list.addEventListener('dragend', () => {
+            this.draggedColumn = null;
+        });
+    }
+
+    /**
+     * 메뉴 바깥 클릭을 처리합니다.
+     * @param {MouseEvent} event - 클릭 이벤트
+     */
+    handleDocumentClick(event) {
+        if (this.container && !this.container.contains(event.target)) {
+            this.setPanelOpen(false);
+        }
+    }
+
+    /**
+     * 컬럼 메뉴 패널이 열려 있는지 확인합니다.
+     * @returns {boolean} 열림 여부
+     */
+    isPanelOpen() {
+        return !!this.panel && this.panel.style.display !== 'none';
+    }
+
+    /**
+     * 컬럼 메뉴 패널을 열거나 닫습니다.
+     * @param {boolean} open - 열지 여부
+     */
+    setPanelOpen(open) {
+        if (!this.panel) {
+            return;
+        }
+
+        this.panel.style.display = open ? '' : 'none';
+        if (this.toggleButton) {
+            this.toggleButton.setAttribute('aria-expanded', String(open));
+        }
+        if (open) {
+            this.renderList();
+        }
+    }
+
+    /**
+     * 기본 레이아웃을 만듭니다.
+     * @returns {Object} { order, hidden, pinned, widths }
+     */
+    createDefaultLayout() {
+        return { order: [], hidden: [], pinned: {}, widths: {} };
+    }
+
+    /**
+     * 새 데이터셋의 컬럼을 설정하고 저장된 레이아웃을 불러옵니다.
+     * @param {Array} headers - 데이터셋의 전체 헤더
+     */
+    setDataset(headers) {
+        const datasetKey = this.createDatasetKey(headers);
+        this.columns = headers.slice();
+
+        if (datasetKey !== this.datasetKey) {
+            this.datasetKey = datasetKey;
+            const saved = this.loadLayout ? this.loadLayout(datasetKey) : null;
+            this.layout = this.normalizeLayout(saved, headers);
+        }
+
+        this.renderList();
+    }
+
+    /**
+     * 스트리밍 등으로 같은 데이터셋에 컬럼이 늘어났을 때 컬럼 목록을 갱신합니다.
+     * 데이터셋 키는 새 구성으로 바꾸지만 사용자가 바꾼 현재 레이아웃은 그대로 유지합니다.
+     * @param {Array} headers - 늘어난 전체 헤더
+     */
+    extendDataset(headers) {
+        this.columns = headers.slice();
+        this.datasetKey = this.createDatasetKey(headers);
+        this.renderList();
+    }
+
+    /**
+     * 컬럼 구성으로 데이터셋 키를 만듭니다. 컬럼 순서와 관계없이 같은 구성이면 같은 키입니다.
+     * @param {Array} headers - 헤더 배열
+     * @returns {string} 데이터셋 키
+     */
+    createDatasetKey(headers) {
+        const text = headers.slice().sort().join('\u0000');
+
+        // FNV-1a 32비트 해시
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+
+        return `${headers.length}:${hash.toString(16).padStart(8, '0')}`;
+    }
+
+    /**
+     * 저장된 레이아웃에서 현재 컬럼에 없는 항목을 버리고 형식을 맞춥니다.
+     * @param {Object|null} layout - 저장된 레이아웃
+     * @param {Array} headers - 헤더 배열
+     * @returns {Object} 레이아웃
+     */
+    normalizeLayout(layout, headers) {
+        const normalized = this.createDefaultLayout();
+        if (!layout || typeof layout !== 'object') {
+            return normalized;
+        }
+
+        const known = new Set(headers);
+        if (Array.isArray(layout.order)) {
+            normalized.order = layout.order.filter(column => known.has(column));
+        }
+        if (Array.isArray(layout.hidden)) {
+            normalized.hidden = layout.hidden.filter(column => known.has(column));
+        }
+        if (layout.pinned && typeof layout.pinned === 'object') {
+            Object.keys(layout.pinned).forEach(column => {
+                if (known.has(column) && ['left', 'right'].includes(layout.pinned[column])) {
+                    normalized.pinned[column] = layout.pinned[column];
+                }
+            });
+        }
+        if (layout.widths && typeof layout.widths === 'object') {
+            Object.keys(layout.widths).forEach(column => {
+                const width = layout.widths[column];
+                if (known.has(column) && Number.isFinite(width) && width > 0) {
+                    normalized.widths[column] = Math.round(width);
+                }
+            });
+        }
+
+        // 모든 컬럼이 숨겨져 있으면 숨김 설정은 무시
+        if (normalized.hidden.length >= headers.length) {
+            normalized.hidden = [];
+        }
+
+        return normalized;
+    }
+
+    /**
+     * 레이아웃 순서를 적용한 전체 컬럼 목록을 반환합니다. (숨긴 컬럼 포함, 고정 위치는 미반영)
+     * 레이아웃에 없는 새 컬럼은 원래 순서대로 뒤에 붙입니다.
+     * @param {Array} headers - 헤더 배열
+     * @returns {Array} 정렬된 컬럼
+     */
+    getOrderedColumns(headers) {
+        const available = new Set(headers);
+        const ordered = this.layout.order.filter(column => available.has(column));
+        const placed = new Set(ordered);
+        headers.forEach(column => {
+            if (!placed.has(column)) {
+                ordered.push(column);
+            }
+        });
+        return ordered;
+    }
+
+    /**
+     * 화면에 표시할 컬럼 목록을 반환합니다.
+     * 숨긴 컬럼은 빼고, 왼쪽 고정 → 일반 → 오른쪽 고정 순서로 놓습니다.
+     * @param {Array} headers - 헤더 배열
+     * @returns {Array} 표시할 컬럼
+     */
+    apply(headers) {
+        const hidden = new Set(this.layout.hidden);
+        const visible = this.getOrderedColumns(headers).filter(column => !hidden.has(column));
+
+        // 모든 컬럼이 숨겨지는 경우(데이터가 바뀐 경우 등)에는 숨김을 무시
+        if (visible.length === 0) {
+            return this.getOrderedColumns(headers);
+        }
+
+        return [
+            ...visible.filter(column => this.getPinned(column) === 'left'),
+            ...visible.filter(column => !this.getPinned(column)),
+            ...visible.filter(column => this.getPinned(column) === 'right')
+        ];
+    }
+
+    /**
+     * 컬럼의 고정 위치를 반환합니다.
+     * @param {string} column - 컬럼 이름
+     * @returns {string|null} 'left', 'right' 또는 null
+     */
+    getPinned(column) {
+        return Object.prototype.hasOwnProperty.call(this.layout.pinned, column)
+            ? this.layout.pinned[column]
+            : null;
+    }
+
+    /**
+     * 사용자가 직접 정한 컬럼 너비를 반환합니다.
+     * @param {string} column - 컬럼 이름
+     * @returns {number|null} 너비(px) (자동 너비이면 null)
+     */
+    getWidth(column) {
+        return Object.prototype.hasOwnProperty.call(this.layout.widths, column)
+            ? this.layout.widths[column]
+            : null;
+    }
+
+    /**
+     * 컬럼 너비를 기억합니다. 너비는 렌더러가 이미 화면에 적용했으므로 테이블을 다시 그리지 않고 저장만 합니다.
+     * @param {Object} widths - 컬럼 이름 → 너비(px) (null이면 자동 너비로 되돌림)
+     */
+    setWidths(widths) {
+        Object.keys(widths).forEach(column => {
+            const width = widths[column];
+            if (Number.isFinite(width) && width > 0) {
+                this.layout.widths[column] = Math.round(width);
+            } else {
+                delete this.layout.widths[column];
+            }
+        });
+        this.saveCurrentLayout();
+    }
+
+    /**
+     * 컬럼이 숨겨져 있는지 확인합니다.
+     * @param {string} column - 컬럼 이름
+     * @returns {boolean} 숨김 여부
+     */
+    isHidden(column) {
+        return this.layout.hidden.includes(column);
+    }
+
+    /**
+     * 컬럼을 숨기거나 표시합니다. 마지막으로 보이는 컬럼은 숨길 수 없습니다.
+     * @param {string} column - 컬럼 이름
+     * @param {boolean} hidden - 숨길지 여부
+     * @returns {boolean} 적용 여부
+     */
+    setHidden(column, hidden) {
+        if (hidden === this.isHidden(column)) {
+            return true;
+        }
+
+        if (hidden) {
+            const visibleCount = this.columns.filter(header => !this.isHidden(header)).length;
+            if (visibleCount <= 1) {
+                return false;
+            }
+            this.layout.hidden.push(column);
+        } else {
+            this.layout.hidden = this.layout.hidden.filter(header => header !== column);
+        }
+
+        this.commit();
+        return true;
+    }
+
+    /**
+     * 숨긴 컬럼을 모두 표시합니다.
+     */
+    showAll() {
+        if (this.layout.hidden.length === 0) {
+            return;
+        }
+        this.layout.hidden = [];
+        this.commit();
+    }
+
+    /**
+     * 컬럼을 왼쪽이나 오른쪽에 고정하거나 고정을 해제합니다.
+     * @param {string} column - 컬럼 이름
+     * @param {string|null} side - 'left', 'right' 또는 null
+     */
+    setPinned(column, side) {
+        if (side === 'left' || side === 'right') {
+            this.layout.pinned[column] = side;
+        } else {
+            delete this.layout.pinned[column];
+        }
+        this.commit();
+    }
+
+    /**
+     * 컬럼을 다른 컬럼의 앞이나 뒤로 옮깁니다.
+     * 고정 영역이 다른 컬럼 사이로 옮기면 대상 컬럼의 고정 위치를 따릅니다.
+     * @param {string} column - 옮길 컬럼
+     * @param {string} target - 기준 컬럼
+     * @param {boolean} after - 기준 컬럼 뒤에 놓을지 여부
+     */
+    moveColumn(column, target, after = false) {
+        if (column === target) {
+            return;
+        }
+
+        const order = this.getOrderedColumns(this.columns).filter(header => header !== column);
+        const targetIndex = order.indexOf(target);
+        if (targetIndex === -1) {
+            return;
+        }
+
+        order.splice(after ? targetIndex + 1 : targetIndex, 0, column);
+        this.layout.order = order;
+
+        const targetSide = this.getPinned(target);
+        if (targetSide !== this.getPinned(column)) {
+            if (targetSide) {
+                this.layout.pinned[column] = targetSide;
+            } else {
+                delete this.layout.pinned[column];
+            }
+        }
+
+        this.commit();
+    }
+
+    /**
+     * 레이아웃을 기본값(모든 컬럼 표시, 원래 순서, 고정 없음, 자동 너비)으로 되돌립니다.
+     */
+    reset() {
+        this.layout = this.createDefaultLayout();
+        this.commit();
+    }
+
+    /**
+     * 기본 레이아웃인지 확인합니다.
+     * @returns {boolean} 기본 레이아웃 여부
+     */
+    isDefaultLayout() {
+        return this.layout.order.length === 0 &&
+            this.layout.hidden.length === 0 &&
+            Object.keys(this.layout.pinned).length === 0 &&
+            Object.keys(this.layout.widths).length === 0;
+    }
+
+    /**
+     * 현재 레이아웃을 데이터셋 키로 저장합니다. (기본 레이아웃이면 저장된 항목 삭제)
+     */
+    saveCurrentLayout() {
+        if (this.saveLayout && this.datasetKey) {
+            this.saveLayout(this.datasetKey, this.isDefaultLayout() ? null : this.layout);
+        }
+    }
+
+    /**
+     * 레이아웃 변경을 저장하고 메뉴와 테이블에 반영합니다.
+     */
+    commit() {
+        this.saveCurrentLayout();
+        this.renderList();
+
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * 컬럼 메뉴 목록을 그립니다. (표시 순서대로, 숨긴 컬럼은 원래 자리에)
+     */
+    renderList() {
+        if (!this.list) {
+            return;
+        }
+
+        this.list.innerHTML = '';
+
+        // 표시 순서를 따르되 숨긴 컬럼도 목록에 남김
+        const displayed = this.apply(this.columns);
+        const hidden = this.getOrderedColumns(this.columns).filter(column => !displayed.includes(column));
+
+        [...displayed, ...hidden].forEach(column => {
+            const item = document.createElement('li');
+            item.className = 'column-menu__item';
+            item.setAttribute('data-column', column);
+            item.draggable = true;
+
+            const label = document.createElement('label');
+            label.className = 'column-menu__label';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !this.isHidden(column);
+            checkbox.setAttribute('data-column-visible', column);
+
+            const name = document.createElement('span');
+            name.className = 'column-menu__name';
+            name.textContent = column;
+            name.title = column;
+
+            label.appendChild(checkbox);
+            label.appendChild(name);
+            item.appendChild(label);
+
+            const pinned = this.getPinned(column);
+            [['left', '⇤', '왼쪽에 고정'], ['right', '⇥', '오른쪽에 고정']].forEach(([side, symbol, text]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn--outline btn--small column-menu__pin';
+                button.classList.toggle('btn--active', pinned === side);
+                button.setAttribute('data-pin-side', side);
+                button.setAttribute('aria-pressed', String(pinned === side));
+                button.title = pinned === side ? '고정 해제' : text;
+                button.textContent = symbol;
+                item.appendChild(button);
+            });
+
+            this.list.appendChild(item);
+        });
+
+        if (this.toggleButton) {
+            const hiddenCount = this.layout.hidden.length;
+            this.toggleButton.textContent = hiddenCount > 0 ? `▦ 컬럼 (${hiddenCount}개 숨김)` : '▦ 컬럼';
+        }
+    }
+}
+
+// 전역에서 사용할 수 있도록 내보내기
+window.ColumnManager = ColumnManager;
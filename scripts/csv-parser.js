@@ -0,0 +1,360 @@
+/**
+ * CSV/TSV 파싱 모듈
+ * RFC 4180 규칙(따옴표로 감싼 필드, "" 이스케이프, 필드 안의 줄바꿈)에 따라
+ * 구분자로 나뉜 텍스트를 테이블 행(객체 배열)으로 변환합니다.
+ * 구분자와 문자 인코딩은 자동으로 감지할 수 있습니다.
+ */
+
+class CSVParser {
+    constructor() {
+        // 자동 감지할 구분자 후보
+        this.delimiters = [',', '\t', ';', '|'];
+
+        // 구분자 감지에 사용할 앞부분 길이
+        this.sampleLength = 64 * 1024;
+
+        // 따옴표 없는 숫자 (앞자리 0으로 시작하는 우편번호 등은 문자열로 유지)
+        this.numberPattern = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+        this.integerPattern = /^-?\d+$/;
+
+        this.preciseNumbers = new PreciseNumbers();
+    }
+
+    /**
+     * 파일 이름이나 MIME 타입으로 CSV/TSV 파일인지 확인합니다.
+     * @param {File} file - 확인할 파일
+     * @returns {boolean} CSV/TSV 파일 여부
+     */
+    isDelimitedFile(file) {
+        const fileName = file.name.toLowerCase();
+        return ['.csv', '.tsv', '.tab'].some(ext => fileName.endsWith(ext)) ||
+            ['text/csv', 'text/tab-separated-values'].includes(file.type);
+    }
+
+    /**
+     * 파일 확장자에 맞는 기본 구분자를 반환합니다.
+     * @param {string} fileName - 파일 이름
+     * @returns {string|null} 구분자 (정할 수 없으면 null)
+     */
+    getDelimiterForFile(fileName) {
+        const lowerName = fileName.toLowerCase();
+        if (lowerName.endsWith('.tsv') || lowerName.endsWith('.tab')) {
+            return '\t';
+        }
+        return null;
+    }
+
+    /**
+     * 바이트 배열의 문자 인코딩을 감지하여 문자열로 변환합니다.
+     * BOM을 먼저 확인하고, 올바른 UTF-8이 아니면 EUC-KR(CP949)로 읽습니다.
+     * @param {ArrayBuffer} buffer - 파일 내용
+     * @returns {Object} { text, encoding }
+     */
+    decode(buffer) {
+        const bytes = new Uint8Array(buffer);
+
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { text: new TextDecoder('utf-8').decode(bytes), encoding: 'UTF-8 (BOM)' };
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { text: new TextDecoder('utf-16le').decode(bytes), encoding: 'UTF-16LE' };
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { text: new TextDecoder('utf-16be').decode(bytes), encoding: 'UTF-16BE' };
+        }
+
+        try {
+            return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' };
+        } catch (error) {
+            // Excel에서 저장한 한글 CSV는 대부분 CP949
+            return { text: new TextDecoder('euc-kr').decode(bytes), encoding: 'EUC-KR' };
+        }
+    }
+
+    /**
+     * 구분자로 나뉜 텍스트를 테이블 행으로 변환합니다.
+     * @param {string} text - CSV/TSV 텍스트
+     * @param {Object} options - 파싱 옵션
+     * @param {string|null} options.delimiter - 구분자 (null이면 자동 감지)
+     * @param {boolean} options.header - 첫 행을 헤더로 사용할지 여부
+     * @param {boolean} options.preciseNumbers - 큰 정수를 BigInt로 보존할지 여부
+     * @returns {Object} { rows, columns, delimiter, errors }
+     */
+    parse(text, options = {}) {
+        const delimiter = options.delimiter || this.detectDelimiter(text);
+        const header = options.header !== false;
+        const { records, errors } = this.parseRecords(text, delimiter);
+
+        const columnCount = records.reduce((max, record) => Math.max(max, record.values.length), 0);
+        const headerRecord = header && records.length > 0 ? records.shift() : null;
+        const columns = this.createColumnNames(headerRecord ? headerRecord.values : [], columnCount);
+
+        const rows = records.map(record => {
+            const row = {};
+            columns.forEach((column, index) => {
+                row[column] = index < record.values.length
+                    ? this.inferValue(record.values[index], record.quoted[index], options.preciseNumbers)
+                    : null;
+            });
+            return row;
+        });
+
+        return {
+            rows: rows,
+            columns: columns,
+            delimiter: delimiter,
+            errors: errors
+        };
+    }
+
+    /**
+     * 텍스트를 레코드(필드 목록) 단위로 나눕니다.
+     * @param {string} text - CSV/TSV 텍스트
+     * @param {string} delimiter - 구분자
+     * @returns {Object} { records: [{ values, quoted }], errors: [{ message, line }] }
+     */
+    parseRecords(text, delimiter) {
+        const records = [];
+        const errors = [];
+        const plainPattern = new RegExp(`[^"\\r\\n${this.escapeRegExp(delimiter)}]+`, 'y');
+
+        let values = [];
+        let quoted = [];
+        let field = '';
+        let fieldQuoted = false;
+        let fieldStart = true;
+        let line = 1;
+        let i = 0;
+
+        const pushField = () => {
+            values.push(field);
+            quoted.push(fieldQuoted);
+            field = '';
+            fieldQuoted = false;
+        };
+
+        const pushRecord = () => {
+            // 빈 줄은 건너뜀
+            if (!(values.length === 1 && values[0] === '' && !quoted[0])) {
+                records.push({ values: values, quoted: quoted });
+            }
+            values = [];
+            quoted = [];
+        };
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (char === '"' && fieldStart) {
+                // 따옴표로 감싼 필드: "" 는 따옴표 하나, 줄바꿈 포함 가능
+                const startLine = line;
+                let closed = false;
+                i++;
+
+                while (i < text.length) {
+                    const quoteIndex = text.indexOf('"', i);
+                    const chunk = text.slice(i, quoteIndex === -1 ? text.length : quoteIndex);
+                    field += chunk;
+                    line += this.countLineBreaks(chunk);
+
+                    if (quoteIndex === -1) {
+                        i = text.length;
+                        break;
+                    }
+                    if (text[quoteIndex + 1] === '"') {
+                        field += '"';
+                        i = quoteIndex + 2;
+                    } else {
+                        i = quoteIndex + 1;
+                        closed = true;
+                        break;
+                    }
+                }
+
+                if (!closed) {
+                    errors.push({ message: `${startLine}번째 줄에서 시작한 따옴표가 닫히지 않았습니다.`, line: startLine });
+                }
+
+                fieldQuoted = true;
+                fieldStart = false;
+                continue;
+            }
+
+            if (char === delimiter) {
+                pushField();
+                fieldStart = true;
+                i++;
+                continue;
+            }
+
+            if (char === '\n' || char === '\r') {
+                pushField();
+                pushRecord();
+                i += char === '\r' && text[i + 1] === '\n' ? 2 : 1;
+                line++;
+                fieldStart = true;
+                continue;
+            }
+
+            // 일반 문자는 구분자/줄바꿈/따옴표 전까지 한 번에 읽음
+            plainPattern.lastIndex = i;
+            const match = plainPattern.exec(text);
+            if (match) {
+                field += match[0];
+                i += match[0].length;
+            } else {
+                // 필드 중간의 따옴표는 그대로 유지
+                field += char;
+                i++;
+            }
+            fieldStart = false;
+        }
+
+        if (!fieldStart || values.length > 0) {
+            pushField();
+            pushRecord();
+        }
+
+        return { records: records, errors: errors };
+    }
+
+    /**
+     * 앞부분을 여러 구분자로 나눠 보고 필드 수가 가장 일정한 구분자를 고릅니다.
+     * @param {string} text - CSV/TSV 텍스트
+     * @returns {string} 감지된 구분자 (판단할 수 없으면 쉼표)
+     */
+    detectDelimiter(text) {
+        const sample = text.slice(0, this.sampleLength);
+        const truncated = text.length > sample.length;
+        let best = { delimiter: ',', lines: 0, fields: 0 };
+
+        this.delimiters.forEach(delimiter => {
+            let records = this.parseRecords(sample, delimiter).records;
+            if (truncated && records.length > 1) {
+                // 잘린 마지막 레코드는 제외
+                records = records.slice(0, -1);
+            }
+
+            // 가장 흔한 필드 수와 그 필드 수를 가진 줄 수
+            const frequencies = new Map();
+            records.forEach(record => {
+                const count = record.values.length;
+                frequencies.set(count, (frequencies.get(count) || 0) + 1);
+            });
+
+            frequencies.forEach((lines, fields) => {
+                if (fields < 2) {
+                    return;
+                }
+                if (lines > best.lines || (lines === best.lines && fields > best.fields)) {
+                    best = { delimiter: delimiter, lines: lines, fields: fields };
+                }
+            });
+        });
+
+        return best.delimiter;
+    }
+
+    /**
+     * 헤더 행으로 컬럼 이름을 만듭니다. 비어 있거나 중복된 이름은 고유하게 바꿉니다.
+     * @param {Array} headerValues - 헤더 행 값 (헤더를 쓰지 않으면 빈 배열)
+     * @param {number} columnCount - 전체 컬럼 수
+     * @returns {Array} 컬럼 이름 목록
+     */
+    createColumnNames(headerValues, columnCount) {
+        const used = new Set();
+        const columns = [];
+
+        for (let i = 0; i < columnCount; i++) {
+            const name = (headerValues[i] || '').trim() || `column_${i}`;
+            let uniqueName = name;
+            let suffix = 2;
+
+            while (used.has(uniqueName)) {
+                uniqueName = `${name}_${suffix++}`;
+            }
+
+            used.add(uniqueName);
+            columns.push(uniqueName);
+        }
+
+        return columns;
+    }
+
+    /**
+     * 필드 값의 타입을 추론합니다.
+     * 따옴표로 감싼 필드는 항상 문자열이고, 따옴표 없는 빈 필드는 null입니다.
+     * @param {string} value - 필드 원문
+     * @param {boolean} quoted - 따옴표로 감쌌는지 여부
+     * @param {boolean} preciseNumbers - 큰 정수를 BigInt로 보존할지 여부
+     * @returns {*} 추론된 값 (문자열, 숫자, BigInt, 불리언, null)
+     */
+    inferValue(value, quoted, preciseNumbers = false) {
+        if (quoted) {
+            return value;
+        }
+
+        const trimmed = value.trim();
+
+        if (trimmed === '') {
+            return null;
+        }
+
+        const lower = trimmed.toLowerCase();
+        if (lower === 'true' || lower === 'false') {
+            return lower === 'true';
+        }
+
+        if (this.numberPattern.test(trimmed)) {
+            if (preciseNumbers) {
+                return this.preciseNumbers.parseNumberToken(trimmed);
+            }
+
+            const number = Number(trimmed);
+            // 정밀도를 잃는 큰 정수(ID 등)는 문자열로 유지
+            if (this.integerPattern.test(trimmed) && !Number.isSafeInteger(number)) {
+                return value;
+            }
+            return number;
+        }
+
+        return value;
+    }
+
+    /**
+     * 문자열의 줄바꿈 수를 셉니다. (\r\n은 하나로 계산)
+     * @param {string} text - 문자열
+     * @returns {number} 줄바꿈 수
+     */
+    countLineBreaks(text) {
+        const matches = text.match(/\r\n|\r|\n/g);
+        return matches ? matches.length : 0;
+    }
+
+    /**
+     * 정규식 특수 문자를 이스케이프합니다.
+     * @param {string} text - 문자열
+     * @returns {string} 이스케이프된 문자열
+     */
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * 구분자의 표시 이름을 반환합니다.
+     * @param {string} delimiter - 구분자
+     * @returns {string} 표시 이름
+     */
+    getDelimiterName(delimiter) {
+        const names = {
+            ',': '쉼표',
+            '\t': '탭',
+            ';': '세미콜론',
+            '|': '세로선'
+        };
+        return names[delimiter] || `"${delimiter}"`;
+    }
+}
+
+// 전역에서 사용할 수 있도록 내보내기
+window.CSVParser = CSVParser;
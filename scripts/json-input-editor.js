@@ -0,0 +1,277 @@
+/**
+ * JSON 입력 편집기 모듈
+ * JSON 입력창에 파싱 오류 위치를 하이라이트하고 오류 목록(거터)을 표시합니다.
+ */
+
+class JSONInputEditor {
+    constructor() {
+        // 하이라이트 레이어를 그릴 최대 입력 길이 (이보다 크면 선택 영역으로만 표시)
+        this.maxHighlightLength = 1024 * 1024;
+
+        // DOM 요소 참조
+        this.jsonInput = null;
+        this.highlights = null;
+        this.errorGutter = null;
+
+        // 현재 표시 중인 오류 목록
+        this.errors = [];
+
+        // 이벤트 리스너 바인딩
+        this.handleInput = this.handleInput.bind(this);
+        this.handleScroll = this.handleScroll.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * 편집기를 초기화합니다.
+     */
+    init() {
+        this.initializeDOMElements();
+        this.attachEventListeners();
+    }
+
+    /**
+     * DOM 요소들을 초기화합니다.
+     */
+    initializeDOMElements() {
+        this.jsonInput = document.getElementById('json-input');
+        this.highlights = document.getElementById('editor-highlights');
+        this.errorGutter = document.getElementById('error-gutter');
+
+        if (!this.jsonInput) {
+            console.warn('JSON 입력창을 찾을 수 없습니다.');
+        }
+    }
+
+    /**
+     * 이벤트 리스너를 등록합니다.
+     */
+    attachEventListeners() {
+        if (!this.jsonInput) {
+            return;
+        }
+
+        // 내용이 바뀌면 이전 오류 위치는 더 이상 유효하지 않음
+        this.jsonInput.addEventListener('input', this.handleInput);
+        this.jsonInput.addEventListener('scroll', this.handleScroll);
+    }
+
+    /**
+     * 입력 이벤트를 처리합니다.
+     */
+    handleInput() {
+        if (this.errors.length > 0) {
+            this.clearErrors();
+        }
+    }
+
+    /**
+     * 입력창 스크롤을 하이라이트 레이어와 동기화합니다.
+     */
+    handleScroll() {
+        if (this.highlights) {
+            this.highlights.scrollTop = this.jsonInput.scrollTop;
+            this.highlights.scrollLeft = this.jsonInput.scrollLeft;
+        }
+    }
+
+    /**
+     * 파싱 오류를 입력창과 오류 목록에 표시합니다.
+     * severity가 'warning'인 항목(예: 중복 키)은 경고 색으로 표시됩니다.
+     * @param {Array} errors - 오류 목록 ({ message, position, length, line, column, snippet, severity })
+     */
+    showErrors(errors) {
+        this.errors = errors || [];
+
+        this.renderHighlights();
+        this.renderErrorGutter();
+    }
+
+    /**
+     * 표시 중인 오류를 모두 지웁니다.
+     */
+    clearErrors() {
+        this.errors = [];
+
+        if (this.highlights) {
+            this.highlights.innerHTML = '';
+            this.highlights.style.display = 'none';
+        }
+        if (this.errorGutter) {
+            this.errorGutter.innerHTML = '';
+            this.errorGutter.style.display = 'none';
+        }
+    }
+
+    /**
+     * 입력창 뒤의 하이라이트 레이어에 오류 범위를 표시합니다.
+     */
+    renderHighlights() {
+        if (!this.highlights || !this.jsonInput) {
+            return;
+        }
+
+        const text = this.jsonInput.value;
+        this.highlights.innerHTML = '';
+
+        if (this.errors.length === 0 || text.length > this.maxHighlightLength) {
+            this.highlights.style.display = 'none';
+            return;
+        }
+
+        // 겹치지 않는 오류 범위만 순서대로 표시
+        const fragment = document.createDocumentFragment();
+        let lastIndex = 0;
+
+        this.errors.forEach((error, index) => {
+            const start = Math.max(error.position, lastIndex);
+            const end = Math.min(error.position + error.length, text.length);
+
+            if (start < lastIndex || start >= text.length) {
+                return;
+            }
+
+            fragment.appendChild(document.createTextNode(text.slice(lastIndex, start)));
+
+            const mark = document.createElement('mark');
+            mark.className = error.severity === 'warning'
+                ? 'editor-error-mark editor-error-mark--warning'
+                : 'editor-error-mark';
+            mark.setAttribute('data-error-index', index);
+            // 줄바꿈 위치의 오류도 보이도록 최소 한 칸 표시
+            mark.textContent = end > start ? text.slice(start, end) : ' ';
+            fragment.appendChild(mark);
+
+            lastIndex = Math.max(end, start);
+        });
+
+        // 마지막 줄바꿈도 높이에 반영되도록 공백 추가
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex) + ' '));
+
+        this.highlights.appendChild(fragment);
+        this.highlights.style.display = 'block';
+        this.handleScroll();
+    }
+
+    /**
+     * 오류 목록(거터)을 렌더링합니다.
+     */
+    renderErrorGutter() {
+        if (!this.errorGutter) {
+            return;
+        }
+
+        this.errorGutter.innerHTML = '';
+
+        if (this.errors.length === 0) {
+            this.errorGutter.style.display = 'none';
+            return;
+        }
+
+        this.errors.forEach(error => {
+            const item = document.createElement('li');
+            item.className = error.severity === 'warning'
+                ? 'error-gutter__item error-gutter__item--warning'
+                : 'error-gutter__item';
+            item.setAttribute('tabindex', '0');
+            item.title = '클릭하면 오류 위치로 이동합니다';
+
+            const location = document.createElement('span');
+            location.className = 'error-gutter__location';
+            location.textContent = `줄 ${error.line}, 열 ${error.column}`;
+
+            const message = document.createElement('span');
+            message.className = 'error-gutter__message';
+            message.textContent = error.message;
+
+            const snippet = document.createElement('code');
+            snippet.className = 'error-gutter__snippet';
+            snippet.textContent = this.createSnippet(error);
+
+            item.appendChild(location);
+            item.appendChild(message);
+            item.appendChild(snippet);
+
+            item.addEventListener('click', () => {
+                this.jumpToError(error);
+            });
+            item.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') {
+                    this.jumpToError(error);
+                }
+            });
+
+            this.errorGutter.appendChild(item);
+        });
+
+        // 경고만 있으면 목록 테두리도 경고 색으로 표시
+        const onlyWarnings = this.errors.every(error => error.severity === 'warning');
+        this.errorGutter.classList.toggle('error-gutter--warning', onlyWarnings);
+        this.errorGutter.style.display = 'block';
+    }
+
+    /**
+     * 오류가 있는 줄의 원문과 위치 표시(^)를 생성합니다.
+     * 긴 줄은 오류 주변만 잘라서 보여줍니다.
+     * @param {Object} error - 오류 객체
+     * @returns {string} 두 줄짜리 스니펫
+     */
+    createSnippet(error) {
+        const context = 40;
+        const line = error.snippet || '';
+        const column = error.column - 1;
+
+        const start = Math.max(0, column - context);
+        const end = Math.min(line.length, column + context);
+        const prefix = start > 0 ? '…' : '';
+        const suffix = end < line.length ? '…' : '';
+
+        const text = prefix + line.slice(start, end) + suffix;
+        const caret = ' '.repeat(prefix.length + column - start) + '^';
+
+        return `${text}\n${caret}`;
+    }
+
+    /**
+     * 오류 위치로 스크롤하고 해당 범위를 선택합니다.
+     * @param {Object} error - 오류 객체
+     */
+    jumpToError(error) {
+        if (!this.jsonInput || !error) {
+            return;
+        }
+
+        const textLength = this.jsonInput.value.length;
+        const start = Math.min(error.position, textLength);
+        const end = Math.min(error.position + error.length, textLength);
+
+        this.jsonInput.focus();
+        this.jsonInput.setSelectionRange(start, end);
+
+        // 하이라이트 레이어가 있으면 실제 위치를, 없으면 줄 높이로 추정하여 스크롤
+        const index = this.errors.indexOf(error);
+        const mark = this.highlights?.querySelector(`mark[data-error-index="${index}"]`);
+        let offsetTop;
+
+        if (mark && this.highlights.style.display !== 'none') {
+            offsetTop = mark.offsetTop;
+        } else {
+            const lineHeight = parseFloat(getComputedStyle(this.jsonInput).lineHeight) || 20;
+            offsetTop = (error.line - 1) * lineHeight;
+        }
+
+        this.jsonInput.scrollTop = Math.max(0, offsetTop - this.jsonInput.clientHeight / 3);
+        this.handleScroll();
+
+        // 현재 오류 항목 강조
+        if (this.errorGutter) {
+            this.errorGutter.querySelectorAll('.error-gutter__item').forEach((item, itemIndex) => {
+                item.classList.toggle('active', itemIndex === index);
+            });
+        }
+    }
+}
+
+// 전역에서 사용할 수 있도록 내보내기
+window.JSONInputEditor = JSONInputEditor;
@@ -0,0 +1,28 @@
+/**
+ * JSON 파싱 워커
+ * 대용량 JSON의 파싱과 테이블 데이터 추출을 메인 스레드 밖에서 수행합니다.
+ *
+ * 메시지 형식
+ * - 수신: { type: 'parse', id, jsonString, options }
+ * - 송신: { type: 'progress', id, stage, percent } / { type: 'result', id, result }
+ */
+
+// json-parser.js는 window 전역에 클래스를 등록하므로 워커 전역을 연결
+self.window = self;
+importScripts('precise-numbers.js', 'json-source-parser.js', 'yaml-parser.js', 'path-selector.js', 'json-parser.js');
+
+const parser = new JSONParser();
+
+self.onmessage = (event) => {
+    const { type, id, jsonString, options } = event.data;
+
+    if (type !== 'parse') {
+        return;
+    }
+
+    const result = parser.parseJSON(jsonString, (stage, percent) => {
+        self.postMessage({ type: 'progress', id: id, stage: stage, percent: percent });
+    }, options);
+
+    self.postMessage({ type: 'result', id: id, result: result });
+};
@@ -6,18 +6,53 @@
 class JSONParser {
     constructor() {
         this.sampleData = this.createSampleData();
+
+        // 파싱 옵션 (워커에도 그대로 전달됨)
+        this.parseOptions = {
+            dialect: 'json', // 'json', 'jsonc', 'json5', 'yaml'
+            preciseNumbers: false, // 2^53을 넘는 정수와 고정밀 소수를 보존
+            duplicateKeys: 'report', // 중복 키: 'report'(마지막 값 + 경고), 'first', 'array', 'last'(검사 안 함, JSON.parse와 같음)
+            rootPath: '' // 테이블을 만들 노드 (JSONPath 또는 JMESPath, 비어 있으면 문서 전체)
+        };
+
+        this.preciseNumbers = new PreciseNumbers();
+        this.pathSelector = new PathSelector();
+
+        // 테이블 선택기에 표시할 최대 후보 수
+        this.maxTableCandidates = 200;
+
+        // 백그라운드 파싱 (Web Worker) 설정
+        this.workerUrl = 'scripts/json-parser-worker.js';
+        this.workerThreshold = 256 * 1024; // 이 길이 이상의 입력만 워커에서 파싱
+        this.worker = null;
+        this.workerUnavailable = false;
+        this.pendingTask = null;
+        this.taskId = 0;
     }
 
     /**
      * JSON 문자열을 파싱하고 유효성을 검사합니다.
+     * 파싱 단계는 읽은 문자 수에 비례해 0~90%로, 테이블 추출이 끝나면 100%로 알립니다.
      * @param {string} jsonString - 파싱할 JSON 문자열
+     * @param {Function} onProgress - 진행 상황 콜백 (stage, percent)
+     * @param {Object} options - 파싱 옵션 (기본값: this.parseOptions)
      * @returns {Object} 파싱 결과 객체
      */
-    parseJSON(jsonString) {
+    parseJSON(jsonString, onProgress = null, options = this.parseOptions) {
+        const reportProgress = (stage, percent) => {
+            if (onProgress) {
+                onProgress(stage, percent);
+            }
+        };
+
         const result = {
             success: false,
             data: null,
+            source: null,
+            tables: [],
             error: null,
+            errors: [],
+            duplicateKeys: [],
             type: null,
             rowCount: 0,
             columnCount: 0
@@ -31,25 +66,340 @@ class JSONParser {
             }
 
             // JSON 파싱
-            const parsedData = JSON.parse(jsonString);
-            result.success = true;
-            result.data = parsedData;
+            reportProgress('parse', 0);
+            const { value: parsedData, duplicateKeys } = this.parseDocument(jsonString, options, (read, total) => {
+                reportProgress('parse', Math.floor(read / total * 90));
+            });
+            result.duplicateKeys = duplicateKeys;
+            result.source = parsedData;
+            result.tables = this.findTableCandidates(parsedData);
             result.type = this.getDataType(parsedData);
 
-            // 테이블 데이터 추출 및 통계 계산
-            const tableData = this.extractTableData(parsedData);
-            result.data = tableData;
-            result.rowCount = tableData.length;
-            result.columnCount = tableData.length > 0 ? Object.keys(tableData[0]).length : 0;
+            // 루트 경로로 노드를 선택한 뒤 테이블 데이터 추출 및 통계 계산
+            reportProgress('extract', 90);
+            const table = this.selectTableData(parsedData, options.rootPath);
+            if (!table.success) {
+                result.error = table.error;
+                return result;
+            }
+
+            result.success = true;
+            result.data = table.data;
+            result.rowCount = table.rowCount;
+            result.columnCount = table.columnCount;
 
+            reportProgress('done', 100);
             return result;
 
         } catch (error) {
-            result.error = this.formatErrorMessage(error);
+            // 정확한 오류 위치와 모든 문제 목록 수집
+            result.errors = error.errors || this.locateErrors(jsonString, options);
+            result.error = this.formatErrorMessage(error, result.errors[0]);
             return result;
         }
     }
 
+    /**
+     * 선택된 입력 방언에 맞게 문자열을 파싱합니다.
+     * @param {string} jsonString - 파싱할 문자열
+     * @param {Object} options - 파싱 옵션
+     * @returns {*} 파싱된 값
+     * @throws {SyntaxError} 문법 오류 (errors 속성에 오류 목록 포함)
+     */
+    parseSource(jsonString, options = this.parseOptions) {
+        return this.parseDocument(jsonString, options).value;
+    }
+
+    /**
+     * 문자열을 파싱하고 중복 키 목록을 함께 반환합니다.
+     * 중복 키 검사를 끈('last') 엄격한 JSON은 JSON.parse를, YAML은 YAMLParser를,
+     * 그 외(JSONC/JSON5, 정밀 숫자, 중복 키 검사)는 JSONSourceParser를 사용합니다.
+     * 소스 파서를 사용한 경우에는 정책과 관계없이 찾은 중복 키를 모두 반환합니다.
+     * YAML 문서가 여러 개(---)이면 각 문서를 원소로 하는 배열이 됩니다.
+     * JSON.parse를 쓰는 빠른 경로는 중간 진행 상황을 알리지 않습니다.
+     * @param {string} jsonString - 파싱할 문자열
+     * @param {Object} options - 파싱 옵션
+     * @param {Function} onProgress - 진행 상황 콜백 (읽은 문자 수, 전체 문자 수)
+     * @returns {Object} { value, duplicateKeys }
+     * @throws {SyntaxError} 문법 오류 (errors 속성에 오류 목록 포함)
+     */
+    parseDocument(jsonString, options = this.parseOptions, onProgress = null) {
+        const dialect = options.dialect || 'json';
+        const duplicateKeys = options.duplicateKeys || 'report';
+
+        // 검사를 끈 경우에만 쓰는 빠른 경로
+        if (dialect === 'json' && !options.preciseNumbers && duplicateKeys === 'last') {
+            return { value: JSON.parse(jsonString), duplicateKeys: [] };
+        }
+
+        const parserOptions = {
+            onProgress: onProgress,
+            preciseNumbers: !!options.preciseNumbers,
+            duplicateKeys: duplicateKeys === 'first' || duplicateKeys === 'array' ? duplicateKeys : 'last'
+        };
+        const parsed = dialect === 'yaml'
+            ? new YAMLParser(parserOptions).parse(jsonString)
+            : new JSONSourceParser({ dialect: dialect, ...parserOptions }).parse(jsonString);
+
+        if (parsed.errors.length > 0) {
+            const error = new SyntaxError(parsed.errors[0].message);
+            error.errors = parsed.errors;
+            throw error;
+        }
+
+        return {
+            value: parsed.value,
+            duplicateKeys: parsed.duplicateKeys
+        };
+    }
+
+    /**
+     * 중복 키 정책의 설명을 반환합니다.
+     * @param {string} policy - 'report', 'first', 'array'
+     * @returns {string} 설명
+     */
+    getDuplicateKeyPolicyName(policy) {
+        const names = {
+            first: '첫 번째 값을 사용했습니다',
+            last: '마지막 값을 사용했습니다',
+            report: '마지막 값을 사용했습니다',
+            array: '모든 값을 배열로 모았습니다'
+        };
+        return names[policy] || names.last;
+    }
+
+    /**
+     * JSONL 한 줄처럼 독립된 JSON 값을 파싱합니다.
+     * 방언은 항상 엄격한 JSON이며 정밀 숫자와 중복 키 옵션만 따릅니다.
+     * @param {string} jsonString - 파싱할 문자열
+     * @returns {*} 파싱된 값
+     * @throws {SyntaxError} 문법 오류
+     */
+    parseStrictJSON(jsonString) {
+        return this.parseSource(jsonString, {
+            dialect: 'json',
+            preciseNumbers: this.parseOptions.preciseNumbers,
+            duplicateKeys: this.parseOptions.duplicateKeys
+        });
+    }
+
+    /**
+     * 값을 JSON 문자열로 변환합니다. BigInt는 따옴표 없는 숫자로 출력됩니다.
+     * @param {*} value - 변환할 값
+     * @param {number} indent - 들여쓰기 공백 수
+     * @returns {string} JSON 문자열
+     */
+    stringify(value, indent) {
+        return this.preciseNumbers.stringify(value, indent);
+    }
+
+    /**
+     * 파싱 옵션을 변경합니다.
+     * @param {Object} options - 변경할 옵션
+     */
+    setParseOptions(options) {
+        this.parseOptions = { ...this.parseOptions, ...options };
+    }
+
+    /**
+     * 입력 방언의 표시 이름을 반환합니다.
+     * @param {string} dialect - 입력 방언
+     * @returns {string} 표시 이름
+     */
+    getDialectName(dialect) {
+        const names = {
+            json: 'JSON',
+            jsonc: 'JSONC',
+            json5: 'JSON5',
+            yaml: 'YAML'
+        };
+        return names[dialect] || dialect;
+    }
+
+    /**
+     * JSON 문자열의 모든 문법 오류를 줄/열 위치와 함께 찾습니다.
+     * @param {string} jsonString - 검사할 JSON 문자열
+     * @param {Object} options - 파싱 옵션 (입력 방언)
+     * @returns {Array} 오류 목록 ({ message, position, length, line, column, snippet })
+     */
+    locateErrors(jsonString, options = this.parseOptions) {
+        try {
+            if (options.dialect === 'yaml') {
+                // YAML은 첫 번째 오류에서 멈추므로 오류가 최대 하나
+                return new YAMLParser().parse(jsonString).errors;
+            }
+            return new JSONSourceParser({ dialect: options.dialect || 'json' }).validate(jsonString);
+        } catch (error) {
+            console.warn('JSON 오류 위치 분석 실패:', error);
+            return [];
+        }
+    }
+
+    /**
+     * JSON 문자열을 백그라운드(Web Worker)에서 파싱합니다.
+     * 워커를 사용할 수 없는 환경(file:// 등)이나 작은 입력은 메인 스레드에서 파싱합니다.
+     * 새 요청이 들어오면 진행 중인 요청은 취소됩니다.
+     * @param {string} jsonString - 파싱할 JSON 문자열
+     * @param {Object} options - 옵션
+     * @param {Function} options.onProgress - 진행 상황 콜백 (stage, percent)
+     * @returns {Promise<Object>} 파싱 결과 객체 (취소 시 cancelled: true)
+     */
+    parseJSONAsync(jsonString, options = {}) {
+        const onProgress = options.onProgress || null;
+
+        // 진행 중인 작업 취소
+        this.cancelParsing();
+
+        const task = {
+            id: ++this.taskId,
+            jsonString: jsonString,
+            options: { ...this.parseOptions },
+            onProgress: onProgress,
+            resolve: null
+        };
+
+        const promise = new Promise(resolve => {
+            task.resolve = resolve;
+        });
+        this.pendingTask = task;
+
+        const useWorker = jsonString && jsonString.length >= this.workerThreshold && this.getWorker();
+
+        if (useWorker) {
+            this.worker.postMessage({ type: 'parse', id: task.id, jsonString: jsonString, options: task.options });
+        } else {
+            this.parseTaskOnMainThread(task);
+        }
+
+        return promise;
+    }
+
+    /**
+     * 진행 중인 백그라운드 파싱을 취소합니다.
+     * 워커는 동기 파싱 도중 중단할 수 없으므로 워커를 종료하고 다음 요청 시 새로 생성합니다.
+     * @returns {boolean} 취소된 작업이 있었는지 여부
+     */
+    cancelParsing() {
+        const task = this.pendingTask;
+        if (!task) {
+            return false;
+        }
+
+        this.pendingTask = null;
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        task.resolve({
+            success: false,
+            cancelled: true,
+            data: null,
+            source: null,
+            tables: [],
+            error: '파싱이 취소되었습니다.',
+            errors: [],
+            duplicateKeys: [],
+            type: null,
+            rowCount: 0,
+            columnCount: 0
+        });
+        return true;
+    }
+
+    /**
+     * 파싱용 워커를 가져옵니다. 필요하면 새로 생성합니다.
+     * @returns {Worker|null} 워커 또는 사용할 수 없는 경우 null
+     */
+    getWorker() {
+        if (this.worker) {
+            return this.worker;
+        }
+
+        if (this.workerUnavailable || typeof Worker === 'undefined') {
+            return null;
+        }
+
+        try {
+            this.worker = new Worker(this.workerUrl);
+            this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+            this.worker.onerror = (event) => this.handleWorkerError(event);
+            return this.worker;
+        } catch (error) {
+            // file:// 로 열었을 때 등 워커 생성이 차단되는 경우
+            console.warn('Web Worker를 사용할 수 없어 메인 스레드에서 파싱합니다:', error.message);
+            this.workerUnavailable = true;
+            return null;
+        }
+    }
+
+    /**
+     * 워커 메시지를 처리합니다.
+     * @param {Object} message - 워커 메시지
+     */
+    handleWorkerMessage(message) {
+        const task = this.pendingTask;
+
+        // 취소되었거나 이전 요청의 응답은 무시
+        if (!task || message.id !== task.id) {
+            return;
+        }
+
+        if (message.type === 'progress') {
+            if (task.onProgress) {
+                task.onProgress(message.stage, message.percent);
+            }
+        } else if (message.type === 'result') {
+            this.pendingTask = null;
+            task.resolve(message.result);
+        }
+    }
+
+    /**
+     * 워커 오류를 처리합니다. 진행 중인 작업은 메인 스레드에서 다시 파싱합니다.
+     * @param {ErrorEvent} event - 오류 이벤트
+     */
+    handleWorkerError(event) {
+        console.warn('Web Worker 오류로 메인 스레드에서 파싱합니다:', event.message);
+        event.preventDefault();
+
+        this.workerUnavailable = true;
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        if (this.pendingTask) {
+            this.parseTaskOnMainThread(this.pendingTask);
+        }
+    }
+
+    /**
+     * 메인 스레드에서 파싱 작업을 수행합니다.
+     * 로딩 상태가 먼저 그려지도록 한 프레임 양보한 뒤 파싱합니다.
+     * @param {Object} task - 파싱 작업
+     */
+    parseTaskOnMainThread(task) {
+        const run = () => {
+            if (this.pendingTask !== task) {
+                return;
+            }
+
+            const result = this.parseJSON(task.jsonString, task.onProgress, task.options);
+            if (this.pendingTask === task) {
+                this.pendingTask = null;
+                task.resolve(result);
+            }
+        };
+
+        if (typeof requestAnimationFrame === 'function') {
+            requestAnimationFrame(() => setTimeout(run, 0));
+        } else {
+            setTimeout(run, 0);
+        }
+    }
+
     /**
      * 데이터 타입을 확인합니다.
      * @param {*} data - 확인할 데이터
@@ -67,6 +417,157 @@ class JSONParser {
         }
     }
 
+    /**
+     * 루트 경로가 가리키는 노드에서 테이블 데이터를 추출합니다.
+     * JSONPath에 와일드카드 등이 있으면 일치한 값들의 배열이 테이블이 됩니다.
+     * @param {*} data - 파싱된 문서
+     * @param {string} rootPath - JSONPath 또는 JMESPath 표현식 (비어 있으면 문서 전체)
+     * @returns {Object} { success, data, rowCount, columnCount, syntax, error }
+     */
+    selectTableData(data, rootPath = '') {
+        const selection = this.pathSelector.select(data, rootPath);
+        const result = {
+            success: false,
+            data: null,
+            rowCount: 0,
+            columnCount: 0,
+            syntax: selection.syntax,
+            error: null
+        };
+
+        if (!selection.success) {
+            result.error = `루트 경로 오류: ${selection.error}`;
+            return result;
+        }
+
+        if (!selection.found) {
+            result.error = `루트 경로 "${rootPath.trim()}"와 일치하는 값이 없습니다.`;
+            return result;
+        }
+
+        const tableData = this.extractTableData(selection.value);
+        result.success = true;
+        result.data = tableData;
+        result.rowCount = tableData.length;
+        result.columnCount = tableData.length > 0 ? Object.keys(tableData[0]).length : 0;
+        return result;
+    }
+
+    /**
+     * 문서 안에서 테이블이 될 수 있는 모든 객체 배열과 일반 객체를 찾습니다.
+     * 배열 안에 반복되는 배열(예: 사용자마다 있는 orders)은 와일드카드 경로 하나로 묶고 행 수를 합산합니다.
+     * 배열 밖의 일반 객체(예: $.settings)는 키-값 테이블로 표시할 수 있으므로 후보에 넣습니다.
+     * @param {*} data - 파싱된 문서
+     * @returns {Array} 후보 목록 ({ path, rowCount, keyCount }), 문서 순서
+     */
+    findTableCandidates(data) {
+        const candidates = new Map();
+        const stack = [{ value: data, path: '$' }];
+
+        while (stack.length > 0) {
+            const { value, path } = stack.pop();
+
+            if (Array.isArray(value)) {
+                const itemPath = `${path}[*]`;
+
+                if (this.isObjectArray(value)) {
+                    const candidatePath = path.includes('[*]') ? itemPath : path;
+                    let candidate = candidates.get(candidatePath);
+
+                    if (!candidate && candidates.size < this.maxTableCandidates) {
+                        candidate = { path: candidatePath, rowCount: 0, keys: new Set() };
+                        candidates.set(candidatePath, candidate);
+                    }
+
+                    if (candidate) {
+                        candidate.rowCount += value.length;
+                        value.forEach(row => {
+                            if (row !== null) {
+                                Object.keys(row).forEach(key => candidate.keys.add(key));
+                            }
+                        });
+                    }
+                }
+
+                for (let i = value.length - 1; i >= 0; i--) {
+                    if (typeof value[i] === 'object' && value[i] !== null) {
+                        stack.push({ value: value[i], path: itemPath });
+                    }
+                }
+            } else if (typeof value === 'object' && value !== null) {
+                const keys = Object.keys(value);
+
+                if (this.isPlainObjectCandidate(value, path) && candidates.size < this.maxTableCandidates) {
+                    const table = this.extractTableData(value);
+                    candidates.set(path, {
+                        path: path,
+                        rowCount: table.length,
+                        keys: new Set(table.length > 0 ? Object.keys(table[0]) : [])
+                    });
+                }
+                for (let i = keys.length - 1; i >= 0; i--) {
+                    const child = value[keys[i]];
+                    if (typeof child === 'object' && child !== null) {
+                        stack.push({ value: child, path: path + this.formatPathKey(keys[i]) });
+                    }
+                }
+            }
+        }
+
+        return Array.from(candidates.values()).map(candidate => ({
+            path: candidate.path,
+            rowCount: candidate.rowCount,
+            keyCount: candidate.keys.size
+        }));
+    }
+
+    /**
+     * 일반 객체를 테이블 후보로 넣을지 확인합니다.
+     * 문서 전체(자동 선택)와 배열 안의 객체(행), 배열 값을 가진 객체(배열이 테이블이 됨)는 제외합니다.
+     * @param {Object} object - 확인할 객체
+     * @param {string} path - 객체의 JSONPath
+     * @returns {boolean} 후보 여부
+     */
+    isPlainObjectCandidate(object, path) {
+        if (path === '$' || path.includes('[*]')) {
+            return false;
+        }
+
+        const values = Object.values(object);
+        return values.length > 0 && !values.some(Array.isArray);
+    }
+
+    /**
+     * 배열이 객체로만 이루어져 있는지 확인합니다. (null 요소는 허용)
+     * @param {Array} array - 확인할 배열
+     * @returns {boolean} 객체 배열 여부
+     */
+    isObjectArray(array) {
+        let hasObject = false;
+
+        for (let i = 0; i < array.length; i++) {
+            const item = array[i];
+            if (item === null) {
+                continue;
+            }
+            if (typeof item !== 'object' || Array.isArray(item)) {
+                return false;
+            }
+            hasObject = true;
+        }
+
+        return hasObject;
+    }
+
+    /**
+     * 객체 키를 JSONPath 조각으로 변환합니다.
+     * @param {string} key - 객체 키
+     * @returns {string} '.key' 또는 '["key"]'
+     */
+    formatPathKey(key) {
+        return /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+    }
+
     /**
      * 다양한 JSON 구조에서 테이블 데이터를 추출합니다.
      * @param {*} data - 원본 데이터
@@ -182,9 +683,14 @@ class JSONParser {
     /**
      * 에러 메시지를 사용자 친화적으로 포맷합니다.
      * @param {Error} error - 원본 에러 객체
+     * @param {Object} location - 오류 위치 정보 (locateErrors 결과 항목)
      * @returns {string} 포맷된 에러 메시지
      */
-    formatErrorMessage(error) {
+    formatErrorMessage(error, location = null) {
+        if (location) {
+            return `${location.message} (줄 ${location.line}, 열 ${location.column})`;
+        }
+
         const message = error.message;
 
         if (message.includes('Unexpected token')) {
@@ -356,7 +862,7 @@ class JSONParser {
      */
     isValidJSON(jsonString) {
         try {
-            JSON.parse(jsonString);
+            this.parseSource(jsonString);
             return true;
         } catch (error) {
             return false;
@@ -365,14 +871,15 @@ class JSONParser {
 
     /**
      * JSON 문자열을 예쁘게 포맷합니다.
+     * JSONC/JSON5 입력은 엄격한 JSON으로 정규화됩니다.
      * @param {string} jsonString - 포맷할 JSON 문자열
      * @param {number} indent - 들여쓰기 공백 수
      * @returns {string} 포맷된 JSON 문자열
      */
     formatJSON(jsonString, indent = 2) {
         try {
-            const parsed = JSON.parse(jsonString);
-            return JSON.stringify(parsed, null, indent);
+            const parsed = this.parseSource(jsonString);
+            return this.stringify(parsed, indent);
         } catch (error) {
             return jsonString;
         }
@@ -0,0 +1,497 @@
+/**
+ * JSON 자동 복구 모듈
+ * 잘리거나 조금 깨진 JSON 문자열을 흔한 규칙으로 고치고
+ * 변경 전/후를 비교할 수 있는 줄 단위 diff를 생성합니다.
+ */
+
+class JSONRepair {
+    constructor() {
+        // Python 스타일 리터럴 변환표
+        this.literalReplacements = {
+            True: 'true',
+            False: 'false',
+            None: 'null'
+        };
+
+        // 입력 끝에서 잘린 리터럴을 완성할 후보 (Python 리터럴은 완성 후 변환)
+        this.truncatableLiterals = ['true', 'false', 'null', 'True', 'False', 'None'];
+
+        // LCS diff를 계산할 최대 셀 수 (넘으면 변경 구간 전체를 교체로 표시)
+        this.maxDiffCells = 4000000;
+    }
+
+    /**
+     * JSON 문자열을 복구합니다.
+     * 주석 제거, 후행 쉼표 제거, 키 따옴표 추가, 작은따옴표 문자열 변환, Python 리터럴 변환,
+     * 빠진 값 채우기, 잘린 리터럴과 숫자 정리, 닫히지 않은 문자열과 괄호 닫기를 수행합니다.
+     * @param {string} text - 복구할 문자열
+     * @returns {Object} 복구 결과 ({ output, changes: [{ type, message, position, line }], changed })
+     */
+    repair(text) {
+        const changes = [];
+        const stack = [];
+        let output = '';
+        let lastToken = null; // 'key', 'value', ':', ',', 'open'
+        let i = 0;
+
+        const addChange = (type, message, position) => {
+            changes.push({ type: type, message: message, position: position });
+        };
+
+        // 현재 위치가 객체의 키 자리인지 확인
+        const isKeyPosition = () => {
+            const top = stack[stack.length - 1];
+            return !!top && top === '{' && (lastToken === 'open' || lastToken === ',');
+        };
+
+        while (i < text.length) {
+            const char = text[i];
+            const next = text[i + 1];
+
+            // 공백은 그대로 유지
+            if (/\s/.test(char)) {
+                output += char;
+                i++;
+                continue;
+            }
+
+            // 한 줄 주석
+            if (char === '/' && next === '/') {
+                const end = text.indexOf('\n', i);
+                addChange('comment', '// 주석을 제거했습니다.', i);
+                i = end === -1 ? text.length : end;
+                continue;
+            }
+
+            // 블록 주석
+            if (char === '/' && next === '*') {
+                const end = text.indexOf('*/', i + 2);
+                addChange('comment', '/* */ 주석을 제거했습니다.', i);
+                i = end === -1 ? text.length : end + 2;
+                continue;
+            }
+
+            if (char === '"') {
+                const end = this.findStringEnd(text, i);
+                if (end === -1) {
+                    output += text.slice(i).replace(/\\$/, '') + '"';
+                    addChange('string', '닫히지 않은 문자열을 닫았습니다.', i);
+                    i = text.length;
+                } else {
+                    output += text.slice(i, end + 1);
+                    i = end + 1;
+                }
+                lastToken = isKeyPosition() ? 'key' : 'value';
+                continue;
+            }
+
+            if (char === "'") {
+                const end = this.findStringEnd(text, i, "'");
+                const content = end === -1 ? text.slice(i + 1).replace(/\\$/, '') : text.slice(i + 1, end);
+                output += `"${this.convertSingleQuotedContent(content)}"`;
+                addChange('string', end === -1
+                    ? '닫히지 않은 작은따옴표 문자열을 큰따옴표로 바꾸고 닫았습니다.'
+                    : '작은따옴표 문자열을 큰따옴표로 바꿨습니다.', i);
+                i = end === -1 ? text.length : end + 1;
+                lastToken = isKeyPosition() ? 'key' : 'value';
+                continue;
+            }
+
+            if (char === '{' || char === '[') {
+                stack.push(char);
+                output += char;
+                lastToken = 'open';
+                i++;
+                continue;
+            }
+
+            if (char === '}' || char === ']') {
+                const expected = char === '}' ? '{' : '[';
+
+                if (!stack.includes(expected)) {
+                    addChange('bracket', `짝이 없는 "${char}"를 제거했습니다.`, i);
+                    i++;
+                    continue;
+                }
+
+                if (lastToken === ':') {
+                    output = this.insertMissingValue(output);
+                    addChange('value', '빠진 값에 null을 채웠습니다.', i);
+                    lastToken = 'value';
+                }
+
+                output = this.removeTrailingComma(output, i, addChange);
+
+                // 안쪽에 닫히지 않은 괄호가 있으면 먼저 닫기
+                while (stack[stack.length - 1] !== expected) {
+                    const open = stack.pop();
+                    output = this.closeContainer(output, open, lastToken);
+                    addChange('bracket', `닫히지 않은 "${open}"를 닫았습니다.`, i);
+                    lastToken = 'value';
+                }
+
+                stack.pop();
+                output += char;
+                lastToken = 'value';
+                i++;
+                continue;
+            }
+
+            if (char === ',' || char === ':') {
+                if (char === ',' && lastToken === ':') {
+                    output = this.insertMissingValue(output);
+                    addChange('value', '빠진 값에 null을 채웠습니다.', i);
+                }
+                output += char;
+                lastToken = char;
+                i++;
+                continue;
+            }
+
+            const identifier = this.readIdentifier(text, i);
+            if (identifier) {
+                if (isKeyPosition()) {
+                    output += JSON.stringify(identifier);
+                    addChange('key', `키 ${identifier}에 따옴표를 추가했습니다.`, i);
+                    lastToken = 'key';
+                } else if (Object.prototype.hasOwnProperty.call(this.literalReplacements, identifier)) {
+                    const replacement = this.literalReplacements[identifier];
+                    output += replacement;
+                    addChange('literal', `Python 스타일 값을 변환했습니다: ${identifier} → ${replacement}`, i);
+                    lastToken = 'value';
+                } else if (i + identifier.length === text.length && this.completeLiteral(identifier)) {
+                    // 입력이 리터럴 중간에서 끊긴 경우 (예: tru, Tr)
+                    const completed = this.completeLiteral(identifier);
+                    const literal = this.literalReplacements[completed] || completed;
+                    output += literal;
+                    addChange('literal', `잘린 값을 완성했습니다: ${identifier} → ${literal}`, i);
+                    lastToken = 'value';
+                } else {
+                    output += identifier;
+                    lastToken = 'value';
+                }
+                i += identifier.length;
+                continue;
+            }
+
+            const number = this.readNumber(text, i);
+            if (number && text.slice(i + number.length).trim() === '') {
+                // 입력이 숫자 중간에서 끊긴 경우 (예: 1. 또는 1e 또는 -) 완성되지 않은 끝부분을 버림
+                const trimmed = this.trimNumberTail(number);
+                if (trimmed !== number) {
+                    output += trimmed;
+                    addChange('value', trimmed
+                        ? `잘린 숫자를 정리했습니다: ${number} → ${trimmed}`
+                        : `잘린 숫자 ${number}를 제거했습니다.`, i);
+                    if (trimmed) {
+                        lastToken = 'value';
+                    }
+                    i += number.length;
+                    continue;
+                }
+            }
+
+            // 숫자 등 나머지 문자는 그대로 유지
+            output += char;
+            lastToken = 'value';
+            i++;
+        }
+
+        // 입력이 중간에 끊긴 경우 열린 괄호를 모두 닫기
+        if (stack.length > 0) {
+            output = this.removeTrailingComma(output, text.length, addChange);
+            if (lastToken === ',') {
+                lastToken = 'value';
+            }
+
+            while (stack.length > 0) {
+                const open = stack.pop();
+                output = this.closeContainer(output, open, lastToken);
+                addChange('bracket', `닫히지 않은 "${open}"를 닫았습니다.`, text.length);
+                lastToken = 'value';
+            }
+        }
+
+        return {
+            output: output,
+            changes: this.addLineNumbers(text, changes),
+            changed: output !== text
+        };
+    }
+
+    /**
+     * 문자열 리터럴의 닫는 따옴표 위치를 찾습니다.
+     * @param {string} text - 전체 문자열
+     * @param {number} start - 여는 따옴표 위치
+     * @param {string} quote - 따옴표 문자 (기본값: ")
+     * @returns {number} 닫는 따옴표 위치 (없으면 -1)
+     */
+    findStringEnd(text, start, quote = '"') {
+        for (let i = start + 1; i < text.length; i++) {
+            const char = text[i];
+            if (char === '\\') {
+                i++;
+            } else if (char === quote) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * 작은따옴표 문자열의 내용을 큰따옴표 문자열 내용으로 바꿉니다.
+     * \'는 '로 풀고, 이스케이프되지 않은 "는 \"로 바꾸며 나머지 이스케이프는 유지합니다.
+     * @param {string} content - 따옴표를 뺀 문자열 내용
+     * @returns {string} 변환된 내용
+     */
+    convertSingleQuotedContent(content) {
+        return content.replace(/\\[\s\S]|"/g, match => {
+            if (match === '"') {
+                return '\\"';
+            }
+            return match === "\\'" ? "'" : match;
+        });
+    }
+
+    /**
+     * 입력 끝에서 잘린 true/false/null을 완성합니다.
+     * @param {string} identifier - 잘린 식별자 (예: tru)
+     * @returns {string|null} 완성된 리터럴 (해당하지 않으면 null)
+     */
+    completeLiteral(identifier) {
+        const literal = this.truncatableLiterals.find(candidate => candidate.startsWith(identifier));
+        return literal && literal !== identifier ? literal : null;
+    }
+
+    /**
+     * 주어진 위치에서 숫자 토큰(잘린 숫자 포함)을 읽습니다.
+     * @param {string} text - 전체 문자열
+     * @param {number} start - 시작 위치
+     * @returns {string|null} 숫자 토큰
+     */
+    readNumber(text, start) {
+        const pattern = /-?\d*(?:\.\d*)?(?:[eE][+-]?\d*)?/y;
+        pattern.lastIndex = start;
+        const match = pattern.exec(text);
+        return match && match[0] ? match[0] : null;
+    }
+
+    /**
+     * 잘린 숫자의 완성되지 않은 끝부분(지수 기호, 소수점, 부호만 있는 경우)을 버립니다.
+     * @param {string} number - 숫자 토큰 (예: 1., 1e+, -)
+     * @returns {string} 정리된 숫자 (남는 숫자가 없으면 빈 문자열)
+     */
+    trimNumberTail(number) {
+        const trimmed = number.replace(/[eE][+-]?$/, '').replace(/\.$/, '');
+        return /\d/.test(trimmed) ? trimmed : '';
+    }
+
+    /**
+     * 콜론 뒤에 빠진 값 자리에 null을 넣습니다. 콜론 뒤의 공백은 유지합니다.
+     * @param {string} output - 지금까지의 출력 (콜론으로 끝남, 뒤에 공백 가능)
+     * @returns {string} null이 들어간 출력
+     */
+    insertMissingValue(output) {
+        let end = output.length;
+        while (end > 0 && /\s/.test(output[end - 1])) {
+            end--;
+        }
+        return output.slice(0, end) + ' null' + output.slice(end);
+    }
+
+    /**
+     * 주어진 위치에서 식별자(따옴표 없는 키나 리터럴)를 읽습니다.
+     * @param {string} text - 전체 문자열
+     * @param {number} start - 시작 위치
+     * @returns {string|null} 식별자
+     */
+    readIdentifier(text, start) {
+        const pattern = /[\p{L}_$][\p{L}\p{N}_$-]*/uy;
+        pattern.lastIndex = start;
+        const match = pattern.exec(text);
+        return match ? match[0] : null;
+    }
+
+    /**
+     * 출력 끝의 후행 쉼표를 제거합니다.
+     * @param {string} output - 지금까지의 출력
+     * @param {number} position - 원문 위치 (변경 기록용)
+     * @param {Function} addChange - 변경 기록 함수
+     * @returns {string} 쉼표가 제거된 출력
+     */
+    removeTrailingComma(output, position, addChange) {
+        // 큰 입력에서도 끝부분만 보도록 뒤에서부터 탐색
+        let index = output.length - 1;
+        while (index >= 0 && /\s/.test(output[index])) {
+            index--;
+        }
+
+        if (output[index] !== ',') {
+            return output;
+        }
+
+        addChange('comma', '후행 쉼표를 제거했습니다.', position);
+        return output.slice(0, index) + output.slice(index + 1);
+    }
+
+    /**
+     * 열린 객체/배열을 닫습니다. 값이 빠진 키에는 null을 채웁니다.
+     * @param {string} output - 지금까지의 출력
+     * @param {string} open - 여는 괄호
+     * @param {string} lastToken - 마지막 토큰 종류
+     * @returns {string} 괄호가 닫힌 출력
+     */
+    closeContainer(output, open, lastToken) {
+        let end = output.length;
+        while (end > 0 && /\s/.test(output[end - 1])) {
+            end--;
+        }
+        let result = output.slice(0, end);
+
+        if (open === '{') {
+            if (lastToken === 'key') {
+                result += ': null';
+            } else if (lastToken === ':') {
+                result += ' null';
+            }
+        }
+
+        return result + (open === '{' ? '}' : ']');
+    }
+
+    /**
+     * 변경 목록에 원문 기준 줄 번호를 추가합니다.
+     * @param {string} text - 원문
+     * @param {Array} changes - 변경 목록
+     * @returns {Array} 위치 순으로 정렬되고 line이 채워진 변경 목록
+     */
+    addLineNumbers(text, changes) {
+        const sorted = changes.slice().sort((a, b) => a.position - b.position);
+        let line = 1;
+        let index = 0;
+
+        sorted.forEach(change => {
+            for (; index < change.position && index < text.length; index++) {
+                if (text[index] === '\n') {
+                    line++;
+                }
+            }
+            change.line = line;
+        });
+
+        return sorted;
+    }
+
+    /**
+     * 두 문자열의 줄 단위 diff를 생성합니다.
+     * @param {string} before - 변경 전 문자열
+     * @param {string} after - 변경 후 문자열
+     * @returns {Array} diff 항목 ({ type: 'same'|'removed'|'added', text, oldLine, newLine })
+     */
+    createLineDiff(before, after) {
+        const oldLines = before.split('\n');
+        const newLines = after.split('\n');
+
+        // 공통 앞/뒤 줄은 LCS 계산에서 제외
+        let prefix = 0;
+        while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+            prefix++;
+        }
+
+        let suffix = 0;
+        while (
+            suffix < oldLines.length - prefix &&
+            suffix < newLines.length - prefix &&
+            oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+        ) {
+            suffix++;
+        }
+
+        const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+        const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+        const diff = [];
+
+        for (let i = 0; i < prefix; i++) {
+            diff.push({ type: 'same', text: oldLines[i], oldLine: i + 1, newLine: i + 1 });
+        }
+
+        this.diffMiddle(oldMiddle, newMiddle).forEach(entry => {
+            diff.push({
+                type: entry.type,
+                text: entry.text,
+                oldLine: entry.oldIndex !== null ? prefix + entry.oldIndex + 1 : null,
+                newLine: entry.newIndex !== null ? prefix + entry.newIndex + 1 : null
+            });
+        });
+
+        for (let i = suffix; i > 0; i--) {
+            diff.push({
+                type: 'same',
+                text: oldLines[oldLines.length - i],
+                oldLine: oldLines.length - i + 1,
+                newLine: newLines.length - i + 1
+            });
+        }
+
+        return diff;
+    }
+
+    /**
+     * 변경 구간을 LCS로 비교합니다.
+     * @param {Array} oldLines - 변경 전 줄 목록
+     * @param {Array} newLines - 변경 후 줄 목록
+     * @returns {Array} diff 항목 ({ type, text, oldIndex, newIndex })
+     */
+    diffMiddle(oldLines, newLines) {
+        const rows = oldLines.length;
+        const cols = newLines.length;
+
+        // 너무 크면 전체를 삭제 후 추가로 표시
+        if (rows * cols > this.maxDiffCells) {
+            return [
+                ...oldLines.map((text, index) => ({ type: 'removed', text: text, oldIndex: index, newIndex: null })),
+                ...newLines.map((text, index) => ({ type: 'added', text: text, oldIndex: null, newIndex: index }))
+            ];
+        }
+
+        // lengths[i][j] = oldLines[i..], newLines[j..]의 LCS 길이
+        const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = cols - 1; j >= 0; j--) {
+                lengths[i][j] = oldLines[i] === newLines[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const result = [];
+        let i = 0;
+        let j = 0;
+
+        while (i < rows && j < cols) {
+            if (oldLines[i] === newLines[j]) {
+                result.push({ type: 'same', text: oldLines[i], oldIndex: i, newIndex: j });
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                result.push({ type: 'removed', text: oldLines[i], oldIndex: i, newIndex: null });
+                i++;
+            } else {
+                result.push({ type: 'added', text: newLines[j], oldIndex: null, newIndex: j });
+                j++;
+            }
+        }
+
+        for (; i < rows; i++) {
+            result.push({ type: 'removed', text: oldLines[i], oldIndex: i, newIndex: null });
+        }
+        for (; j < cols; j++) {
+            result.push({ type: 'added', text: newLines[j], oldIndex: null, newIndex: j });
+        }
+
+        return result;
+    }
+}
+
+// 전역에서 사용할 수 있도록 내보내기
+window.JSONRepair = JSONRepair;
@@ -0,0 +1,811 @@
+/**
+ * JSON 소스 파서 모듈
+ * JSON 문자열을 직접 파싱하며 오류 위치(줄/열)를 추적합니다.
+ * 오류가 있어도 가능한 한 복구하여 모든 문제를 수집합니다.
+ * 엄격한 JSON 외에 JSONC(주석, 후행 쉼표)와 JSON5 문법을 지원합니다.
+ */
+
+class JSONSourceParser {
+    constructor(options = {}) {
+        this.options = {
+            maxErrors: 50, // 수집할 최대 오류 수
+            dialect: 'json', // 'json', 'jsonc' 또는 'json5'
+            preciseNumbers: false, // 큰 정수/고정밀 소수를 BigInt/문자열로 보존
+            duplicateKeys: 'last', // 중복 키 처리: 'first', 'last' 또는 'array'
+            onProgress: null, // 진행 상황 콜백 (읽은 문자 수, 전체 문자 수)
+            progressInterval: 1024 * 1024, // 진행 상황을 알리는 간격 (문자 수)
+            ...options
+        };
+
+        this.preciseNumbers = this.options.preciseNumbers ? new PreciseNumbers() : null;
+
+        // 방언별 허용 문법
+        this.features = this.getDialectFeatures(this.options.dialect);
+
+        this.text = '';
+        this.pos = 0;
+        this.errors = [];
+        this.duplicates = [];
+        this.path = []; // 현재 파싱 중인 값의 JSON 경로
+        this.aborted = false;
+        this.lineStarts = null;
+        this.nextProgress = 0;
+    }
+
+    /**
+     * JSON 문자열을 파싱합니다.
+     * @param {string} text - 파싱할 JSON 문자열
+     * @returns {Object} { value, errors, duplicateKeys } - 파싱된 값, 오류 목록, 중복 키 목록
+     */
+    parse(text) {
+        this.text = text;
+        this.pos = 0;
+        this.errors = [];
+        this.duplicates = [];
+        this.path = [];
+        this.aborted = false;
+        this.lineStarts = null;
+        this.nextProgress = this.options.progressInterval;
+
+        let value;
+
+        try {
+            this.skipWhitespace();
+
+            if (this.pos >= this.text.length) {
+                this.addError('JSON 데이터가 비어 있습니다.', this.pos);
+            } else {
+                value = this.parseValue();
+                this.skipWhitespace();
+
+                if (this.pos < this.text.length) {
+                    this.addError('JSON 값이 끝난 뒤에 추가 데이터가 있습니다.', this.pos, this.text.length - this.pos);
+                }
+            }
+        } catch (error) {
+            if (error instanceof RangeError && !this.aborted) {
+                // 재귀 깊이 초과
+                this.aborted = true;
+                this.errors.push({ message: 'JSON 중첩이 너무 깊습니다.', position: this.pos, length: 1 });
+            } else if (!this.aborted) {
+                throw error;
+            }
+        }
+
+        return {
+            value: value,
+            errors: this.errors
+                .sort((a, b) => a.position - b.position)
+                .map(error => this.describeError(error)),
+            duplicateKeys: this.duplicates.map(duplicate => ({
+                ...this.describeError(duplicate),
+                key: duplicate.key,
+                path: duplicate.path,
+                severity: 'warning'
+            }))
+        };
+    }
+
+    /**
+     * 방언에서 허용하는 문법 목록을 반환합니다.
+     * @param {string} dialect - 'json', 'jsonc' 또는 'json5'
+     * @returns {Object} 허용 문법 플래그
+     */
+    getDialectFeatures(dialect) {
+        const isJSON5 = dialect === 'json5';
+        const isRelaxed = isJSON5 || dialect === 'jsonc';
+
+        return {
+            comments: isRelaxed,
+            trailingCommas: isRelaxed,
+            singleQuotes: isJSON5,
+            unquotedKeys: isJSON5,
+            extendedNumbers: isJSON5, // 16진수, +부호, .5 / 5., Infinity, NaN
+            extendedEscapes: isJSON5, // \v, \0, \xHH, \', 줄 이어쓰기
+            extendedWhitespace: isJSON5,
+            controlCharacters: isJSON5 // 문자열 안의 탭 등 (줄바꿈 제외)
+        };
+    }
+
+    /**
+     * JSON 문자열의 오류 목록만 반환합니다.
+     * @param {string} text - 검사할 JSON 문자열
+     * @returns {Array} 오류 목록
+     */
+    validate(text) {
+        return this.parse(text).errors;
+    }
+
+    /**
+     * 오류를 기록합니다. 최대 오류 수에 도달하면 파싱을 중단합니다.
+     * @param {string} message - 오류 메시지
+     * @param {number} position - 오류 위치 (문자 인덱스)
+     * @param {number} length - 오류 범위 길이
+     */
+    addError(message, position, length = 1) {
+        this.errors.push({ message: message, position: position, length: Math.max(length, 1) });
+
+        if (this.errors.length >= this.options.maxErrors) {
+            this.aborted = true;
+            throw new Error('최대 오류 수에 도달했습니다.');
+        }
+    }
+
+    /**
+     * 오류에 줄/열 번호와 해당 줄의 원문을 추가합니다.
+     * @param {Object} error - 오류 객체
+     * @returns {Object} 위치 정보가 포함된 오류 객체
+     */
+    describeError(error) {
+        const { line, column } = this.getLineColumn(error.position);
+        const lineStart = this.lineStarts[line - 1];
+        const lineEnd = line < this.lineStarts.length ? this.lineStarts[line] - 1 : this.text.length;
+
+        return {
+            message: error.message,
+            position: error.position,
+            length: Math.min(error.length, Math.max(this.text.length - error.position, 1)),
+            line: line,
+            column: column,
+            snippet: this.text.slice(lineStart, lineEnd).replace(/\r$/, '')
+        };
+    }
+
+    /**
+     * 문자 인덱스를 줄/열 번호(1부터 시작)로 변환합니다.
+     * @param {number} position - 문자 인덱스
+     * @returns {Object} { line, column }
+     */
+    getLineColumn(position) {
+        if (!this.lineStarts) {
+            this.lineStarts = [0];
+            for (let i = 0; i < this.text.length; i++) {
+                if (this.text.charCodeAt(i) === 10) {
+                    this.lineStarts.push(i + 1);
+                }
+            }
+        }
+
+        // 이진 탐색으로 줄 찾기
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.lineStarts[mid] <= position) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return { line: low + 1, column: position - this.lineStarts[low] + 1 };
+    }
+
+    /**
+     * 공백을 건너뜁니다. 주석은 허용되지 않으면 오류로 기록하고 건너뜁니다.
+     */
+    skipWhitespace() {
+        while (this.pos < this.text.length) {
+            const char = this.text[this.pos];
+
+            if (char === ' ' || char === '\t' || char === '\n' || char === '\r') {
+                this.pos++;
+            } else if (this.features.extendedWhitespace && /[\v\f\u00A0\uFEFF\u2028\u2029\s]/.test(char)) {
+                this.pos++;
+            } else if (char === '/' && (this.text[this.pos + 1] === '/' || this.text[this.pos + 1] === '*')) {
+                const start = this.pos;
+                this.skipComment();
+                if (!this.features.comments) {
+                    this.addError('JSON에서는 주석을 사용할 수 없습니다.', start, this.pos - start);
+                }
+            } else {
+                break;
+            }
+        }
+    }
+
+    /**
+     * 주석(// 또는 블록 주석)을 건너뜁니다.
+     */
+    skipComment() {
+        if (this.text[this.pos + 1] === '/') {
+            const end = this.text.indexOf('\n', this.pos);
+            this.pos = end === -1 ? this.text.length : end;
+        } else {
+            const end = this.text.indexOf('*/', this.pos + 2);
+            this.pos = end === -1 ? this.text.length : end + 2;
+        }
+    }
+
+    /**
+     * 진행 상황 콜백이 있으면 일정 길이를 읽을 때마다 읽은 위치를 알립니다.
+     */
+    reportProgress() {
+        if (this.options.onProgress && this.pos >= this.nextProgress) {
+            this.nextProgress = this.pos + this.options.progressInterval;
+            this.options.onProgress(this.pos, this.text.length);
+        }
+    }
+
+    /**
+     * 값을 파싱합니다.
+     * @returns {*} 파싱된 값 (실패 시 undefined)
+     */
+    parseValue() {
+        this.skipWhitespace();
+        this.reportProgress();
+
+        if (this.pos >= this.text.length) {
+            this.addError('JSON 데이터가 완전하지 않습니다. 값이 필요합니다.', this.pos);
+            return undefined;
+        }
+
+        const char = this.text[this.pos];
+
+        if (char === '{') {
+            return this.parseObject();
+        }
+        if (char === '[') {
+            return this.parseArray();
+        }
+        if (char === '"') {
+            return this.parseString();
+        }
+        if (char === "'") {
+            const start = this.pos;
+            const value = this.parseSingleQuotedString();
+            if (!this.features.singleQuotes) {
+                this.addError('문자열은 큰따옴표(")로 감싸야 합니다.', start, this.pos - start);
+            }
+            return value;
+        }
+        if (char === '-' || char === '+' || char === '.' || (char >= '0' && char <= '9')) {
+            return this.parseNumber();
+        }
+        if (this.isIdentifierStart(char)) {
+            return this.parseLiteral();
+        }
+
+        this.addError(`예상하지 못한 문자 "${char}"가 있습니다.`, this.pos);
+        this.pos++;
+        return undefined;
+    }
+
+    /**
+     * 객체를 파싱합니다.
+     * @returns {Object} 파싱된 객체
+     */
+    parseObject() {
+        const start = this.pos;
+        const obj = {};
+        // 'array' 정책에서 이미 배열로 모은 키
+        const arrayKeys = this.options.duplicateKeys === 'array' ? new Set() : null;
+        this.pos++; // '{'
+
+        this.skipWhitespace();
+        if (this.text[this.pos] === '}') {
+            this.pos++;
+            return obj;
+        }
+
+        while (true) {
+            this.skipWhitespace();
+
+            if (this.pos >= this.text.length) {
+                this.addError('닫히지 않은 객체입니다. "}"가 필요합니다.', start);
+                return obj;
+            }
+
+            // 키
+            const keyStart = this.pos;
+            const key = this.parseKey();
+            const keyLength = this.pos - keyStart;
+
+            // 콜론
+            this.skipWhitespace();
+            if (this.text[this.pos] === ':') {
+                this.pos++;
+            } else {
+                this.addError('키 뒤에 콜론(:)이 필요합니다.', this.pos);
+            }
+
+            // 값
+            this.path.push(key === undefined ? '' : key);
+            const value = this.parseValue();
+            this.path.pop();
+
+            if (key !== undefined) {
+                this.assignProperty(obj, key, value, keyStart, keyLength, arrayKeys);
+            }
+
+            // 구분자
+            const separator = this.parseSeparator('}', start);
+            if (separator !== ',') {
+                return obj;
+            }
+
+            // 후행 쉼표 확인
+            const commaPos = this.pos - 1;
+            this.skipWhitespace();
+            if (this.text[this.pos] === '}') {
+                if (!this.features.trailingCommas) {
+                    this.addError('마지막 항목 뒤에 쉼표(,)를 사용할 수 없습니다.', commaPos);
+                }
+                this.pos++;
+                return obj;
+            }
+        }
+    }
+
+    /**
+     * 객체에 속성을 추가합니다. 이미 있는 키이면 중복으로 기록하고 정책에 따라 처리합니다.
+     * @param {Object} obj - 대상 객체
+     * @param {string} key - 키
+     * @param {*} value - 값
+     * @param {number} keyStart - 키의 시작 위치
+     * @param {number} keyLength - 원문에서 키가 차지하는 길이 (따옴표 포함)
+     * @param {Set|null} arrayKeys - 'array' 정책에서 배열로 모은 키 목록
+     */
+    assignProperty(obj, key, value, keyStart, keyLength, arrayKeys) {
+        if (!Object.prototype.hasOwnProperty.call(obj, key)) {
+            this.setProperty(obj, key, value);
+            return;
+        }
+
+        const path = this.formatPath([...this.path, key]);
+        this.duplicates.push({
+            message: `중복된 키 "${key}"입니다. (${path})`,
+            position: keyStart,
+            length: keyLength,
+            key: key,
+            path: path
+        });
+
+        switch (this.options.duplicateKeys) {
+            case 'first':
+                break;
+
+            case 'array':
+                if (arrayKeys.has(key)) {
+                    obj[key].push(value);
+                } else {
+                    this.setProperty(obj, key, [obj[key], value]);
+                    arrayKeys.add(key);
+                }
+                break;
+
+            default:
+                this.setProperty(obj, key, value);
+        }
+    }
+
+    /**
+     * 경로 조각을 JSONPath 형식 문자열로 만듭니다.
+     * @param {Array} segments - 키(문자열)와 인덱스(숫자) 목록
+     * @returns {string} JSONPath (예: $.users[0]["first name"])
+     */
+    formatPath(segments) {
+        return '$' + segments.map(segment => {
+            if (typeof segment === 'number') {
+                return `[${segment}]`;
+            }
+            return /^[A-Za-z_$][\w$]*$/.test(segment) ? `.${segment}` : `[${JSON.stringify(segment)}]`;
+        }).join('');
+    }
+
+    /**
+     * 객체에 속성을 설정합니다. JSON.parse와 같이 "__proto__"도 일반 속성으로 만듭니다.
+     * @param {Object} obj - 대상 객체
+     * @param {string} key - 키
+     * @param {*} value - 값
+     */
+    setProperty(obj, key, value) {
+        if (key === '__proto__') {
+            Object.defineProperty(obj, key, { value: value, enumerable: true, writable: true, configurable: true });
+        } else {
+            obj[key] = value;
+        }
+    }
+
+    /**
+     * 객체의 키를 파싱합니다.
+     * @returns {string|undefined} 키 (실패 시 undefined)
+     */
+    parseKey() {
+        const char = this.text[this.pos];
+        const start = this.pos;
+
+        if (char === '"') {
+            return this.parseString();
+        }
+
+        if (char === "'") {
+            const key = this.parseSingleQuotedString();
+            if (!this.features.singleQuotes) {
+                this.addError('키는 큰따옴표(")로 감싸야 합니다.', start, this.pos - start);
+            }
+            return key;
+        }
+
+        if (this.isIdentifierStart(char)) {
+            const key = this.readIdentifier();
+            if (!this.features.unquotedKeys) {
+                this.addError(`키 "${key}"는 큰따옴표(")로 감싸야 합니다.`, start, key.length);
+            }
+            return key;
+        }
+
+        this.addError('객체의 키가 필요합니다.', start);
+        return undefined;
+    }
+
+    /**
+     * 배열을 파싱합니다.
+     * @returns {Array} 파싱된 배열
+     */
+    parseArray() {
+        const start = this.pos;
+        const arr = [];
+        this.pos++; // '['
+
+        this.skipWhitespace();
+        if (this.text[this.pos] === ']') {
+            this.pos++;
+            return arr;
+        }
+
+        while (true) {
+            this.skipWhitespace();
+
+            if (this.pos >= this.text.length) {
+                this.addError('닫히지 않은 배열입니다. "]"가 필요합니다.', start);
+                return arr;
+            }
+
+            this.path.push(arr.length);
+            arr.push(this.parseValue());
+            this.path.pop();
+
+            const separator = this.parseSeparator(']', start);
+            if (separator !== ',') {
+                return arr;
+            }
+
+            // 후행 쉼표 확인
+            const commaPos = this.pos - 1;
+            this.skipWhitespace();
+            if (this.text[this.pos] === ']') {
+                if (!this.features.trailingCommas) {
+                    this.addError('마지막 항목 뒤에 쉼표(,)를 사용할 수 없습니다.', commaPos);
+                }
+                this.pos++;
+                return arr;
+            }
+        }
+    }
+
+    /**
+     * 객체/배열 항목 뒤의 구분자를 파싱합니다.
+     * 쉼표가 빠졌거나 잘못된 문자가 있으면 오류를 기록하고 복구합니다.
+     * @param {string} closeChar - 닫는 괄호 ('}' 또는 ']')
+     * @param {number} start - 여는 괄호 위치
+     * @returns {string} ',' (다음 항목 계속) 또는 'end' (컨테이너 종료)
+     */
+    parseSeparator(closeChar, start) {
+        const containerName = closeChar === '}' ? '객체' : '배열';
+
+        while (true) {
+            this.skipWhitespace();
+
+            if (this.pos >= this.text.length) {
+                this.addError(`닫히지 않은 ${containerName}입니다. "${closeChar}"가 필요합니다.`, start);
+                return 'end';
+            }
+
+            const char = this.text[this.pos];
+
+            if (char === ',') {
+                this.pos++;
+                return ',';
+            }
+
+            if (char === closeChar) {
+                this.pos++;
+                return 'end';
+            }
+
+            if (char === '}' || char === ']') {
+                // 괄호 짝이 맞지 않음: 상위 컨테이너가 처리하도록 소비하지 않음
+                this.addError(`괄호 짝이 맞지 않습니다. "${closeChar}"가 필요하지만 "${char}"가 있습니다.`, this.pos);
+                return 'end';
+            }
+
+            if (this.isValueStart(char)) {
+                // 쉼표 누락: 다음 항목으로 계속
+                this.addError('항목 사이에 쉼표(,)가 필요합니다.', this.pos);
+                return ',';
+            }
+
+            this.addError(`예상하지 못한 문자 "${char}"가 있습니다.`, this.pos);
+            this.skipInvalid();
+        }
+    }
+
+    /**
+     * 잘못된 문자를 다음 구분자나 공백 전까지 건너뜁니다.
+     */
+    skipInvalid() {
+        this.pos++;
+        while (this.pos < this.text.length && !/[\s,{}[\]"]/.test(this.text[this.pos])) {
+            this.pos++;
+        }
+    }
+
+    /**
+     * 큰따옴표 문자열을 파싱합니다.
+     * @returns {string} 파싱된 문자열
+     */
+    parseString() {
+        const start = this.pos;
+        let result = '';
+        this.pos++; // '"'
+        let chunkStart = this.pos;
+
+        while (true) {
+            if (this.pos >= this.text.length) {
+                this.addError('닫히지 않은 문자열입니다. 따옴표(")를 확인해주세요.', start, this.pos - start);
+                return result + this.text.slice(chunkStart, this.pos);
+            }
+
+            const char = this.text[this.pos];
+            const code = char.charCodeAt(0);
+
+            if (char === '"') {
+                result += this.text.slice(chunkStart, this.pos);
+                this.pos++;
+                return result;
+            }
+
+            if (char === '\\') {
+                result += this.text.slice(chunkStart, this.pos);
+                result += this.parseEscape();
+                chunkStart = this.pos;
+                continue;
+            }
+
+            if (char === '\n') {
+                // 줄바꿈 전까지 닫는 따옴표가 없으면 닫히지 않은 문자열로 간주
+                this.addError('닫히지 않은 문자열입니다. 따옴표(")를 확인해주세요.', start, this.pos - start);
+                return result + this.text.slice(chunkStart, this.pos);
+            }
+
+            if (code < 0x20 && !this.features.controlCharacters) {
+                this.addError('문자열에 제어 문자를 그대로 사용할 수 없습니다. 이스케이프해주세요.', this.pos);
+            }
+
+            this.pos++;
+        }
+    }
+
+    /**
+     * 문자열의 이스케이프 시퀀스를 파싱합니다.
+     * @returns {string} 이스케이프된 문자
+     */
+    parseEscape() {
+        const start = this.pos;
+        const char = this.text[this.pos + 1];
+        this.pos += 2;
+
+        const escapes = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+        if (char in escapes) {
+            return escapes[char];
+        }
+
+        if (this.features.extendedEscapes) {
+            const extendedEscape = this.parseExtendedEscape(char);
+            if (extendedEscape !== null) {
+                return extendedEscape;
+            }
+        }
+
+        if (char === 'u') {
+            const hex = this.text.slice(this.pos, this.pos + 4);
+            if (/^[0-9a-fA-F]{4}$/.test(hex)) {
+                this.pos += 4;
+                return String.fromCharCode(parseInt(hex, 16));
+            }
+            this.addError('유니코드 이스케이프(\\uXXXX) 형식이 올바르지 않습니다.', start, 2 + hex.length);
+            return '';
+        }
+
+        if (char === undefined) {
+            this.pos = this.text.length;
+            return '';
+        }
+
+        this.addError(`잘못된 이스케이프 시퀀스 "\\${char}"입니다.`, start, 2);
+        return char;
+    }
+
+    /**
+     * JSON5의 추가 이스케이프 시퀀스를 처리합니다.
+     * 호출 시점에 this.pos는 이스케이프 문자 바로 다음을 가리킵니다.
+     * @param {string} char - 백슬래시 다음 문자
+     * @returns {string|null} 이스케이프된 문자 (해당 없으면 null)
+     */
+    parseExtendedEscape(char) {
+        const simpleEscapes = { "'": "'", v: '\v', 0: '\0' };
+
+        if (char in simpleEscapes && !(char === '0' && /\d/.test(this.text[this.pos] || ''))) {
+            return simpleEscapes[char];
+        }
+
+        if (char === 'x') {
+            const hex = this.text.slice(this.pos, this.pos + 2);
+            if (/^[0-9a-fA-F]{2}$/.test(hex)) {
+                this.pos += 2;
+                return String.fromCharCode(parseInt(hex, 16));
+            }
+            return null;
+        }
+
+        // 줄 이어쓰기 (백슬래시 + 줄바꿈)
+        if (char === '\n' || char === '\u2028' || char === '\u2029') {
+            return '';
+        }
+        if (char === '\r') {
+            if (this.text[this.pos] === '\n') {
+                this.pos++;
+            }
+            return '';
+        }
+
+        return null;
+    }
+
+    /**
+     * 작은따옴표 문자열을 파싱합니다. (JSON5 또는 오류 복구용)
+     * @returns {string} 파싱된 문자열
+     */
+    parseSingleQuotedString() {
+        const start = this.pos;
+        this.pos++; // "'"
+        let result = '';
+
+        while (this.pos < this.text.length) {
+            const char = this.text[this.pos];
+
+            if (char === "'") {
+                this.pos++;
+                return result;
+            }
+            if (char === '\n') {
+                break;
+            }
+            if (char === '\\') {
+                result += this.parseEscape();
+                continue;
+            }
+
+            result += char;
+            this.pos++;
+        }
+
+        this.addError('닫히지 않은 문자열입니다. 따옴표(\')를 확인해주세요.', start, this.pos - start);
+        return result;
+    }
+
+    /**
+     * 숫자를 파싱합니다.
+     * @returns {number|bigint|string|undefined} 파싱된 숫자 (실패 시 undefined)
+     */
+    parseNumber() {
+        const start = this.pos;
+        const numberPattern = this.features.extendedNumbers
+            ? /[+-]?(?:0[xX][0-9a-fA-F]+|Infinity|NaN|(?:(?:0|[1-9]\d*)(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?)/y
+            : /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+        numberPattern.lastIndex = start;
+        const match = numberPattern.exec(this.text);
+
+        // 숫자 뒤에 이어지는 잘못된 문자까지 포함한 토큰
+        const tokenPattern = /[-+.\w]+/y;
+        tokenPattern.lastIndex = start;
+        const token = tokenPattern.exec(this.text)[0];
+
+        if (!match || match[0].length !== token.length) {
+            this.addError(`숫자 형식이 올바르지 않습니다: "${token}"`, start, token.length);
+            this.pos = start + token.length;
+            return undefined;
+        }
+
+        this.pos = start + match[0].length;
+        return this.toNumber(match[0]);
+    }
+
+    /**
+     * 숫자 토큰을 숫자로 변환합니다.
+     * 정밀 숫자 모드에서는 Number로 정확히 표현되지 않는 값을 BigInt/문자열로 보존합니다.
+     * @param {string} token - 숫자 토큰
+     * @returns {number|bigint|string} 변환된 숫자
+     */
+    toNumber(token) {
+        if (this.preciseNumbers) {
+            return this.preciseNumbers.parseNumberToken(token);
+        }
+
+        // Number()는 부호가 붙은 16진수를 처리하지 못함
+        const hexMatch = /^([+-]?)0[xX]([0-9a-fA-F]+)$/.exec(token);
+        if (hexMatch) {
+            const value = parseInt(hexMatch[2], 16);
+            return hexMatch[1] === '-' ? -value : value;
+        }
+        return Number(token);
+    }
+
+    /**
+     * true/false/null 리터럴을 파싱합니다.
+     * @returns {*} 파싱된 값 (알 수 없는 식별자는 undefined)
+     */
+    parseLiteral() {
+        const start = this.pos;
+        const word = this.readIdentifier();
+        const literals = { true: true, false: false, null: null };
+
+        if (word in literals) {
+            return literals[word];
+        }
+
+        if (this.features.extendedNumbers && (word === 'Infinity' || word === 'NaN')) {
+            return Number(word);
+        }
+
+        const hints = {
+            True: 'true', False: 'false', None: 'null', NULL: 'null', Null: 'null',
+            undefined: 'null', NaN: 'null', Infinity: 'null'
+        };
+        const hint = hints[word] ? ` JSON에서는 "${hints[word]}"로 써야 합니다.` : ' 문자열이라면 큰따옴표로 감싸주세요.';
+        this.addError(`알 수 없는 값 "${word}"입니다.${hint}`, start, word.length);
+        return undefined;
+    }
+
+    /**
+     * 식별자를 읽습니다.
+     * @returns {string} 식별자
+     */
+    readIdentifier() {
+        const pattern = this.features.unquotedKeys
+            ? /[\p{L}\p{Nl}_$][\p{L}\p{Nl}\p{Mn}\p{Mc}\p{Nd}\p{Pc}_$\u200C\u200D]*/uy
+            : /[A-Za-z_$][\w$]*/y;
+        pattern.lastIndex = this.pos;
+        const match = pattern.exec(this.text);
+        const word = match ? match[0] : this.text[this.pos];
+        this.pos += word.length;
+        return word;
+    }
+
+    /**
+     * 식별자 시작 문자인지 확인합니다.
+     * @param {string} char - 문자
+     * @returns {boolean} 식별자 시작 여부
+     */
+    isIdentifierStart(char) {
+        if (this.features.unquotedKeys) {
+            return /[\p{L}\p{Nl}_$]/u.test(char || '');
+        }
+        return /[A-Za-z_$]/.test(char || '');
+    }
+
+    /**
+     * 값(또는 키)의 시작 문자인지 확인합니다.
+     * @param {string} char - 문자
+     * @returns {boolean} 값 시작 여부
+     */
+    isValueStart(char) {
+        return char === '{' || char === '[' || char === '"' || char === "'" ||
+            char === '-' || (char >= '0' && char <= '9') || this.isIdentifierStart(char);
+    }
+}
+
+// 전역에서 사용할 수 있도록 내보내기
+window.JSONSourceParser = JSONSourceParser;
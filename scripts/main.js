@@ -9,21 +9,69 @@ class JSONTableViewer {
         this.tableRenderer = null;
         this.stateManager = null;
         this.themeManager = null;
+        this.streamReader = null;
+        this.jsonInputEditor = null;
+        this.jsonRepair = null;
         
         // DOM 요소 참조
         this.jsonInput = null;
         this.parseBtn = null;
+        this.repairBtn = null;
         this.formatBtn = null;
         this.clearBtn = null;
         this.sampleBtn = null;
         this.searchInput = null;
         this.searchToggle = null;
         this.searchClear = null;
+        this.searchModeToggle = null;
+        this.searchError = null;
+        this.headerOrderSelect = null;
+        this.fitColumnsBtn = null;
         this.fileInput = null;
+        this.loadingCancel = null;
+        this.streamStatus = null;
+        this.streamStatusText = null;
+        this.streamProgressBar = null;
+        this.streamRowLimit = null;
+        this.streamStop = null;
+        this.dialectSelect = null;
+        this.preciseNumbersToggle = null;
+        this.duplicateKeysSelect = null;
+        this.rootPathInput = null;
+        this.rootPathPreview = null;
+        this.csvDelimiterSelect = null;
+        this.csvHeaderToggle = null;
+        this.xmlRowSelect = null;
+        this.xmlAttributePrefixInput = null;
+        this.xmlTextKeyInput = null;
+        this.repairPreview = null;
+        this.repairSummary = null;
+        this.repairChanges = null;
+        this.repairDiff = null;
+        this.repairApply = null;
+        this.repairCancel = null;
         
+        // 자동 복구 미리보기에서 diff 주변에 보여줄 줄 수
+        this.repairContextLines = 3;
+
+        // 루트 경로 미리보기 지연 시간 (ms)
+        this.rootPathPreviewDelay = 300;
+        this.rootPathPreviewTimer = null;
+        
+        // 스트리밍 기준 파일 크기 (이보다 크면 스트리밍으로 읽음)
+        this.streamingThreshold = 10 * 1024 * 1024;
+
         // 현재 상태
         this.currentData = null;
+        this.currentDocument = null; // 루트 경로를 적용하기 전의 파싱된 문서
+        this.previewDocument = null; // 미리보기용으로 파싱한 입력 ({ text, value })
+        this.csvSource = null; // 마지막으로 불러온 CSV/TSV ({ text, fileName, encoding })
+        this.xmlSource = null; // 마지막으로 불러온 XML ({ text, fileName, rowElement, rowCount, warning })
         this.currentState = null;
+        this.pendingRepair = null;
+        this.searchMode = 'text'; // 'text' (포함 검색) 또는 'query' (고급 쿼리)
+        this.searchQuery = null; // 마지막으로 성공한 쿼리의 행 검사 함수
+        this.searchQueryText = '';
         
         // 초기화
         this.init();
@@ -39,6 +87,15 @@ class JSONTableViewer {
             this.tableRenderer = new TableRenderer();
             this.stateManager = new StateManager();
             this.themeManager = new ThemeManager();
+            this.streamReader = new StreamReader();
+            this.jsonInputEditor = new JSONInputEditor();
+            this.jsonRepair = new JSONRepair();
+            this.tablePicker = new TablePicker();
+            this.tableExporter = new TableExporter(this.tableRenderer);
+            this.queryParser = new QueryParser();
+            this.csvParser = new CSVParser();
+            this.xmlParser = new XMLParser();
+            this.binaryDecoder = new BinaryDecoder();
 
             // DOM 요소 참조 설정
             this.initializeDOMElements();
@@ -66,13 +123,40 @@ class JSONTableViewer {
     initializeDOMElements() {
         this.jsonInput = document.getElementById('json-input');
         this.parseBtn = document.getElementById('parse-btn');
+        this.repairBtn = document.getElementById('repair-btn');
         this.formatBtn = document.getElementById('format-btn');
         this.clearBtn = document.getElementById('clear-btn');
         this.sampleBtn = document.getElementById('sample-btn');
         this.searchInput = document.getElementById('search-input');
         this.searchToggle = document.getElementById('search-toggle');
         this.searchClear = document.getElementById('search-clear');
+        this.searchModeToggle = document.getElementById('search-mode');
+        this.searchError = document.getElementById('search-error');
+        this.headerOrderSelect = document.getElementById('header-order');
+        this.fitColumnsBtn = document.getElementById('column-fit-all');
         this.fileInput = document.getElementById('file-input');
+        this.loadingCancel = document.getElementById('loading-cancel');
+        this.streamStatus = document.getElementById('stream-status');
+        this.streamStatusText = document.getElementById('stream-status-text');
+        this.streamProgressBar = document.getElementById('stream-progress-bar');
+        this.streamRowLimit = document.getElementById('stream-row-limit');
+        this.streamStop = document.getElementById('stream-stop');
+        this.dialectSelect = document.getElementById('dialect-select');
+        this.preciseNumbersToggle = document.getElementById('precise-numbers');
+        this.duplicateKeysSelect = document.getElementById('duplicate-keys-select');
+        this.rootPathInput = document.getElementById('root-path-input');
+        this.rootPathPreview = document.getElementById('root-path-preview');
+        this.csvDelimiterSelect = document.getElementById('csv-delimiter-select');
+        this.csvHeaderToggle = document.getElementById('csv-header');
+        this.xmlRowSelect = document.getElementById('xml-row-select');
+        this.xmlAttributePrefixInput = document.getElementById('xml-attribute-prefix');
+        this.xmlTextKeyInput = document.getElementById('xml-text-key');
+        this.repairPreview = document.getElementById('repair-preview');
+        this.repairSummary = document.getElementById('repair-summary');
+        this.repairChanges = document.getElementById('repair-changes');
+        this.repairDiff = document.getElementById('repair-diff');
+        this.repairApply = document.getElementById('repair-apply');
+        this.repairCancel = document.getElementById('repair-cancel');
 
         // 필수 요소 확인
         if (!this.jsonInput || !this.parseBtn || !this.formatBtn || !this.clearBtn || !this.sampleBtn) {
@@ -89,6 +173,23 @@ class JSONTableViewer {
             this.parseJSON();
         });
 
+        // Repair 버튼 및 미리보기
+        if (this.repairBtn) {
+            this.repairBtn.addEventListener('click', () => {
+                this.repairJSON();
+            });
+        }
+        if (this.repairApply) {
+            this.repairApply.addEventListener('click', () => {
+                this.applyRepair();
+            });
+        }
+        if (this.repairCancel) {
+            this.repairCancel.addEventListener('click', () => {
+                this.hideRepairPreview();
+            });
+        }
+
         // Format JSON 버튼
         this.formatBtn.addEventListener('click', () => {
             this.formatJSON();
@@ -104,6 +205,128 @@ class JSONTableViewer {
             this.loadSampleData();
         });
 
+        // 파싱 취소 버튼
+        if (this.loadingCancel) {
+            this.loadingCancel.addEventListener('click', () => {
+                this.cancelParsing();
+            });
+        }
+
+        // 스트리밍 중단 버튼
+        if (this.streamStop) {
+            this.streamStop.addEventListener('click', () => {
+                this.streamReader.stop();
+            });
+        }
+
+        // 스트리밍 최대 행 수 (읽는 도중에도 적용)
+        if (this.streamRowLimit) {
+            this.streamRowLimit.addEventListener('change', () => {
+                this.streamReader.setMaxRows(this.getStreamRowLimit());
+            });
+        }
+
+        // 입력 형식 (JSON/JSONC/JSON5)
+        if (this.dialectSelect) {
+            this.dialectSelect.addEventListener('change', () => {
+                this.setDialect(this.dialectSelect.value);
+                this.jsonInputEditor.clearErrors();
+                this.autoSaveState();
+            });
+        }
+
+        // 정밀 숫자 모드 (변경 시 현재 입력을 다시 파싱)
+        if (this.preciseNumbersToggle) {
+            this.preciseNumbersToggle.addEventListener('change', () => {
+                this.setPreciseNumbers(this.preciseNumbersToggle.checked);
+                this.autoSaveState();
+                if (this.currentData && this.jsonInput.value.trim()) {
+                    this.parseJSON();
+                }
+            });
+        }
+
+        // 중복 키 정책 (변경 시 현재 입력을 다시 파싱)
+        if (this.duplicateKeysSelect) {
+            this.duplicateKeysSelect.addEventListener('change', () => {
+                this.setDuplicateKeyPolicy(this.duplicateKeysSelect.value);
+                this.autoSaveState();
+                if (this.currentData && this.jsonInput.value.trim()) {
+                    this.parseJSON();
+                }
+            });
+        }
+
+        // 루트 경로 (입력 중에는 미리보기만, Enter 또는 포커스 이동 시 적용)
+        if (this.rootPathInput) {
+            this.rootPathInput.addEventListener('input', () => {
+                this.jsonParser.setParseOptions({ rootPath: this.rootPathInput.value.trim() });
+                this.scheduleRootPathPreview();
+                this.autoSaveState();
+            });
+            this.rootPathInput.addEventListener('change', () => {
+                this.applyRootPath();
+            });
+        }
+
+        // CSV 옵션 (불러온 CSV가 있으면 바뀐 옵션으로 다시 변환)
+        [this.csvDelimiterSelect, this.csvHeaderToggle].forEach(control => {
+            if (!control) {
+                return;
+            }
+            control.addEventListener('change', () => {
+                this.autoSaveState();
+                if (this.csvSource) {
+                    this.importDelimitedText();
+                }
+            });
+        });
+
+        // XML 옵션 (불러온 XML이 있으면 바뀐 옵션으로 다시 변환)
+        [this.xmlRowSelect, this.xmlAttributePrefixInput, this.xmlTextKeyInput].forEach(control => {
+            if (!control) {
+                return;
+            }
+            control.addEventListener('change', () => {
+                this.autoSaveState();
+                if (this.xmlSource) {
+                    this.importXMLText();
+                }
+            });
+        });
+
+        // 테이블 선택기와 탭 (선택한 후보의 경로를 루트 경로로 적용)
+        this.tablePicker.onSelect = (path) => {
+            this.setRootPath(path);
+            this.applyRootPath();
+        };
+
+        // XLSX 내보내기는 열린 탭마다 시트를 만듦
+        this.tableExporter.getOpenTables = () => this.getOpenTables();
+
+        // 컬럼 필터 조건이 바뀌면 검색어와 함께 다시 적용
+        this.tableRenderer.columnFilter.onChange = () => {
+            this.refreshTableView();
+        };
+
+        // 스트리밍으로 행이 늘어나면 현재 검색어와 필터, 정렬, 그룹을 유지한 채 다시 적용
+        this.tableRenderer.onRefreshView = () => {
+            this.refreshTableView();
+        };
+
+        // 컬럼 레이아웃은 데이터셋별로 StateManager에 저장하고, 바뀌면 현재 결과를 다시 그림
+        const columnManager = this.tableRenderer.columnManager;
+        columnManager.loadLayout = datasetKey => this.stateManager.loadColumnLayout(datasetKey);
+        columnManager.saveLayout = (datasetKey, layout) => this.stateManager.saveColumnLayout(datasetKey, layout);
+        columnManager.onChange = () => {
+            this.refreshTableView();
+        };
+
+        // 검색 옵션(정규식, 대소문자, 단어 단위, 컬럼)이 바뀌면 다시 검색
+        this.tableRenderer.tableSearch.onChange = () => {
+            this.refreshTableView();
+        };
+
         // 검색 토글 버튼
         if (this.searchToggle) {
             this.searchToggle.addEventListener('click', () => {
@@ -118,15 +341,38 @@ class JSONTableViewer {
             });
         }
 
+        // 고급(쿼리) 검색 모드 전환 버튼
+        if (this.searchModeToggle) {
+            this.searchModeToggle.addEventListener('click', () => {
+                this.setSearchMode(this.searchMode === 'query' ? 'text' : 'query');
+                this.refreshTableView();
+                this.autoSaveState();
+                this.searchInput.focus();
+            });
+        }
+
         // 검색 입력 이벤트
         if (this.searchInput) {
             this.searchInput.addEventListener('input', (event) => {
                 this.handleSearch(event.target.value);
             });
+
+            // Enter: 다음 일치 항목, Shift+Enter: 이전 일치 항목 (입력 중이면 바로 검색)
+            this.searchInput.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter' && !event.ctrlKey && !event.isComposing) {
+                    event.preventDefault();
+                    this.handleSearchEnter(event.shiftKey);
+                }
+            });
         }
 
-        // JSON 입력 자동 저장
+        // JSON 입력 자동 저장 (내용이 바뀌면 복구 미리보기는 더 이상 유효하지 않음)
         this.jsonInput.addEventListener('input', () => {
+            this.hideRepairPreview();
+            this.currentDocument = null;
+            this.csvSource = null;
+            this.xmlSource = null;
+            this.scheduleRootPathPreview();
             this.autoSaveState();
         });
 
@@ -152,16 +398,46 @@ class JSONTableViewer {
 
         // 테이블 헤더 클릭 (정렬 기능)
         document.addEventListener('click', (event) => {
-            if (event.target.matches('th.sortable')) {
-                this.handleSortClick(event.target);
+            // 헤더 안의 타입 선택 상자는 정렬하지 않음
+            const header = event.target.closest('th.sortable');
+            if (header && !event.target.closest('select')) {
+                this.handleSortClick(header, event.shiftKey);
             }
         });
+
+        // 빈 값 위치가 바뀌면 다시 정렬
+        this.tableRenderer.tableSorter.onChange = () => {
+            this.refreshTableView();
+            this.autoSaveState();
+        };
+
+        // 헤더 정렬 방식 선택
+        if (this.headerOrderSelect) {
+            this.headerOrderSelect.addEventListener('change', () => {
+                this.setHeaderOrder(this.headerOrderSelect.value);
+                this.refreshTableView();
+                this.autoSaveState();
+            });
+        }
+
+        // 그룹 컬럼이 바뀌면 검색과 필터 결과를 다시 묶어서 표시
+        this.tableRenderer.tableGrouper.onChange = () => {
+            this.refreshTableView();
+        };
+
+        // 모든 컬럼 너비를 내용에 맞추기
+        if (this.fitColumnsBtn) {
+            this.fitColumnsBtn.addEventListener('click', () => {
+                this.tableRenderer.fitColumnWidths();
+            });
+        }
     }
 
     /**
      * JSON을 파싱하고 테이블을 렌더링합니다.
+     * 파싱은 백그라운드 워커에서 수행되며 진행률과 취소를 지원합니다.
      */
-    parseJSON() {
+    async parseJSON() {
         try {
             const jsonString = this.jsonInput.value.trim();
             
@@ -170,27 +446,66 @@ class JSONTableViewer {
                 return;
             }
 
+            // 진행 중인 스트리밍 중단
+            this.streamReader.stop();
+
             // 로딩 상태 표시
-            this.tableRenderer.showLoading();
+            this.tableRenderer.showLoading({ showProgress: true, cancellable: true });
 
-            // JSON 파싱
-            const result = this.jsonParser.parseJSON(jsonString);
+            // JSON 파싱 (백그라운드)
+            // 오류 위치가 입력창과 일치하도록 공백을 제거하지 않은 원문을 전달
+            const result = await this.jsonParser.parseJSONAsync(this.jsonInput.value, {
+                onProgress: (stage, percent) => {
+                    this.tableRenderer.updateLoadingProgress(percent, this.getParseStageMessage(stage));
+                }
+            });
+
+            if (result.cancelled) {
+                // 취소 시 이전 테이블 복원
+                if (this.currentData) {
+                    this.tableRenderer.renderTable(this.currentData);
+                } else {
+                    this.tableRenderer.showEmptyState();
+                }
+                this.showNotification(result.error, 'warning');
+                return;
+            }
 
             if (result.success) {
+                // 중복 키는 오류가 아니므로 경고로만 표시
+                this.jsonInputEditor.showErrors(result.duplicateKeys);
+
                 // 성공 시 테이블 렌더링
+                this.tableRenderer.updateLoadingProgress(100, this.getParseStageMessage('render'));
                 this.currentData = result.data;
+                this.currentDocument = result.source;
                 this.tableRenderer.renderTable(result.data);
+                this.updateRootPathPreview();
+                this.tablePicker.setCandidates(result.tables);
+                this.tablePicker.setCurrentPath(this.jsonParser.parseOptions.rootPath);
                 
                 // 상태 저장
                 this.saveCurrentState();
                 
                 // 성공 메시지 표시
-                this.showSuccess(`성공적으로 파싱되었습니다. (${result.rowCount}행, ${result.columnCount}열)`);
+                if (result.duplicateKeys.length > 0) {
+                    const policy = this.jsonParser.getDuplicateKeyPolicyName(this.jsonParser.parseOptions.duplicateKeys);
+                    this.showNotification(`파싱되었지만 중복된 키 ${result.duplicateKeys.length}개가 있습니다. ${policy}. (${result.rowCount}행, ${result.columnCount}열)`, 'warning');
+                } else {
+                    this.showSuccess(`성공적으로 파싱되었습니다. (${result.rowCount}행, ${result.columnCount}열)`);
+                }
                 
             } else {
-                // 실패 시 에러 표시
+                // 실패 시 에러 표시 및 오류 위치로 이동
                 this.tableRenderer.showError(result.error);
                 this.showError(result.error);
+                this.showParseErrors(result.errors);
+
+                // 문법은 맞고 루트 경로만 틀린 경우에도 경로 수정 시 바로 적용되도록 문서 보관
+                this.currentDocument = result.source;
+                this.updateRootPathPreview();
+                this.tablePicker.setCandidates(result.tables);
+                this.tablePicker.setCurrentPath(this.jsonParser.parseOptions.rootPath);
             }
 
         } catch (error) {
@@ -200,8 +515,306 @@ class JSONTableViewer {
         }
     }
 
+    /**
+     * 파싱 오류를 입력창에 표시하고 첫 번째 오류 위치로 이동합니다.
+     * @param {Array} errors - 오류 목록
+     */
+    showParseErrors(errors) {
+        if (!errors || errors.length === 0) {
+            this.jsonInputEditor.clearErrors();
+            return;
+        }
+
+        this.jsonInputEditor.showErrors(errors);
+        this.jsonInputEditor.jumpToError(errors[0]);
+    }
+
+    /**
+     * 진행 중인 JSON 파싱을 취소합니다.
+     */
+    cancelParsing() {
+        this.jsonParser.cancelParsing();
+    }
+
+    /**
+     * 파싱 단계에 해당하는 로딩 메시지를 반환합니다.
+     * @param {string} stage - 파싱 단계
+     * @returns {string} 로딩 메시지
+     */
+    getParseStageMessage(stage) {
+        const messages = {
+            parse: 'JSON을 파싱하는 중입니다...',
+            extract: '테이블 데이터를 추출하는 중입니다...',
+            done: '파싱 결과를 불러오는 중입니다...',
+            render: '테이블을 렌더링하는 중입니다...'
+        };
+        return messages[stage] || '데이터를 처리 중입니다...';
+    }
+
+    /**
+     * 입력 형식(방언)을 설정합니다.
+     * @param {string} dialect - 'json', 'jsonc', 'json5', 'yaml'
+     */
+    setDialect(dialect) {
+        const validDialects = ['json', 'jsonc', 'json5', 'yaml'];
+        const nextDialect = validDialects.includes(dialect) ? dialect : 'json';
+
+        this.jsonParser.setParseOptions({ dialect: nextDialect });
+        if (this.dialectSelect) {
+            this.dialectSelect.value = nextDialect;
+        }
+    }
+
+    /**
+     * 정밀 숫자 모드를 설정합니다.
+     * 켜면 2^53을 넘는 정수는 BigInt로, 고정밀 소수는 10진수 문자열로 보존됩니다.
+     * @param {boolean} enabled - 사용 여부
+     */
+    setPreciseNumbers(enabled) {
+        this.jsonParser.setParseOptions({ preciseNumbers: !!enabled });
+        if (this.preciseNumbersToggle) {
+            this.preciseNumbersToggle.checked = !!enabled;
+        }
+    }
+
+    /**
+     * 중복 키 처리 정책을 설정합니다.
+     * 이전 버전에서 저장한 'ignore'(검사 안 함)는 같은 동작인 'last'로 바꿉니다.
+     * @param {string} policy - 'report'(마지막 값 + 경고), 'first', 'array', 'last'(검사 안 함)
+     */
+    setDuplicateKeyPolicy(policy) {
+        const validPolicies = ['report', 'first', 'array', 'last'];
+        const nextPolicy = policy === 'ignore' ? 'last' : (validPolicies.includes(policy) ? policy : 'report');
+
+        this.jsonParser.setParseOptions({ duplicateKeys: nextPolicy });
+        if (this.duplicateKeysSelect) {
+            this.duplicateKeysSelect.value = nextPolicy;
+        }
+    }
+
+    /**
+     * 루트 경로를 설정합니다.
+     * @param {string} rootPath - JSONPath 또는 JMESPath 표현식
+     */
+    setRootPath(rootPath) {
+        const nextPath = typeof rootPath === 'string' ? rootPath.trim() : '';
+
+        this.jsonParser.setParseOptions({ rootPath: nextPath });
+        if (this.rootPathInput) {
+            this.rootPathInput.value = nextPath;
+        }
+        this.updateRootPathPreview();
+    }
+
+    /**
+     * CSV/TSV 변환 옵션을 설정합니다.
+     * @param {string} delimiter - 'auto', ',', 'tab', ';', '|'
+     * @param {boolean} header - 첫 행을 헤더로 사용할지 여부
+     */
+    setCSVOptions(delimiter, header) {
+        const validDelimiters = ['auto', ',', 'tab', ';', '|'];
+
+        if (this.csvDelimiterSelect) {
+            this.csvDelimiterSelect.value = validDelimiters.includes(delimiter) ? delimiter : 'auto';
+        }
+        if (this.csvHeaderToggle) {
+            this.csvHeaderToggle.checked = header !== false;
+        }
+    }
+
+    /**
+     * XML 변환 옵션을 설정합니다.
+     * @param {string} rowElement - 행으로 사용할 요소 이름 ('' = 자동 선택)
+     * @param {string} attributePrefix - 속성 키 접두사
+     * @param {string} textKey - 텍스트 노드 키
+     */
+    setXMLOptions(rowElement, attributePrefix, textKey) {
+        this.updateXMLRowOptions([], rowElement || '');
+
+        if (this.xmlAttributePrefixInput) {
+            this.xmlAttributePrefixInput.value = typeof attributePrefix === 'string' ? attributePrefix : '@';
+        }
+        if (this.xmlTextKeyInput) {
+            this.xmlTextKeyInput.value = textKey || '#text';
+        }
+    }
+
+    /**
+     * 현재 XML 변환 옵션을 반환합니다.
+     * @returns {Object} { rowElement, attributePrefix, textKey, preciseNumbers }
+     */
+    getXMLOptions() {
+        return {
+            rowElement: this.xmlRowSelect ? this.xmlRowSelect.value : '',
+            attributePrefix: this.xmlAttributePrefixInput ? this.xmlAttributePrefixInput.value : '@',
+            textKey: (this.xmlTextKeyInput && this.xmlTextKeyInput.value) || '#text',
+            preciseNumbers: this.jsonParser.parseOptions.preciseNumbers
+        };
+    }
+
+    /**
+     * XML 행 요소 목록을 반복 요소 후보로 다시 채웁니다.
+     * @param {Array} candidates - 반복 요소 목록 ({ name, count })
+     * @param {string} selected - 선택할 요소 이름 (후보에 없어도 목록에 유지)
+     */
+    updateXMLRowOptions(candidates, selected = this.xmlRowSelect ? this.xmlRowSelect.value : '') {
+        if (!this.xmlRowSelect) {
+            return;
+        }
+
+        this.xmlRowSelect.innerHTML = '';
+
+        const entries = [{ name: '', label: '자동 선택' }, ...candidates.map(candidate => ({
+            name: candidate.name,
+            label: `<${candidate.name}> (${candidate.count.toLocaleString()})`
+        }))];
+        if (selected && !candidates.some(candidate => candidate.name === selected)) {
+            entries.push({ name: selected, label: `<${selected}>` });
+        }
+
+        entries.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.name;
+            option.textContent = entry.label;
+            this.xmlRowSelect.appendChild(option);
+        });
+
+        this.xmlRowSelect.value = selected;
+    }
+
+    /**
+     * 현재 루트 경로로 테이블을 다시 만듭니다.
+     * 파싱된 문서가 있으면 다시 파싱하지 않고 노드만 새로 선택합니다.
+     */
+    applyRootPath() {
+        const rootPath = this.jsonParser.parseOptions.rootPath;
+        this.autoSaveState();
+
+        if (!this.currentDocument) {
+            if (this.currentData && this.jsonInput.value.trim()) {
+                this.parseJSON();
+            }
+            return;
+        }
+
+        const table = this.jsonParser.selectTableData(this.currentDocument, rootPath);
+        this.updateRootPathPreview();
+        this.tablePicker.setCurrentPath(rootPath);
+
+        if (!table.success) {
+            this.showError(table.error);
+            return;
+        }
+
+        this.currentData = table.data;
+        this.tableRenderer.renderTable(table.data);
+        this.saveCurrentState();
+        this.showSuccess(`루트 경로를 적용했습니다. (${table.rowCount}행, ${table.columnCount}열)`);
+    }
+
+    /**
+     * 열린 탭의 테이블을 가져옵니다. 활성 탭은 표시 중인 행을 쓰므로 rows를 비워 둡니다.
+     * @returns {Array} 테이블 목록 ({ name, rows, active }, 탭이 없으면 빈 배열)
+     */
+    getOpenTables() {
+        const { tabs, activeTab } = this.tablePicker;
+        if (!this.currentDocument || tabs.length === 0) {
+            return [];
+        }
+
+        const tables = [];
+        tabs.forEach((tab, index) => {
+            const name = tab.path || this.tableExporter.fileName;
+            if (index === activeTab) {
+                tables.push({ name: name, rows: null, active: true });
+                return;
+            }
+
+            const table = this.jsonParser.selectTableData(this.currentDocument, tab.path);
+            if (table.success) {
+                tables.push({ name: name, rows: table.data, active: false });
+            }
+        });
+
+        return tables;
+    }
+
+    /**
+     * 입력이 멈춘 뒤 루트 경로 미리보기를 갱신하도록 예약합니다.
+     */
+    scheduleRootPathPreview() {
+        clearTimeout(this.rootPathPreviewTimer);
+        this.rootPathPreviewTimer = setTimeout(() => {
+            this.updateRootPathPreview();
+        }, this.rootPathPreviewDelay);
+    }
+
+    /**
+     * 루트 경로가 몇 행과 일치하는지 미리보기를 표시합니다.
+     * 파싱된 문서가 없으면 워커 기준 크기 이하의 입력만 즉석에서 파싱합니다.
+     */
+    updateRootPathPreview() {
+        clearTimeout(this.rootPathPreviewTimer);
+
+        if (!this.rootPathPreview) {
+            return;
+        }
+
+        const rootPath = this.jsonParser.parseOptions.rootPath;
+        const setPreview = (text, state) => {
+            this.rootPathPreview.textContent = text;
+            this.rootPathPreview.className = state ? `root-path-preview root-path-preview--${state}` : 'root-path-preview';
+        };
+
+        if (!rootPath) {
+            setPreview('', null);
+            return;
+        }
+
+        const source = this.getPreviewDocument();
+        if (source === undefined) {
+            setPreview('파싱 후 일치하는 행 수가 표시됩니다', null);
+            return;
+        }
+
+        const table = this.jsonParser.selectTableData(source, rootPath);
+        const syntaxName = table.syntax === 'jsonpath' ? 'JSONPath' : 'JMESPath';
+
+        if (table.success) {
+            setPreview(`${syntaxName} · ${table.rowCount.toLocaleString()}행 일치`, 'match');
+        } else {
+            setPreview(table.error, 'error');
+        }
+    }
+
+    /**
+     * 루트 경로 미리보기에 사용할 문서를 가져옵니다.
+     * @returns {*} 파싱된 문서 (사용할 수 없으면 undefined)
+     */
+    getPreviewDocument() {
+        if (this.currentDocument !== null) {
+            return this.currentDocument;
+        }
+
+        const text = this.jsonInput.value;
+        if (!text.trim() || text.length >= this.jsonParser.workerThreshold) {
+            return undefined;
+        }
+
+        if (!this.previewDocument || this.previewDocument.text !== text) {
+            try {
+                this.previewDocument = { text: text, value: this.jsonParser.parseSource(text) };
+            } catch (error) {
+                this.previewDocument = { text: text, value: undefined };
+            }
+        }
+
+        return this.previewDocument.value;
+    }
+
     /**
      * JSON 데이터를 포맷팅합니다.
+     * JSONC/JSON5 입력은 주석 등을 제거한 엄격한 JSON으로 변환됩니다.
      */
     formatJSON() {
         try {
@@ -212,26 +825,40 @@ class JSONTableViewer {
                 return;
             }
 
-            // JSON 유효성 검사
+            // 선택된 입력 형식으로 유효성 검사 (오류 위치가 입력창과 맞도록 원문 사용)
             let parsedData;
             try {
-                parsedData = JSON.parse(jsonString);
+                parsedData = this.jsonParser.parseSource(this.jsonInput.value);
             } catch (parseError) {
-                this.showError(`JSON 형식이 올바르지 않습니다: ${parseError.message}`);
+                const errors = parseError.errors || this.jsonParser.locateErrors(this.jsonInput.value);
+                this.showError(`JSON 형식이 올바르지 않습니다: ${this.jsonParser.formatErrorMessage(parseError, errors[0])}`);
+                this.showParseErrors(errors);
                 return;
             }
 
             // JSON 포맷팅 (들여쓰기 2칸)
-            const formattedJSON = JSON.stringify(parsedData, null, 2);
+            const formattedJSON = this.jsonParser.stringify(parsedData, 2);
             
             // 포맷팅된 JSON을 입력창에 적용
             this.jsonInput.value = formattedJSON;
+            this.hideRepairPreview();
+            this.jsonInputEditor.clearErrors();
             
             // 상태 저장
             this.autoSaveState();
             
             // 성공 메시지 표시
-            this.showSuccess('JSON이 성공적으로 포맷팅되었습니다.');
+            const dialect = this.jsonParser.parseOptions.dialect;
+            if (dialect === 'yaml') {
+                // 변환된 JSON을 계속 편집할 수 있도록 입력 형식도 JSON으로 전환
+                this.setDialect('json');
+                this.autoSaveState();
+                this.showSuccess('YAML 입력이 JSON으로 변환되었습니다. 입력 형식을 JSON으로 바꿨습니다.');
+            } else if (dialect !== 'json') {
+                this.showSuccess(`${this.jsonParser.getDialectName(dialect)} 입력이 표준 JSON으로 변환되었습니다.`);
+            } else {
+                this.showSuccess('JSON이 성공적으로 포맷팅되었습니다.');
+            }
             
         } catch (error) {
             console.error('JSON 포맷팅 중 오류:', error);
@@ -239,12 +866,206 @@ class JSONTableViewer {
         }
     }
 
+    /**
+     * 입력을 자동 복구하고 적용 전에 변경 전/후 diff를 보여줍니다.
+     */
+    repairJSON() {
+        const original = this.jsonInput.value;
+
+        if (!original.trim()) {
+            this.showError('복구할 JSON 데이터를 입력해주세요.');
+            return;
+        }
+
+        try {
+            const result = this.jsonRepair.repair(original);
+
+            if (!result.changed) {
+                this.hideRepairPreview();
+                if (this.jsonParser.isValidJSON(original)) {
+                    this.showSuccess('이미 올바른 JSON입니다.');
+                } else {
+                    this.showNotification('자동으로 고칠 수 있는 문제를 찾지 못했습니다.', 'warning');
+                }
+                return;
+            }
+
+            this.pendingRepair = {
+                original: original,
+                output: result.output,
+                changes: result.changes,
+                valid: this.isStrictJSON(result.output)
+            };
+            this.showRepairPreview(this.pendingRepair);
+
+        } catch (error) {
+            console.error('JSON 복구 중 오류:', error);
+            this.showError('JSON 복구 중 오류가 발생했습니다.');
+        }
+    }
+
+    /**
+     * 문자열이 엄격한 JSON인지 확인합니다.
+     * @param {string} text - 확인할 문자열
+     * @returns {boolean} 유효 여부
+     */
+    isStrictJSON(text) {
+        try {
+            JSON.parse(text);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 복구 미리보기를 표시합니다.
+     * @param {Object} repair - 복구 정보 ({ original, output, changes, valid })
+     */
+    showRepairPreview(repair) {
+        if (!this.repairPreview) {
+            return;
+        }
+
+        this.repairSummary.textContent = repair.valid
+            ? `${repair.changes.length}개 항목을 수정했습니다.`
+            : `${repair.changes.length}개 항목을 수정했지만 아직 남은 오류가 있어 적용할 수 없습니다.`;
+
+        // 복구 결과가 JSON으로 파싱될 때만 적용할 수 있음
+        if (this.repairApply) {
+            this.repairApply.disabled = !repair.valid;
+        }
+
+        // 변경 목록
+        this.repairChanges.innerHTML = '';
+        repair.changes.forEach(change => {
+            const item = document.createElement('li');
+            const line = document.createElement('span');
+            line.className = 'repair-preview__change-line';
+            line.textContent = `줄 ${change.line}`;
+            item.appendChild(line);
+            item.appendChild(document.createTextNode(change.message));
+            this.repairChanges.appendChild(item);
+        });
+
+        this.renderRepairDiff(this.jsonRepair.createLineDiff(repair.original, repair.output));
+
+        this.repairPreview.style.display = 'block';
+        this.repairPreview.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    /**
+     * 줄 단위 diff를 렌더링합니다. 바뀌지 않은 긴 구간은 접어서 표시합니다.
+     * @param {Array} diff - diff 항목 목록
+     */
+    renderRepairDiff(diff) {
+        const fragment = document.createDocumentFragment();
+        const context = this.repairContextLines;
+
+        // 변경된 줄 주변만 표시
+        const visible = new Array(diff.length).fill(false);
+        diff.forEach((entry, index) => {
+            if (entry.type !== 'same') {
+                const start = Math.max(0, index - context);
+                const end = Math.min(diff.length - 1, index + context);
+                for (let i = start; i <= end; i++) {
+                    visible[i] = true;
+                }
+            }
+        });
+
+        let hidden = 0;
+        const flushHidden = () => {
+            if (hidden > 0) {
+                const gap = document.createElement('div');
+                gap.className = 'repair-diff__gap';
+                gap.textContent = `… ${hidden}줄 동일 …`;
+                fragment.appendChild(gap);
+                hidden = 0;
+            }
+        };
+
+        diff.forEach((entry, index) => {
+            if (!visible[index]) {
+                hidden++;
+                return;
+            }
+            flushHidden();
+
+            const markers = { same: ' ', removed: '-', added: '+' };
+            const line = document.createElement('div');
+            line.className = `repair-diff__line repair-diff__line--${entry.type}`;
+
+            [entry.oldLine, entry.newLine].forEach(number => {
+                const cell = document.createElement('span');
+                cell.className = 'repair-diff__number';
+                cell.textContent = number !== null ? number : '';
+                line.appendChild(cell);
+            });
+
+            const marker = document.createElement('span');
+            marker.className = 'repair-diff__marker';
+            marker.textContent = markers[entry.type];
+            line.appendChild(marker);
+
+            const text = document.createElement('span');
+            text.className = 'repair-diff__text';
+            text.textContent = entry.text;
+            line.appendChild(text);
+
+            fragment.appendChild(line);
+        });
+        flushHidden();
+
+        this.repairDiff.innerHTML = '';
+        this.repairDiff.appendChild(fragment);
+    }
+
+    /**
+     * 미리보기 중인 복구 결과를 입력창에 적용합니다.
+     */
+    applyRepair() {
+        if (!this.pendingRepair || !this.pendingRepair.valid) {
+            return;
+        }
+
+        const repair = this.pendingRepair;
+        this.jsonInput.value = repair.output;
+        this.jsonInputEditor.clearErrors();
+        this.hideRepairPreview();
+        this.autoSaveState();
+
+        this.showSuccess('복구된 JSON이 적용되었습니다.');
+    }
+
+    /**
+     * 복구 미리보기를 닫습니다.
+     */
+    hideRepairPreview() {
+        this.pendingRepair = null;
+
+        if (this.repairPreview) {
+            this.repairPreview.style.display = 'none';
+            this.repairChanges.innerHTML = '';
+            this.repairDiff.innerHTML = '';
+        }
+    }
+
     /**
      * 데이터를 초기화합니다.
      */
     clearData() {
+        this.streamReader.stop();
+        this.hideRepairPreview();
         this.jsonInput.value = '';
+        this.jsonInputEditor.clearErrors();
         this.currentData = null;
+        this.currentDocument = null;
+        this.csvSource = null;
+        this.xmlSource = null;
+        this.updateRootPathPreview();
+        this.tablePicker.reset();
+        this.tableExporter.setFileName('');
         this.tableRenderer.clearTable();
         this.stateManager.clearState();
         this.showSuccess('데이터가 초기화되었습니다.');
@@ -256,6 +1077,10 @@ class JSONTableViewer {
     loadSampleData() {
         const sampleData = this.jsonParser.getSampleData('simpleArray');
         this.jsonInput.value = sampleData;
+        this.csvSource = null;
+        this.xmlSource = null;
+        this.hideRepairPreview();
+        this.jsonInputEditor.clearErrors();
         this.autoSaveState();
         this.showSuccess('샘플 데이터가 로드되었습니다.');
     }
@@ -283,10 +1108,24 @@ class JSONTableViewer {
     getCurrentState() {
         return {
             jsonInput: this.jsonInput.value,
+            inputOptions: {
+                dialect: this.jsonParser.parseOptions.dialect,
+                preciseNumbers: this.jsonParser.parseOptions.preciseNumbers,
+                duplicateKeys: this.jsonParser.parseOptions.duplicateKeys,
+                rootPath: this.jsonParser.parseOptions.rootPath,
+                csvDelimiter: this.csvDelimiterSelect ? this.csvDelimiterSelect.value : 'auto',
+                csvHeader: this.csvHeaderToggle ? this.csvHeaderToggle.checked : true,
+                xmlRowElement: this.xmlRowSelect ? this.xmlRowSelect.value : '',
+                xmlAttributePrefix: this.xmlAttributePrefixInput ? this.xmlAttributePrefixInput.value : '@',
+                xmlTextKey: this.xmlTextKeyInput ? this.xmlTextKeyInput.value : '#text'
+            },
             tableOptions: {
                 sortColumn: null,
                 sortDirection: 'asc',
-                searchTerm: ''
+                searchTerm: '',
+                searchMode: this.searchMode,
+                sortNulls: this.tableRenderer.tableSorter.nullPosition,
+                headerOrder: this.tableRenderer.tableSettings.headerOrder
             }
         };
     }
@@ -301,8 +1140,28 @@ class JSONTableViewer {
             if (savedState) {
                 this.jsonInput.value = savedState.jsonInput;
                 this.currentState = savedState;
+
+                // 입력 형식을 먼저 복원해야 같은 방식으로 파싱됨
+                if (savedState.inputOptions) {
+                    this.setDialect(savedState.inputOptions.dialect);
+                    this.setPreciseNumbers(savedState.inputOptions.preciseNumbers);
+                    this.setDuplicateKeyPolicy(savedState.inputOptions.duplicateKeys);
+                    this.setRootPath(savedState.inputOptions.rootPath);
+                    this.setCSVOptions(savedState.inputOptions.csvDelimiter, savedState.inputOptions.csvHeader);
+                    this.setXMLOptions(
+                        savedState.inputOptions.xmlRowElement,
+                        savedState.inputOptions.xmlAttributePrefix,
+                        savedState.inputOptions.xmlTextKey
+                    );
+                }
                 
-                // JSON이 있으면 자동으로 파싱
+                if (savedState.tableOptions) {
+                    this.setSearchMode(savedState.tableOptions.searchMode);
+                    this.tableRenderer.tableSorter.setNullPosition(savedState.tableOptions.sortNulls);
+                    this.setHeaderOrder(savedState.tableOptions.headerOrder);
+                }
+
+                // JSON이 있으면 자동으로 파싱 (렌더링할 때 데이터셋의 컬럼 레이아웃도 복원됨)
                 if (savedState.jsonInput.trim()) {
                     this.parseJSON();
                 }
@@ -347,9 +1206,13 @@ class JSONTableViewer {
             this.showSuccess('상태가 저장되었습니다.');
         }
 
-        // Escape: 검색 초기화 또는 에러 메시지 닫기
+        // Escape: 파싱 취소, 검색 초기화 또는 에러 메시지 닫기
         if (event.key === 'Escape') {
-            if (this.searchInput && this.searchInput.style.display !== 'none') {
+            if (this.jsonParser.pendingTask) {
+                this.cancelParsing();
+            } else if (this.pendingRepair) {
+                this.hideRepairPreview();
+            } else if (this.searchInput && this.searchInput.style.display !== 'none') {
                 this.clearSearch();
             } else {
                 this.hideNotifications();
@@ -420,13 +1283,34 @@ class JSONTableViewer {
     processFile(file) {
         // 파일 타입 확인
         if (!this.isValidFileType(file)) {
-            this.showError('JSON 관련 파일(.json, .jsonl, .geojson, .ndjson) 또는 텍스트 파일(.txt)만 업로드할 수 있습니다.');
+            this.showError('JSON 관련 파일(.json, .jsonl, .geojson, .ndjson), CSV/TSV 파일(.csv, .tsv, .tab), YAML 파일(.yaml, .yml), XML 파일(.xml), MessagePack/CBOR 파일(.msgpack, .cbor) 또는 텍스트 파일(.txt)만 업로드할 수 있습니다.');
             return;
         }
 
-        // 파일 크기 확인 (10MB 제한)
-        if (file.size > 10 * 1024 * 1024) {
-            this.showError('파일 크기는 10MB를 초과할 수 없습니다.');
+        // 내보내기 파일 이름은 불러온 파일 이름을 따름
+        this.tableExporter.setFileName(file.name);
+
+        // YAML 파일을 읽은 뒤 다른 파일을 열면 입력 형식을 JSON으로 되돌림
+        const isYAML = this.isYAMLFile(file);
+        if (!isYAML && this.jsonParser.parseOptions.dialect === 'yaml') {
+            this.setDialect('json');
+        }
+
+        // CSV/TSV는 인코딩을 감지해야 하므로 바이트로 읽어 변환
+        if (this.csvParser.isDelimitedFile(file)) {
+            this.processDelimitedFile(file);
+            return;
+        }
+
+        // MessagePack/CBOR는 바이트로 읽어 디코딩
+        if (this.binaryDecoder.isBinaryFile(file)) {
+            this.processBinaryFile(file);
+            return;
+        }
+
+        // 큰 파일은 스트리밍으로 읽기 (YAML, XML은 문서 전체를 파싱해야 하므로 제외)
+        if (file.size > this.streamingThreshold && !isYAML && !this.xmlParser.isXMLFile(file)) {
+            this.processFileStreaming(file);
             return;
         }
 
@@ -436,13 +1320,22 @@ class JSONTableViewer {
         reader.onload = (event) => {
             try {
                 const content = event.target.result;
+                this.xmlSource = null;
                 const processedContent = this.processFileContent(content, file.name);
                 this.jsonInput.value = processedContent;
+                this.csvSource = null;
+                this.hideRepairPreview();
                 
                 // 자동으로 JSON 파싱 시도
                 this.parseJSON();
                 
-                this.showSuccess(`파일 "${file.name}"이 성공적으로 로드되었습니다.`);
+                if (this.xmlSource) {
+                    this.showXMLImportSummary();
+                } else if (isYAML) {
+                    this.showSuccess(`YAML 파일 "${file.name}"을 불러왔습니다. Format JSON을 누르면 변환된 JSON을 볼 수 있습니다.`);
+                } else {
+                    this.showSuccess(`파일 "${file.name}"이 성공적으로 로드되었습니다.`);
+                }
             } catch (error) {
                 console.error('파일 처리 중 오류:', error);
                 this.showError('파일 처리 중 오류가 발생했습니다: ' + error.message);
@@ -456,6 +1349,216 @@ class JSONTableViewer {
         reader.readAsText(file, 'UTF-8');
     }
 
+    /**
+     * CSV/TSV 파일을 읽어 테이블로 변환합니다.
+     * @param {File} file - 처리할 파일
+     */
+    async processDelimitedFile(file) {
+        try {
+            this.jsonParser.cancelParsing();
+            this.streamReader.stop();
+
+            const buffer = await file.arrayBuffer();
+            const { text, encoding } = this.csvParser.decode(buffer);
+
+            this.csvSource = { text: text, fileName: file.name, encoding: encoding };
+            this.xmlSource = null;
+            this.importDelimitedText();
+        } catch (error) {
+            console.error('CSV 파일 처리 중 오류:', error);
+            this.showError('CSV 파일 처리 중 오류가 발생했습니다: ' + error.message);
+        }
+    }
+
+    /**
+     * MessagePack/CBOR 파일을 디코딩하여 입력창에 JSON으로 넣고 테이블을 표시합니다.
+     * @param {File} file - 처리할 파일
+     */
+    async processBinaryFile(file) {
+        const format = this.binaryDecoder.getFormat(file);
+        const formatName = this.binaryDecoder.getFormatName(format);
+
+        try {
+            this.jsonParser.cancelParsing();
+            this.streamReader.stop();
+
+            const buffer = await file.arrayBuffer();
+            const { value, valueCount } = this.binaryDecoder.decode(buffer, format, {
+                preciseNumbers: this.jsonParser.parseOptions.preciseNumbers
+            });
+
+            // 입력창의 JSON을 통해 일반 JSON과 같은 경로(루트 경로, 테이블 선택기 등)로 표시
+            this.jsonInput.value = this.jsonParser.stringify(value, 2);
+            this.csvSource = null;
+            this.xmlSource = null;
+            this.hideRepairPreview();
+            this.jsonInputEditor.clearErrors();
+            this.parseJSON();
+
+            this.showSuccess(`${formatName} 파일 "${file.name}"을 불러왔습니다. (값 ${valueCount.toLocaleString()}개)`);
+        } catch (error) {
+            console.error(`${formatName} 파일 처리 중 오류:`, error);
+            this.showError(`${formatName} 파일 처리 중 오류가 발생했습니다: ${error.message}`);
+        }
+    }
+
+    /**
+     * 불러온 CSV/TSV를 현재 CSV 옵션으로 변환하여 입력창에 JSON으로 넣고 테이블을 표시합니다.
+     */
+    importDelimitedText() {
+        const source = this.csvSource;
+        const selectedDelimiter = this.csvDelimiterSelect ? this.csvDelimiterSelect.value : 'auto';
+        const delimiter = selectedDelimiter === 'auto'
+            ? this.csvParser.getDelimiterForFile(source.fileName)
+            : (selectedDelimiter === 'tab' ? '\t' : selectedDelimiter);
+
+        const result = this.csvParser.parse(source.text, {
+            delimiter: delimiter,
+            header: this.csvHeaderToggle ? this.csvHeaderToggle.checked : true,
+            preciseNumbers: this.jsonParser.parseOptions.preciseNumbers
+        });
+
+        // 입력창의 JSON을 통해 일반 JSON과 같은 경로(루트 경로, 테이블 선택기 등)로 표시
+        this.jsonInput.value = this.jsonParser.stringify(result.rows, 2);
+        this.hideRepairPreview();
+        this.jsonInputEditor.clearErrors();
+        this.parseJSON();
+
+        const summary = `${result.rows.length.toLocaleString()}행, ${result.columns.length}열 · ` +
+            `구분자 ${this.csvParser.getDelimiterName(result.delimiter)} · ${source.encoding}`;
+
+        if (result.errors.length > 0) {
+            this.showNotification(`파일 "${source.fileName}"을 불러왔지만 문제가 있습니다: ${result.errors[0].message} (${summary})`, 'warning');
+        } else {
+            this.showSuccess(`파일 "${source.fileName}"을 불러왔습니다. (${summary})`);
+        }
+    }
+
+    /**
+     * 큰 파일을 스트리밍으로 읽어 테이블을 점진적으로 채웁니다.
+     * JSONL/NDJSON은 줄 단위, 최상위 JSON 배열은 요소 단위로 처리합니다.
+     * @param {File} file - 처리할 파일
+     */
+    async processFileStreaming(file) {
+        if (!this.streamReader.isSupported(file)) {
+            this.showError(`파일 "${file.name}"이 너무 커서 스트리밍으로 읽어야 하지만 이 브라우저는 파일 스트리밍을 지원하지 않습니다.`);
+            return;
+        }
+
+        // 진행 중인 작업 중단
+        this.jsonParser.cancelParsing();
+        this.streamReader.stop();
+
+        const rows = [];
+        this.currentData = rows;
+        // 스트리밍한 행 배열 자체를 문서로 보고 루트 경로를 적용
+        this.currentDocument = rows;
+        this.tablePicker.setCandidates([]);
+        this.tableRenderer.showLoading();
+        this.showStreamStatus(file);
+
+        const result = await this.streamReader.readFile(file, {
+            maxRows: this.getStreamRowLimit(),
+            parseValue: (text) => this.jsonParser.parseStrictJSON(text),
+            onRows: (batch) => {
+                // 현재 스트리밍 데이터가 아니면 (다른 데이터로 교체된 경우) 무시
+                if (this.currentData !== rows) {
+                    return;
+                }
+                batch.forEach(row => rows.push(row));
+                this.tableRenderer.appendTableData(rows, batch);
+            },
+            onProgress: (bytesRead, totalBytes, rowCount) => {
+                this.updateStreamStatus(bytesRead, totalBytes, rowCount);
+            }
+        });
+
+        this.hideStreamStatus();
+
+        if (this.currentData !== rows) {
+            return;
+        }
+
+        if (!result.success && rows.length === 0) {
+            this.currentData = null;
+            this.currentDocument = null;
+            this.tableRenderer.showError(result.error);
+            this.showError(`파일 "${file.name}"을 읽는 중 오류가 발생했습니다: ${result.error}`);
+            return;
+        }
+
+        if (rows.length === 0) {
+            this.tableRenderer.showEmptyState();
+        }
+
+        if (!result.success) {
+            this.showNotification(`${rows.length.toLocaleString()}행까지 읽은 후 오류가 발생했습니다: ${result.error}`, 'warning');
+        } else if (result.stopped) {
+            this.showNotification(`파일 "${file.name}"에서 ${rows.length.toLocaleString()}행을 읽고 중단했습니다.`, 'warning');
+        } else {
+            this.showSuccess(`파일 "${file.name}"에서 ${rows.length.toLocaleString()}행을 스트리밍으로 불러왔습니다.`);
+        }
+    }
+
+    /**
+     * 스트리밍 최대 행 수 입력값을 가져옵니다.
+     * @returns {number|null} 최대 행 수 (비어 있으면 null)
+     */
+    getStreamRowLimit() {
+        if (!this.streamRowLimit) {
+            return null;
+        }
+
+        const value = parseInt(this.streamRowLimit.value, 10);
+        return value > 0 ? value : null;
+    }
+
+    /**
+     * 스트리밍 상태 표시줄을 표시합니다.
+     * @param {File} file - 읽고 있는 파일
+     */
+    showStreamStatus(file) {
+        if (!this.streamStatus) {
+            return;
+        }
+
+        this.streamStatus.style.display = 'flex';
+        this.streamStatus.setAttribute('data-file', file.name);
+        this.updateStreamStatus(0, file.size, 0);
+    }
+
+    /**
+     * 스트리밍 진행 상황을 업데이트합니다.
+     * @param {number} bytesRead - 읽은 바이트 수
+     * @param {number} totalBytes - 전체 바이트 수
+     * @param {number} rowCount - 읽은 행 수
+     */
+    updateStreamStatus(bytesRead, totalBytes, rowCount) {
+        if (!this.streamStatus) {
+            return;
+        }
+
+        const toMB = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+        const percent = totalBytes > 0 ? (bytesRead / totalBytes) * 100 : 0;
+
+        if (this.streamStatusText) {
+            this.streamStatusText.textContent =
+                `${rowCount.toLocaleString()}행 읽는 중 (${toMB(bytesRead)}MB / ${toMB(totalBytes)}MB)`;
+        }
+        if (this.streamProgressBar) {
+            this.streamProgressBar.style.width = `${percent}%`;
+        }
+    }
+
+    /**
+     * 스트리밍 상태 표시줄을 숨깁니다.
+     */
+    hideStreamStatus() {
+        if (this.streamStatus) {
+            this.streamStatus.style.display = 'none';
+        }
+    }
+
     /**
      * 파일 내용을 형식에 따라 처리합니다.
      * @param {string} content - 파일 내용
@@ -473,6 +1576,15 @@ class JSONTableViewer {
             case 'geojson':
                 // GeoJSON: 지리적 데이터 형식
                 return this.processGeoJSON(content);
+            case 'xml':
+                // XML: 반복 요소를 행으로 변환
+                return this.processXML(content, fileName);
+            case 'yaml':
+            case 'yml':
+                // YAML: 원문을 그대로 두고 입력 형식을 YAML로 바꿔 파싱
+                // (문서가 여러 개면 각 문서가 한 행, 포맷팅하면 JSON으로 변환)
+                this.setDialect('yaml');
+                return content;
             case 'json':
             case 'txt':
             default:
@@ -494,7 +1606,7 @@ class JSONTableViewer {
             const line = lines[i].trim();
             if (line) {
                 try {
-                    const jsonObj = JSON.parse(line);
+                    const jsonObj = this.jsonParser.parseStrictJSON(line);
                     jsonObjects.push(jsonObj);
                 } catch (error) {
                     console.warn(`JSONL 라인 ${i + 1} 파싱 실패:`, error.message);
@@ -504,7 +1616,7 @@ class JSONTableViewer {
             }
         }
         
-        return JSON.stringify(jsonObjects, null, 2);
+        return this.jsonParser.stringify(jsonObjects, 2);
     }
 
     /**
@@ -514,7 +1626,7 @@ class JSONTableViewer {
      */
     processGeoJSON(content) {
         try {
-            const geoJson = JSON.parse(content);
+            const geoJson = this.jsonParser.parseStrictJSON(content);
             
             // GeoJSON의 FeatureCollection을 테이블로 표시하기 위해 변환
             if (geoJson.type === 'FeatureCollection' && geoJson.features) {
@@ -524,9 +1636,9 @@ class JSONTableViewer {
                         type: feature.type,
                         geometry_type: feature.geometry?.type || null,
                         geometry_coordinates: feature.geometry?.coordinates ? 
-                            JSON.stringify(feature.geometry.coordinates) : null,
+                            this.jsonParser.stringify(feature.geometry.coordinates) : null,
                         properties: feature.properties ? 
-                            JSON.stringify(feature.properties) : null
+                            this.jsonParser.stringify(feature.properties) : null
                     };
                     
                     // properties의 개별 필드들도 추가
@@ -539,7 +1651,7 @@ class JSONTableViewer {
                     return row;
                 });
                 
-                return JSON.stringify(features, null, 2);
+                return this.jsonParser.stringify(features, 2);
             }
             
             // 다른 GeoJSON 형식은 그대로 반환
@@ -550,6 +1662,67 @@ class JSONTableViewer {
         }
     }
 
+    /**
+     * XML을 선택한 행 요소 기준의 행 배열로 변환합니다.
+     * 원문은 옵션을 바꿔 다시 변환할 수 있도록 보관합니다.
+     * @param {string} content - XML 내용
+     * @param {string} fileName - 파일 이름
+     * @returns {string} JSON 배열 형태로 변환된 내용
+     * @throws {Error} XML 문법 오류
+     */
+    processXML(content, fileName) {
+        const result = this.xmlParser.parse(content, this.getXMLOptions());
+        const error = result.errors.find(item => item.severity !== 'warning');
+        if (error) {
+            throw new Error(error.message);
+        }
+
+        const warning = result.errors.find(item => item.severity === 'warning');
+        this.xmlSource = {
+            text: content,
+            fileName: fileName,
+            rowElement: result.rowElement,
+            rowCount: result.rows.length,
+            warning: warning ? warning.message : null
+        };
+        this.updateXMLRowOptions(result.candidates);
+
+        return this.jsonParser.stringify(result.rows, 2);
+    }
+
+    /**
+     * 불러온 XML을 현재 XML 옵션으로 다시 변환하여 테이블을 표시합니다.
+     */
+    importXMLText() {
+        const source = this.xmlSource;
+
+        try {
+            this.jsonInput.value = this.processXML(source.text, source.fileName);
+        } catch (error) {
+            this.showError('XML 변환 중 오류가 발생했습니다: ' + error.message);
+            return;
+        }
+
+        this.hideRepairPreview();
+        this.jsonInputEditor.clearErrors();
+        this.parseJSON();
+        this.showXMLImportSummary();
+    }
+
+    /**
+     * 마지막 XML 변환 결과를 알림으로 표시합니다.
+     */
+    showXMLImportSummary() {
+        const source = this.xmlSource;
+        const summary = `행 요소 <${source.rowElement}> · ${source.rowCount.toLocaleString()}행`;
+
+        if (source.warning) {
+            this.showNotification(`파일 "${source.fileName}"을 불러왔지만 문제가 있습니다: ${source.warning} (${summary})`, 'warning');
+        } else {
+            this.showSuccess(`파일 "${source.fileName}"을 불러왔습니다. (${summary})`);
+        }
+    }
+
     /**
      * 파일 타입이 유효한지 확인합니다.
      * @param {File} file - 확인할 파일
@@ -561,10 +1734,22 @@ class JSONTableViewer {
             'text/json',
             'text/plain',
             'application/geo+json',
-            'application/vnd.geo+json'
+            'application/vnd.geo+json',
+            'text/csv',
+            'text/tab-separated-values',
+            'application/yaml',
+            'application/x-yaml',
+            'text/yaml',
+            'text/x-yaml',
+            'application/xml',
+            'text/xml',
+            'application/msgpack',
+            'application/x-msgpack',
+            'application/vnd.msgpack',
+            'application/cbor'
         ];
         
-        const validExtensions = ['.json', '.jsonl', '.geojson', '.ndjson', '.txt'];
+        const validExtensions = ['.json', '.jsonl', '.geojson', '.ndjson', '.txt', '.csv', '.tsv', '.tab', '.yaml', '.yml', '.xml', '.msgpack', '.mpk', '.cbor'];
         
         // MIME 타입 확인
         if (validTypes.includes(file.type)) {
@@ -576,6 +1761,17 @@ class JSONTableViewer {
         return validExtensions.some(ext => fileName.endsWith(ext));
     }
 
+    /**
+     * YAML 파일인지 확인합니다.
+     * @param {File} file - 확인할 파일
+     * @returns {boolean} YAML 파일 여부
+     */
+    isYAMLFile(file) {
+        const fileName = file.name.toLowerCase();
+        return fileName.endsWith('.yaml') || fileName.endsWith('.yml') ||
+            ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml'].includes(file.type);
+    }
+
     /**
      * 검색 토글을 처리합니다.
      */
@@ -590,11 +1786,19 @@ class JSONTableViewer {
             // 검색창 숨기기
             this.searchInput.style.display = 'none';
             this.searchClear.style.display = 'none';
+            if (this.searchModeToggle) {
+                this.searchModeToggle.style.display = 'none';
+            }
+            this.tableRenderer.tableSearch.setVisible(false);
             this.searchToggle.textContent = '🔍';
         } else {
             // 검색창 보이기
             this.searchInput.style.display = 'inline-block';
             this.searchClear.style.display = 'inline-block';
+            if (this.searchModeToggle) {
+                this.searchModeToggle.style.display = 'inline-block';
+            }
+            this.tableRenderer.tableSearch.setVisible(true);
             this.searchToggle.textContent = '✕';
             this.searchInput.focus();
         }
@@ -612,14 +1816,136 @@ class JSONTableViewer {
         // 디바운싱 적용
         clearTimeout(this.searchTimeout);
         this.searchTimeout = setTimeout(() => {
-            this.tableRenderer.searchTable(searchTerm, this.currentData);
-            
-            if (searchTerm.trim()) {
-                this.showSuccess(`"${searchTerm}" 검색 결과를 표시합니다.`);
+            const applied = this.refreshTableView();
+
+            if (applied && searchTerm.trim()) {
+                if (this.searchMode === 'query') {
+                    this.showSuccess(`쿼리 결과 ${this.tableRenderer.currentData.length}행을 표시합니다.`);
+                } else {
+                    this.showSuccess(`"${searchTerm}" 검색 결과를 표시합니다.`);
+                }
             }
         }, 300);
     }
 
+    /**
+     * 검색창에서 Enter를 처리합니다.
+     * 입력한 검색어가 아직 적용되지 않았으면 바로 검색하고, 적용되었으면 일치 항목을 탐색합니다.
+     * @param {boolean} backward - 이전 일치 항목으로 이동할지 여부
+     */
+    handleSearchEnter(backward) {
+        if (!this.currentData || !this.tableRenderer) {
+            return;
+        }
+
+        const searchTerm = this.searchInput.value;
+        if (this.searchMode === 'query' || searchTerm !== this.tableRenderer.searchTerm) {
+            this.refreshTableView();
+            return;
+        }
+
+        if (backward) {
+            this.tableRenderer.tableSearch.prev();
+        } else {
+            this.tableRenderer.tableSearch.next();
+        }
+    }
+
+    /**
+     * 원본 데이터에 현재 검색어(또는 쿼리)와 컬럼 필터를 다시 적용합니다.
+     * 쿼리에 문법 오류가 있으면 검색창 아래에 오류를 표시하고 마지막으로 성공한 쿼리를 유지합니다.
+     * @returns {boolean} 검색어나 쿼리가 그대로 적용되었는지 여부
+     */
+    refreshTableView() {
+        if (!this.currentData || !this.tableRenderer) {
+            return false;
+        }
+
+        clearTimeout(this.searchTimeout);
+        const searchTerm = this.searchInput ? this.searchInput.value : '';
+
+        if (this.searchMode !== 'query') {
+            const tableSearch = this.tableRenderer.tableSearch;
+            const error = tableSearch.validate(searchTerm);
+            this.showSearchError(error);
+            if (error) {
+                // 정규식을 고칠 때까지 마지막으로 적용한 검색어 유지 (필터와 정렬은 반영)
+                const lastTerm = this.tableRenderer.searchTerm;
+                this.tableRenderer.searchTable(tableSearch.validate(lastTerm) ? '' : lastTerm, this.currentData);
+                return false;
+            }
+            this.tableRenderer.searchTable(searchTerm, this.currentData);
+            return true;
+        }
+
+        let applied = true;
+        try {
+            this.searchQuery = this.queryParser.compile(searchTerm);
+            this.searchQueryText = searchTerm;
+            this.showSearchError(null);
+        } catch (error) {
+            this.showSearchError(error.message);
+            applied = false;
+        }
+
+        this.tableRenderer.searchTable('', this.currentData, {
+            query: this.searchQuery,
+            queryText: this.searchQueryText
+        });
+        return applied;
+    }
+
+    /**
+     * 검색 모드를 설정합니다.
+     * @param {string} mode - 'text' (포함 검색) 또는 'query' (고급 쿼리)
+     */
+    setSearchMode(mode) {
+        this.searchMode = mode === 'query' ? 'query' : 'text';
+        this.searchQuery = null;
+        this.searchQueryText = '';
+        this.showSearchError(null);
+
+        this.tableRenderer.tableSearch.setEnabled(this.searchMode !== 'query');
+
+        if (this.searchModeToggle) {
+            const isQuery = this.searchMode === 'query';
+            this.searchModeToggle.setAttribute('aria-pressed', String(isQuery));
+            this.searchModeToggle.classList.toggle('btn--active', isQuery);
+        }
+        if (this.searchInput) {
+            this.searchInput.placeholder = this.searchMode === 'query'
+                ? '예: age > 30 and city in ("Seoul", "Busan")'
+                : '테이블에서 검색...';
+        }
+    }
+
+    /**
+     * 헤더 정렬 방식을 설정합니다.
+     * 컬럼 메뉴에서 직접 순서를 바꾼 데이터셋은 저장된 순서가 우선합니다.
+     * @param {string} mode - 'source' (원본 순서), 'alphabetical' (가나다순), 'frequency' (값이 많은 순)
+     */
+    setHeaderOrder(mode) {
+        this.tableRenderer.setHeaderOrder(mode);
+        if (this.headerOrderSelect) {
+            this.headerOrderSelect.value = this.tableRenderer.tableSettings.headerOrder;
+        }
+    }
+
+    /**
+     * 쿼리 문법 오류를 검색창 아래에 표시합니다.
+     * @param {string|null} message - 오류 메시지 (null이면 숨김)
+     */
+    showSearchError(message) {
+        if (this.searchInput) {
+            this.searchInput.classList.toggle('search-input--invalid', !!message);
+            this.searchInput.setAttribute('aria-invalid', String(!!message));
+        }
+        if (this.searchError) {
+            this.searchError.textContent = message || '';
+            this.searchError.style.display = message ? '' : 'none';
+        }
+    }
+
     /**
      * 검색을 초기화합니다.
      */
@@ -629,10 +1955,13 @@ class JSONTableViewer {
         }
 
         this.searchInput.value = '';
+        this.searchQuery = null;
+        this.searchQueryText = '';
+        this.showSearchError(null);
         
         if (this.currentData) {
-            // 원본 데이터로 테이블 재렌더링
-            this.tableRenderer.renderTable(this.currentData);
+            // 원본 데이터로 테이블 재렌더링 (컬럼 필터는 유지)
+            this.tableRenderer.searchTable('', this.currentData);
         }
         
         this.showSuccess('검색이 초기화되었습니다.');
@@ -640,25 +1969,27 @@ class JSONTableViewer {
 
     /**
      * 정렬 클릭을 처리합니다.
+     * 클릭하면 그 컬럼으로만 정렬하고, Shift+클릭하면 보조 정렬 기준으로 추가합니다.
      * @param {HTMLElement} header - 클릭된 헤더 요소
+     * @param {boolean} additive - 기존 정렬 기준에 추가할지 여부
      */
-    handleSortClick(header) {
+    handleSortClick(header, additive = false) {
         if (!this.currentData || this.currentData.length === 0) {
             return;
         }
 
         const column = header.getAttribute('data-column');
-        const currentDirection = header.getAttribute('aria-sort');
-        
-        let newDirection = 'asc';
-        if (currentDirection === 'asc') {
-            newDirection = 'desc';
-        } else if (currentDirection === 'desc') {
-            newDirection = 'asc';
-        }
+        const sorter = this.tableRenderer.tableSorter;
+        sorter.toggle(column, additive);
 
-        this.tableRenderer.sortTable(column, newDirection, this.currentData);
-        this.showSuccess(`"${column}" 컬럼으로 ${newDirection === 'asc' ? '오름차순' : '내림차순'} 정렬되었습니다.`);
+        // 검색과 필터 결과가 유지되도록 원본 데이터에서 다시 적용 (정렬 해제 시 원래 순서로 돌아감)
+        this.refreshTableView();
+
+        if (sorter.sortKeys.length > 0) {
+            this.showSuccess(`${sorter.describe()} 순서로 정렬되었습니다.`);
+        } else {
+            this.showSuccess('정렬이 해제되었습니다.');
+        }
     }
 
     /**
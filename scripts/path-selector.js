@@ -0,0 +1,1572 @@
+/**
+ * 경로 선택 모듈
+ * JSONPath 또는 JMESPath 표현식으로 JSON 문서에서 테이블로 만들 노드를 고릅니다.
+ * - '$'로 시작하면 JSONPath (예: $.response.data.items, $..items[*], $.list[?(@.active == true)])
+ * - 그 외에는 JMESPath (예: response.data.items, people[?age > `20`].name, items[*].{id: id}, sort_by(items, &age))
+ */
+
+class PathSelector {
+    constructor() {
+        // JMESPath 연산자 결합 우선순위
+        this.bindingPower = {
+            EOF: 0,
+            UnquotedIdentifier: 0,
+            QuotedIdentifier: 0,
+            Rbracket: 0,
+            Rparen: 0,
+            Comma: 0,
+            Rbrace: 0,
+            Number: 0,
+            Current: 0,
+            Colon: 0,
+            Literal: 0,
+            Expref: 0,
+            Pipe: 1,
+            Or: 2,
+            And: 3,
+            EQ: 5,
+            GT: 5,
+            LT: 5,
+            GTE: 5,
+            LTE: 5,
+            NE: 5,
+            Flatten: 9,
+            Star: 20,
+            Filter: 21,
+            Dot: 40,
+            Not: 45,
+            Lbrace: 50,
+            Lbracket: 55,
+            Lparen: 60
+        };
+
+        // 오류 메시지에 표시할 토큰 이름
+        this.tokenNames = {
+            Rbracket: '"]"',
+            Rparen: '")"',
+            Rbrace: '"}"',
+            Colon: '":"',
+            Comma: '","',
+            Star: '"*"'
+        };
+
+        // JMESPath 표준 함수
+        this.functions = this.createJMESPathFunctions();
+
+        // 인자 타입 이름 (함수 인자 오류 메시지용)
+        this.argumentTypeNames = {
+            any: '값',
+            number: '숫자',
+            string: '문자열',
+            boolean: '불리언',
+            array: '배열',
+            object: '객체',
+            null: 'null',
+            expref: '표현식 참조(&식)',
+            'array-number': '숫자 배열',
+            'array-string': '문자열 배열'
+        };
+
+        this.preciseNumbers = new PreciseNumbers();
+
+        // JMESPath 파서 상태
+        this.tokens = [];
+        this.index = 0;
+    }
+
+    /**
+     * 표현식의 문법 종류를 판별합니다.
+     * @param {string} expression - 경로 표현식
+     * @returns {string} 'jsonpath' 또는 'jmespath'
+     */
+    getSyntax(expression) {
+        return expression.trim().startsWith('$') ? 'jsonpath' : 'jmespath';
+    }
+
+    /**
+     * 표현식으로 데이터에서 노드를 선택합니다.
+     * @param {*} data - 원본 데이터
+     * @param {string} expression - JSONPath 또는 JMESPath 표현식
+     * @returns {Object} { success, value, found, syntax, error }
+     */
+    select(data, expression) {
+        const trimmed = (expression || '').trim();
+        const syntax = this.getSyntax(trimmed);
+        const result = { success: false, value: null, found: false, syntax: syntax, error: null };
+
+        if (!trimmed) {
+            result.success = true;
+            result.value = data;
+            result.found = true;
+            return result;
+        }
+
+        try {
+            if (syntax === 'jsonpath') {
+                const segments = this.parseJSONPath(trimmed);
+                const matches = this.evaluateJSONPath(data, segments);
+
+                // 와일드카드 등이 없는 단일 경로는 값 자체를, 그 외에는 일치 항목 배열을 반환
+                result.value = this.isDefinitePath(segments) ? (matches.length > 0 ? matches[0] : null) : matches;
+                result.found = matches.length > 0;
+            } else {
+                const ast = this.parseJMESPath(trimmed);
+                result.value = this.visit(ast, data);
+                result.found = result.value !== null && result.value !== undefined;
+            }
+            result.success = true;
+        } catch (error) {
+            result.error = error.message;
+        }
+
+        return result;
+    }
+
+    // ===== JSONPath =====
+
+    /**
+     * JSONPath 표현식을 경로 조각 목록으로 파싱합니다.
+     * @param {string} expression - '$'로 시작하는 JSONPath
+     * @returns {Array} 경로 조각 ({ type, recursive, ... })
+     */
+    parseJSONPath(expression) {
+        const segments = [];
+        let i = 1; // '$' 다음
+
+        while (i < expression.length) {
+            const char = expression[i];
+            let recursive = false;
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            if (char === '.') {
+                if (expression[i + 1] === '.') {
+                    recursive = true;
+                    i += 2;
+                } else {
+                    i++;
+                }
+
+                if (expression[i] === '[') {
+                    const bracket = this.parseJSONPathBracket(expression, i);
+                    segments.push({ ...bracket.segment, recursive: recursive });
+                    i = bracket.end;
+                    continue;
+                }
+
+                if (expression[i] === '*') {
+                    segments.push({ type: 'wildcard', recursive: recursive });
+                    i++;
+                    continue;
+                }
+
+                const match = /^[^.[\]\s]+/.exec(expression.slice(i));
+                if (!match) {
+                    throw new Error(`JSONPath ${i + 1}번째 문자에 키 이름이 필요합니다.`);
+                }
+                segments.push({ type: 'names', names: [match[0]], recursive: recursive });
+                i += match[0].length;
+                continue;
+            }
+
+            if (char === '[') {
+                const bracket = this.parseJSONPathBracket(expression, i);
+                segments.push({ ...bracket.segment, recursive: false });
+                i = bracket.end;
+                continue;
+            }
+
+            throw new Error(`JSONPath ${i + 1}번째 문자 "${char}"를 해석할 수 없습니다.`);
+        }
+
+        return segments;
+    }
+
+    /**
+     * JSONPath의 대괄호 구문을 파싱합니다.
+     * @param {string} expression - JSONPath
+     * @param {number} start - '[' 위치
+     * @returns {Object} { segment, end }
+     */
+    parseJSONPathBracket(expression, start) {
+        // 따옴표와 괄호 중첩을 고려하여 닫는 ']' 찾기
+        let depth = 0;
+        let quote = null;
+        let end = -1;
+
+        for (let i = start + 1; i < expression.length; i++) {
+            const char = expression[i];
+            if (quote) {
+                if (char === '\\') {
+                    i++;
+                } else if (char === quote) {
+                    quote = null;
+                }
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')') {
+                depth--;
+            } else if (char === ']' && depth === 0) {
+                end = i;
+                break;
+            }
+        }
+
+        if (end === -1) {
+            throw new Error('JSONPath의 "["가 닫히지 않았습니다.');
+        }
+
+        const content = expression.slice(start + 1, end).trim();
+        let segment;
+
+        if (content === '*') {
+            segment = { type: 'wildcard' };
+        } else if (content.startsWith('?')) {
+            const filter = content.slice(1).trim().replace(/^\((.*)\)$/s, '$1');
+            segment = { type: 'filter', filter: this.parseJSONPathFilter(filter) };
+        } else if (/^-?\d*\s*:\s*-?\d*(\s*:\s*-?\d*)?$/.test(content)) {
+            const [startText, endText, stepText] = content.split(':').map(part => part.trim());
+            segment = {
+                type: 'slice',
+                start: startText ? parseInt(startText, 10) : null,
+                end: endText ? parseInt(endText, 10) : null,
+                step: stepText ? parseInt(stepText, 10) : 1
+            };
+        } else {
+            const parts = this.splitUnion(content);
+            if (parts.every(part => /^-?\d+$/.test(part))) {
+                segment = { type: 'indexes', indexes: parts.map(part => parseInt(part, 10)) };
+            } else if (parts.every(part => /^(['"]).*\1$/s.test(part))) {
+                segment = { type: 'names', names: parts.map(part => this.parseQuotedString(part)) };
+            } else {
+                throw new Error(`JSONPath 대괄호 구문 "[${content}]"를 해석할 수 없습니다.`);
+            }
+        }
+
+        return { segment: segment, end: end + 1 };
+    }
+
+    /**
+     * 쉼표로 구분된 대괄호 내용을 나눕니다. (따옴표 안의 쉼표는 무시)
+     * @param {string} content - 대괄호 내용
+     * @returns {Array} 항목 목록
+     */
+    splitUnion(content) {
+        const parts = [];
+        let current = '';
+        let quote = null;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (quote) {
+                current += char;
+                if (char === '\\') {
+                    current += content[++i] || '';
+                } else if (char === quote) {
+                    quote = null;
+                }
+            } else if (char === '"' || char === "'") {
+                quote = char;
+                current += char;
+            } else if (char === ',') {
+                parts.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        parts.push(current.trim());
+
+        return parts;
+    }
+
+    /**
+     * 작은따옴표 또는 큰따옴표 문자열을 해석합니다.
+     * @param {string} text - 따옴표를 포함한 문자열
+     * @returns {string} 문자열 값
+     */
+    parseQuotedString(text) {
+        if (text[0] === '"') {
+            return JSON.parse(text);
+        }
+        return text.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+
+    /**
+     * JSONPath 필터 식을 파싱합니다.
+     * 지원: @.path, @.path 비교연산자 값, &&, ||, !
+     * @param {string} filter - 필터 식 (예: @.price < 10 && @.category == 'fiction')
+     * @returns {Object} 필터 트리
+     */
+    parseJSONPathFilter(filter) {
+        const orParts = this.splitLogical(filter, '||');
+        if (orParts.length > 1) {
+            return { type: 'or', children: orParts.map(part => this.parseJSONPathFilter(part)) };
+        }
+
+        const andParts = this.splitLogical(filter, '&&');
+        if (andParts.length > 1) {
+            return { type: 'and', children: andParts.map(part => this.parseJSONPathFilter(part)) };
+        }
+
+        let text = filter.trim();
+        if (text.startsWith('!')) {
+            return { type: 'not', child: this.parseJSONPathFilter(text.slice(1)) };
+        }
+        if (text.startsWith('(') && text.endsWith(')')) {
+            return this.parseJSONPathFilter(text.slice(1, -1));
+        }
+
+        const match = /^(@(?:\.[^\s.[\]=!<>~]+|\[(?:'[^']*'|"[^"]*"|-?\d+)\])*)\s*(?:(==|!=|<=|>=|<|>|=~)\s*(.+))?$/s.exec(text);
+        if (!match) {
+            throw new Error(`JSONPath 필터 "${text}"를 해석할 수 없습니다.`);
+        }
+
+        const pathSegments = match[1] === '@' ? [] : this.parseJSONPath('$' + match[1].slice(1));
+        return {
+            type: 'compare',
+            path: pathSegments,
+            operator: match[2] || null,
+            operand: match[3] !== undefined ? this.parseFilterLiteral(match[3].trim()) : null
+        };
+    }
+
+    /**
+     * 괄호와 따옴표 밖의 논리 연산자로 필터 식을 나눕니다.
+     * @param {string} text - 필터 식
+     * @param {string} operator - '&&' 또는 '||'
+     * @returns {Array} 나뉜 식 목록
+     */
+    splitLogical(text, operator) {
+        const parts = [];
+        let depth = 0;
+        let quote = null;
+        let last = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === '\\') {
+                    i++;
+                } else if (char === quote) {
+                    quote = null;
+                }
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')') {
+                depth--;
+            } else if (depth === 0 && text.startsWith(operator, i)) {
+                parts.push(text.slice(last, i));
+                last = i + operator.length;
+                i += operator.length - 1;
+            }
+        }
+        parts.push(text.slice(last));
+
+        return parts;
+    }
+
+    /**
+     * 필터의 비교 값을 해석합니다.
+     * @param {string} text - 값 문자열 (문자열, 숫자, true/false/null, /정규식/)
+     * @returns {*} 해석된 값
+     */
+    parseFilterLiteral(text) {
+        const regexMatch = /^\/(.*)\/([a-z]*)$/s.exec(text);
+        if (regexMatch) {
+            return new RegExp(regexMatch[1], regexMatch[2]);
+        }
+        if (/^(['"]).*\1$/s.test(text)) {
+            return this.parseQuotedString(text);
+        }
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`JSONPath 필터 값 "${text}"를 해석할 수 없습니다.`);
+        }
+    }
+
+    /**
+     * JSONPath 경로가 항상 하나의 값만 가리키는지 확인합니다.
+     * @param {Array} segments - 경로 조각
+     * @returns {boolean} 단일 경로 여부
+     */
+    isDefinitePath(segments) {
+        return segments.every(segment =>
+            !segment.recursive &&
+            ((segment.type === 'names' && segment.names.length === 1) ||
+             (segment.type === 'indexes' && segment.indexes.length === 1))
+        );
+    }
+
+    /**
+     * JSONPath를 평가합니다.
+     * @param {*} data - 원본 데이터
+     * @param {Array} segments - 경로 조각
+     * @returns {Array} 일치하는 값 목록
+     */
+    evaluateJSONPath(data, segments) {
+        let nodes = [data];
+
+        segments.forEach(segment => {
+            const next = [];
+            nodes.forEach(node => {
+                const candidates = segment.recursive ? this.collectDescendants(node) : [node];
+                candidates.forEach(candidate => {
+                    this.selectChildren(candidate, segment, next);
+                });
+            });
+            nodes = next;
+        });
+
+        return nodes;
+    }
+
+    /**
+     * 노드 자신과 모든 하위 컨테이너를 수집합니다. (재귀 하강 '..'용)
+     * @param {*} node - 시작 노드
+     * @returns {Array} 노드 목록
+     */
+    collectDescendants(node) {
+        const result = [];
+        const stack = [node];
+
+        while (stack.length > 0) {
+            const current = stack.pop();
+            if (typeof current !== 'object' || current === null) {
+                continue;
+            }
+            result.push(current);
+
+            const children = Array.isArray(current) ? current : Object.values(current);
+            for (let i = children.length - 1; i >= 0; i--) {
+                stack.push(children[i]);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * 경로 조각 하나를 적용하여 자식 값을 선택합니다.
+     * @param {*} node - 현재 노드
+     * @param {Object} segment - 경로 조각
+     * @param {Array} output - 선택된 값을 추가할 배열
+     */
+    selectChildren(node, segment, output) {
+        if (typeof node !== 'object' || node === null) {
+            return;
+        }
+
+        const isArray = Array.isArray(node);
+
+        switch (segment.type) {
+            case 'names':
+                if (!isArray) {
+                    segment.names.forEach(name => {
+                        if (Object.prototype.hasOwnProperty.call(node, name)) {
+                            output.push(node[name]);
+                        }
+                    });
+                }
+                break;
+
+            case 'wildcard':
+                (isArray ? node : Object.values(node)).forEach(value => output.push(value));
+                break;
+
+            case 'indexes':
+                if (isArray) {
+                    segment.indexes.forEach(index => {
+                        const actual = index < 0 ? node.length + index : index;
+                        if (actual >= 0 && actual < node.length) {
+                            output.push(node[actual]);
+                        }
+                    });
+                }
+                break;
+
+            case 'slice':
+                if (isArray) {
+                    this.sliceArray(node, segment.start, segment.end, segment.step).forEach(value => output.push(value));
+                }
+                break;
+
+            case 'filter':
+                (isArray ? node : Object.values(node)).forEach(value => {
+                    if (this.matchesFilter(value, segment.filter)) {
+                        output.push(value);
+                    }
+                });
+                break;
+        }
+    }
+
+    /**
+     * JSONPath 필터 조건을 검사합니다.
+     * @param {*} value - 검사할 값 (@)
+     * @param {Object} filter - 필터 트리
+     * @returns {boolean} 일치 여부
+     */
+    matchesFilter(value, filter) {
+        switch (filter.type) {
+            case 'or':
+                return filter.children.some(child => this.matchesFilter(value, child));
+            case 'and':
+                return filter.children.every(child => this.matchesFilter(value, child));
+            case 'not':
+                return !this.matchesFilter(value, filter.child);
+        }
+
+        const matches = this.evaluateJSONPath(value, filter.path);
+        if (!filter.operator) {
+            // 연산자가 없으면 존재 여부만 확인
+            return matches.length > 0;
+        }
+        if (matches.length === 0) {
+            return false;
+        }
+
+        const actual = matches[0];
+        const expected = filter.operand;
+
+        switch (filter.operator) {
+            case '==':
+                return this.deepEqual(actual, expected);
+            case '!=':
+                return !this.deepEqual(actual, expected);
+            case '=~':
+                return expected instanceof RegExp && typeof actual === 'string' && expected.test(actual);
+            default:
+                return this.compareValues(actual, expected, filter.operator) === true;
+        }
+    }
+
+    // ===== JMESPath =====
+
+    /**
+     * JMESPath 표현식을 토큰으로 나눕니다.
+     * @param {string} expression - JMESPath 표현식
+     * @returns {Array} 토큰 목록 ({ type, value, start })
+     */
+    tokenizeJMESPath(expression) {
+        const tokens = [];
+        const simpleTokens = {
+            '.': 'Dot', '*': 'Star', ',': 'Comma', ':': 'Colon',
+            '{': 'Lbrace', '}': 'Rbrace', ']': 'Rbracket', '(': 'Lparen',
+            ')': 'Rparen', '@': 'Current'
+        };
+        let i = 0;
+
+        while (i < expression.length) {
+            const char = expression[i];
+            const start = i;
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (/[A-Za-z_]/.test(char)) {
+                const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(expression.slice(i));
+                tokens.push({ type: 'UnquotedIdentifier', value: match[0], start: start });
+                i += match[0].length;
+            } else if (simpleTokens[char]) {
+                tokens.push({ type: simpleTokens[char], value: char, start: start });
+                i++;
+            } else if (/[-0-9]/.test(char)) {
+                const match = /^-?\d+/.exec(expression.slice(i));
+                if (!match) {
+                    throw new Error(`JMESPath ${i + 1}번째 문자 "-" 뒤에 숫자가 필요합니다.`);
+                }
+                tokens.push({ type: 'Number', value: parseInt(match[0], 10), start: start });
+                i += match[0].length;
+            } else if (char === '[') {
+                const next = expression[i + 1];
+                if (next === ']') {
+                    tokens.push({ type: 'Flatten', value: '[]', start: start });
+                    i += 2;
+                } else if (next === '?') {
+                    tokens.push({ type: 'Filter', value: '[?', start: start });
+                    i += 2;
+                } else {
+                    tokens.push({ type: 'Lbracket', value: '[', start: start });
+                    i++;
+                }
+            } else if (char === '"' || char === "'" || char === '`') {
+                const end = this.findClosingQuote(expression, i, char);
+                const raw = expression.slice(i + 1, end);
+                i = end + 1;
+
+                if (char === '"') {
+                    tokens.push({ type: 'QuotedIdentifier', value: JSON.parse(`"${raw}"`), start: start });
+                } else if (char === "'") {
+                    tokens.push({ type: 'Literal', value: raw.replace(/\\'/g, "'"), start: start });
+                } else {
+                    tokens.push({ type: 'Literal', value: this.parseJSONLiteral(raw.replace(/\\`/g, '`')), start: start });
+                }
+            } else if (char === '|') {
+                const isOr = expression[i + 1] === '|';
+                tokens.push({ type: isOr ? 'Or' : 'Pipe', value: isOr ? '||' : '|', start: start });
+                i += isOr ? 2 : 1;
+            } else if (char === '&') {
+                const isAnd = expression[i + 1] === '&';
+                tokens.push({ type: isAnd ? 'And' : 'Expref', value: isAnd ? '&&' : '&', start: start });
+                i += isAnd ? 2 : 1;
+            } else if (char === '!' || char === '=' || char === '<' || char === '>') {
+                const twoChars = expression.slice(i, i + 2);
+                const comparators = { '==': 'EQ', '!=': 'NE', '<=': 'LTE', '>=': 'GTE' };
+                if (comparators[twoChars]) {
+                    tokens.push({ type: comparators[twoChars], value: twoChars, start: start });
+                    i += 2;
+                } else if (char === '<' || char === '>') {
+                    tokens.push({ type: char === '<' ? 'LT' : 'GT', value: char, start: start });
+                    i++;
+                } else if (char === '!') {
+                    tokens.push({ type: 'Not', value: '!', start: start });
+                    i++;
+                } else {
+                    throw new Error(`JMESPath ${i + 1}번째 문자: "="가 아니라 "=="를 사용해야 합니다.`);
+                }
+            } else {
+                throw new Error(`JMESPath ${i + 1}번째 문자 "${char}"를 해석할 수 없습니다.`);
+            }
+        }
+
+        tokens.push({ type: 'EOF', value: '', start: expression.length });
+        return tokens;
+    }
+
+    /**
+     * 닫는 따옴표 위치를 찾습니다.
+     * @param {string} text - 표현식
+     * @param {number} start - 여는 따옴표 위치
+     * @param {string} quote - 따옴표 문자
+     * @returns {number} 닫는 따옴표 위치
+     */
+    findClosingQuote(text, start, quote) {
+        for (let i = start + 1; i < text.length; i++) {
+            if (text[i] === '\\') {
+                i++;
+            } else if (text[i] === quote) {
+                return i;
+            }
+        }
+        throw new Error(`JMESPath ${start + 1}번째 문자에서 시작한 ${quote} 따옴표가 닫히지 않았습니다.`);
+    }
+
+    /**
+     * JMESPath의 `...` 리터럴을 해석합니다.
+     * @param {string} text - 백틱 안의 내용
+     * @returns {*} 해석된 값
+     */
+    parseJSONLiteral(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            // 하위 호환: 따옴표 없는 문자열 리터럴
+            return text.trim();
+        }
+    }
+
+    /**
+     * JMESPath 표현식을 구문 트리로 파싱합니다.
+     * @param {string} expression - JMESPath 표현식
+     * @returns {Object} 구문 트리
+     */
+    parseJMESPath(expression) {
+        this.tokens = this.tokenizeJMESPath(expression);
+        this.index = 0;
+
+        const ast = this.expression(0);
+        if (this.lookahead(0) !== 'EOF') {
+            this.throwUnexpected(this.lookaheadToken(0));
+        }
+        return ast;
+    }
+
+    /**
+     * 현재 위치에서 offset만큼 앞의 토큰 종류를 반환합니다.
+     * @param {number} offset - 앞으로 볼 토큰 수
+     * @returns {string} 토큰 종류
+     */
+    lookahead(offset) {
+        return this.tokens[this.index + offset].type;
+    }
+
+    /**
+     * 현재 위치에서 offset만큼 앞의 토큰을 반환합니다.
+     * @param {number} offset - 앞으로 볼 토큰 수
+     * @returns {Object} 토큰
+     */
+    lookaheadToken(offset) {
+        return this.tokens[this.index + offset];
+    }
+
+    /**
+     * 다음 토큰으로 넘어갑니다.
+     */
+    advance() {
+        this.index++;
+    }
+
+    /**
+     * 다음 토큰이 지정된 종류인지 확인하고 넘어갑니다.
+     * @param {string} type - 토큰 종류
+     */
+    match(type) {
+        if (this.lookahead(0) !== type) {
+            this.throwUnexpected(this.lookaheadToken(0), type);
+        }
+        this.advance();
+    }
+
+    /**
+     * 예상하지 못한 토큰 오류를 발생시킵니다.
+     * @param {Object} token - 토큰
+     * @param {string} expected - 기대한 토큰 종류 또는 설명
+     */
+    throwUnexpected(token, expected = null) {
+        const found = token.type === 'EOF' ? '표현식의 끝' : `"${token.value}"`;
+        const hint = expected ? ` (${this.tokenNames[expected] || expected} 필요)` : '';
+        throw new Error(`JMESPath ${token.start + 1}번째 문자: 예상하지 못한 ${found}${hint}`);
+    }
+
+    /**
+     * 우선순위가 rbp보다 높은 연산자를 묶어 식을 파싱합니다. (Pratt 파서)
+     * @param {number} rbp - 오른쪽 결합 우선순위
+     * @returns {Object} 구문 트리
+     */
+    expression(rbp) {
+        const leftToken = this.lookaheadToken(0);
+        this.advance();
+        let left = this.nud(leftToken);
+
+        let current = this.lookahead(0);
+        while (rbp < this.bindingPower[current]) {
+            this.advance();
+            left = this.led(current, left);
+            current = this.lookahead(0);
+        }
+        return left;
+    }
+
+    /**
+     * 식의 시작 토큰을 처리합니다.
+     * @param {Object} token - 토큰
+     * @returns {Object} 구문 트리
+     */
+    nud(token) {
+        switch (token.type) {
+            case 'Literal':
+                return { type: 'Literal', value: token.value };
+
+            case 'UnquotedIdentifier':
+                return { type: 'Field', name: token.value };
+
+            case 'QuotedIdentifier':
+                if (this.lookahead(0) === 'Lparen') {
+                    throw new Error('JMESPath 함수 이름에는 따옴표를 사용할 수 없습니다.');
+                }
+                return { type: 'Field', name: token.value };
+
+            case 'Not':
+                return { type: 'Not', child: this.expression(this.bindingPower.Not) };
+
+            case 'Star': {
+                const right = this.lookahead(0) === 'Rbracket'
+                    ? { type: 'Identity' }
+                    : this.parseProjectionRHS(this.bindingPower.Star);
+                return { type: 'ValueProjection', left: { type: 'Identity' }, right: right };
+            }
+
+            case 'Filter':
+                return this.led('Filter', { type: 'Identity' });
+
+            case 'Lbrace':
+                return this.parseMultiselectHash();
+
+            case 'Flatten': {
+                const left = { type: 'Flatten', child: { type: 'Identity' } };
+                const right = this.parseProjectionRHS(this.bindingPower.Flatten);
+                return { type: 'Projection', left: left, right: right };
+            }
+
+            case 'Lbracket':
+                if (this.lookahead(0) === 'Number' || this.lookahead(0) === 'Colon') {
+                    return this.projectIfSlice({ type: 'Identity' }, this.parseIndexExpression());
+                }
+                if (this.lookahead(0) === 'Star' && this.lookahead(1) === 'Rbracket') {
+                    this.advance();
+                    this.advance();
+                    const right = this.parseProjectionRHS(this.bindingPower.Star);
+                    return { type: 'Projection', left: { type: 'Identity' }, right: right };
+                }
+                return this.parseMultiselectList();
+
+            case 'Current':
+                return { type: 'Identity' };
+
+            case 'Expref':
+                return { type: 'ExpressionReference', child: this.expression(this.bindingPower.Expref) };
+
+            case 'Lparen': {
+                const expression = this.expression(0);
+                this.match('Rparen');
+                return expression;
+            }
+
+            default:
+                this.throwUnexpected(token);
+        }
+    }
+
+    /**
+     * 중위/후위 연산자 토큰을 처리합니다.
+     * @param {string} type - 토큰 종류
+     * @param {Object} left - 왼쪽 구문 트리
+     * @returns {Object} 구문 트리
+     */
+    led(type, left) {
+        switch (type) {
+            case 'Dot':
+                if (this.lookahead(0) !== 'Star') {
+                    return { type: 'Subexpression', left: left, right: this.parseDotRHS(this.bindingPower.Dot) };
+                }
+                this.advance();
+                return {
+                    type: 'ValueProjection',
+                    left: left,
+                    right: this.parseProjectionRHS(this.bindingPower.Dot)
+                };
+
+            case 'Pipe':
+                return { type: 'Pipe', left: left, right: this.expression(this.bindingPower.Pipe) };
+
+            case 'Or':
+                return { type: 'Or', left: left, right: this.expression(this.bindingPower.Or) };
+
+            case 'And':
+                return { type: 'And', left: left, right: this.expression(this.bindingPower.And) };
+
+            case 'Lparen':
+                return this.parseFunctionCall(left);
+
+            case 'Filter': {
+                const condition = this.expression(0);
+                this.match('Rbracket');
+                const right = this.lookahead(0) === 'Flatten'
+                    ? { type: 'Identity' }
+                    : this.parseProjectionRHS(this.bindingPower.Filter);
+                return { type: 'FilterProjection', left: left, right: right, condition: condition };
+            }
+
+            case 'Flatten':
+                return {
+                    type: 'Projection',
+                    left: { type: 'Flatten', child: left },
+                    right: this.parseProjectionRHS(this.bindingPower.Flatten)
+                };
+
+            case 'EQ':
+            case 'NE':
+            case 'GT':
+            case 'GTE':
+            case 'LT':
+            case 'LTE':
+                return {
+                    type: 'Comparator',
+                    operator: type,
+                    left: left,
+                    right: this.expression(this.bindingPower[type])
+                };
+
+            case 'Lbracket':
+                if (this.lookahead(0) === 'Number' || this.lookahead(0) === 'Colon') {
+                    return this.projectIfSlice(left, this.parseIndexExpression());
+                }
+                if (this.lookahead(0) !== 'Star') {
+                    this.throwUnexpected(this.lookaheadToken(0), '인덱스, 슬라이스 또는 "*"');
+                }
+                this.match('Star');
+                this.match('Rbracket');
+                return {
+                    type: 'Projection',
+                    left: left,
+                    right: this.parseProjectionRHS(this.bindingPower.Star)
+                };
+
+            default:
+                this.throwUnexpected(this.tokens[this.index - 1]);
+        }
+    }
+
+    /**
+     * 함수 호출의 인자 목록을 파싱합니다. 함수 이름은 '(' 앞의 필드 이름입니다.
+     * @param {Object} left - '(' 앞의 구문 트리
+     * @returns {Object} Function 노드
+     */
+    parseFunctionCall(left) {
+        const parenToken = this.tokens[this.index - 1];
+        if (left.type !== 'Field') {
+            throw new Error(`JMESPath ${parenToken.start + 1}번째 문자: "(" 앞에는 함수 이름이 와야 합니다.`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(this.functions, left.name)) {
+            throw new Error(`JMESPath에 ${left.name}() 함수가 없습니다.`);
+        }
+
+        const children = [];
+        while (this.lookahead(0) !== 'Rparen') {
+            children.push(this.expression(0));
+            if (this.lookahead(0) === 'Comma') {
+                this.match('Comma');
+            } else if (this.lookahead(0) !== 'Rparen') {
+                this.throwUnexpected(this.lookaheadToken(0), '"," 또는 ")"');
+            }
+        }
+        this.match('Rparen');
+
+        return { type: 'Function', name: left.name, children: children };
+    }
+
+    /**
+     * [숫자] 또는 [시작:끝:간격] 구문을 파싱합니다.
+     * @returns {Object} Index 또는 Slice 노드
+     */
+    parseIndexExpression() {
+        if (this.lookahead(0) === 'Colon' || this.lookahead(1) === 'Colon') {
+            return this.parseSliceExpression();
+        }
+
+        const node = { type: 'Index', value: this.lookaheadToken(0).value };
+        this.advance();
+        this.match('Rbracket');
+        return node;
+    }
+
+    /**
+     * 슬라이스 구문을 파싱합니다.
+     * @returns {Object} Slice 노드
+     */
+    parseSliceExpression() {
+        const parts = [null, null, null];
+        let partIndex = 0;
+
+        while (this.lookahead(0) !== 'Rbracket' && partIndex < 3) {
+            if (this.lookahead(0) === 'Colon') {
+                partIndex++;
+                this.advance();
+            } else if (this.lookahead(0) === 'Number') {
+                parts[partIndex] = this.lookaheadToken(0).value;
+                this.advance();
+            } else {
+                this.throwUnexpected(this.lookaheadToken(0));
+            }
+        }
+        this.match('Rbracket');
+
+        return { type: 'Slice', start: parts[0], end: parts[1], step: parts[2] };
+    }
+
+    /**
+     * 인덱스 접근을 만들고, 슬라이스이면 프로젝션으로 감쌉니다.
+     * @param {Object} left - 왼쪽 구문 트리
+     * @param {Object} right - Index 또는 Slice 노드
+     * @returns {Object} 구문 트리
+     */
+    projectIfSlice(left, right) {
+        const indexExpression = { type: 'IndexExpression', left: left, right: right };
+        if (right.type === 'Slice') {
+            return {
+                type: 'Projection',
+                left: indexExpression,
+                right: this.parseProjectionRHS(this.bindingPower.Star)
+            };
+        }
+        return indexExpression;
+    }
+
+    /**
+     * 프로젝션의 오른쪽 식을 파싱합니다.
+     * @param {number} rbp - 오른쪽 결합 우선순위
+     * @returns {Object} 구문 트리
+     */
+    parseProjectionRHS(rbp) {
+        const next = this.lookahead(0);
+
+        if (this.bindingPower[next] < 10) {
+            return { type: 'Identity' };
+        }
+        if (next === 'Lbracket' || next === 'Filter') {
+            return this.expression(rbp);
+        }
+        if (next === 'Dot') {
+            this.match('Dot');
+            return this.parseDotRHS(rbp);
+        }
+        this.throwUnexpected(this.lookaheadToken(0));
+    }
+
+    /**
+     * '.' 뒤의 식을 파싱합니다.
+     * @param {number} rbp - 오른쪽 결합 우선순위
+     * @returns {Object} 구문 트리
+     */
+    parseDotRHS(rbp) {
+        const next = this.lookahead(0);
+
+        if (next === 'UnquotedIdentifier' || next === 'QuotedIdentifier' || next === 'Star') {
+            return this.expression(rbp);
+        }
+        if (next === 'Lbracket') {
+            this.match('Lbracket');
+            return this.parseMultiselectList();
+        }
+        if (next === 'Lbrace') {
+            this.match('Lbrace');
+            return this.parseMultiselectHash();
+        }
+        this.throwUnexpected(this.lookaheadToken(0));
+    }
+
+    /**
+     * [a, b] 형태의 다중 선택 목록을 파싱합니다.
+     * @returns {Object} MultiSelectList 노드
+     */
+    parseMultiselectList() {
+        const children = [];
+
+        while (true) {
+            children.push(this.expression(0));
+            if (this.lookahead(0) === 'Comma') {
+                this.match('Comma');
+            } else {
+                this.match('Rbracket');
+                break;
+            }
+        }
+
+        return { type: 'MultiSelectList', children: children };
+    }
+
+    /**
+     * {key: expr} 형태의 다중 선택 객체를 파싱합니다.
+     * @returns {Object} MultiSelectHash 노드
+     */
+    parseMultiselectHash() {
+        const pairs = [];
+
+        while (true) {
+            const keyToken = this.lookaheadToken(0);
+            if (keyToken.type !== 'UnquotedIdentifier' && keyToken.type !== 'QuotedIdentifier') {
+                this.throwUnexpected(keyToken, '키 이름');
+            }
+            this.advance();
+            this.match('Colon');
+            pairs.push({ key: keyToken.value, value: this.expression(0) });
+
+            if (this.lookahead(0) === 'Comma') {
+                this.match('Comma');
+            } else {
+                this.match('Rbrace');
+                break;
+            }
+        }
+
+        return { type: 'MultiSelectHash', pairs: pairs };
+    }
+
+    /**
+     * 구문 트리를 평가합니다.
+     * @param {Object} node - 구문 트리 노드
+     * @param {*} value - 현재 값
+     * @returns {*} 평가 결과 (없으면 null)
+     */
+    visit(node, value) {
+        switch (node.type) {
+            case 'Field':
+                if (this.isPlainObject(value) && Object.prototype.hasOwnProperty.call(value, node.name)) {
+                    return value[node.name];
+                }
+                return null;
+
+            case 'Subexpression':
+                return this.visit(node.right, this.visit(node.left, value));
+
+            case 'IndexExpression':
+                return this.visit(node.right, this.visit(node.left, value));
+
+            case 'Index': {
+                if (!Array.isArray(value)) {
+                    return null;
+                }
+                const index = node.value < 0 ? value.length + node.value : node.value;
+                return index >= 0 && index < value.length ? value[index] : null;
+            }
+
+            case 'Slice':
+                if (!Array.isArray(value)) {
+                    return null;
+                }
+                return this.sliceArray(value, node.start, node.end, node.step === null ? 1 : node.step);
+
+            case 'Projection': {
+                const base = this.visit(node.left, value);
+                if (!Array.isArray(base)) {
+                    return null;
+                }
+                return this.project(base, node.right);
+            }
+
+            case 'ValueProjection': {
+                const base = this.visit(node.left, value);
+                if (!this.isPlainObject(base)) {
+                    return null;
+                }
+                return this.project(Object.values(base), node.right);
+            }
+
+            case 'FilterProjection': {
+                const base = this.visit(node.left, value);
+                if (!Array.isArray(base)) {
+                    return null;
+                }
+                const filtered = base.filter(item => this.isTruthy(this.visit(node.condition, item)));
+                return this.project(filtered, node.right);
+            }
+
+            case 'Flatten': {
+                const base = this.visit(node.child, value);
+                if (!Array.isArray(base)) {
+                    return null;
+                }
+                const merged = [];
+                base.forEach(item => {
+                    if (Array.isArray(item)) {
+                        item.forEach(child => merged.push(child));
+                    } else {
+                        merged.push(item);
+                    }
+                });
+                return merged;
+            }
+
+            case 'Comparator': {
+                const left = this.visit(node.left, value);
+                const right = this.visit(node.right, value);
+                if (node.operator === 'EQ') {
+                    return this.deepEqual(left, right);
+                }
+                if (node.operator === 'NE') {
+                    return !this.deepEqual(left, right);
+                }
+                const operators = { GT: '>', GTE: '>=', LT: '<', LTE: '<=' };
+                return this.compareValues(left, right, operators[node.operator]);
+            }
+
+            case 'Identity':
+                return value;
+
+            case 'Literal':
+                return node.value;
+
+            case 'MultiSelectList':
+                if (value === null) {
+                    return null;
+                }
+                return node.children.map(child => this.visit(child, value));
+
+            case 'MultiSelectHash': {
+                if (value === null) {
+                    return null;
+                }
+                const result = {};
+                node.pairs.forEach(pair => {
+                    result[pair.key] = this.visit(pair.value, value);
+                });
+                return result;
+            }
+
+            case 'Or': {
+                const left = this.visit(node.left, value);
+                return this.isTruthy(left) ? left : this.visit(node.right, value);
+            }
+
+            case 'And': {
+                const left = this.visit(node.left, value);
+                return this.isTruthy(left) ? this.visit(node.right, value) : left;
+            }
+
+            case 'Not':
+                return !this.isTruthy(this.visit(node.child, value));
+
+            case 'Pipe':
+                return this.visit(node.right, this.visit(node.left, value));
+
+            case 'Function':
+                return this.callFunction(node, value);
+
+            case 'ExpressionReference':
+                // 함수 인자가 아닌 곳의 표현식 참조는 값이 없음
+                return null;
+
+            default:
+                throw new Error(`알 수 없는 JMESPath 노드: ${node.type}`);
+        }
+    }
+
+    /**
+     * 배열의 각 요소에 식을 적용하고 null이 아닌 결과만 모읍니다.
+     * @param {Array} items - 배열
+     * @param {Object} node - 적용할 구문 트리
+     * @returns {Array} 결과 배열
+     */
+    project(items, node) {
+        const collected = [];
+        items.forEach(item => {
+            const result = this.visit(node, item);
+            if (result !== null && result !== undefined) {
+                collected.push(result);
+            }
+        });
+        return collected;
+    }
+
+    /**
+     * JMESPath 함수를 호출합니다. 표현식 참조(&식) 인자는 평가하지 않고 구문 트리로 넘깁니다.
+     * @param {Object} node - Function 노드
+     * @param {*} value - 현재 값
+     * @returns {*} 함수 결과
+     */
+    callFunction(node, value) {
+        const definition = this.functions[node.name];
+        const args = node.children.map(child =>
+            child.type === 'ExpressionReference' ? child : this.visit(child, value));
+
+        this.checkArguments(node.name, definition, args);
+        return definition.call(args);
+    }
+
+    /**
+     * 함수 인자의 개수와 타입을 확인합니다.
+     * @param {string} name - 함수 이름
+     * @param {Object} definition - 함수 정의 ({ signature, variadic })
+     * @param {Array} args - 인자 목록
+     * @throws {Error} 인자가 맞지 않으면 예외 발생
+     */
+    checkArguments(name, definition, args) {
+        const signature = definition.signature;
+        const countMatches = definition.variadic
+            ? args.length >= signature.length
+            : args.length === signature.length;
+
+        if (!countMatches) {
+            const count = definition.variadic ? `${signature.length}개 이상` : `${signature.length}개`;
+            throw new Error(`JMESPath 함수 ${name}()에는 인자가 ${count} 필요합니다. (받은 인자 ${args.length}개)`);
+        }
+
+        args.forEach((arg, index) => {
+            const allowed = signature[Math.min(index, signature.length - 1)];
+            if (!allowed.some(type => this.matchesArgumentType(arg, type))) {
+                const expected = allowed.map(type => this.argumentTypeNames[type]).join(' 또는 ');
+                throw new Error(`JMESPath 함수 ${name}()의 ${index + 1}번째 인자 타입이 맞지 않습니다. (${expected} 필요)`);
+            }
+        });
+    }
+
+    /**
+     * 값이 함수 인자 타입에 맞는지 확인합니다.
+     * @param {*} value - 인자 값 (표현식 참조는 구문 트리)
+     * @param {string} type - 인자 타입
+     * @returns {boolean} 일치 여부
+     */
+    matchesArgumentType(value, type) {
+        const isExpref = this.isPlainObject(value) && value.type === 'ExpressionReference' && !!value.child;
+
+        switch (type) {
+            case 'any':
+                return !isExpref;
+            case 'expref':
+                return isExpref;
+            case 'array-number':
+                return Array.isArray(value) && value.every(item => this.getJMESPathType(item) === 'number');
+            case 'array-string':
+                return Array.isArray(value) && value.every(item => typeof item === 'string');
+            default:
+                return !isExpref && this.getJMESPathType(value) === type;
+        }
+    }
+
+    /**
+     * 값의 JMESPath 타입 이름을 반환합니다. BigInt도 숫자입니다.
+     * @param {*} value - 값
+     * @returns {string} 'number', 'string', 'boolean', 'array', 'object', 'null'
+     */
+    getJMESPathType(value) {
+        if (value === null || value === undefined) {
+            return 'null';
+        }
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+        if (typeof value === 'bigint') {
+            return 'number';
+        }
+        return typeof value;
+    }
+
+    /**
+     * JMESPath 표준 함수 목록을 만듭니다.
+     * signature는 인자별 허용 타입 목록이고, variadic이면 마지막 인자를 여러 번 받을 수 있습니다.
+     * @returns {Object} 함수 이름 → { signature, variadic, call }
+     */
+    createJMESPathFunctions() {
+        const toNumber = value => Number(value);
+        const sum = values => values.reduce((total, value) => total + toNumber(value), 0);
+        const sortable = ['array-number', 'array-string'];
+
+        // 표현식 참조로 뽑은 키가 모두 숫자이거나 모두 문자열인지 확인
+        const getKeys = (name, items, expref) => {
+            const keys = items.map(item => this.visit(expref.child, item));
+            const type = keys.length > 0 ? this.getJMESPathType(keys[0]) : 'number';
+            if ((type !== 'number' && type !== 'string') || keys.some(key => this.getJMESPathType(key) !== type)) {
+                throw new Error(`JMESPath 함수 ${name}()의 표현식 결과는 모두 숫자이거나 모두 문자열이어야 합니다.`);
+            }
+            return keys;
+        };
+        const compare = (a, b) => (a < b ? -1 : (a > b ? 1 : 0));
+        const pickBy = (name, items, expref, sign) => {
+            const keys = getKeys(name, items, expref);
+            let best = -1;
+            keys.forEach((key, index) => {
+                if (best === -1 || compare(key, keys[best]) * sign > 0) {
+                    best = index;
+                }
+            });
+            return best === -1 ? null : items[best];
+        };
+        const pick = (values, sign) => values.reduce(
+            (best, value) => (best === null || compare(value, best) * sign > 0 ? value : best), null);
+
+        return {
+            abs: { signature: [['number']], call: ([n]) => (n < 0 ? -n : n) },
+            avg: {
+                signature: [['array-number']],
+                call: ([values]) => (values.length > 0 ? sum(values) / values.length : null)
+            },
+            ceil: { signature: [['number']], call: ([n]) => (typeof n === 'bigint' ? n : Math.ceil(n)) },
+            contains: {
+                signature: [['array', 'string'], ['any']],
+                call: ([subject, search]) => (typeof subject === 'string'
+                    ? typeof search === 'string' && subject.includes(search)
+                    : subject.some(item => this.deepEqual(item, search)))
+            },
+            ends_with: { signature: [['string'], ['string']], call: ([text, suffix]) => text.endsWith(suffix) },
+            floor: { signature: [['number']], call: ([n]) => (typeof n === 'bigint' ? n : Math.floor(n)) },
+            join: { signature: [['string'], ['array-string']], call: ([glue, values]) => values.join(glue) },
+            keys: { signature: [['object']], call: ([object]) => Object.keys(object) },
+            length: {
+                signature: [['string', 'array', 'object']],
+                call: ([subject]) => {
+                    if (typeof subject === 'string') {
+                        return Array.from(subject).length;
+                    }
+                    return Array.isArray(subject) ? subject.length : Object.keys(subject).length;
+                }
+            },
+            map: {
+                signature: [['expref'], ['array']],
+                call: ([expref, items]) => items.map(item => {
+                    const result = this.visit(expref.child, item);
+                    return result === undefined ? null : result;
+                })
+            },
+            max: { signature: [sortable], call: ([values]) => pick(values, 1) },
+            max_by: { signature: [['array'], ['expref']], call: ([items, expref]) => pickBy('max_by', items, expref, 1) },
+            merge: {
+                signature: [['object']],
+                variadic: true,
+                call: objects => Object.assign({}, ...objects)
+            },
+            min: { signature: [sortable], call: ([values]) => pick(values, -1) },
+            min_by: { signature: [['array'], ['expref']], call: ([items, expref]) => pickBy('min_by', items, expref, -1) },
+            not_null: {
+                signature: [['any']],
+                variadic: true,
+                call: values => {
+                    const found = values.find(value => value !== null && value !== undefined);
+                    return found === undefined ? null : found;
+                }
+            },
+            reverse: {
+                signature: [['string', 'array']],
+                call: ([subject]) => (typeof subject === 'string'
+                    ? Array.from(subject).reverse().join('')
+                    : subject.slice().reverse())
+            },
+            sort: { signature: [sortable], call: ([values]) => values.slice().sort(compare) },
+            sort_by: {
+                signature: [['array'], ['expref']],
+                call: ([items, expref]) => {
+                    const keys = getKeys('sort_by', items, expref);
+                    return items
+                        .map((item, index) => ({ item: item, key: keys[index] }))
+                        .sort((a, b) => compare(a.key, b.key))
+                        .map(entry => entry.item);
+                }
+            },
+            starts_with: { signature: [['string'], ['string']], call: ([text, prefix]) => text.startsWith(prefix) },
+            sum: { signature: [['array-number']], call: ([values]) => sum(values) },
+            to_array: { signature: [['any']], call: ([value]) => (Array.isArray(value) ? value : [value]) },
+            to_number: {
+                signature: [['any']],
+                call: ([value]) => {
+                    if (this.getJMESPathType(value) === 'number') {
+                        return value;
+                    }
+                    if (typeof value === 'string' && /^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?$/.test(value.trim())) {
+                        return Number(value);
+                    }
+                    return null;
+                }
+            },
+            to_string: {
+                signature: [['any']],
+                call: ([value]) => (typeof value === 'string' ? value : this.preciseNumbers.stringify(value))
+            },
+            type: { signature: [['any']], call: ([value]) => this.getJMESPathType(value) },
+            values: { signature: [['object']], call: ([object]) => Object.values(object) }
+        };
+    }
+
+    // ===== 공통 도우미 =====
+
+    /**
+     * Python 스타일 슬라이스를 적용합니다.
+     * @param {Array} array - 배열
+     * @param {number|null} start - 시작 인덱스
+     * @param {number|null} end - 끝 인덱스 (포함하지 않음)
+     * @param {number} step - 간격
+     * @returns {Array} 잘라낸 배열
+     */
+    sliceArray(array, start, end, step) {
+        if (step === 0) {
+            throw new Error('슬라이스 간격(step)은 0일 수 없습니다.');
+        }
+
+        const length = array.length;
+        const clamp = (index, fallback, low, high) => {
+            if (index === null) return fallback;
+            if (index < 0) return Math.max(length + index, low);
+            return Math.min(index, high);
+        };
+
+        const result = [];
+        if (step > 0) {
+            const from = clamp(start, 0, 0, length);
+            const to = clamp(end, length, 0, length);
+            for (let i = from; i < to; i += step) {
+                result.push(array[i]);
+            }
+        } else {
+            const from = clamp(start, length - 1, -1, length - 1);
+            const to = clamp(end, -1, -1, length - 1);
+            for (let i = from; i > to; i += step) {
+                result.push(array[i]);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 일반 객체(배열과 null 제외)인지 확인합니다.
+     * @param {*} value - 값
+     * @returns {boolean} 일반 객체 여부
+     */
+    isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    /**
+     * JMESPath 기준의 참/거짓을 판단합니다. (null, false, 빈 문자열/배열/객체는 거짓)
+     * @param {*} value - 값
+     * @returns {boolean} 참 여부
+     */
+    isTruthy(value) {
+        if (value === null || value === undefined || value === false || value === '') {
+            return false;
+        }
+        if (Array.isArray(value)) {
+            return value.length > 0;
+        }
+        if (this.isPlainObject(value)) {
+            return Object.keys(value).length > 0;
+        }
+        return true;
+    }
+
+    /**
+     * 두 값을 깊게 비교합니다.
+     * @param {*} a - 첫 번째 값
+     * @param {*} b - 두 번째 값
+     * @returns {boolean} 같은지 여부
+     */
+    deepEqual(a, b) {
+        if (a === b) {
+            return true;
+        }
+        // 정밀 숫자 모드의 BigInt와 number 비교
+        if ((typeof a === 'bigint' || typeof a === 'number') && (typeof b === 'bigint' || typeof b === 'number')) {
+            if (typeof a === typeof b) {
+                return false;
+            }
+            // 정수가 아닌 number는 BigInt와 같을 수 없음 (BigInt()는 소수에서 예외 발생)
+            const number = typeof a === 'number' ? a : b;
+            const bigint = typeof a === 'bigint' ? a : b;
+            return Number.isInteger(number) && BigInt(number) === bigint;
+        }
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+            return false;
+        }
+        if (Array.isArray(a) !== Array.isArray(b)) {
+            return false;
+        }
+
+        const aKeys = Object.keys(a);
+        const bKeys = Object.keys(b);
+        if (aKeys.length !== bKeys.length) {
+            return false;
+        }
+        return aKeys.every(key => Object.prototype.hasOwnProperty.call(b, key) && this.deepEqual(a[key], b[key]));
+    }
+
+    /**
+     * 크기 비교를 수행합니다. 숫자끼리 또는 문자열끼리만 비교합니다.
+     * @param {*} a - 첫 번째 값
+     * @param {*} b - 두 번째 값
+     * @param {string} operator - '<', '<=', '>', '>='
+     * @returns {boolean|null} 비교 결과 (비교할 수 없으면 null)
+     */
+    compareValues(a, b, operator) {
+        const isNumber = value => typeof value === 'number' || typeof value === 'bigint';
+        const comparable = (isNumber(a) && isNumber(b)) || (typeof a === 'string' && typeof b === 'string');
+        if (!comparable) {
+            return null;
+        }
+
+        switch (operator) {
+            case '<': return a < b;
+            case '<=': return a <= b;
+            case '>': return a > b;
+            case '>=': return a >= b;
+            default: return null;
+        }
+    }
+}
+
+// 전역에서 사용할 수 있도록 내보내기
+window.PathSelector = PathSelector;
@@ -0,0 +1,243 @@
+/**
+ * 정밀 숫자 처리 모듈
+ * Number로 표현하면 값이 바뀌는 큰 정수와 고정밀 소수를 보존합니다.
+ * - 2^53을 넘는 정수는 BigInt로 보존
+ * - Number로 정확히 표현되지 않는 소수는 원문 그대로의 10진수 문자열로 보존
+ */
+
+class PreciseNumbers {
+    constructor() {
+        // JSON.stringify 과정에서 BigInt를 임시로 표시하는 문자열
+        this.bigIntMarker = '\u0000bigint:';
+        this.bigIntPattern = /"\\u0000bigint:(-?\d+)"/g;
+
+        this.decimalPattern = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+    }
+
+    /**
+     * 숫자 토큰을 정밀도 손실 없는 값으로 변환합니다.
+     * @param {string} token - JSON 숫자 토큰 (예: "12345678901234567890")
+     * @returns {number|bigint|string} Number로 정확하면 number, 큰 정수는 bigint, 고정밀 소수는 문자열
+     */
+    parseNumberToken(token) {
+        const hexMatch = /^([+-]?)0[xX]([0-9a-fA-F]+)$/.exec(token);
+        if (hexMatch) {
+            const value = BigInt(`0x${hexMatch[2]}`);
+            return this.toSafeValue(hexMatch[1] === '-' ? -value : value);
+        }
+
+        const number = Number(token);
+        if (!this.decimalPattern.test(token)) {
+            // Infinity, NaN 등
+            return number;
+        }
+
+        if (/^[+-]?\d+$/.test(token)) {
+            return this.toSafeValue(BigInt(token));
+        }
+
+        if (Number.isFinite(number) && this.isSameDecimal(token, String(number))) {
+            return number;
+        }
+
+        return token.replace(/^\+/, '');
+    }
+
+    /**
+     * BigInt가 안전한 정수 범위이면 number로 바꿉니다.
+     * @param {bigint} value - 정수
+     * @returns {number|bigint} 변환된 값
+     */
+    toSafeValue(value) {
+        const number = Number(value);
+        return Number.isSafeInteger(number) ? number : value;
+    }
+
+    /**
+     * 두 10진수 문자열이 같은 값을 나타내는지 확인합니다.
+     * @param {string} a - 10진수 문자열
+     * @param {string} b - 10진수 문자열
+     * @returns {boolean} 같은 값 여부
+     */
+    isSameDecimal(a, b) {
+        const left = this.normalizeDecimal(a);
+        const right = this.normalizeDecimal(b);
+        return !!left && !!right &&
+            left.sign === right.sign &&
+            left.digits === right.digits &&
+            left.exponent === right.exponent;
+    }
+
+    /**
+     * 10진수 문자열을 (부호, 유효숫자, 지수) 형태로 정규화합니다.
+     * 값 = sign × digits × 10^exponent
+     * @param {string} text - 10진수 문자열
+     * @returns {Object|null} { sign, digits, exponent } (숫자가 아니면 null)
+     */
+    normalizeDecimal(text) {
+        const match = this.decimalPattern.exec(String(text).trim());
+        if (!match || (!match[2] && !match[3])) {
+            return null;
+        }
+
+        const integerPart = match[2] || '';
+        const fractionPart = match[3] || '';
+        let digits = (integerPart + fractionPart).replace(/^0+/, '');
+        let exponent = parseInt(match[4] || '0', 10) - fractionPart.length;
+
+        if (!digits) {
+            return { sign: 1, digits: '0', exponent: 0 };
+        }
+
+        const trailingZeros = digits.length - digits.replace(/0+$/, '').length;
+        digits = digits.slice(0, digits.length - trailingZeros);
+        exponent += trailingZeros;
+
+        return {
+            sign: match[1] === '-' ? -1 : 1,
+            digits: digits,
+            exponent: exponent
+        };
+    }
+
+    /**
+     * 값이 숫자(number, bigint 또는 10진수 문자열)인지 확인합니다.
+     * @param {*} value - 확인할 값
+     * @returns {boolean} 숫자 여부
+     */
+    isNumeric(value) {
+        if (typeof value === 'number' || typeof value === 'bigint') {
+            return true;
+        }
+        return typeof value === 'string' && this.normalizeDecimal(value) !== null;
+    }
+
+    /**
+     * 정밀도를 유지한 채 두 숫자를 비교합니다.
+     * number, bigint, 10진수 문자열을 섞어서 비교할 수 있습니다.
+     * @param {number|bigint|string} a - 첫 번째 값
+     * @param {number|bigint|string} b - 두 번째 값
+     * @returns {number} a < b이면 음수, 같으면 0, a > b이면 양수
+     */
+    compare(a, b) {
+        if (typeof a === 'number' && typeof b === 'number') {
+            return a - b;
+        }
+        if (typeof a === 'bigint' && typeof b === 'bigint') {
+            return a < b ? -1 : (a > b ? 1 : 0);
+        }
+
+        // Infinity 등 10진수로 표현할 수 없는 number
+        if (typeof a === 'number' && !Number.isFinite(a)) {
+            return Number.isNaN(a) ? 0 : (a > 0 ? 1 : -1);
+        }
+        if (typeof b === 'number' && !Number.isFinite(b)) {
+            return Number.isNaN(b) ? 0 : (b > 0 ? -1 : 1);
+        }
+
+        const left = this.normalizeDecimal(String(a));
+        const right = this.normalizeDecimal(String(b));
+        if (!left || !right) {
+            return Number(a) - Number(b);
+        }
+
+        return this.compareNormalized(left, right);
+    }
+
+    /**
+     * 정규화된 10진수 두 개를 비교합니다.
+     * @param {Object} left - 정규화된 값
+     * @param {Object} right - 정규화된 값
+     * @returns {number} 비교 결과
+     */
+    compareNormalized(left, right) {
+        const leftZero = left.digits === '0';
+        const rightZero = right.digits === '0';
+        if (leftZero || rightZero) {
+            if (leftZero && rightZero) return 0;
+            return leftZero ? -right.sign : left.sign;
+        }
+
+        if (left.sign !== right.sign) {
+            return left.sign - right.sign;
+        }
+
+        // 자릿수(가장 큰 자리의 위치)를 먼저 비교
+        const leftMagnitude = left.digits.length + left.exponent;
+        const rightMagnitude = right.digits.length + right.exponent;
+        let result;
+
+        if (leftMagnitude !== rightMagnitude) {
+            result = leftMagnitude - rightMagnitude;
+        } else {
+            const length = Math.max(left.digits.length, right.digits.length);
+            const leftDigits = left.digits.padEnd(length, '0');
+            const rightDigits = right.digits.padEnd(length, '0');
+            result = leftDigits < rightDigits ? -1 : (leftDigits > rightDigits ? 1 : 0);
+        }
+
+        return result * left.sign;
+    }
+
+    /**
+     * 정수를 16진수 문자열로 변환합니다.
+     * @param {number|bigint} value - 정수
+     * @returns {string|null} 16진수 문자열 (정수가 아니면 null)
+     */
+    toHex(value) {
+        return this.toRadix(value, 16, '0x');
+    }
+
+    /**
+     * 정수를 2진수 문자열로 변환합니다.
+     * @param {number|bigint} value - 정수
+     * @returns {string|null} 2진수 문자열 (정수가 아니면 null)
+     */
+    toBinary(value) {
+        return this.toRadix(value, 2, '0b');
+    }
+
+    /**
+     * 정수를 지정된 진법 문자열로 변환합니다. 음수는 부호를 앞에 붙입니다.
+     * @param {number|bigint} value - 정수
+     * @param {number} radix - 진법
+     * @param {string} prefix - 접두사
+     * @returns {string|null} 변환된 문자열
+     */
+    toRadix(value, radix, prefix) {
+        let bigValue;
+        if (typeof value === 'bigint') {
+            bigValue = value;
+        } else if (typeof value === 'number' && Number.isSafeInteger(value)) {
+            bigValue = BigInt(value);
+        } else {
+            return null;
+        }
+
+        const sign = bigValue < 0n ? '-' : '';
+        const magnitude = bigValue < 0n ? -bigValue : bigValue;
+        return `${sign}${prefix}${magnitude.toString(radix).toUpperCase()}`;
+    }
+
+    /**
+     * BigInt를 숫자 리터럴로 직렬화하는 JSON.stringify입니다.
+     * @param {*} value - 직렬화할 값
+     * @param {number|string} indent - 들여쓰기
+     * @returns {string} JSON 문자열
+     */
+    stringify(value, indent) {
+        let hasBigInt = false;
+        const json = JSON.stringify(value, (key, item) => {
+            if (typeof item === 'bigint') {
+                hasBigInt = true;
+                return this.bigIntMarker + item.toString();
+            }
+            return item;
+        }, indent);
+
+        return hasBigInt ? json.replace(this.bigIntPattern, '$1') : json;
+    }
+}
+
+// 전역에서 사용할 수 있도록 내보내기
+window.PreciseNumbers = PreciseNumbers;
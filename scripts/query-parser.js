@@ -0,0 +1,591 @@
+/**
+ * 쿼리 파싱 모듈
+ * 검색창의 고급 모드에서 쓰는 필터 식을 행 검사 함수로 변환합니다.
+ * 예: age > 30 and city in ("Seoul", "Busan")
+ *     category.name like "전자%" or not active
+ *     email ~ /@example\.com$/i and deletedAt is null
+ * - 비교: =, ==, !=, <>, <, <=, >, >=
+ * - 논리: and, or, not (&&, ||, !), 괄호
+ * - in (...), like (% 여러 글자, _ 한 글자), ~ 또는 matches (정규식), is [not] null
+ * - 점 표기 경로(category.name), 백틱으로 감싼 키(`first name`)
+ * 배열 값은 항목 중 하나라도 조건을 만족하면 참입니다.
+ */
+
+class QueryParser {
+    constructor() {
+        // 대소문자를 구분하지 않는 키워드
+        this.keywords = ['and', 'or', 'not', 'in', 'like', 'matches', 'is', 'null', 'true', 'false'];
+
+        // 비교 연산자 (표기 → 내부 이름)
+        this.comparisonOperators = {
+            '=': 'eq',
+            '==': 'eq',
+            '!=': 'ne',
+            '<>': 'ne',
+            '<': 'lt',
+            '<=': 'lte',
+            '>': 'gt',
+            '>=': 'gte'
+        };
+
+        this.preciseNumbers = new PreciseNumbers();
+
+        // 파서 상태
+        this.tokens = [];
+        this.index = 0;
+    }
+
+    /**
+     * 쿼리를 행 검사 함수로 변환합니다.
+     * @param {string} text - 쿼리 문자열
+     * @returns {Function|null} (row) => boolean (빈 쿼리면 null)
+     * @throws {Error} 쿼리 문법 오류 (error.position에 0부터 시작하는 위치)
+     */
+    compile(text) {
+        if (!text || text.trim() === '') {
+            return null;
+        }
+
+        const ast = this.parse(text);
+        return row => this.evaluate(ast, row);
+    }
+
+    /**
+     * 쿼리를 구문 트리로 파싱합니다.
+     * @param {string} text - 쿼리 문자열
+     * @returns {Object} 구문 트리
+     */
+    parse(text) {
+        this.tokens = this.tokenize(text);
+        this.index = 0;
+
+        const ast = this.parseOr();
+        const token = this.peek();
+        if (token.type !== 'EOF') {
+            this.throwUnexpected(token, 'and 또는 or');
+        }
+        return ast;
+    }
+
+    /**
+     * 쿼리를 토큰으로 나눕니다.
+     * @param {string} text - 쿼리 문자열
+     * @returns {Array} 토큰 목록 ({ type, value, start })
+     */
+    tokenize(text) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            const start = i;
+
+            if (char === '"' || char === "'") {
+                const { value, end } = this.readString(text, i, char);
+                tokens.push({ type: 'String', value: value, start: start });
+                i = end;
+                continue;
+            }
+
+            if (char === '`') {
+                const end = text.indexOf('`', i + 1);
+                if (end === -1) {
+                    this.throwAt(start, '백틱(`)이 닫히지 않았습니다.');
+                }
+                tokens.push({ type: 'Identifier', value: text.slice(i + 1, end), start: start });
+                i = end + 1;
+                continue;
+            }
+
+            if (char === '/') {
+                const { value, end } = this.readRegex(text, i);
+                tokens.push({ type: 'Regex', value: value, start: start });
+                i = end;
+                continue;
+            }
+
+            const number = /^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/.exec(text.slice(i));
+            if (number && (char !== '-' || this.expectsOperand(tokens))) {
+                tokens.push({ type: 'Number', value: number[0], start: start });
+                i += number[0].length;
+                continue;
+            }
+
+            const operator = /^(?:==|!=|<>|<=|>=|&&|\|\||!~|[=<>!~(),.])/.exec(text.slice(i));
+            if (operator) {
+                tokens.push({ type: operator[0], value: operator[0], start: start });
+                i += operator[0].length;
+                continue;
+            }
+
+            // 키 이름: 글자, 숫자, _, $, @, #, - 와 한글 등 비 ASCII 문자 (XML의 @id, #text 포함)
+            const identifier = /^[A-Za-z_$@#\u0080-\uFFFF][\w$@#\-\u0080-\uFFFF]*/.exec(text.slice(i));
+            if (identifier) {
+                const word = identifier[0];
+                const keyword = word.toLowerCase();
+                tokens.push(this.keywords.includes(keyword)
+                    ? { type: keyword, value: word, start: start }
+                    : { type: 'Identifier', value: word, start: start });
+                i += word.length;
+                continue;
+            }
+
+            this.throwAt(start, `"${char}"를 해석할 수 없습니다.`);
+        }
+
+        tokens.push({ type: 'EOF', value: '', start: text.length });
+        return tokens;
+    }
+
+    /**
+     * 다음 토큰이 값 자리인지 확인합니다. (음수 리터럴과 하이픈이 든 키 이름을 구분)
+     * @param {Array} tokens - 지금까지의 토큰
+     * @returns {boolean} 값 자리 여부
+     */
+    expectsOperand(tokens) {
+        const previous = tokens[tokens.length - 1];
+        return !previous || !['Identifier', 'String', 'Number', 'Regex', ')', 'null', 'true', 'false'].includes(previous.type);
+    }
+
+    /**
+     * 따옴표 문자열을 읽습니다. 백슬래시 이스케이프(\n, \t, \\, \")를 지원합니다.
+     * @param {string} text - 쿼리 문자열
+     * @param {number} start - 여는 따옴표 위치
+     * @param {string} quote - 따옴표 문자
+     * @returns {Object} { value, end }
+     */
+    readString(text, start, quote) {
+        const escapes = { n: '\n', t: '\t', r: '\r' };
+        let value = '';
+
+        for (let i = start + 1; i < text.length; i++) {
+            const char = text[i];
+            if (char === '\\' && i + 1 < text.length) {
+                i++;
+                value += escapes[text[i]] || text[i];
+            } else if (char === quote) {
+                return { value: value, end: i + 1 };
+            } else {
+                value += char;
+            }
+        }
+
+        this.throwAt(start, `${quote} 따옴표가 닫히지 않았습니다.`);
+    }
+
+    /**
+     * /패턴/플래그 형식의 정규식을 읽습니다.
+     * @param {string} text - 쿼리 문자열
+     * @param {number} start - 여는 / 위치
+     * @returns {Object} { value: RegExp, end }
+     */
+    readRegex(text, start) {
+        let inClass = false;
+
+        for (let i = start + 1; i < text.length; i++) {
+            const char = text[i];
+            if (char === '\\') {
+                i++;
+            } else if (char === '[') {
+                inClass = true;
+            } else if (char === ']') {
+                inClass = false;
+            } else if (char === '/' && !inClass) {
+                const flags = /^[a-z]*/.exec(text.slice(i + 1))[0];
+                try {
+                    return { value: new RegExp(text.slice(start + 1, i), flags), end: i + 1 + flags.length };
+                } catch (error) {
+                    this.throwAt(start, `올바른 정규식이 아닙니다. (${error.message})`);
+                }
+            }
+        }
+
+        this.throwAt(start, '정규식의 "/"가 닫히지 않았습니다.');
+    }
+
+    /**
+     * 현재 토큰을 반환합니다.
+     * @returns {Object} 토큰
+     */
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    /**
+     * 현재 토큰이 주어진 종류 중 하나이면 소비하고 반환합니다.
+     * @param {...string} types - 토큰 종류
+     * @returns {Object|null} 소비한 토큰
+     */
+    accept(...types) {
+        const token = this.peek();
+        if (types.includes(token.type)) {
+            this.index++;
+            return token;
+        }
+        return null;
+    }
+
+    /**
+     * 현재 토큰이 주어진 종류가 아니면 오류를 냅니다.
+     * @param {string} type - 토큰 종류
+     * @param {string} description - 오류 메시지에 쓸 설명
+     * @returns {Object} 소비한 토큰
+     */
+    expect(type, description) {
+        const token = this.accept(type);
+        if (!token) {
+            this.throwUnexpected(this.peek(), description);
+        }
+        return token;
+    }
+
+    /**
+     * or 식을 파싱합니다.
+     * @returns {Object} 구문 트리
+     */
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.accept('or', '||')) {
+            left = { type: 'or', left: left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    /**
+     * and 식을 파싱합니다.
+     * @returns {Object} 구문 트리
+     */
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.accept('and', '&&')) {
+            left = { type: 'and', left: left, right: this.parseNot() };
+        }
+        return left;
+    }
+
+    /**
+     * not 식을 파싱합니다.
+     * @returns {Object} 구문 트리
+     */
+    parseNot() {
+        if (this.accept('not', '!')) {
+            return { type: 'not', operand: this.parseNot() };
+        }
+        return this.parseComparison();
+    }
+
+    /**
+     * 괄호 식 또는 비교식을 파싱합니다.
+     * @returns {Object} 구문 트리
+     */
+    parseComparison() {
+        if (this.accept('(')) {
+            const expression = this.parseOr();
+            this.expect(')', '")"');
+            return expression;
+        }
+
+        const left = this.parseOperand();
+        const token = this.peek();
+
+        if (this.comparisonOperators[token.type]) {
+            this.index++;
+            return { type: 'compare', operator: this.comparisonOperators[token.type], left: left, right: this.parseOperand() };
+        }
+
+        if (this.accept('is')) {
+            const negate = !!this.accept('not');
+            this.expect('null', 'null');
+            return { type: 'null', operand: left, negate: negate };
+        }
+
+        const negate = !!this.accept('not');
+
+        if (this.accept('in')) {
+            return { type: 'in', operand: left, values: this.parseList(), negate: negate };
+        }
+
+        if (this.accept('like')) {
+            const pattern = this.expect('String', '따옴표로 감싼 like 패턴');
+            return { type: 'regex', operand: left, regex: this.likeToRegex(pattern.value), negate: negate };
+        }
+
+        if (this.accept('matches', '~')) {
+            return { type: 'regex', operand: left, regex: this.parseRegexOperand(), negate: negate };
+        }
+
+        if (!negate && this.accept('!~')) {
+            return { type: 'regex', operand: left, regex: this.parseRegexOperand(), negate: true };
+        }
+
+        if (negate) {
+            this.throwUnexpected(this.peek(), 'not 뒤의 in, like, matches');
+        }
+
+        // 연산자가 없으면 값의 참/거짓으로 판단 (예: active, not deleted)
+        return { type: 'truthy', operand: left };
+    }
+
+    /**
+     * 정규식 연산자의 오른쪽(정규식 리터럴 또는 문자열)을 파싱합니다.
+     * 문자열은 대소문자를 구분하지 않는 정규식으로 변환합니다.
+     * @returns {RegExp} 정규식
+     */
+    parseRegexOperand() {
+        const regex = this.accept('Regex');
+        if (regex) {
+            return regex.value;
+        }
+
+        const pattern = this.expect('String', '/정규식/ 또는 문자열');
+        try {
+            return new RegExp(pattern.value, 'i');
+        } catch (error) {
+            this.throwAt(pattern.start, `올바른 정규식이 아닙니다. (${error.message})`);
+        }
+    }
+
+    /**
+     * in 연산자의 값 목록 (a, b, ...)을 파싱합니다.
+     * @returns {Array} 피연산자 목록
+     */
+    parseList() {
+        this.expect('(', '"("');
+        const values = [];
+
+        if (!this.accept(')')) {
+            do {
+                values.push(this.parseOperand());
+            } while (this.accept(','));
+            this.expect(')', '"," 또는 ")"');
+        }
+
+        return values;
+    }
+
+    /**
+     * 값(리터럴 또는 경로)을 파싱합니다.
+     * @returns {Object} 피연산자 ({ type: 'literal', value } 또는 { type: 'path', segments })
+     */
+    parseOperand() {
+        const token = this.peek();
+
+        switch (token.type) {
+            case 'String':
+                this.index++;
+                return { type: 'literal', value: token.value };
+            case 'Number':
+                this.index++;
+                return { type: 'literal', value: this.preciseNumbers.parseNumberToken(token.value) };
+            case 'true':
+            case 'false':
+                this.index++;
+                return { type: 'literal', value: token.type === 'true' };
+            case 'null':
+                this.index++;
+                return { type: 'literal', value: null };
+            case 'Identifier':
+                return this.parsePath();
+            default:
+                this.throwUnexpected(token, '키 이름이나 값');
+        }
+    }
+
+    /**
+     * 점 표기 경로를 파싱합니다. 점 뒤에는 키 이름이나 배열 인덱스가 올 수 있습니다.
+     * @returns {Object} { type: 'path', segments }
+     */
+    parsePath() {
+        const segments = [this.expect('Identifier', '키 이름').value];
+
+        while (this.accept('.')) {
+            const token = this.accept('Identifier', 'Number', ...this.keywords);
+            if (!token) {
+                this.throwUnexpected(this.peek(), '"." 뒤의 키 이름');
+            }
+            segments.push(token.value);
+        }
+
+        return { type: 'path', segments: segments };
+    }
+
+    /**
+     * SQL like 패턴을 정규식으로 변환합니다. (대소문자 구분 없음)
+     * @param {string} pattern - like 패턴 (% 여러 글자, _ 한 글자)
+     * @returns {RegExp} 정규식
+     */
+    likeToRegex(pattern) {
+        const source = Array.from(pattern).map(char => {
+            if (char === '%') return '.*';
+            if (char === '_') return '.';
+            return char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }).join('');
+        return new RegExp(`^${source}$`, 'is');
+    }
+
+    /**
+     * 구문 트리를 행에 대해 평가합니다.
+     * @param {Object} node - 구문 트리
+     * @param {Object} row - 행 데이터
+     * @returns {boolean} 조건 만족 여부
+     */
+    evaluate(node, row) {
+        switch (node.type) {
+            case 'or':
+                return this.evaluate(node.left, row) || this.evaluate(node.right, row);
+            case 'and':
+                return this.evaluate(node.left, row) && this.evaluate(node.right, row);
+            case 'not':
+                return !this.evaluate(node.operand, row);
+            case 'truthy':
+                return this.matchAny(this.resolve(node.operand, row), value =>
+                    value !== null && value !== undefined && value !== false && value !== 0 && value !== '');
+            case 'null': {
+                const value = this.resolve(node.operand, row);
+                return (value === null || value === undefined) !== node.negate;
+            }
+            case 'compare': {
+                const right = this.resolve(node.right, row);
+                return this.matchAny(this.resolve(node.left, row), value => this.compareValues(value, right, node.operator));
+            }
+            case 'in': {
+                const values = node.values.map(operand => this.resolve(operand, row));
+                const found = this.matchAny(this.resolve(node.operand, row), value =>
+                    values.some(item => this.compareValues(value, item, 'eq')));
+                return found !== node.negate;
+            }
+            case 'regex': {
+                const found = this.matchAny(this.resolve(node.operand, row), value => {
+                    if (value === null || value === undefined) {
+                        return false;
+                    }
+                    node.regex.lastIndex = 0;
+                    return node.regex.test(typeof value === 'object' ? this.preciseNumbers.stringify(value) : String(value));
+                });
+                return found !== node.negate;
+            }
+            default:
+                throw new Error(`알 수 없는 쿼리 노드: ${node.type}`);
+        }
+    }
+
+    /**
+     * 값이 배열이면 항목 중 하나라도 검사를 통과하는지, 아니면 값 자체가 통과하는지 확인합니다.
+     * @param {*} value - 값
+     * @param {Function} test - 검사 함수
+     * @returns {boolean} 통과 여부
+     */
+    matchAny(value, test) {
+        return Array.isArray(value) ? value.some(test) : test(value);
+    }
+
+    /**
+     * 피연산자의 값을 구합니다.
+     * @param {Object} operand - 피연산자
+     * @param {Object} row - 행 데이터
+     * @returns {*} 값
+     */
+    resolve(operand, row) {
+        return operand.type === 'literal' ? operand.value : this.getPathValue(row, operand.segments);
+    }
+
+    /**
+     * 행에서 경로의 값을 꺼냅니다.
+     * 점이 들어간 키(평면화된 헤더 등)가 그대로 있으면 먼저 사용하고,
+     * 중간에 배열을 만나면 각 항목에서 나머지 경로를 따라갑니다.
+     * @param {*} value - 행 데이터
+     * @param {Array} segments - 경로
+     * @returns {*} 값
+     */
+    getPathValue(value, segments) {
+        if (segments.length === 0) {
+            return value;
+        }
+        if (value === null || value === undefined || typeof value !== 'object') {
+            return undefined;
+        }
+
+        const joined = segments.join('.');
+        if (segments.length > 1 && !Array.isArray(value) && Object.prototype.hasOwnProperty.call(value, joined)) {
+            return value[joined];
+        }
+
+        const [key, ...rest] = segments;
+        if (Array.isArray(value) && !/^\d+$/.test(key)) {
+            return value.map(item => this.getPathValue(item, segments)).flat();
+        }
+        return this.getPathValue(value[key], rest);
+    }
+
+    /**
+     * 두 값을 비교합니다.
+     * 숫자는 정밀도를 유지해 비교하고(숫자 문자열 포함), null은 = / != 에서만 참이 될 수 있습니다.
+     * @param {*} left - 왼쪽 값
+     * @param {*} right - 오른쪽 값
+     * @param {string} operator - 'eq', 'ne', 'lt', 'lte', 'gt', 'gte'
+     * @returns {boolean} 비교 결과
+     */
+    compareValues(left, right, operator) {
+        const leftMissing = left === null || left === undefined;
+        const rightMissing = right === null || right === undefined;
+
+        if (leftMissing || rightMissing) {
+            if (operator === 'eq') return leftMissing && rightMissing;
+            if (operator === 'ne') return leftMissing !== rightMissing;
+            return false;
+        }
+
+        let result;
+        const isNumber = value => typeof value === 'number' || typeof value === 'bigint';
+
+        if ((isNumber(left) || isNumber(right)) &&
+            this.preciseNumbers.isNumeric(left) && this.preciseNumbers.isNumeric(right)) {
+            result = this.preciseNumbers.compare(left, right);
+        } else if (typeof left === 'boolean' && typeof right === 'boolean') {
+            result = Number(left) - Number(right);
+        } else {
+            const a = typeof left === 'object' ? this.preciseNumbers.stringify(left) : String(left);
+            const b = typeof right === 'object' ? this.preciseNumbers.stringify(right) : String(right);
+            result = a < b ? -1 : (a > b ? 1 : 0);
+        }
+
+        switch (operator) {
+            case 'eq': return result === 0;
+            case 'ne': return result !== 0;
+            case 'lt': return result < 0;
+            case 'lte': return result <= 0;
+            case 'gt': return result > 0;
+            default: return result >= 0;
+        }
+    }
+
+    /**
+     * 예상하지 못한 토큰에 대한 오류를 냅니다.
+     * @param {Object} token - 토큰
+     * @param {string} expected - 예상한 내용
+     */
+    throwUnexpected(token, expected) {
+        const found = token.type === 'EOF' ? '쿼리의 끝' : `"${token.value}"`;
+        this.throwAt(token.start, `예상하지 못한 ${found} (${expected} 필요)`);
+    }
+
+    /**
+     * 위치 정보가 있는 문법 오류를 냅니다.
+     * @param {number} position - 0부터 시작하는 위치
+     * @param {string} message - 오류 메시지
+     */
+    throwAt(position, message) {
+        const error = new Error(`쿼리 ${position + 1}번째 문자: ${message}`);
+        error.position = position;
+        throw error;
+    }
+}
+
+// 전역에서 사용할 수 있도록 내보내기
+window.QueryParser = QueryParser;
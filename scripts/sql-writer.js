@@ -0,0 +1,324 @@
+/**
+ * SQL 작성 모듈
+ * 행 목록을 CREATE TABLE 문과 여러 행씩 묶은 INSERT 문으로 변환합니다.
+ * SQLite, PostgreSQL, MySQL의 식별자 인용과 문자열 이스케이프 규칙을 따릅니다.
+ */
+
+class SQLWriter {
+    constructor() {
+        // 방언별 식별자 인용 문자와 컬럼 타입 (MySQL DECIMAL의 자릿수는 값에서 계산함)
+        this.dialects = {
+            sqlite: {
+                name: 'SQLite',
+                quote: '"',
+                types: { integer: 'INTEGER', real: 'REAL', boolean: 'INTEGER', date: 'TEXT', timestamp: 'TEXT', json: 'TEXT', text: 'TEXT', decimal: 'TEXT' }
+            },
+            postgresql: {
+                name: 'PostgreSQL',
+                quote: '"',
+                types: { integer: 'BIGINT', real: 'DOUBLE PRECISION', boolean: 'BOOLEAN', date: 'DATE', timestamp: 'TIMESTAMPTZ', json: 'JSONB', text: 'TEXT', decimal: 'NUMERIC' }
+            },
+            mysql: {
+                name: 'MySQL',
+                quote: '`',
+                types: { integer: 'BIGINT', real: 'DOUBLE', boolean: 'BOOLEAN', date: 'DATE', timestamp: 'DATETIME(3)', json: 'JSON', text: 'TEXT' }
+            }
+        };
+
+        // INSERT 문 하나에 넣을 최대 행 수
+        this.batchSize = 100;
+
+        // MySQL DECIMAL의 최대 전체 자릿수와 소수 자릿수 (넘으면 TEXT로 씀)
+        this.mysqlDecimalLimits = { precision: 65, scale: 30 };
+
+        // 날짜 컬럼으로 추론할 ISO 8601 문자열
+        this.datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        this.timestampPattern = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?$/;
+
+        this.preciseNumbers = new PreciseNumbers();
+    }
+
+    /**
+     * CREATE TABLE 문과 INSERT 문을 만듭니다.
+     * @param {Object} table - { name, columns: [{ name, type }], rows: [[value]] }
+     * @param {string} dialect - 'sqlite', 'postgresql', 'mysql'
+     * @returns {string} SQL 스크립트
+     */
+    createScript(table, dialect = 'sqlite') {
+        const settings = this.dialects[dialect] || this.dialects.sqlite;
+        const tableName = this.quoteIdentifier(table.name, settings);
+
+        const columns = table.columns.map((column, index) =>
+            this.resolveColumn(column.type, table.rows.map(row => row[index]), dialect));
+
+        const definitions = table.columns.map((column, index) =>
+            `  ${this.quoteIdentifier(column.name, settings)} ${columns[index].sqlType}`);
+        const statements = [`CREATE TABLE ${tableName} (\n${definitions.join(',\n')}\n);`];
+
+        const columnList = table.columns.map(column => this.quoteIdentifier(column.name, settings)).join(', ');
+        for (let start = 0; start < table.rows.length; start += this.batchSize) {
+            const values = table.rows.slice(start, start + this.batchSize).map(row =>
+                `  (${row.map((value, index) => this.formatValue(value, columns[index].type, dialect)).join(', ')})`);
+            statements.push(`INSERT INTO ${tableName} (${columnList}) VALUES\n${values.join(',\n')};`);
+        }
+
+        return statements.join('\n\n') + '\n';
+    }
+
+    /**
+     * 방언에서 쓸 컬럼의 SQL 타입과 값을 쓸 때의 타입을 정합니다.
+     * MySQL DECIMAL은 자릿수를 정해야 하므로 값에서 계산하고, 한도를 넘으면 TEXT 컬럼으로 씁니다.
+     * @param {string} type - 컬럼 타입 (inferColumnType 결과)
+     * @param {Array} values - 컬럼 값 목록
+     * @param {string} dialect - SQL 방언
+     * @returns {Object} { sqlType, type }
+     */
+    resolveColumn(type, values, dialect) {
+        const settings = this.dialects[dialect] || this.dialects.sqlite;
+
+        if (type === 'decimal' && dialect === 'mysql') {
+            const size = this.getDecimalSize(values);
+            const limits = this.mysqlDecimalLimits;
+            return size.precision <= limits.precision && size.scale <= limits.scale
+                ? { sqlType: `DECIMAL(${size.precision},${size.scale})`, type: type }
+                : { sqlType: settings.types.text, type: 'text' };
+        }
+
+        return { sqlType: settings.types[type] || settings.types.text, type: type };
+    }
+
+    /**
+     * 숫자 값들을 모두 담을 수 있는 DECIMAL 전체 자릿수와 소수 자릿수를 계산합니다.
+     * @param {Array} values - 컬럼 값 목록 (number, bigint, 10진수 문자열)
+     * @returns {Object} { precision, scale }
+     */
+    getDecimalSize(values) {
+        let integerDigits = 1;
+        let scale = 0;
+
+        values.forEach(value => {
+            if (value === undefined || value === null) {
+                return;
+            }
+            const decimal = this.preciseNumbers.normalizeDecimal(this.formatDecimal(value));
+            if (!decimal) {
+                return;
+            }
+            integerDigits = Math.max(integerDigits, decimal.digits.length + decimal.exponent);
+            scale = Math.max(scale, -decimal.exponent);
+        });
+
+        return { precision: integerDigits + scale, scale: scale };
+    }
+
+    /**
+     * 컬럼 값들로 SQL 컬럼 타입을 추론합니다.
+     * 테이블 컬럼 타입이 지정되어 있으면 그 타입을 우선합니다.
+     * @param {Array} values - 컬럼 값 목록 (undefined, null은 무시)
+     * @param {string} columnType - 테이블 컬럼 타입 ('auto', 'string', 'number', ...)
+     * 64비트 정수 범위를 넘는 정수나 정밀 숫자 모드의 고정밀 소수(문자열)가 있는 숫자 컬럼은 'decimal'로 추론합니다.
+     * @returns {string} 'integer', 'decimal', 'real', 'boolean', 'date', 'timestamp', 'json', 'text'
+     */
+    inferColumnType(values, columnType = 'auto') {
+        const present = values.filter(value => value !== undefined && value !== null);
+
+        switch (columnType) {
+            case 'string':
+            case 'raw':
+                return present.some(value => typeof value === 'object') ? 'json' : 'text';
+            case 'json':
+                return 'json';
+            default:
+                break;
+        }
+
+        if (present.length === 0) {
+            return 'text';
+        }
+
+        if (present.every(value => typeof value === 'object')) {
+            return 'json';
+        }
+        if (present.every(value => typeof value === 'boolean')) {
+            return 'boolean';
+        }
+        if (present.every(value => this.isInteger(value))) {
+            return present.every(value => this.isInt64(value)) ? 'integer' : 'decimal';
+        }
+        if (present.every(value => this.isFiniteNumber(value) || this.isPreciseDecimal(value))) {
+            const exact = present.some(value =>
+                this.isPreciseDecimal(value) || (this.isInteger(value) && !this.isInt64(value)));
+            return exact ? 'decimal' : 'real';
+        }
+        if (present.every(value => typeof value === 'string' && this.datePattern.test(value.trim()) && !isNaN(Date.parse(value.trim())))) {
+            return 'date';
+        }
+        if (present.every(value => typeof value === 'string' && this.isTimestamp(value))) {
+            return 'timestamp';
+        }
+
+        return 'text';
+    }
+
+    /**
+     * 값을 SQL 리터럴로 변환합니다.
+     * @param {*} value - 값
+     * @param {string} type - 컬럼 타입 (inferColumnType 결과)
+     * @param {string} dialect - SQL 방언
+     * @returns {string} SQL 리터럴
+     */
+    formatValue(value, type, dialect) {
+        if (value === undefined || value === null) {
+            return 'NULL';
+        }
+
+        // JSON 컬럼에는 문자열 같은 단순 값도 JSON으로 인코딩해야 올바른 JSON 값이 됨
+        if (typeof value === 'object' || type === 'json') {
+            return this.quoteString(this.stringifyJSON(value), dialect);
+        }
+
+        switch (type) {
+            case 'boolean':
+                if (dialect === 'sqlite') {
+                    return value ? '1' : '0';
+                }
+                return value ? 'TRUE' : 'FALSE';
+            case 'integer':
+            case 'real':
+                // 무한대와 NaN은 표준 숫자 리터럴이 없으므로 NULL로 씀
+                return this.isFiniteNumber(value) ? String(value) : 'NULL';
+            case 'decimal': {
+                const digits = this.formatDecimal(value);
+                // SQLite는 64비트를 넘는 정수와 고정밀 소수를 REAL로 바꿔 정밀도를 잃으므로 텍스트로 저장
+                return dialect === 'sqlite' ? this.quoteString(digits, dialect) : digits;
+            }
+            case 'timestamp':
+                return this.quoteString(this.formatTimestamp(value, dialect), dialect);
+            default:
+                return this.quoteString(String(value), dialect);
+        }
+    }
+
+    /**
+     * 식별자를 방언의 인용 문자로 감쌉니다. 안에 있는 인용 문자는 두 번 씁니다.
+     * @param {string} name - 식별자
+     * @param {Object} settings - 방언 설정
+     * @returns {string} 인용된 식별자
+     */
+    quoteIdentifier(name, settings) {
+        const quote = settings.quote;
+        return `${quote}${String(name).split(quote).join(quote + quote)}${quote}`;
+    }
+
+    /**
+     * 문자열 리터럴을 만듭니다.
+     * MySQL은 기본 설정에서 백슬래시를 이스케이프 문자로 쓰므로 백슬래시와 NUL도 이스케이프합니다.
+     * @param {string} text - 문자열
+     * @param {string} dialect - SQL 방언
+     * @returns {string} 문자열 리터럴
+     */
+    quoteString(text, dialect) {
+        let escaped = text.replace(/'/g, "''");
+
+        if (dialect === 'mysql') {
+            escaped = escaped.replace(/\\/g, '\\\\').replace(/\0/g, '\\0');
+        } else {
+            // SQLite와 PostgreSQL 텍스트에는 NUL 문자를 저장할 수 없음
+            escaped = escaped.replace(/\0/g, '');
+        }
+
+        return `'${escaped}'`;
+    }
+
+    /**
+     * 날짜 시간 문자열을 방언이 읽을 수 있는 형식으로 바꿉니다.
+     * MySQL DATETIME은 시간대 표기를 받지 않으므로 UTC 'YYYY-MM-DD HH:MM:SS.fff'로 변환합니다.
+     * @param {string} value - ISO 8601 날짜 시간
+     * @param {string} dialect - SQL 방언
+     * @returns {string} 날짜 시간 문자열
+     */
+    formatTimestamp(value, dialect) {
+        const text = String(value).trim();
+        if (dialect !== 'mysql' || !/(?:Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+            return text;
+        }
+
+        const date = new Date(text);
+        return isNaN(date.getTime()) ? text : date.toISOString().replace('T', ' ').replace('Z', '');
+    }
+
+    /**
+     * 중첩 값을 JSON 문자열로 변환합니다. BigInt는 정밀도를 잃지 않게 숫자 그대로 씁니다.
+     * @param {*} value - 중첩 값
+     * @returns {string} JSON 문자열
+     */
+    stringifyJSON(value) {
+        return this.preciseNumbers.stringify(value);
+    }
+
+    /**
+     * 정수(안전 범위 밖의 BigInt 포함)인지 확인합니다.
+     * @param {*} value - 값
+     * @returns {boolean} 정수 여부
+     */
+    isInteger(value) {
+        return typeof value === 'bigint' || (typeof value === 'number' && Number.isInteger(value));
+    }
+
+    /**
+     * 숫자 값을 DECIMAL 리터럴 문자열로 바꿉니다. 큰 정수 number는 지수 표기 대신 정수 자릿수로 씁니다.
+     * @param {number|bigint|string} value - 숫자 값
+     * @returns {string} 숫자 문자열
+     */
+    formatDecimal(value) {
+        if (typeof value === 'number' && Number.isInteger(value)) {
+            return BigInt(value).toString();
+        }
+        return String(value).trim();
+    }
+
+    /**
+     * 정밀 숫자 모드에서 number로 나타낼 수 없어 문자열로 보존된 소수인지 확인합니다.
+     * 정수 모양이거나 number로 바꿔도 같은 값인 문자열("007", "1.5" 등)은 일반 문자열로 봅니다.
+     * @param {*} value - 값
+     * @returns {boolean} 고정밀 소수 여부
+     */
+    isPreciseDecimal(value) {
+        if (typeof value !== 'string' || !this.preciseNumbers.isNumeric(value) || /^\s*[+-]?\d+\s*$/.test(value)) {
+            return false;
+        }
+        return !this.preciseNumbers.isSameDecimal(value, String(Number(value)));
+    }
+
+    /**
+     * 정수가 부호 있는 64비트(BIGINT) 범위 안에 있는지 확인합니다.
+     * @param {number|bigint} value - 정수
+     * @returns {boolean} 범위 안 여부
+     */
+    isInt64(value) {
+        const integer = BigInt(value);
+        return integer >= -(2n ** 63n) && integer <= 2n ** 63n - 1n;
+    }
+
+    /**
+     * 유한한 숫자인지 확인합니다.
+     * @param {*} value - 값
+     * @returns {boolean} 숫자 여부
+     */
+    isFiniteNumber(value) {
+        return typeof value === 'bigint' || (typeof value === 'number' && Number.isFinite(value));
+    }
+
+    /**
+     * ISO 8601 날짜 시간 문자열인지 확인합니다.
+     * @param {string} value - 문자열
+     * @returns {boolean} 날짜 시간 여부
+     */
+    isTimestamp(value) {
+        const text = value.trim();
+        return this.timestampPattern.test(text) && !isNaN(Date.parse(text));
+    }
+}
+
+// 전역에서 사용할 수 있도록 내보내기
+window.SQLWriter = SQLWriter;
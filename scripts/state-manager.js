@@ -9,6 +9,10 @@ class StateManager {
         this.maxStorageSize = 5 * 1024 * 1024; // 5MB 제한
         this.autoSaveDelay = 1000; // 1초 지연
         this.autoSaveTimer = null;
+
+        // 데이터셋별 컬럼 레이아웃 (표시 여부, 순서, 고정)
+        this.columnLayoutsKey = 'json-table-viewer-column-layouts';
+        this.maxColumnLayouts = 50; // 오래 쓰지 않은 레이아웃부터 삭제
     }
 
     /**
@@ -99,6 +103,62 @@ class StateManager {
         }
     }
 
+    /**
+     * 데이터셋의 컬럼 레이아웃을 저장합니다.
+     * @param {string} datasetKey - 데이터셋 식별자 (컬럼 구성으로 만든 키)
+     * @param {Object|null} layout - { order, hidden, pinned } (null이면 삭제)
+     * @returns {boolean} 저장 성공 여부
+     */
+    saveColumnLayout(datasetKey, layout) {
+        try {
+            const layouts = this.loadColumnLayouts();
+
+            if (layout) {
+                layouts[datasetKey] = { ...layout, lastUsed: new Date().toISOString() };
+            } else {
+                delete layouts[datasetKey];
+            }
+
+            // 최대 개수를 넘으면 가장 오래 쓰지 않은 레이아웃부터 삭제
+            const keys = Object.keys(layouts).sort((a, b) =>
+                String(layouts[b].lastUsed).localeCompare(String(layouts[a].lastUsed)));
+            keys.slice(this.maxColumnLayouts).forEach(key => {
+                delete layouts[key];
+            });
+
+            localStorage.setItem(this.columnLayoutsKey, JSON.stringify(layouts));
+            return true;
+        } catch (error) {
+            console.error('컬럼 레이아웃 저장 중 오류가 발생했습니다:', error);
+            this.handleStorageError(error);
+            return false;
+        }
+    }
+
+    /**
+     * 데이터셋의 컬럼 레이아웃을 로드합니다.
+     * @param {string} datasetKey - 데이터셋 식별자
+     * @returns {Object|null} { order, hidden, pinned } 또는 null
+     */
+    loadColumnLayout(datasetKey) {
+        const layout = this.loadColumnLayouts()[datasetKey];
+        return layout && typeof layout === 'object' ? layout : null;
+    }
+
+    /**
+     * 저장된 컬럼 레이아웃 전체를 로드합니다.
+     * @returns {Object} 데이터셋 식별자별 레이아웃
+     */
+    loadColumnLayouts() {
+        try {
+            const layouts = JSON.parse(localStorage.getItem(this.columnLayoutsKey) || '{}');
+            return layouts && typeof layouts === 'object' && !Array.isArray(layouts) ? layouts : {};
+        } catch (error) {
+            console.warn('저장된 컬럼 레이아웃이 유효하지 않습니다:', error);
+            return {};
+        }
+    }
+
     /**
      * 자동 저장을 설정합니다.
      * @param {Object} state - 저장할 상태 객체
@@ -306,10 +366,24 @@ class StateManager {
     createDefaultState() {
         return {
             jsonInput: '',
+            inputOptions: {
+                dialect: 'json',
+                preciseNumbers: false,
+                duplicateKeys: 'report',
+                rootPath: '',
+                csvDelimiter: 'auto',
+                csvHeader: true,
+                xmlRowElement: '',
+                xmlAttributePrefix: '@',
+                xmlTextKey: '#text'
+            },
             tableOptions: {
                 sortColumn: null,
                 sortDirection: 'asc',
-                searchTerm: ''
+                searchTerm: '',
+                searchMode: 'text',
+                sortNulls: 'last',
+                headerOrder: 'source'
             },
             lastUpdated: new Date().toISOString()
         };
@@ -326,6 +400,7 @@ class StateManager {
         
         return (
             currentState.jsonInput !== previousState.jsonInput ||
+            JSON.stringify(currentState.inputOptions) !== JSON.stringify(previousState.inputOptions) ||
             JSON.stringify(currentState.tableOptions) !== JSON.stringify(previousState.tableOptions)
         );
     }
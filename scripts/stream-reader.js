@@ -0,0 +1,439 @@
+/**
+ * 스트리밍 파일 읽기 모듈
+ * 대용량 파일을 File.stream()으로 나누어 읽으며
+ * JSONL/NDJSON은 줄 단위로, 최상위 JSON 배열은 요소 단위로 파싱합니다.
+ */
+
+class StreamReader {
+    constructor() {
+        this.batchSize = 1000; // 한 번에 전달할 최대 행 수
+        this.flushInterval = 250; // 행 전달 최소 간격 (밀리초)
+        this.maxErrorContentLength = 200; // 오류 행에 보관할 원문 최대 길이
+
+        // 현재 읽기 ({ streamReader, stopRequested, maxRows }, 읽는 중이 아니면 null)
+        // 새 파일을 읽기 시작하면 교체되므로, 이전 읽기는 자기 객체만 보고 멈추거나 정리함
+        this.currentRead = null;
+    }
+
+    /**
+     * 브라우저가 스트리밍 읽기를 지원하는지 확인합니다.
+     * @param {File} file - 확인할 파일
+     * @returns {boolean} 지원 여부
+     */
+    isSupported(file) {
+        return !!file && typeof file.stream === 'function' && typeof TextDecoder !== 'undefined';
+    }
+
+    /**
+     * 파일을 스트리밍으로 읽어 행 단위로 전달합니다.
+     * @param {File} file - 읽을 파일
+     * @param {Object} options - 읽기 옵션
+     * @param {number|null} options.maxRows - 최대 행 수 (null이면 전체)
+     * @param {Function} options.onRows - 새 행 배치 콜백 (rows)
+     * @param {Function} options.onProgress - 진행 상황 콜백 (bytesRead, totalBytes, rowCount)
+     * @param {Function} options.parseValue - 요소/줄 파싱 함수 (기본값: JSON.parse)
+     * @returns {Promise<Object>} 읽기 결과 객체
+     */
+    async readFile(file, options = {}) {
+        const result = {
+            success: false,
+            error: null,
+            format: null,
+            rowCount: 0,
+            errorCount: 0,
+            bytesRead: 0,
+            stopped: false
+        };
+
+        if (!this.isSupported(file)) {
+            result.error = '이 브라우저는 파일 스트리밍을 지원하지 않습니다.';
+            return result;
+        }
+
+        const read = {
+            streamReader: null,
+            stopRequested: false,
+            maxRows: options.maxRows || null
+        };
+        this.currentRead = read;
+
+        const onRows = options.onRows || (() => {});
+        const onProgress = options.onProgress || (() => {});
+        const decoder = new TextDecoder('utf-8');
+        const state = this.createParseState(file.name);
+        state.parseValue = options.parseValue || JSON.parse;
+
+        let batch = [];
+        let lastFlush = 0;
+
+        const flush = () => {
+            if (batch.length > 0) {
+                onRows(batch);
+                batch = [];
+            }
+            lastFlush = Date.now();
+        };
+
+        const emitRow = (row, isError) => {
+            if (this.isRowLimitReached(read, result.rowCount)) {
+                return false;
+            }
+
+            batch.push(row);
+            result.rowCount++;
+            if (isError) {
+                result.errorCount++;
+            }
+
+            if (batch.length >= this.batchSize) {
+                flush();
+            }
+            return !this.isRowLimitReached(read, result.rowCount);
+        };
+
+        try {
+            read.streamReader = file.stream().getReader();
+
+            while (!read.stopRequested) {
+                const { done, value } = await read.streamReader.read();
+                if (done) {
+                    break;
+                }
+
+                result.bytesRead += value.byteLength;
+                const text = decoder.decode(value, { stream: true });
+
+                if (!this.processText(state, text, emitRow)) {
+                    break;
+                }
+
+                if (Date.now() - lastFlush >= this.flushInterval) {
+                    flush();
+                }
+                onProgress(result.bytesRead, file.size, result.rowCount);
+            }
+
+            // 마지막 남은 데이터 처리
+            if (!read.stopRequested && !this.isRowLimitReached(read, result.rowCount)) {
+                this.processText(state, decoder.decode(), emitRow);
+                this.finishParseState(state, emitRow);
+            }
+
+            flush();
+            onProgress(result.bytesRead, file.size, result.rowCount);
+
+            result.format = state.format;
+            result.stopped = read.stopRequested || this.isRowLimitReached(read, result.rowCount);
+            result.success = true;
+
+        } catch (error) {
+            flush();
+            result.format = state.format;
+            result.error = error.message;
+
+        } finally {
+            if (read.streamReader) {
+                read.streamReader.cancel().catch(() => {});
+                read.streamReader = null;
+            }
+            // 그사이 다른 파일 읽기가 시작되었으면 그 상태는 건드리지 않음
+            if (this.currentRead === read) {
+                this.currentRead = null;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * 진행 중인 읽기를 중단합니다. 이미 읽은 행은 유지됩니다.
+     */
+    stop() {
+        const read = this.currentRead;
+        if (!read) {
+            return;
+        }
+
+        read.stopRequested = true;
+        if (read.streamReader) {
+            read.streamReader.cancel().catch(() => {});
+        }
+        this.currentRead = null;
+    }
+
+    /**
+     * 최대 행 수를 변경합니다. 읽는 도중에도 적용됩니다.
+     * @param {number|null} maxRows - 최대 행 수 (null이면 전체)
+     */
+    setMaxRows(maxRows) {
+        if (this.currentRead) {
+            this.currentRead.maxRows = maxRows > 0 ? maxRows : null;
+        }
+    }
+
+    /**
+     * 최대 행 수에 도달했는지 확인합니다.
+     * @param {Object} read - readFile의 읽기 상태
+     * @param {number} rowCount - 현재까지 읽은 행 수
+     * @returns {boolean} 도달 여부
+     */
+    isRowLimitReached(read, rowCount) {
+        return read.maxRows !== null && rowCount >= read.maxRows;
+    }
+
+    /**
+     * 파싱 상태 객체를 생성합니다.
+     * @param {string} fileName - 파일 이름
+     * @returns {Object} 파싱 상태
+     */
+    createParseState(fileName) {
+        const extension = fileName.toLowerCase().split('.').pop();
+        const explicitJSONL = extension === 'jsonl' || extension === 'ndjson';
+
+        return {
+            // 'jsonl', 'array' 또는 첫 글자를 보고 결정 (null)
+            format: explicitJSONL ? 'jsonl' : null,
+            explicitJSONL: explicitJSONL,
+            pending: '',
+            lineNumber: 0,
+            elementIndex: 0,
+            // 배열 요소 분리 상태
+            started: false,
+            finished: false,
+            depth: 0,
+            inString: false,
+            escaped: false,
+            // 요소/줄 파싱 함수 (정밀 숫자 모드 등에서 교체)
+            parseValue: JSON.parse
+        };
+    }
+
+    /**
+     * 디코딩된 텍스트 조각을 처리합니다.
+     * @param {Object} state - 파싱 상태
+     * @param {string} text - 텍스트 조각
+     * @param {Function} emitRow - 행 전달 함수 (false를 반환하면 중단)
+     * @returns {boolean} 계속 읽을지 여부
+     */
+    processText(state, text, emitRow) {
+        if (!text) {
+            return true;
+        }
+
+        if (state.format === null) {
+            // 첫 번째 유효 문자로 형식 결정
+            const content = (state.pending + text).replace(/^[\s\uFEFF]+/, '');
+            const firstChar = content.charAt(0);
+            if (!firstChar) {
+                state.pending += text;
+                return true;
+            }
+            if (firstChar === '{') {
+                // 줄마다 객체가 있는 JSONL인지 여러 줄에 걸친 객체 하나(GeoJSON 등)인지 첫 줄로 구분
+                const lineEnd = content.indexOf('\n');
+                if (lineEnd === -1) {
+                    state.pending += text;
+                    return true;
+                }
+                if (!/\}\s*$/.test(content.slice(0, lineEnd))) {
+                    throw new Error('최상위 값이 객체인 JSON은 스트리밍으로 읽을 수 없습니다. 최상위 배열이나 JSONL(한 줄에 값 하나) 파일만 지원합니다.');
+                }
+            }
+            state.format = firstChar === '[' ? 'array' : 'jsonl';
+            text = state.pending + text;
+            state.pending = '';
+        }
+
+        return state.format === 'array'
+            ? this.processArrayText(state, text, emitRow)
+            : this.processJSONLText(state, text, emitRow);
+    }
+
+    /**
+     * JSONL 텍스트 조각을 줄 단위로 처리합니다.
+     * @param {Object} state - 파싱 상태
+     * @param {string} text - 텍스트 조각
+     * @param {Function} emitRow - 행 전달 함수
+     * @returns {boolean} 계속 읽을지 여부
+     */
+    processJSONLText(state, text, emitRow) {
+        const lines = (state.pending + text).split('\n');
+
+        // 마지막 줄은 다음 조각과 이어질 수 있으므로 보관
+        state.pending = lines.pop();
+
+        for (const line of lines) {
+            if (!this.processJSONLLine(state, line, emitRow)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * JSONL 한 줄을 파싱하여 전달합니다.
+     * @param {Object} state - 파싱 상태
+     * @param {string} line - 한 줄
+     * @param {Function} emitRow - 행 전달 함수
+     * @returns {boolean} 계속 읽을지 여부
+     */
+    processJSONLLine(state, line, emitRow) {
+        state.lineNumber++;
+
+        const trimmed = line.trim();
+        if (!trimmed) {
+            return true;
+        }
+
+        try {
+            return emitRow(this.toRow(state.parseValue(trimmed), state.lineNumber - 1), false);
+        } catch (error) {
+            // 확장자로 JSONL임을 알 수 없는 파일의 첫 줄이 깨져 있으면 지원하지 않는 형식
+            if (state.lineNumber === 1 && !state.explicitJSONL) {
+                throw new Error('스트리밍은 JSONL/NDJSON 또는 최상위 배열 형식의 JSON만 지원합니다.');
+            }
+
+            console.warn(`JSONL 라인 ${state.lineNumber} 파싱 실패:`, error.message);
+            return emitRow({
+                line: state.lineNumber,
+                content: trimmed.slice(0, this.maxErrorContentLength),
+                error: 'Invalid JSON'
+            }, true);
+        }
+    }
+
+    /**
+     * 최상위 JSON 배열 텍스트 조각을 요소 단위로 분리하여 처리합니다.
+     * 문자열과 중첩 깊이를 추적하여 최상위 쉼표에서만 요소를 나눕니다.
+     * @param {Object} state - 파싱 상태
+     * @param {string} text - 텍스트 조각
+     * @param {Function} emitRow - 행 전달 함수
+     * @returns {boolean} 계속 읽을지 여부
+     */
+    processArrayText(state, text, emitRow) {
+        if (state.finished) {
+            return true;
+        }
+
+        let segmentStart = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (!state.started) {
+                if (char === '[') {
+                    state.started = true;
+                    segmentStart = i + 1;
+                }
+                continue;
+            }
+
+            if (state.inString) {
+                if (state.escaped) {
+                    state.escaped = false;
+                } else if (char === '\\') {
+                    state.escaped = true;
+                } else if (char === '"') {
+                    state.inString = false;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                state.inString = true;
+            } else if (char === '{' || char === '[') {
+                state.depth++;
+            } else if (char === '}' || char === ']') {
+                if (state.depth === 0) {
+                    // 최상위 배열의 끝
+                    state.finished = true;
+                    const element = state.pending + text.slice(segmentStart, i);
+                    state.pending = '';
+                    return this.processArrayElement(state, element, emitRow);
+                }
+                state.depth--;
+            } else if (char === ',' && state.depth === 0) {
+                const element = state.pending + text.slice(segmentStart, i);
+                state.pending = '';
+                segmentStart = i + 1;
+
+                if (!this.processArrayElement(state, element, emitRow)) {
+                    return false;
+                }
+            }
+        }
+
+        if (state.started) {
+            state.pending += text.slice(segmentStart);
+        }
+        return true;
+    }
+
+    /**
+     * 배열 요소 하나를 파싱하여 전달합니다.
+     * @param {Object} state - 파싱 상태
+     * @param {string} element - 요소 원문
+     * @param {Function} emitRow - 행 전달 함수
+     * @returns {boolean} 계속 읽을지 여부
+     */
+    processArrayElement(state, element, emitRow) {
+        const trimmed = element.trim();
+        if (!trimmed) {
+            return true;
+        }
+
+        const index = state.elementIndex++;
+
+        try {
+            return emitRow(this.toRow(state.parseValue(trimmed), index), false);
+        } catch (error) {
+            console.warn(`배열 요소 ${index} 파싱 실패:`, error.message);
+            return emitRow({
+                index: index,
+                content: trimmed.slice(0, this.maxErrorContentLength),
+                error: 'Invalid JSON'
+            }, true);
+        }
+    }
+
+    /**
+     * 파일 끝에서 남은 데이터를 처리합니다.
+     * @param {Object} state - 파싱 상태
+     * @param {Function} emitRow - 행 전달 함수
+     */
+    finishParseState(state, emitRow) {
+        if (state.format === null && state.pending.trim()) {
+            // 줄바꿈 없이 끝난 한 줄짜리 파일
+            state.format = 'jsonl';
+        }
+
+        if (state.format === 'jsonl') {
+            this.processJSONLLine(state, state.pending, emitRow);
+            state.pending = '';
+            return;
+        }
+
+        if (state.format === 'array' && state.started && !state.finished) {
+            // 닫는 괄호 없이 끝난 배열: 남은 요소까지만 처리
+            console.warn('JSON 배열이 닫히지 않은 채 파일이 끝났습니다.');
+            this.processArrayElement(state, state.pending, emitRow);
+            state.pending = '';
+        }
+    }
+
+    /**
+     * 파싱된 값을 테이블 행으로 변환합니다.
+     * @param {*} value - 파싱된 값
+     * @param {number} index - 행 인덱스
+     * @returns {Object} 테이블 행
+     */
+    toRow(value, index) {
+        if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+            return value;
+        }
+        return { index: index, value: value };
+    }
+}
+
+// 전역에서 사용할 수 있도록 내보내기
+window.StreamReader = StreamReader;
@@ -0,0 +1,911 @@
+/**
+ * 테이블 내보내기 모듈
+ * 현재 표시 중인 행(검색, 정렬 결과)을 CSV, TSV, Markdown, HTML, SQL로 변환하여
+ * 다운로드하거나 클립보드에 복사합니다.
+ * XLSX는 컬럼 타입에 따라 숫자, 불리언, 날짜 셀을 쓰고 열린 탭과 중첩 배열을 시트로 나눕니다.
+ */
+
+class TableExporter {
+    /**
+     * @param {TableRenderer} tableRenderer - 표시 중인 행과 컬럼 타입을 가진 렌더러
+     */
+    constructor(tableRenderer) {
+        this.tableRenderer = tableRenderer;
+
+        // 형식별 파일 정보
+        this.formats = {
+            csv: { name: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+            tsv: { name: 'TSV', extension: 'tsv', mimeType: 'text/tab-separated-values' },
+            markdown: { name: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+            html: { name: 'HTML', extension: 'html', mimeType: 'text/html' },
+            sql: { name: 'SQL', extension: 'sql', mimeType: 'application/sql' },
+            xlsx: { name: 'Excel', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', binary: true }
+        };
+
+        // 기본 내보내기 옵션
+        this.options = {
+            format: 'csv',
+            delimiter: ',', // CSV 구분자
+            includeHeaders: true,
+            nestedStyle: 'json', // 'json', 'flatten', 'summary'
+            valueMode: 'raw', // 'raw'(원본 값) 또는 'display'(컬럼 타입 표시 형식)
+            nestedSheets: true, // XLSX에서 중첩 배열을 별도 시트로 내보낼지 여부
+            sqlDialect: 'sqlite', // 'sqlite', 'postgresql', 'mysql'
+            sqlTableName: '' // SQL 테이블 이름 ('' = 파일 이름)
+        };
+
+        this.fileName = 'table';
+
+        // XLSX 날짜 셀로 변환할 문자열 (자동 타입 컬럼)
+        this.datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        this.dateTimePattern = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?$/;
+        this.numberPattern = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+
+        // 중첩 배열 시트에서 상위 행 번호를 담는 컬럼 이름
+        this.parentRowLabel = '상위 행';
+
+        // 열린 탭의 테이블을 반환하는 콜백 () => [{ name, rows, active }]
+        // 활성 탭은 rows 대신 현재 표시 중인 행을 사용합니다.
+        this.getOpenTables = null;
+
+        this.xlsxWriter = new XLSXWriter();
+        this.sqlWriter = new SQLWriter();
+
+        // DOM 요소 참조
+        this.container = null;
+        this.toggleButton = null;
+        this.panel = null;
+        this.formatSelect = null;
+        this.delimiterSelect = null;
+        this.headersToggle = null;
+        this.nestedSelect = null;
+        this.valueModeSelect = null;
+        this.nestedSheetsToggle = null;
+        this.sqlDialectSelect = null;
+        this.sqlTableInput = null;
+        this.copyButton = null;
+        this.downloadButton = null;
+
+        // 이벤트 리스너 바인딩
+        this.handleDocumentClick = this.handleDocumentClick.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * 내보내기 메뉴를 초기화합니다.
+     */
+    init() {
+        this.initializeDOMElements();
+        this.attachEventListeners();
+        this.updateFormatState();
+    }
+
+    /**
+     * DOM 요소들을 초기화합니다.
+     */
+    initializeDOMElements() {
+        this.container = document.getElementById('export-menu');
+        this.toggleButton = document.getElementById('export-toggle');
+        this.panel = document.getElementById('export-panel');
+        this.formatSelect = document.getElementById('export-format');
+        this.delimiterSelect = document.getElementById('export-delimiter');
+        this.headersToggle = document.getElementById('export-headers');
+        this.nestedSelect = document.getElementById('export-nested');
+        this.valueModeSelect = document.getElementById('export-values');
+        this.nestedSheetsToggle = document.getElementById('export-nested-sheets');
+        this.sqlDialectSelect = document.getElementById('export-sql-dialect');
+        this.sqlTableInput = document.getElementById('export-sql-table');
+        this.copyButton = document.getElementById('export-copy');
+        this.downloadButton = document.getElementById('export-download');
+
+        if (!this.container || !this.panel) {
+            console.warn('내보내기 메뉴 요소를 찾을 수 없습니다.');
+        }
+    }
+
+    /**
+     * 이벤트 리스너를 등록합니다.
+     */
+    attachEventListeners() {
+        if (this.toggleButton) {
+            this.toggleButton.addEventListener('click', () => {
+                this.togglePanel();
+            });
+        }
+
+        if (this.panel) {
+            this.panel.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape') {
+                    this.closePanel();
+                    this.toggleButton.focus();
+                }
+            });
+        }
+
+        if (this.formatSelect) {
+            this.formatSelect.addEventListener('change', () => {
+                this.updateFormatState();
+            });
+        }
+
+        if (this.copyButton) {
+            this.copyButton.addEventListener('click', () => {
+                this.copy();
+            });
+        }
+
+        if (this.downloadButton) {
+            this.downloadButton.addEventListener('click', () => {
+                this.download();
+            });
+        }
+
+        // 메뉴 밖을 클릭하면 닫기
+        document.addEventListener('click', this.handleDocumentClick);
+    }
+
+    /**
+     * 메뉴 바깥 클릭을 처리합니다.
+     * @param {MouseEvent} event - 클릭 이벤트
+     */
+    handleDocumentClick(event) {
+        if (this.container && !this.container.contains(event.target)) {
+            this.closePanel();
+        }
+    }
+
+    /**
+     * 내보내기 옵션 패널을 열거나 닫습니다.
+     */
+    togglePanel() {
+        if (this.isPanelOpen()) {
+            this.closePanel();
+        } else {
+            this.openPanel();
+        }
+    }
+
+    /**
+     * 내보내기 옵션 패널을 엽니다.
+     */
+    openPanel() {
+        if (!this.panel) {
+            return;
+        }
+
+        this.panel.style.display = 'block';
+        this.toggleButton.setAttribute('aria-expanded', 'true');
+
+        if (this.formatSelect) {
+            this.formatSelect.focus();
+        }
+    }
+
+    /**
+     * 내보내기 옵션 패널을 닫습니다.
+     */
+    closePanel() {
+        if (!this.panel) {
+            return;
+        }
+
+        this.panel.style.display = 'none';
+        if (this.toggleButton) {
+            this.toggleButton.setAttribute('aria-expanded', 'false');
+        }
+    }
+
+    /**
+     * 내보내기 옵션 패널이 열려 있는지 확인합니다.
+     * @returns {boolean} 열림 여부
+     */
+    isPanelOpen() {
+        return !!this.panel && this.panel.style.display === 'block';
+    }
+
+    /**
+     * 선택한 형식에서 쓰지 않는 옵션을 비활성화합니다.
+     * 구분자는 CSV에서만, 중첩 배열 시트는 XLSX에서만, 방언과 테이블 이름은 SQL에서만 사용합니다.
+     * XLSX와 SQL은 값의 타입을 그대로 쓰므로 값 표시 형식을 쓰지 않고, XLSX는 복사할 수 없습니다.
+     */
+    updateFormatState() {
+        if (!this.formatSelect) {
+            return;
+        }
+
+        const format = this.formatSelect.value;
+        if (this.delimiterSelect) {
+            this.delimiterSelect.disabled = format !== 'csv';
+        }
+        if (this.valueModeSelect) {
+            this.valueModeSelect.disabled = format === 'xlsx' || format === 'sql';
+        }
+        if (this.headersToggle) {
+            this.headersToggle.disabled = format === 'sql';
+        }
+        if (this.nestedSheetsToggle) {
+            this.nestedSheetsToggle.disabled = format !== 'xlsx';
+        }
+        if (this.sqlDialectSelect) {
+            this.sqlDialectSelect.disabled = format !== 'sql';
+        }
+        if (this.sqlTableInput) {
+            this.sqlTableInput.disabled = format !== 'sql';
+        }
+        if (this.copyButton) {
+            this.copyButton.disabled = format === 'xlsx';
+        }
+    }
+
+    /**
+     * 패널의 컨트롤에서 내보내기 옵션을 읽습니다.
+     * @returns {Object} 내보내기 옵션
+     */
+    getOptions() {
+        return {
+            format: this.formatSelect ? this.formatSelect.value : this.options.format,
+            delimiter: this.delimiterSelect ? this.delimiterSelect.value : this.options.delimiter,
+            includeHeaders: this.headersToggle ? this.headersToggle.checked : this.options.includeHeaders,
+            nestedStyle: this.nestedSelect ? this.nestedSelect.value : this.options.nestedStyle,
+            valueMode: this.valueModeSelect ? this.valueModeSelect.value : this.options.valueMode,
+            nestedSheets: this.nestedSheetsToggle ? this.nestedSheetsToggle.checked : this.options.nestedSheets,
+            sqlDialect: this.sqlDialectSelect ? this.sqlDialectSelect.value : this.options.sqlDialect,
+            sqlTableName: this.sqlTableInput ? this.sqlTableInput.value.trim() : this.options.sqlTableName
+        };
+    }
+
+    /**
+     * 내보낼 파일 이름(확장자 제외)을 설정합니다.
+     * @param {string} fileName - 원본 파일 이름
+     */
+    setFileName(fileName) {
+        this.fileName = (fileName || 'table').replace(/\.[^.]+$/, '') || 'table';
+
+        if (this.sqlTableInput) {
+            this.sqlTableInput.placeholder = this.fileName;
+        }
+    }
+
+    /**
+     * 현재 표시 중인 행과 컬럼을 가져옵니다.
+     * @returns {Object|null} { rows, headers } (표시 중인 행이 없으면 null)
+     */
+    getTableView() {
+        const rows = this.tableRenderer.currentData;
+        const headers = this.tableRenderer.currentHeaders;
+
+        if (!rows || rows.length === 0 || !headers || headers.length === 0) {
+            return null;
+        }
+        return { rows: rows, headers: headers };
+    }
+
+    /**
+     * 현재 표시 중인 행을 내보내기 문자열로 변환합니다.
+     * @param {Object} options - 내보내기 옵션 (기본값: 패널의 옵션)
+     * @returns {string|null} 변환된 문자열 (표시 중인 행이 없으면 null)
+     */
+    exportCurrentView(options = this.getOptions()) {
+        const view = this.getTableView();
+        if (!view) {
+            return null;
+        }
+
+        if (options.format === 'sql') {
+            return this.toSQL(view.rows, view.headers, options);
+        }
+
+        const columns = this.createColumns(view.rows, view.headers, options.nestedStyle);
+        const body = view.rows.map(row => columns.map(column => this.getCellText(row, column, options)));
+        const header = columns.map(column => column.label);
+
+        switch (options.format) {
+            case 'tsv':
+                return this.toDelimited(header, body, '\t', options.includeHeaders);
+            case 'markdown':
+                return this.toMarkdown(header, body, options.includeHeaders);
+            case 'html':
+                return this.toHTML(header, body, options.includeHeaders);
+            default:
+                return this.toDelimited(header, body, options.delimiter || ',', options.includeHeaders);
+        }
+    }
+
+    /**
+     * 내보낼 컬럼 목록을 만듭니다.
+     * 'flatten' 스타일에서는 중첩 객체 컬럼을 점 표기 하위 컬럼으로 펼칩니다.
+     * @param {Array} rows - 행 목록
+     * @param {Array} headers - 표시 중인 헤더 목록
+     * @param {string} nestedStyle - 중첩 값 스타일
+     * @returns {Array} 컬럼 목록 ({ label, header, path })
+     */
+    createColumns(rows, headers, nestedStyle) {
+        if (nestedStyle !== 'flatten') {
+            return headers.map(header => ({ label: header, header: header, path: [] }));
+        }
+
+        const columns = [];
+        headers.forEach(header => {
+            const paths = new Map();
+            let hasScalar = false;
+
+            rows.forEach(row => {
+                const value = this.tableRenderer.getNestedValue(row, header);
+                if (this.isPlainObject(value)) {
+                    this.collectLeafPaths(value, [], paths);
+                } else if (value !== undefined) {
+                    hasScalar = true;
+                }
+            });
+
+            // 객체가 아닌 값이 섞여 있으면 원래 컬럼도 유지
+            if (hasScalar || paths.size === 0) {
+                columns.push({ label: header, header: header, path: [] });
+            }
+            paths.forEach((path, label) => {
+                columns.push({ label: `${header}.${label}`, header: header, path: path });
+            });
+        });
+
+        return columns;
+    }
+
+    /**
+     * 객체의 말단(객체가 아닌 값) 경로를 모읍니다.
+     * @param {Object} obj - 객체
+     * @param {Array} prefix - 현재 경로
+     * @param {Map} paths - 점 표기 이름 → 경로 배열
+     */
+    collectLeafPaths(obj, prefix, paths) {
+        Object.keys(obj).forEach(key => {
+            const path = [...prefix, key];
+            if (this.isPlainObject(obj[key]) && Object.keys(obj[key]).length > 0) {
+                this.collectLeafPaths(obj[key], path, paths);
+            } else if (!paths.has(path.join('.'))) {
+                paths.set(path.join('.'), path);
+            }
+        });
+    }
+
+    /**
+     * 행에서 컬럼의 값을 꺼내 텍스트로 변환합니다.
+     * @param {Object} row - 행 데이터
+     * @param {Object} column - 컬럼 ({ header, path })
+     * @param {Object} options - 내보내기 옵션
+     * @returns {string} 셀 텍스트
+     */
+    getCellText(row, column, options) {
+        const value = this.getColumnValue(row, column, options);
+
+        if (value === undefined) {
+            return '';
+        }
+
+        if (typeof value === 'object' && value !== null) {
+            return this.serializeNested(value, options.nestedStyle);
+        }
+
+        if (options.valueMode === 'display') {
+            const columnType = this.tableRenderer.columnTypes[column.label] || 'auto';
+            return this.tableRenderer.formatCellText(value, columnType);
+        }
+
+        return value === null ? '' : String(value);
+    }
+
+    /**
+     * 행에서 컬럼의 원본 값을 꺼냅니다.
+     * @param {Object} row - 행 데이터
+     * @param {Object} column - 컬럼 ({ header, path })
+     * @param {Object} options - 내보내기 옵션
+     * @returns {*} 값 (비워 둘 셀은 undefined)
+     */
+    getColumnValue(row, column, options) {
+        let value = this.tableRenderer.getNestedValue(row, column.header);
+
+        for (const key of column.path) {
+            value = this.isPlainObject(value) ? value[key] : undefined;
+        }
+
+        // 펼친 컬럼에서는 상위 객체 값 자체를 비워 둠
+        if (column.path.length === 0 && options.nestedStyle === 'flatten' && this.isPlainObject(value)) {
+            return undefined;
+        }
+
+        return value;
+    }
+
+    /**
+     * 중첩 객체/배열을 텍스트로 변환합니다.
+     * @param {Object|Array} value - 중첩 값
+     * @param {string} nestedStyle - 'json', 'flatten', 'summary'
+     * @returns {string} 텍스트
+     */
+    serializeNested(value, nestedStyle) {
+        if (nestedStyle === 'summary') {
+            // 테이블 셀의 미리보기와 같은 표시
+            return Array.isArray(value)
+                ? `[${value.length} items]`
+                : `{${Object.keys(value).length} properties}`;
+        }
+        return this.tableRenderer.preciseNumbers.stringify(value);
+    }
+
+    /**
+     * 순수 객체(배열, null 제외)인지 확인합니다.
+     * @param {*} value - 값
+     * @returns {boolean} 객체 여부
+     */
+    isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    /**
+     * 구분자로 나뉜 텍스트(CSV/TSV)를 만듭니다.
+     * 구분자, 따옴표, 줄바꿈, 앞뒤 공백이 있는 필드는 따옴표로 감쌉니다. (RFC 4180)
+     * @param {Array} header - 헤더 목록
+     * @param {Array} body - 행별 셀 텍스트 목록
+     * @param {string} delimiter - 구분자
+     * @param {boolean} includeHeaders - 헤더 포함 여부
+     * @returns {string} CSV/TSV 문자열
+     */
+    toDelimited(header, body, delimiter, includeHeaders) {
+        const quote = (text) => {
+            const needsQuote = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+            return needsQuote ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = includeHeaders ? [header] : [];
+        return lines.concat(body)
+            .map(cells => cells.map(quote).join(delimiter))
+            .join('\r\n') + '\r\n';
+    }
+
+    /**
+     * GitHub 스타일 Markdown 표를 만듭니다.
+     * 헤더를 빼면 GFM 표 형식을 지키기 위해 빈 헤더 행을 씁니다.
+     * @param {Array} header - 헤더 목록
+     * @param {Array} body - 행별 셀 텍스트 목록
+     * @param {boolean} includeHeaders - 헤더 포함 여부
+     * @returns {string} Markdown 문자열
+     */
+    toMarkdown(header, body, includeHeaders) {
+        const escape = (text) => text
+            .replace(/\\/g, '\\\\')
+            .replace(/\|/g, '\\|')
+            .replace(/\r?\n/g, '<br>');
+        const line = (cells) => `| ${cells.map(escape).join(' | ')} |`;
+
+        const lines = [
+            line(includeHeaders ? header : header.map(() => '')),
+            `| ${header.map(() => '---').join(' | ')} |`,
+            ...body.map(line)
+        ];
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * 단독으로 열 수 있는 HTML 문서를 만듭니다.
+     * @param {Array} header - 헤더 목록
+     * @param {Array} body - 행별 셀 텍스트 목록
+     * @param {boolean} includeHeaders - 헤더 포함 여부
+     * @returns {string} HTML 문자열
+     */
+    toHTML(header, body, includeHeaders) {
+        const escape = (text) => text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const head = includeHeaders
+            ? `    <thead>\n      <tr>${header.map(text => `<th>${escape(text)}</th>`).join('')}</tr>\n    </thead>\n`
+            : '';
+        const rows = body
+            .map(cells => `      <tr>${cells.map(text => `<td>${escape(text)}</td>`).join('')}</tr>`)
+            .join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+  <meta charset="UTF-8">
+  <title>${escape(this.fileName)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 1.5rem; }
+    table { border-collapse: collapse; font-size: 14px; }
+    th, td { border: 1px solid #d0d7de; padding: 6px 12px; text-align: left; vertical-align: top; white-space: pre-wrap; }
+    th { background: #f6f8fa; }
+  </style>
+</head>
+<body>
+  <table>
+${head}    <tbody>
+${rows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * CREATE TABLE 문과 INSERT 문을 만듭니다.
+     * 중첩 객체와 배열은 JSON 컬럼이 되며, 'flatten' 스타일이면 하위 컬럼으로 펼칩니다.
+     * @param {Array} rows - 행 목록
+     * @param {Array} headers - 헤더 목록
+     * @param {Object} options - 내보내기 옵션
+     * @returns {string} SQL 스크립트
+     */
+    toSQL(rows, headers, options) {
+        const nestedStyle = options.nestedStyle === 'flatten' ? 'flatten' : 'json';
+        const columns = this.createColumns(rows, headers, nestedStyle);
+        const values = rows.map(row => columns.map(column => this.getColumnValue(row, column, { nestedStyle: nestedStyle })));
+
+        return this.sqlWriter.createScript({
+            name: options.sqlTableName || this.fileName,
+            columns: columns.map((column, index) => ({
+                name: column.label,
+                type: this.sqlWriter.inferColumnType(
+                    values.map(row => row[index]),
+                    this.tableRenderer.columnTypes[column.label] || 'auto'
+                )
+            })),
+            rows: values
+        }, options.sqlDialect);
+    }
+
+    /**
+     * 현재 표시 중인 행을 XLSX 통합 문서로 변환합니다.
+     * 탭이 열려 있으면 탭마다 시트를 만들고, 중첩 배열은 별도 시트로 펼칩니다.
+     * @param {Object} options - 내보내기 옵션 (기본값: 패널의 옵션)
+     * @returns {Object|null} { bytes, sheetCount } (표시 중인 행이 없으면 null)
+     */
+    exportWorkbook(options = this.getOptions()) {
+        const view = this.getTableView();
+        if (!view) {
+            return null;
+        }
+
+        const openTables = this.getOpenTables ? this.getOpenTables() : [];
+        const tables = openTables.length > 0
+            ? openTables.map(table => (table.active ? { name: table.name, rows: view.rows, headers: view.headers } : table))
+            : [{ name: this.fileName, rows: view.rows, headers: view.headers }];
+
+        const sheets = [];
+        tables.forEach(table => {
+            const headers = table.headers || this.tableRenderer.extractHeaders(table.rows);
+            sheets.push(this.createSheet(table.name, table.rows, headers, options));
+
+            if (options.nestedSheets) {
+                const prefix = tables.length > 1 ? `${table.name}.` : '';
+                this.createNestedArrayTables(table.rows, headers).forEach(nested => {
+                    sheets.push(this.createSheet(`${prefix}${nested.name}`, nested.rows, nested.headers, options));
+                });
+            }
+        });
+
+        return {
+            bytes: this.xlsxWriter.createWorkbook(sheets, { includeHeaders: options.includeHeaders }),
+            sheetCount: sheets.length
+        };
+    }
+
+    /**
+     * XLSX 시트 데이터를 만듭니다.
+     * @param {string} name - 시트 이름
+     * @param {Array} rows - 행 목록
+     * @param {Array} headers - 헤더 목록
+     * @param {Object} options - 내보내기 옵션
+     * @returns {Object} 시트 ({ name, columns: [{ label, width }], rows: [[cell]] })
+     */
+    createSheet(name, rows, headers, options) {
+        const columns = this.createColumns(rows, headers, options.nestedStyle);
+
+        return {
+            name: name,
+            columns: columns.map(column => ({
+                label: column.label,
+                width: this.getColumnWidth(rows, column, options)
+            })),
+            rows: rows.map(row => columns.map(column => {
+                const columnType = this.tableRenderer.columnTypes[column.label] || 'auto';
+                return this.toWorkbookCell(this.getColumnValue(row, column, options), columnType, options.nestedStyle);
+            }))
+        };
+    }
+
+    /**
+     * 테이블과 같은 방식(calculateOptimalColumnWidth)으로 컬럼 너비를 구해 Excel 문자 단위로 변환합니다.
+     * @param {Array} rows - 행 목록
+     * @param {Object} column - 컬럼 ({ label, header, path })
+     * @param {Object} options - 내보내기 옵션
+     * @returns {number} 컬럼 너비 (문자 수)
+     */
+    getColumnWidth(rows, column, options) {
+        // calculateOptimalColumnWidth는 앞쪽 10개 셀만 확인함
+        const cells = rows.slice(0, 10).map(row => this.getCellText(row, column, { ...options, valueMode: 'display' }));
+        const pixels = this.tableRenderer.calculateOptimalColumnWidth(column.label, cells);
+
+        // Excel 기본 글꼴(Calibri 11)의 문자 너비는 약 7픽셀
+        return Math.round(pixels / 7 * 10) / 10;
+    }
+
+    /**
+     * 행들의 중첩 배열 컬럼을 별도 테이블로 펼칩니다.
+     * 배열 항목마다 한 행이 되고, 상위 행 번호 컬럼으로 원래 행을 찾을 수 있습니다.
+     * @param {Array} rows - 행 목록
+     * @param {Array} headers - 헤더 목록
+     * @returns {Array} 테이블 목록 ({ name, rows, headers })
+     */
+    createNestedArrayTables(rows, headers) {
+        const tables = [];
+
+        headers.forEach(header => {
+            const nestedRows = [];
+
+            rows.forEach((row, index) => {
+                const value = this.tableRenderer.getNestedValue(row, header);
+                if (!Array.isArray(value)) {
+                    return;
+                }
+
+                value.forEach(item => {
+                    nestedRows.push(this.isPlainObject(item)
+                        ? { [this.parentRowLabel]: index + 1, ...item }
+                        : { [this.parentRowLabel]: index + 1, 값: item });
+                });
+            });
+
+            if (nestedRows.length > 0) {
+                const nestedHeaders = this.tableRenderer.extractHeadersFromObjects(nestedRows)
+                    .filter(name => name !== this.parentRowLabel);
+                tables.push({ name: header, rows: nestedRows, headers: [this.parentRowLabel, ...nestedHeaders] });
+            }
+        });
+
+        return tables;
+    }
+
+    /**
+     * 값을 컬럼 타입에 맞는 XLSX 셀로 변환합니다.
+     * 숫자, 불리언, 날짜로 나타낼 수 없는 값은 표시 형식의 문자열 셀이 됩니다.
+     * @param {*} value - 원본 값
+     * @param {string} columnType - 컬럼 타입
+     * @param {string} nestedStyle - 중첩 값 스타일
+     * @returns {Object|null} 셀 ({ type, value }, 빈 셀은 null)
+     */
+    toWorkbookCell(value, columnType, nestedStyle) {
+        if (value === undefined || value === null) {
+            return null;
+        }
+
+        if (typeof value === 'object') {
+            return { type: 'string', value: this.serializeNested(value, nestedStyle) };
+        }
+
+        const text = { type: 'string', value: this.tableRenderer.formatCellText(value, columnType) };
+
+        switch (columnType) {
+            case 'string':
+            case 'raw':
+                return { type: 'string', value: String(value) };
+            case 'json':
+            case 'number-hex':
+            case 'number-binary':
+                return text;
+            case 'date':
+                return this.toDateCell(value, 'date') || text;
+            case 'number-time':
+                return this.toTimeCell(value) || text;
+            case 'boolean':
+                if (typeof value === 'boolean') {
+                    return { type: 'boolean', value: value };
+                }
+                return value === 'true' || value === 'false'
+                    ? { type: 'boolean', value: value === 'true' }
+                    : text;
+            case 'number':
+                if (typeof value === 'string' && this.numberPattern.test(value.trim())) {
+                    // 정밀도를 잃는 큰 정수(ID 등)는 문자열로 유지
+                    const number = Number(value.trim());
+                    const lossy = /^-?\d+$/.test(value.trim()) && !Number.isSafeInteger(number);
+                    return (!lossy && this.toNumberCell(number)) || { type: 'string', value: value };
+                }
+                return this.toNumberCell(value) || { type: 'string', value: String(value) };
+            default:
+                // 'auto': 원본 타입을 따르고 ISO 8601 날짜 문자열은 날짜 셀로 변환
+                if (typeof value === 'boolean') {
+                    return { type: 'boolean', value: value };
+                }
+                if (typeof value === 'string') {
+                    const trimmed = value.trim();
+                    if (this.datePattern.test(trimmed) || this.dateTimePattern.test(trimmed)) {
+                        return this.toDateCell(trimmed, this.datePattern.test(trimmed) ? 'date' : 'dateTime')
+                            || { type: 'string', value: value };
+                    }
+                    return { type: 'string', value: value };
+                }
+                return this.toNumberCell(value) || { type: 'string', value: String(value) };
+        }
+    }
+
+    /**
+     * 숫자 셀을 만듭니다. Excel 숫자는 배정밀도이므로 안전한 범위를 넘는 정수는 변환하지 않습니다.
+     * @param {*} value - 값
+     * @returns {Object|null} 숫자 셀 (변환할 수 없으면 null)
+     */
+    toNumberCell(value) {
+        if (typeof value === 'bigint') {
+            const number = Number(value);
+            return Number.isSafeInteger(number) ? { type: 'number', value: number } : null;
+        }
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return { type: 'number', value: value };
+        }
+        return null;
+    }
+
+    /**
+     * 날짜 컬럼 값을 날짜 셀로 변환합니다. (formatAsDate와 같은 해석)
+     * @param {*} value - 숫자(밀리초) 또는 날짜 문자열
+     * @param {string} type - 셀 타입 ('date' 또는 'dateTime')
+     * @returns {Object|null} 날짜 셀 (변환할 수 없으면 null)
+     */
+    toDateCell(value, type) {
+        let serial = null;
+
+        if (typeof value === 'number') {
+            serial = this.xlsxWriter.toSerialDate(new Date(value));
+        } else if (typeof value === 'string' && value.trim() !== '') {
+            // 시간 없는 날짜 문자열은 UTC 자정으로 해석되므로 날짜가 밀리지 않게 UTC 기준으로 변환
+            serial = this.xlsxWriter.toSerialDate(new Date(value.trim()), this.datePattern.test(value.trim()));
+        }
+
+        return serial === null ? null : { type: type, value: serial };
+    }
+
+    /**
+     * 시간 컬럼 값(타임스탬프)을 날짜 시간 셀로 변환합니다. (formatAsTime과 같은 해석)
+     * @param {*} value - 값
+     * @returns {Object|null} 날짜 시간 또는 시간 셀 (변환할 수 없으면 null)
+     */
+    toTimeCell(value) {
+        if (typeof value !== 'number' || value < 0) {
+            return null;
+        }
+
+        if (value > 0 && value < 86400) {
+            // 24시간 이내의 초 단위는 하루 중 시간으로 표시
+            return { type: 'time', value: value / 86400 };
+        }
+
+        let milliseconds = value;
+        if (value > 1000000000 && value < 10000000000) {
+            // 초 단위 타임스탬프 (10자리)
+            milliseconds = value * 1000;
+        }
+
+        const serial = this.xlsxWriter.toSerialDate(new Date(milliseconds));
+        return serial === null ? null : { type: 'dateTime', value: serial };
+    }
+
+    /**
+     * 현재 표시 중인 행을 파일로 다운로드합니다.
+     */
+    download() {
+        const options = this.getOptions();
+        const format = this.formats[options.format] || this.formats.csv;
+
+        if (format.binary) {
+            this.downloadWorkbook(options);
+            return;
+        }
+
+        const text = this.exportCurrentView(options);
+        if (text === null) {
+            this.showNotification('내보낼 행이 없습니다.', false);
+            return;
+        }
+
+        // Excel이 UTF-8 CSV의 한글을 올바르게 읽도록 BOM 추가
+        const content = options.format === 'csv' || options.format === 'tsv' ? `\uFEFF${text}` : text;
+        this.saveBlob(new Blob([content], { type: `${format.mimeType};charset=utf-8` }), format);
+
+        this.closePanel();
+        this.showNotification(`${this.tableRenderer.currentData.length.toLocaleString()}행을 ${format.name} 파일로 내보냈습니다.`, true);
+    }
+
+    /**
+     * 현재 표시 중인 행을 XLSX 파일로 다운로드합니다.
+     * @param {Object} options - 내보내기 옵션
+     */
+    downloadWorkbook(options) {
+        const format = this.formats.xlsx;
+        let workbook;
+
+        try {
+            workbook = this.exportWorkbook(options);
+        } catch (error) {
+            console.error('XLSX 내보내기 실패:', error);
+            this.showNotification(`XLSX 파일을 만들지 못했습니다: ${error.message}`, false);
+            return;
+        }
+
+        if (workbook === null) {
+            this.showNotification('내보낼 행이 없습니다.', false);
+            return;
+        }
+
+        this.saveBlob(new Blob([workbook.bytes], { type: format.mimeType }), format);
+
+        this.closePanel();
+        const sheetInfo = workbook.sheetCount > 1 ? ` (시트 ${workbook.sheetCount}개)` : '';
+        this.showNotification(`${this.tableRenderer.currentData.length.toLocaleString()}행을 ${format.name} 파일로 내보냈습니다.${sheetInfo}`, true);
+    }
+
+    /**
+     * Blob을 파일로 저장합니다.
+     * @param {Blob} blob - 저장할 내용
+     * @param {Object} format - 형식 정보 ({ extension })
+     */
+    saveBlob(blob, format) {
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.fileName}.${format.extension}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * 현재 표시 중인 행을 클립보드에 복사합니다.
+     */
+    async copy() {
+        const options = this.getOptions();
+        if (this.formats[options.format] && this.formats[options.format].binary) {
+            this.showNotification('Excel 형식은 다운로드만 할 수 있습니다.', false);
+            return;
+        }
+
+        const text = this.exportCurrentView(options);
+        if (text === null) {
+            this.showNotification('내보낼 행이 없습니다.', false);
+            return;
+        }
+
+        const format = this.formats[options.format] || this.formats.csv;
+        try {
+            await navigator.clipboard.writeText(text);
+            this.closePanel();
+            this.showNotification(`${this.tableRenderer.currentData.length.toLocaleString()}행을 ${format.name} 형식으로 복사했습니다.`, true);
+        } catch (error) {
+            console.error('내보내기 복사 실패:', error);
+            this.showNotification('복사에 실패했습니다.', false);
+        }
+    }
+
+    /**
+     * 결과 알림을 표시합니다.
+     * @param {string} message - 알림 메시지
+     * @param {boolean} success - 성공 여부
+     */
+    showNotification(message, success) {
+        // 메인 애플리케이션의 알림 시스템을 사용
+        if (window.jsonTableViewer) {
+            if (success) {
+                window.jsonTableViewer.showSuccess(message);
+            } else {
+                window.jsonTableViewer.showError(message);
+            }
+        } else {
+            console.log(message);
+        }
+    }
+}
+
+// 전역에서 사용할 수 있도록 내보내기
+window.TableExporter = TableExporter;
@@ -0,0 +1,327 @@
+/**
+ * 테이블 그룹 모듈
+ * 하나 이상의 컬럼(점 경로 포함) 값으로 행을 차례로 묶고, 그룹별 접힘 상태와 숫자 컬럼 집계를 관리합니다.
+ * 그룹은 정렬된 행에서 처음 나온 순서대로 놓고, 그룹 안의 행은 정렬 순서를 그대로 유지합니다.
+ */
+
+class TableGrouper {
+    constructor() {
+        // 그룹으로 묶을 컬럼 (앞쪽이 바깥 그룹)
+        this.columns = [];
+
+        // 접힌 그룹의 키
+        this.collapsed = new Set();
+
+        // 그룹 컬럼이 바뀌었을 때 호출되는 콜백
+        this.onChange = null;
+
+        this.preciseNumbers = new PreciseNumbers();
+
+        // DOM 요소 참조
+        this.input = null;
+        this.columnList = null;
+        this.clearButton = null;
+
+        this.init();
+    }
+
+    /**
+     * 그룹 컬럼 입력창을 초기화합니다.
+     */
+    init() {
+        this.input = document.getElementById('group-by-input');
+        this.columnList = document.getElementById('group-by-columns');
+        this.clearButton = document.getElementById('group-by-clear');
+
+        if (this.input) {
+            // Enter를 누르거나 포커스를 옮기면 적용
+            this.input.addEventListener('change', () => {
+                this.setColumns(this.parseColumns(this.input.value));
+                this.notifyChange();
+            });
+        }
+
+        if (this.clearButton) {
+            this.clearButton.addEventListener('click', () => {
+                this.reset();
+                this.notifyChange();
+            });
+        }
+    }
+
+    /**
+     * 쉼표로 구분한 컬럼 목록을 배열로 바꿉니다. 빈 항목과 중복은 버립니다.
+     * @param {string} text - 예: "status, user.city"
+     * @returns {Array} 컬럼 경로 배열
+     */
+    parseColumns(text) {
+        const columns = String(text || '').split(',').map(column => column.trim()).filter(Boolean);
+        return Array.from(new Set(columns));
+    }
+
+    /**
+     * 그룹 컬럼을 설정합니다. 그룹 구성이 바뀌므로 접힘 상태는 지웁니다.
+     * @param {Array} columns - 컬럼 경로 배열
+     */
+    setColumns(columns) {
+        this.columns = columns.slice();
+        this.collapsed.clear();
+
+        if (this.input) {
+            this.input.value = this.columns.join(', ');
+        }
+        if (this.clearButton) {
+            this.clearButton.style.display = this.isActive() ? '' : 'none';
+        }
+    }
+
+    /**
+     * 그룹을 해제합니다.
+     */
+    reset() {
+        this.setColumns([]);
+    }
+
+    /**
+     * 그룹으로 묶는 중인지 확인합니다.
+     * @returns {boolean} 그룹 사용 여부
+     */
+    isActive() {
+        return this.columns.length > 0;
+    }
+
+    /**
+     * 입력창의 자동 완성 목록을 헤더로 채웁니다.
+     * @param {Array} headers - 헤더 배열
+     */
+    setAvailableColumns(headers) {
+        if (!this.columnList) {
+            return;
+        }
+
+        this.columnList.innerHTML = '';
+        headers.forEach(header => {
+            const option = document.createElement('option');
+            option.value = header;
+            this.columnList.appendChild(option);
+        });
+    }
+
+    /**
+     * 행을 그룹으로 묶습니다. 같은 그룹의 행이 이어지도록 순서를 바꾼 행 목록도 함께 반환합니다.
+     * @param {Array} rows - 정렬된 행 목록
+     * @param {Function} getValue - (row, column) => 값 (점 표기 경로 지원)
+     * @returns {Object} { rows, groups } (각 그룹은 { key, column, value, level, start, end, children })
+     */
+    group(rows, getValue) {
+        const ordered = [];
+        const groups = this.buildGroups(rows, 0, '', getValue, ordered);
+        return { rows: ordered, groups: groups };
+    }
+
+    /**
+     * 한 단계의 그룹을 만들고, 다음 그룹 컬럼이 있으면 그룹마다 하위 그룹을 만듭니다.
+     * 그룹의 행은 ordered에 차례로 쌓이므로 start/end는 ordered 기준 범위입니다.
+     * @param {Array} rows - 묶을 행
+     * @param {number} level - 그룹 단계 (0부터)
+     * @param {string} parentKey - 상위 그룹 키
+     * @param {Function} getValue - (row, column) => 값
+     * @param {Array} ordered - 그룹 순서로 쌓는 행 목록
+     * @returns {Array} 그룹 목록
+     */
+    buildGroups(rows, level, parentKey, getValue, ordered) {
+        const column = this.columns[level];
+        const buckets = new Map();
+
+        rows.forEach(row => {
+            const value = getValue(row, column);
+            const valueKey = this.getValueKey(value);
+            let bucket = buckets.get(valueKey);
+            if (!bucket) {
+                bucket = { value: value, rows: [] };
+                buckets.set(valueKey, bucket);
+            }
+            bucket.rows.push(row);
+        });
+
+        return Array.from(buckets, ([valueKey, bucket]) => {
+            const group = {
+                key: level === 0 ? valueKey : `${parentKey}\u0000${valueKey}`,
+                column: column,
+                value: bucket.value,
+                level: level,
+                start: ordered.length,
+                end: ordered.length,
+                children: null
+            };
+
+            if (level + 1 < this.columns.length) {
+                group.children = this.buildGroups(bucket.rows, level + 1, group.key, getValue, ordered);
+            } else {
+                bucket.rows.forEach(row => ordered.push(row));
+            }
+
+            group.end = ordered.length;
+            return group;
+        });
+    }
+
+    /**
+     * 그룹 값을 구분하는 키를 만듭니다. 1과 "1"은 다른 그룹이고, null과 값이 없는 행은 같은 그룹입니다.
+     * @param {*} value - 그룹 값
+     * @returns {string} 값 키
+     */
+    getValueKey(value) {
+        if (value === null || value === undefined) {
+            return 'null';
+        }
+        if (typeof value === 'object') {
+            return `json:${this.preciseNumbers.stringify(value)}`;
+        }
+        return `${typeof value}:${String(value)}`;
+    }
+
+    /**
+     * 그룹 머리행에 표시할 값을 만듭니다.
+     * @param {*} value - 그룹 값
+     * @returns {string} 표시 문자열
+     */
+    formatValue(value) {
+        if (value === null || value === undefined) {
+            return '(빈 값)';
+        }
+        if (value === '') {
+            return '(빈 문자열)';
+        }
+        if (typeof value === 'object') {
+            return this.preciseNumbers.stringify(value);
+        }
+        return String(value);
+    }
+
+    /**
+     * 화면에 표시할 항목 목록을 만듭니다. 그룹은 그룹 객체, 행은 행 인덱스(숫자)이고 접힌 그룹의 내용은 뺍니다.
+     * @param {Array} groups - group()이 반환한 그룹 목록
+     * @returns {Array} 표시 항목
+     */
+    getEntries(groups) {
+        const entries = [];
+
+        const visit = group => {
+            entries.push(group);
+            if (this.collapsed.has(group.key)) {
+                return;
+            }
+            if (group.children) {
+                group.children.forEach(visit);
+            } else {
+                for (let i = group.start; i < group.end; i++) {
+                    entries.push(i);
+                }
+            }
+        };
+
+        groups.forEach(visit);
+        return entries;
+    }
+
+    /**
+     * 그룹이 접혀 있는지 확인합니다.
+     * @param {string} key - 그룹 키
+     * @returns {boolean} 접힘 여부
+     */
+    isCollapsed(key) {
+        return this.collapsed.has(key);
+    }
+
+    /**
+     * 그룹을 접거나 펼칩니다.
+     * @param {string} key - 그룹 키
+     */
+    toggleCollapsed(key) {
+        if (this.collapsed.has(key)) {
+            this.collapsed.delete(key);
+        } else {
+            this.collapsed.add(key);
+        }
+    }
+
+    /**
+     * 행이 보이도록 그 행을 포함한 접힌 그룹을 모두 펼칩니다.
+     * @param {Array} groups - 그룹 목록
+     * @param {number} index - 행 인덱스
+     * @returns {boolean} 펼친 그룹이 있는지 여부
+     */
+    expandToRow(groups, index) {
+        let expanded = false;
+        let level = groups;
+
+        while (level) {
+            const group = level.find(candidate => index >= candidate.start && index < candidate.end);
+            if (!group) {
+                break;
+            }
+            expanded = this.collapsed.delete(group.key) || expanded;
+            level = group.children;
+        }
+
+        return expanded;
+    }
+
+    /**
+     * 그룹 행 범위에서 숫자 컬럼의 합계, 평균, 최솟값, 최댓값을 계산합니다.
+     * 숫자가 아닌 값은 건너뛰고, 최솟값과 최댓값은 정밀도를 유지한 원래 값으로 반환합니다.
+     * @param {Array} rows - 그룹 순서로 놓인 행 목록
+     * @param {Object} group - 그룹 ({ start, end })
+     * @param {Array} columns - 숫자 컬럼
+     * @param {Function} getValue - (row, column) => 값
+     * @returns {Object} 컬럼 → { sum, avg, min, max } (숫자 값이 없는 컬럼은 제외)
+     */
+    aggregate(rows, group, columns, getValue) {
+        const result = {};
+
+        columns.forEach(column => {
+            let count = 0;
+            let sum = 0;
+            let min = null;
+            let max = null;
+
+            for (let i = group.start; i < group.end; i++) {
+                let value = getValue(rows[i], column);
+                if (typeof value === 'string') {
+                    value = value.trim();
+                }
+                if (!this.preciseNumbers.isNumeric(value)) {
+                    continue;
+                }
+
+                count++;
+                sum += Number(value);
+                if (min === null || this.preciseNumbers.compare(value, min) < 0) {
+                    min = value;
+                }
+                if (max === null || this.preciseNumbers.compare(value, max) > 0) {
+                    max = value;
+                }
+            }
+
+            if (count > 0) {
+                result[column] = { sum: sum, avg: sum / count, min: min, max: max };
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * 그룹 컬럼 변경 콜백을 호출합니다.
+     */
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+}
+
+// 전역에서 사용할 수 있도록 내보내기
+window.TableGrouper = TableGrouper;
@@ -0,0 +1,389 @@
+/**
+ * 테이블 선택기 모듈
+ * 문서 안의 객체 배열(테이블 후보)을 목록으로 보여주고
+ * 다른 후보로 전환하거나 여러 후보를 탭으로 열 수 있게 합니다.
+ */
+
+class TablePicker {
+    constructor() {
+        // 테이블 후보 ({ path, rowCount, keyCount })
+        this.candidates = [];
+
+        // 열린 탭 ({ path }) - 탭이 하나뿐이면 탭 막대를 표시하지 않음
+        this.tabs = [];
+        this.activeTab = -1;
+
+        // 현재 표시 중인 루트 경로 ('' = 자동 선택)
+        this.currentPath = '';
+
+        // 후보나 탭을 선택했을 때 호출되는 콜백 (path)
+        this.onSelect = null;
+
+        // DOM 요소 참조
+        this.container = null;
+        this.toggleButton = null;
+        this.list = null;
+        this.tabsBar = null;
+
+        // 이벤트 리스너 바인딩
+        this.handleDocumentClick = this.handleDocumentClick.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * 선택기를 초기화합니다.
+     */
+    init() {
+        this.initializeDOMElements();
+        this.attachEventListeners();
+    }
+
+    /**
+     * DOM 요소들을 초기화합니다.
+     */
+    initializeDOMElements() {
+        this.container = document.getElementById('table-picker');
+        this.toggleButton = document.getElementById('table-picker-toggle');
+        this.list = document.getElementById('table-picker-list');
+        this.tabsBar = document.getElementById('table-tabs');
+
+        if (!this.container || !this.tabsBar) {
+            console.warn('테이블 선택기 요소를 찾을 수 없습니다.');
+        }
+    }
+
+    /**
+     * 이벤트 리스너를 등록합니다.
+     */
+    attachEventListeners() {
+        if (this.toggleButton) {
+            this.toggleButton.addEventListener('click', () => {
+                this.togglePanel();
+            });
+        }
+
+        if (this.list) {
+            this.list.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape') {
+                    this.closePanel();
+                    this.toggleButton.focus();
+                }
+            });
+        }
+
+        // 목록 밖을 클릭하면 닫기
+        document.addEventListener('click', this.handleDocumentClick);
+    }
+
+    /**
+     * 선택기 바깥 클릭을 처리합니다.
+     * @param {MouseEvent} event - 클릭 이벤트
+     */
+    handleDocumentClick(event) {
+        if (this.container && !this.container.contains(event.target)) {
+            this.closePanel();
+        }
+    }
+
+    /**
+     * 테이블 후보 목록을 설정합니다.
+     * @param {Array} candidates - 후보 목록 ({ path, rowCount, keyCount })
+     */
+    setCandidates(candidates) {
+        this.candidates = candidates || [];
+        this.renderList();
+        this.renderTabs();
+    }
+
+    /**
+     * 현재 표시 중인 루트 경로를 알려줍니다. 탭이 열려 있으면 활성 탭의 경로가 바뀝니다.
+     * @param {string} path - 루트 경로
+     */
+    setCurrentPath(path) {
+        this.currentPath = path || '';
+
+        if (this.activeTab !== -1) {
+            this.tabs[this.activeTab].path = this.currentPath;
+        }
+
+        this.renderList();
+        this.renderTabs();
+    }
+
+    /**
+     * 후보와 탭을 모두 지웁니다.
+     */
+    reset() {
+        this.candidates = [];
+        this.tabs = [];
+        this.activeTab = -1;
+        this.currentPath = '';
+        this.closePanel();
+        this.renderList();
+        this.renderTabs();
+    }
+
+    /**
+     * 후보 목록을 열거나 닫습니다.
+     */
+    togglePanel() {
+        if (this.isPanelOpen()) {
+            this.closePanel();
+        } else {
+            this.openPanel();
+        }
+    }
+
+    /**
+     * 후보 목록을 엽니다.
+     */
+    openPanel() {
+        if (!this.list) {
+            return;
+        }
+
+        this.list.style.display = 'block';
+        this.toggleButton.setAttribute('aria-expanded', 'true');
+
+        const current = this.list.querySelector('.table-picker__item--current button');
+        if (current) {
+            current.focus();
+        }
+    }
+
+    /**
+     * 후보 목록을 닫습니다.
+     */
+    closePanel() {
+        if (!this.list) {
+            return;
+        }
+
+        this.list.style.display = 'none';
+        if (this.toggleButton) {
+            this.toggleButton.setAttribute('aria-expanded', 'false');
+        }
+    }
+
+    /**
+     * 후보 목록이 열려 있는지 확인합니다.
+     * @returns {boolean} 열림 여부
+     */
+    isPanelOpen() {
+        return !!this.list && this.list.style.display === 'block';
+    }
+
+    /**
+     * 경로의 테이블을 현재 탭에 표시합니다.
+     * @param {string} path - 루트 경로
+     */
+    select(path) {
+        this.closePanel();
+
+        if (this.onSelect) {
+            this.onSelect(path);
+        }
+    }
+
+    /**
+     * 경로의 테이블을 새 탭으로 엽니다.
+     * 첫 탭을 열 때는 지금 보고 있는 테이블도 탭으로 남깁니다.
+     * @param {string} path - 루트 경로
+     */
+    openTab(path) {
+        if (this.tabs.length === 0) {
+            this.tabs.push({ path: this.currentPath });
+        }
+
+        this.tabs.push({ path: path });
+        this.activeTab = this.tabs.length - 1;
+        this.select(path);
+    }
+
+    /**
+     * 탭을 활성화합니다.
+     * @param {number} index - 탭 인덱스
+     */
+    activateTab(index) {
+        if (index === this.activeTab || !this.tabs[index]) {
+            return;
+        }
+
+        this.activeTab = index;
+        this.select(this.tabs[index].path);
+    }
+
+    /**
+     * 탭을 닫습니다. 탭이 하나만 남으면 탭 막대를 숨깁니다.
+     * @param {number} index - 탭 인덱스
+     */
+    closeTab(index) {
+        if (!this.tabs[index]) {
+            return;
+        }
+
+        const wasActive = index === this.activeTab;
+        this.tabs.splice(index, 1);
+
+        if (index < this.activeTab) {
+            this.activeTab--;
+        }
+
+        if (this.tabs.length <= 1) {
+            const remaining = this.tabs[0];
+            this.tabs = [];
+            this.activeTab = -1;
+
+            if (wasActive && remaining) {
+                this.select(remaining.path);
+            } else {
+                this.renderTabs();
+            }
+            return;
+        }
+
+        if (wasActive) {
+            this.activeTab = Math.min(index, this.tabs.length - 1);
+            this.select(this.tabs[this.activeTab].path);
+        } else {
+            this.renderTabs();
+        }
+    }
+
+    /**
+     * 경로에 해당하는 후보를 찾습니다.
+     * @param {string} path - 루트 경로
+     * @returns {Object|null} 후보
+     */
+    findCandidate(path) {
+        return this.candidates.find(candidate => candidate.path === path) || null;
+    }
+
+    /**
+     * 경로의 표시 이름을 반환합니다.
+     * @param {string} path - 루트 경로
+     * @returns {string} 표시 이름
+     */
+    getPathLabel(path) {
+        return path || '자동 선택';
+    }
+
+    /**
+     * 후보 목록을 렌더링합니다. 후보가 둘 이상일 때만 선택기를 표시합니다.
+     */
+    renderList() {
+        if (!this.container || !this.list) {
+            return;
+        }
+
+        if (this.candidates.length < 2 && this.tabs.length === 0) {
+            this.container.style.display = 'none';
+            this.closePanel();
+            return;
+        }
+
+        this.container.style.display = '';
+        this.toggleButton.textContent = `📋 테이블 ${this.candidates.length}개`;
+        this.list.innerHTML = '';
+
+        const entries = [{ path: '', rowCount: null, keyCount: null }, ...this.candidates];
+
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = entry.path === this.currentPath
+                ? 'table-picker__item table-picker__item--current'
+                : 'table-picker__item';
+
+            const selectButton = document.createElement('button');
+            selectButton.type = 'button';
+            selectButton.className = 'table-picker__select';
+            selectButton.title = '현재 탭에 표시';
+
+            const path = document.createElement('code');
+            path.className = 'table-picker__path';
+            path.textContent = this.getPathLabel(entry.path);
+
+            const meta = document.createElement('span');
+            meta.className = 'table-picker__meta';
+            meta.textContent = entry.rowCount === null
+                ? '가장 긴 배열 또는 문서 전체'
+                : `${entry.rowCount.toLocaleString()}행 · 키 ${entry.keyCount.toLocaleString()}개`;
+
+            selectButton.appendChild(path);
+            selectButton.appendChild(meta);
+            selectButton.addEventListener('click', () => {
+                this.select(entry.path);
+            });
+
+            const tabButton = document.createElement('button');
+            tabButton.type = 'button';
+            tabButton.className = 'btn btn--outline btn--small table-picker__tab';
+            tabButton.textContent = '새 탭';
+            tabButton.title = '새 탭으로 열기';
+            tabButton.addEventListener('click', () => {
+                this.openTab(entry.path);
+            });
+
+            item.appendChild(selectButton);
+            item.appendChild(tabButton);
+            this.list.appendChild(item);
+        });
+    }
+
+    /**
+     * 탭 막대를 렌더링합니다.
+     */
+    renderTabs() {
+        if (!this.tabsBar) {
+            return;
+        }
+
+        this.tabsBar.innerHTML = '';
+
+        if (this.tabs.length === 0) {
+            this.tabsBar.style.display = 'none';
+            return;
+        }
+
+        this.tabs.forEach((tab, index) => {
+            const isActive = index === this.activeTab;
+            const candidate = this.findCandidate(tab.path);
+
+            const tabElement = document.createElement('div');
+            tabElement.className = isActive ? 'table-tab table-tab--active' : 'table-tab';
+
+            const label = document.createElement('button');
+            label.type = 'button';
+            label.className = 'table-tab__label';
+            label.setAttribute('role', 'tab');
+            label.setAttribute('aria-selected', isActive ? 'true' : 'false');
+            label.textContent = candidate
+                ? `${this.getPathLabel(tab.path)} (${candidate.rowCount.toLocaleString()})`
+                : this.getPathLabel(tab.path);
+            label.title = this.getPathLabel(tab.path);
+            label.addEventListener('click', () => {
+                this.activateTab(index);
+            });
+
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.className = 'table-tab__close';
+            close.textContent = '×';
+            close.title = '탭 닫기';
+            close.setAttribute('aria-label', `${this.getPathLabel(tab.path)} 탭 닫기`);
+            close.addEventListener('click', () => {
+                this.closeTab(index);
+            });
+
+            tabElement.appendChild(label);
+            tabElement.appendChild(close);
+            this.tabsBar.appendChild(tabElement);
+        });
+
+        this.tabsBar.style.display = 'flex';
+    }
+}
+
+// 전역에서 사용할 수 있도록 내보내기
+window.TablePicker = TablePicker;
@@ -19,14 +19,57 @@ class TableRenderer {
             minColumnWidth: 100,
             maxColumnWidth: 300,
             defaultColumnWidth: 150,
-            autoResize: true
+            autoResize: true,
+            virtualScroll: true,
+            virtualScrollThreshold: 500, // 이 행 수를 넘으면 가상 스크롤 사용
+            virtualRowHeight: 45, // 실제 행 높이를 측정하기 전의 추정값
+            virtualOverscan: 10, // 화면 밖에 미리 렌더링할 행 수
+            minManualColumnWidth: 60, // 헤더 경계를 끌어 줄일 수 있는 최소 너비
+            maxFitColumnWidth: 600, // 내용에 맞출 때의 최대 너비
+            headerOrder: 'source' // 헤더 정렬 방식 ('source', 'alphabetical', 'frequency')
         };
         
         // 컬럼 타입 설정 관리
         this.columnTypes = {}; // 컬럼별 출력 타입 저장
+
+        // 큰 정수(BigInt)와 고정밀 소수 처리
+        this.preciseNumbers = new PreciseNumbers();
+
+        // 헤더 아래의 컬럼별 필터
+        this.columnFilter = new ColumnFilter();
+        this.tableSorter = new TableSorter();
+
+        // 컬럼 표시 여부, 순서, 고정
+        this.columnManager = new ColumnManager();
+        this.draggedHeader = null;
+
+        // 그룹으로 묶기 (currentGroups: 현재 그룹 목록, displayEntries: 그룹 머리행과 행 인덱스로 된 표시 항목)
+        this.tableGrouper = new TableGrouper();
+        this.currentGroups = null;
+        this.displayEntries = null;
+        this.groupNumericColumns = [];
+
+        // 검색 옵션과 일치 항목 탐색
+        this.tableSearch = new TableSearch();
+        this.tableSearch.onNavigate = match => this.revealSearchMatch(match);
+        this.searchPattern = null;
         
         // 윈도우 리사이즈 디바운싱
         this.resizeTimeout = null;
+
+        // 가상 스크롤 상태 (대용량 데이터에서만 사용)
+        this.virtualScroll = null;
+        this.virtualScrollFrame = null;
+        this.searchTerm = '';
+
+        // 필터, 검색, 정렬을 적용하기 전의 원본 데이터 (스트리밍으로 늘어나는 배열인지 확인할 때 사용)
+        this.sourceData = null;
+
+        // 스트리밍 중 현재 검색어와 필터로 보기를 다시 적용할 때 호출되는 콜백 (main에서 연결)
+        this.onRefreshView = null;
+
+        // 이벤트 리스너 바인딩 (중복 등록 방지)
+        this.handleVirtualScroll = this.handleVirtualScroll.bind(this);
     }
 
     /**
@@ -50,9 +93,12 @@ class TableRenderer {
     }
 
     /**
-     * 테이블을 렌더링합니다.
+     * 테이블을 렌더링합니다. 현재 정렬 기준이 있으면 정렬해서 표시합니다.
+     * 헤더를 지정하지 않으면 새 데이터로 보고 컬럼 필터와 정렬 기준을 초기화합니다.
      * @param {Array} data - 테이블 데이터 배열
      * @param {Object} options - 렌더링 옵션
+     * @param {string} options.searchTerm - 하이라이트할 검색어
+     * @param {Array} options.headers - 원본 데이터의 헤더 (필터/검색 결과를 표시할 때 사용)
      */
     renderTable(data, options = {}) {
         try {
@@ -65,12 +111,37 @@ class TableRenderer {
                 return;
             }
 
+            // 새 데이터이면 필터, 정렬 기준, 그룹 초기화
+            if (!options.headers) {
+                this.columnFilter.reset();
+                this.tableSorter.reset();
+                this.tableGrouper.reset();
+                this.sourceData = data;
+            }
+
+            // 검색과 필터 결과에도 정렬 기준을 유지
+            data = this.sortRows(data);
+
             // 현재 데이터 저장 (컬럼 타입 변경 시 사용)
             this.currentData = data;
 
-            // 테이블 헤더 생성
-            const headers = this.extractHeaders(data);
-            this.renderTableHeader(headers);
+            // 하이라이트할 검색어 (가상 스크롤로 새로 그려지는 행에도 적용)
+            this.searchTerm = options.searchTerm || '';
+            this.searchPattern = this.tableSearch.createPattern(this.searchTerm);
+
+            // 테이블 헤더 생성 (숨긴 컬럼을 빼고 컬럼 레이아웃 순서 적용)
+            const allHeaders = options.headers || this.extractHeaders(data);
+            if (!options.headers) {
+                this.columnManager.setDataset(allHeaders);
+            }
+            const headers = this.columnManager.apply(allHeaders);
+
+            if (!options.headers || !this.isHeaderRendered(headers)) {
+                this.currentHeaders = headers;
+                this.renderTableHeader(headers);
+            }
+            // 필터 입력 중 포커스를 잃지 않도록 헤더는 그대로 두고 정렬 표시만 갱신
+            this.updateSortHeaders();
 
             // 테이블 바디 생성
             this.renderTableBody(data, headers);
@@ -85,6 +156,7 @@ class TableRenderer {
             setTimeout(() => {
                 this.adjustTableToWindow();
                 this.optimizeColumnWidths();
+                this.applyPinnedColumns();
             }, 100);
 
         } catch (error) {
@@ -93,6 +165,85 @@ class TableRenderer {
         }
     }
 
+    /**
+     * 스트리밍 등으로 늘어난 데이터의 새 행을 테이블에 추가합니다.
+     * 다른 데이터가 표시 중이면 새로 렌더링하고, 정렬, 그룹, 검색, 필터로 보기가 바뀌었거나
+     * 새 컬럼이 생기면 그 상태를 유지한 채 현재 보기를 다시 적용합니다.
+     * @param {Array} data - 새 행이 추가된 전체 데이터 배열
+     * @param {Array} newRows - 새로 추가된 행 배열
+     */
+    appendTableData(data, newRows) {
+        const headers = this.currentHeaders;
+
+        if (!headers || !this.tableBody || this.sourceData !== data) {
+            this.renderTable(data);
+            return;
+        }
+
+        // 숨긴 컬럼도 새 컬럼으로 보지 않도록 데이터셋의 전체 컬럼과 비교
+        if (this.hasNewColumns(newRows, this.columnManager.columns)) {
+            this.columnManager.extendDataset(this.extractHeaders(data));
+            this.refreshView(data);
+            return;
+        }
+
+        if (this.currentData !== data) {
+            this.refreshView(data);
+            return;
+        }
+
+        if (this.virtualScroll) {
+            // 스크롤 위치를 유지한 채 스페이서 높이만 갱신
+            this.virtualScroll.data = data;
+            this.renderVirtualRows(true);
+        } else if (this.shouldUseVirtualScroll(data)) {
+            this.renderTableBody(data, headers);
+        } else {
+            const startIndex = data.length - newRows.length;
+            const rows = newRows.map((row, offset) => this.createTableRow(row, startIndex + offset, headers));
+            rows.forEach(row => this.tableBody.appendChild(row));
+            this.syncRowsWithHeader(rows);
+        }
+
+        this.updateTableInfo(data);
+    }
+
+    /**
+     * 현재 정렬, 그룹, 검색어, 필터를 유지한 채 원본 데이터로 보기를 다시 적용합니다.
+     * 스트리밍 중 사용자가 보던 스크롤 위치도 그대로 둡니다.
+     * @param {Array} data - 원본 데이터 배열
+     */
+    refreshView(data) {
+        const scrollTop = this.tableWrapper ? this.tableWrapper.scrollTop : 0;
+
+        if (this.onRefreshView) {
+            this.onRefreshView();
+        } else {
+            this.renderTable(data, { headers: this.extractHeaders(data) });
+        }
+
+        if (this.tableWrapper) {
+            this.tableWrapper.scrollTop = scrollTop;
+            if (this.virtualScroll) {
+                this.renderVirtualRows(true);
+            }
+        }
+    }
+
+    /**
+     * 새 행에 헤더에 없는 컬럼이 있는지 확인합니다.
+     * @param {Array} rows - 확인할 행 배열
+     * @param {Array} headers - 데이터셋의 전체 헤더 배열
+     * @returns {boolean} 새 컬럼 존재 여부
+     */
+    hasNewColumns(rows, headers) {
+        const headerSet = new Set(headers);
+        return rows.some(row =>
+            typeof row === 'object' && row !== null &&
+            Object.keys(row).some(key => !headerSet.has(key))
+        );
+    }
+
     /**
      * 데이터에서 헤더를 추출합니다.
      * @param {Array} data - 테이블 데이터
@@ -161,17 +312,17 @@ class TableRenderer {
      * @returns {Array} 헤더 배열
      */
     extractHeadersFromObjects(data) {
-        const headerSet = new Set();
+        const headerStats = new Map();
         
         data.forEach(row => {
             if (typeof row === 'object' && row !== null) {
                 Object.keys(row).forEach(key => {
-                    headerSet.add(key);
+                    this.countHeader(headerStats, key, row[key]);
                 });
             }
         });
 
-        return Array.from(headerSet).sort();
+        return this.orderHeaders(headerStats);
     }
 
     /**
@@ -180,38 +331,89 @@ class TableRenderer {
      * @returns {Array} 헤더 배열
      */
     extractHeadersFromNestedStructure(data) {
-        const headerSet = new Set();
+        const headerStats = new Map();
         
         data.forEach(row => {
             if (typeof row === 'object' && row !== null) {
                 // 중첩된 객체를 평면화하여 헤더 추출
-                this.flattenObjectKeys(row, headerSet);
+                this.flattenObjectKeys(row, headerStats);
             }
         });
 
-        return Array.from(headerSet).sort();
+        return this.orderHeaders(headerStats);
     }
 
     /**
      * 중첩된 객체의 키를 평면화합니다.
      * @param {Object} obj - 중첩된 객체
-     * @param {Set} keySet - 키를 저장할 Set
+     * @param {Map} keyStats - 키별 통계를 저장할 Map (countHeader 참고)
      * @param {string} prefix - 키 접두사
      */
-    flattenObjectKeys(obj, keySet, prefix = '') {
+    flattenObjectKeys(obj, keyStats, prefix = '') {
         Object.keys(obj).forEach(key => {
             const fullKey = prefix ? `${prefix}.${key}` : key;
             
             if (typeof obj[key] === 'object' && obj[key] !== null && !Array.isArray(obj[key])) {
                 // 중첩된 객체인 경우 재귀적으로 처리
-                this.flattenObjectKeys(obj[key], keySet, fullKey);
+                this.flattenObjectKeys(obj[key], keyStats, fullKey);
             } else {
                 // 리프 노드인 경우 키 추가
-                keySet.add(fullKey);
+                this.countHeader(keyStats, fullKey, obj[key]);
             }
         });
     }
 
+    /**
+     * 헤더 통계에 키를 기록합니다.
+     * 처음 나온 순서(index)와 값이 채워진 행 수(count; null, undefined, 빈 문자열 제외)를 셉니다.
+     * @param {Map} headerStats - 키 → { index, count }
+     * @param {string} key - 헤더 키
+     * @param {*} value - 해당 행의 값
+     */
+    countHeader(headerStats, key, value) {
+        const populated = value !== null && value !== undefined && value !== '' ? 1 : 0;
+        const stats = headerStats.get(key);
+
+        if (stats) {
+            stats.count += populated;
+        } else {
+            headerStats.set(key, { index: headerStats.size, count: populated });
+        }
+    }
+
+    /**
+     * 헤더 정렬 방식(tableSettings.headerOrder)에 따라 헤더 순서를 정합니다.
+     * - source: 데이터에서 처음 나온 순서
+     * - alphabetical: 가나다(코드 포인트) 순
+     * - frequency: 값이 채워진 행이 많은 순 (같으면 처음 나온 순서)
+     * @param {Map} headerStats - countHeader로 만든 키 → { index, count }
+     * @returns {Array} 헤더 배열
+     */
+    orderHeaders(headerStats) {
+        const headers = Array.from(headerStats.keys());
+
+        switch (this.tableSettings.headerOrder) {
+            case 'alphabetical':
+                return headers.sort();
+            case 'frequency':
+                return headers.sort((a, b) => {
+                    const statsA = headerStats.get(a);
+                    const statsB = headerStats.get(b);
+                    return statsB.count - statsA.count || statsA.index - statsB.index;
+                });
+            default:
+                return headers;
+        }
+    }
+
+    /**
+     * 헤더 정렬 방식을 설정합니다. 다음에 헤더를 추출할 때부터 적용됩니다.
+     * @param {string} mode - 'source', 'alphabetical', 'frequency'
+     */
+    setHeaderOrder(mode) {
+        this.tableSettings.headerOrder = ['alphabetical', 'frequency'].includes(mode) ? mode : 'source';
+    }
+
     /**
      * 점 표기법을 사용하여 중첩된 객체에서 값을 가져옵니다.
      * @param {Object} obj - 객체
@@ -223,8 +425,8 @@ class TableRenderer {
             return obj;
         }
 
-        // 점 표기법이 없는 경우 일반 접근
-        if (!path.includes('.')) {
+        // 점 표기법이 없거나 점이 들어간 키가 그대로 있는 경우 일반 접근
+        if (!path.includes('.') || Object.prototype.hasOwnProperty.call(obj, path)) {
             return obj[path];
         }
 
@@ -237,6 +439,18 @@ class TableRenderer {
         }, obj);
     }
 
+    /**
+     * 같은 헤더가 이미 렌더링되어 있는지 확인합니다.
+     * @param {Array} headers - 헤더 배열
+     * @returns {boolean} 렌더링 여부
+     */
+    isHeaderRendered(headers) {
+        const current = this.currentHeaders;
+        return !!this.tableHead && this.tableHead.children.length > 0 &&
+            !!current && current.length === headers.length &&
+            current.every((header, index) => header === headers[index]);
+    }
+
     /**
      * 테이블 헤더를 렌더링합니다.
      * @param {Array} headers - 헤더 배열
@@ -257,6 +471,8 @@ class TableRenderer {
             th.setAttribute('data-column', header);
             th.setAttribute('aria-sort', 'none');
             th.classList.add('sortable', 'column-header');
+            this.attachHeaderDragEvents(th, header);
+            this.attachColumnResizeHandle(th, header);
             
             // 헤더 컨테이너 생성
             const headerContainer = document.createElement('div');
@@ -316,44 +532,727 @@ class TableRenderer {
         });
 
         this.tableHead.appendChild(headerRow);
+
+        // 컬럼 필터 행 (th 대신 td를 사용해 헤더 셀 목록에 섞이지 않게 함)
+        this.tableHead.appendChild(this.columnFilter.createFilterRow(headers, header => this.getFilterKind(header)));
+
+        this.tableSearch.setColumns(headers);
+        this.tableGrouper.setAvailableColumns(headers);
+    }
+
+    /**
+     * 헤더를 끌어 다른 헤더 앞이나 뒤에 놓으면 컬럼 순서를 바꿉니다.
+     * @param {HTMLElement} th - 헤더 셀
+     * @param {string} header - 컬럼 이름
+     */
+    attachHeaderDragEvents(th, header) {
+        th.draggable = true;
+
+        const clearDropMarker = () => {
+            th.classList.remove('column--drop-before', 'column--drop-after');
+        };
+        const isDropAfter = (event) => {
+            const rect = th.getBoundingClientRect();
+            return event.clientX > rect.left + rect.width / 2;
+        };
+
+        th.addEventListener('dragstart', (event) => {
+            this.draggedHeader = header;
+            th.classList.add('column--dragging');
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', header);
+        });
+
+        th.addEventListener('dragover', (event) => {
+            if (this.draggedHeader === null || this.draggedHeader === header) return;
+            event.preventDefault();
+            const after = isDropAfter(event);
+            th.classList.toggle('column--drop-before', !after);
+            th.classList.toggle('column--drop-after', after);
+        });
+
+        th.addEventListener('dragleave', clearDropMarker);
+
+        th.addEventListener('drop', (event) => {
+            event.preventDefault();
+            clearDropMarker();
+
+            const source = this.draggedHeader;
+            this.draggedHeader = null;
+            if (source !== null && source !== header) {
+                this.columnManager.moveColumn(source, header, isDropAfter(event));
+            }
+        });
+
+        th.addEventListener('dragend', () => {
+            th.classList.remove('column--dragging');
+            this.draggedHeader = null;
+        });
+    }
+
+    /**
+     * 헤더 오른쪽 경계에 너비 조절 손잡이를 붙입니다.
+     * 끌면 너비를 바꾸고, 두 번 클릭하면 내용에 맞춥니다. 정한 너비는 컬럼 레이아웃에 기억합니다.
+     * @param {HTMLElement} th - 헤더 셀
+     * @param {string} header - 컬럼 이름
+     */
+    attachColumnResizeHandle(th, header) {
+        const handle = document.createElement('div');
+        handle.className = 'column-resize-handle';
+        handle.setAttribute('role', 'separator');
+        handle.setAttribute('aria-orientation', 'vertical');
+        handle.title = '끌어서 너비 조절, 두 번 클릭하면 내용에 맞춤';
+
+        handle.addEventListener('mousedown', (event) => {
+            if (event.button !== 0) return;
+            // 헤더 끌기(순서 변경)와 텍스트 선택이 시작되지 않도록 막음
+            event.preventDefault();
+            event.stopPropagation();
+            this.startColumnResize(th, header, event.clientX);
+        });
+
+        // 손잡이 클릭이 헤더 정렬로 이어지지 않도록 막음
+        handle.addEventListener('click', (event) => {
+            event.stopPropagation();
+        });
+
+        handle.addEventListener('dblclick', (event) => {
+            event.stopPropagation();
+            this.fitColumnWidths([header]);
+        });
+
+        th.appendChild(handle);
+    }
+
+    /**
+     * 마우스를 따라 컬럼 너비를 조절하고, 버튼을 놓으면 너비를 기억합니다.
+     * @param {HTMLElement} th - 헤더 셀
+     * @param {string} header - 컬럼 이름
+     * @param {number} startX - 끌기를 시작한 마우스 x 좌표
+     */
+    startColumnResize(th, header, startX) {
+        const startWidth = th.offsetWidth;
+        let width = null;
+
+        th.classList.add('column--resizing');
+        document.body.classList.add('is-column-resizing');
+
+        const handleMouseMove = (event) => {
+            width = Math.max(this.tableSettings.minManualColumnWidth, Math.round(startWidth + event.clientX - startX));
+            this.applyColumnWidth(header, width);
+        };
+
+        const handleMouseUp = () => {
+            document.removeEventListener('mousemove', handleMouseMove);
+            document.removeEventListener('mouseup', handleMouseUp);
+            th.classList.remove('column--resizing');
+            document.body.classList.remove('is-column-resizing');
+
+            if (width === null) return;
+            this.columnManager.setWidths({ [header]: width });
+
+            // 버튼을 놓은 곳에서 생기는 click이 헤더 정렬로 이어지지 않도록 한 번만 막음
+            const suppressClick = (event) => event.stopPropagation();
+            window.addEventListener('click', suppressClick, { capture: true, once: true });
+            setTimeout(() => window.removeEventListener('click', suppressClick, { capture: true }), 0);
+        };
+
+        document.addEventListener('mousemove', handleMouseMove);
+        document.addEventListener('mouseup', handleMouseUp);
+    }
+
+    /**
+     * 한 컬럼의 헤더와 그려진 셀에 너비를 적용합니다.
+     * @param {string} column - 컬럼 이름
+     * @param {number} width - 너비(px)
+     */
+    applyColumnWidth(column, width) {
+        const table = this.tableWrapper?.querySelector('table');
+        const index = this.getColumnIndex(column);
+        if (!table || index === -1) return;
+
+        const header = this.tableHead.querySelectorAll('th')[index];
+        this.setColumnElementsWidth([header, ...this.getColumnCells(table, index)], width);
+        this.applyPinnedColumns();
+    }
+
+    /**
+     * 컬럼 너비를 내용에 맞추고 기억합니다.
+     * 자동 너비의 최대값(maxColumnWidth) 대신 maxFitColumnWidth까지 넓히며, 가상 스크롤에서는 그려진 행만 측정합니다.
+     * @param {Array} columns - 맞출 컬럼 (생략하면 표시 중인 모든 컬럼)
+     */
+    fitColumnWidths(columns = this.currentHeaders || []) {
+        const table = this.tableWrapper?.querySelector('table');
+        if (!table || !this.tableHead) return;
+
+        const headerCells = this.tableHead.querySelectorAll('th');
+        const widths = {};
+
+        columns.forEach(column => {
+            const index = this.getColumnIndex(column);
+            if (index === -1) return;
+
+            const header = headerCells[index];
+            const cells = this.getColumnCells(table, index);
+            widths[column] = this.calculateContentWidth(header, cells);
+            this.setColumnElementsWidth([header, ...cells], widths[column]);
+        });
+
+        this.applyPinnedColumns();
+        this.columnManager.setWidths(widths);
+    }
+
+    /**
+     * 헤더 이름과 모든 셀 내용이 잘리지 않는 너비를 계산합니다.
+     * @param {HTMLElement} header - 헤더 요소
+     * @param {NodeList|Array} cells - 셀 요소들
+     * @returns {number} 너비(px)
+     */
+    calculateContentWidth(header, cells) {
+        const isNumericColumn = this.isNumericColumn(header, cells);
+        const headerName = header.querySelector('.column-name') || header;
+        let width = this.calculateTextWidth(this.getTextContent(headerName)) + 40; // 패딩과 정렬 표시 여유공간
+
+        Array.from(cells).forEach(cell => {
+            const cellText = this.getCellDisplayText(cell);
+            const cellWidth = isNumericColumn
+                ? this.calculateNumericTextWidth(cellText) + 12
+                : this.calculateTextWidth(cellText) + 16;
+            width = Math.max(width, cellWidth);
+        });
+
+        return Math.min(
+            this.tableSettings.maxFitColumnWidth,
+            Math.max(this.tableSettings.minManualColumnWidth, Math.ceil(width))
+        );
+    }
+
+    /**
+     * 테이블에서 한 컬럼의 데이터 셀을 가져옵니다. (가상 스크롤 스페이서 행과 그룹 머리행 제외)
+     * @param {HTMLElement} table - 테이블 요소
+     * @param {number} index - 컬럼 인덱스
+     * @returns {NodeList} 셀 요소들
+     */
+    getColumnCells(table, index) {
+        return table.querySelectorAll(`:scope > tbody > tr:not(.virtual-spacer):not(.group-row) > td:nth-child(${index + 1})`);
+    }
+
+    /**
+     * 요소들의 너비를 고정합니다.
+     * @param {Array<HTMLElement>} elements - 헤더와 셀 요소들
+     * @param {number} width - 너비(px)
+     */
+    setColumnElementsWidth(elements, width) {
+        elements.forEach(element => {
+            element.style.width = `${width}px`;
+            element.style.minWidth = `${width}px`;
+            element.style.maxWidth = `${width}px`;
+        });
+    }
+
+    /**
+     * 고정 컬럼의 셀을 sticky 위치로 만들고, 앞쪽 고정 컬럼 너비만큼 left/right를 설정합니다.
+     * 헤더, 필터 행과 현재 그려진 데이터 행에 모두 적용합니다.
+     */
+    applyPinnedColumns() {
+        if (!this.tableHead || !this.tableBody) return;
+
+        const positions = this.getPinnedPositions();
+        if (!positions) return;
+
+        const rows = [
+            ...this.tableHead.querySelectorAll('tr'),
+            ...this.tableBody.querySelectorAll('tr[data-row-index], tr.group-row')
+        ];
+        rows.forEach(row => this.applyPinnedPositions(row.children, positions));
+    }
+
+    /**
+     * 헤더 셀 너비로 고정 컬럼의 위치를 계산합니다.
+     * @returns {Array|null} 컬럼 인덱스별 { side, offset, edge } (고정 컬럼이 없으면 null)
+     */
+    getPinnedPositions() {
+        const headerCells = Array.from(this.tableHead?.querySelectorAll('th') || []);
+        const sides = headerCells.map(th => this.columnManager.getPinned(th.getAttribute('data-column')));
+        if (!sides.some(Boolean)) return null;
+
+        const positions = sides.map(() => null);
+
+        let offset = 0;
+        const lastLeft = sides.lastIndexOf('left');
+        sides.forEach((side, index) => {
+            if (side !== 'left') return;
+            positions[index] = { side: side, offset: offset, edge: index === lastLeft };
+            offset += headerCells[index].offsetWidth;
+        });
+
+        offset = 0;
+        const firstRight = sides.indexOf('right');
+        for (let index = sides.length - 1; index >= 0; index--) {
+            if (sides[index] !== 'right') continue;
+            positions[index] = { side: 'right', offset: offset, edge: index === firstRight };
+            offset += headerCells[index].offsetWidth;
+        }
+
+        return positions;
+    }
+
+    /**
+     * 한 행의 셀에 고정 위치를 적용합니다.
+     * @param {HTMLCollection|Array} cells - 셀 요소들
+     * @param {Array} positions - getPinnedPositions 결과
+     */
+    applyPinnedPositions(cells, positions) {
+        Array.from(cells).forEach((cell, index) => {
+            const position = positions[index] || null;
+            const side = position ? position.side : null;
+
+            cell.classList.toggle('column--pinned-left', side === 'left');
+            cell.classList.toggle('column--pinned-right', side === 'right');
+            cell.classList.toggle('column--pinned-edge-left', side === 'left' && position.edge);
+            cell.classList.toggle('column--pinned-edge-right', side === 'right' && position.edge);
+            cell.style.left = side === 'left' ? `${position.offset}px` : '';
+            cell.style.right = side === 'right' ? `${position.offset}px` : '';
+        });
+    }
+
+    /**
+     * 컬럼 타입과 원본 데이터의 값으로 필터 종류를 정합니다.
+     * @param {string} header - 컬럼 이름
+     * @returns {string} 'string', 'number', 'boolean', 'date'
+     */
+    getFilterKind(header) {
+        // 필터 결과가 비어도 종류가 바뀌지 않도록 필터 적용 전의 원본 데이터에서 표본을 뽑음
+        const sample = (this.sourceData || this.currentData || []).slice(0, 100).map(row => this.getNestedValue(row, header));
+        return this.columnFilter.getColumnKind(this.columnTypes[header] || 'auto', sample);
     }
 
     /**
      * 테이블 바디를 렌더링합니다.
+     * 그룹으로 묶는 중이면 같은 그룹의 행이 이어지도록 순서를 바꾸고(그룹 안에서는 정렬 순서 유지) 그룹 머리행을 넣습니다.
+     * 행 수가 많으면 화면에 보이는 행만 그리는 가상 스크롤 모드로 전환합니다.
      * @param {Array} data - 테이블 데이터
      * @param {Array} headers - 헤더 배열
      */
     renderTableBody(data, headers) {
         if (!this.tableBody) return;
 
+        const getValue = (row, header) => this.getNestedValue(row, header);
+
+        this.currentGroups = null;
+        if (this.tableGrouper.isActive()) {
+            const grouping = this.tableGrouper.group(data, getValue);
+            data = grouping.rows;
+            this.currentGroups = grouping.groups;
+            this.groupNumericColumns = this.getGroupNumericColumns(data, headers);
+        }
+
+        // 현재 표시 중인 데이터 저장 (정렬/그룹 순서 포함, 복사/타입 변경 시 행 인덱스 기준)
+        this.currentData = data;
+
+        // 일치 항목은 표시 순서의 행 인덱스를 가리키므로 정렬할 때마다 다시 찾음
+        this.tableSearch.findMatches(data, headers, this.searchPattern, getValue);
+
+        this.renderBodyRows(data, headers);
+    }
+
+    /**
+     * 현재 데이터와 그룹 접힘 상태로 바디의 행을 그립니다.
+     * @param {Array} data - 테이블 데이터 (그룹 순서)
+     * @param {Array} headers - 헤더 배열
+     */
+    renderBodyRows(data, headers) {
         this.tableBody.innerHTML = '';
 
-        data.forEach((row, index) => {
-            const tr = document.createElement('tr');
-            tr.setAttribute('data-row-index', index);
+        const entries = this.currentGroups ? this.tableGrouper.getEntries(this.currentGroups) : null;
+        this.displayEntries = entries;
 
-            headers.forEach(header => {
-                const td = document.createElement('td');
-                
-                // 셀 데이터 가져오기 (점 표기법 지원)
-                const cellData = this.getNestedValue(row, header);
-                
-                // 저장된 컬럼 타입이 있으면 해당 타입으로 렌더링
-                const columnType = this.columnTypes[header] || 'auto';
-                if (columnType !== 'auto') {
-                    this.renderCellWithType(td, cellData, columnType);
-                } else {
-                    // 셀 데이터 렌더링 (기본)
-                    this.renderCellContent(td, cellData, header);
+        if (this.shouldUseVirtualScroll(entries || data)) {
+            this.enableVirtualScroll(data, headers, entries);
+            return;
+        }
+
+        this.disableVirtualScroll();
+
+        const fragment = document.createDocumentFragment();
+        const count = entries ? entries.length : data.length;
+        for (let position = 0; position < count; position++) {
+            fragment.appendChild(this.createDisplayRow(data, entries, position, headers));
+        }
+        this.tableBody.appendChild(fragment);
+
+        this.applyPinnedColumns();
+    }
+
+    /**
+     * 표시 위치의 tr 요소를 생성합니다. 표시 항목이 있으면 그룹 머리행이나 해당 인덱스의 행을 만듭니다.
+     * @param {Array} data - 테이블 데이터
+     * @param {Array|null} entries - 표시 항목 (그룹이 없으면 null)
+     * @param {number} position - 표시 위치
+     * @param {Array} headers - 헤더 배열
+     * @returns {HTMLElement} 생성된 tr 요소
+     */
+    createDisplayRow(data, entries, position, headers) {
+        if (!entries) {
+            return this.createTableRow(data[position], position, headers);
+        }
+
+        const entry = entries[position];
+        return typeof entry === 'number'
+            ? this.createTableRow(data[entry], entry, headers)
+            : this.createGroupRow(entry, headers);
+    }
+
+    /**
+     * 그룹 머리행을 생성합니다. 첫 컬럼에 그룹 값과 행 수를, 숫자 컬럼에 합계/평균/최솟값/최댓값을 표시합니다.
+     * 머리행을 클릭하면 그룹을 접거나 펼칩니다.
+     * @param {Object} group - 그룹
+     * @param {Array} headers - 헤더 배열
+     * @returns {HTMLElement} 생성된 tr 요소
+     */
+    createGroupRow(group, headers) {
+        const collapsed = this.tableGrouper.isCollapsed(group.key);
+        const tr = document.createElement('tr');
+        tr.className = 'group-row';
+        tr.setAttribute('aria-expanded', String(!collapsed));
+        tr.style.setProperty('--group-level', group.level);
+
+        if (!group.aggregates) {
+            group.aggregates = this.tableGrouper.aggregate(this.currentData, group, this.groupNumericColumns,
+                (row, header) => this.getNestedValue(row, header));
+        }
+
+        headers.forEach((header, columnIndex) => {
+            const td = document.createElement('td');
+
+            if (columnIndex === 0) {
+                const label = document.createElement('div');
+                label.className = 'group-row__label';
+
+                const toggle = document.createElement('button');
+                toggle.type = 'button';
+                toggle.className = 'group-row__toggle';
+                toggle.textContent = collapsed ? '▸' : '▾';
+                toggle.setAttribute('aria-label', collapsed ? '그룹 펼치기' : '그룹 접기');
+
+                const name = document.createElement('span');
+                name.className = 'group-row__name';
+                name.textContent = `${group.column}: ${this.tableGrouper.formatValue(group.value)}`;
+
+                const count = document.createElement('span');
+                count.className = 'group-row__count';
+                count.textContent = `${this.formatNumber(group.end - group.start)}행`;
+
+                label.appendChild(toggle);
+                label.appendChild(name);
+                label.appendChild(count);
+                td.appendChild(label);
+            }
+
+            const aggregate = group.aggregates[header];
+            if (aggregate) {
+                const summary = document.createElement('div');
+                summary.className = 'group-row__aggregate';
+                summary.textContent = this.formatGroupAggregate(aggregate);
+                td.appendChild(summary);
+            }
+
+            tr.appendChild(td);
+        });
+
+        tr.addEventListener('click', () => {
+            this.toggleGroup(group.key);
+        });
+
+        return tr;
+    }
+
+    /**
+     * 그룹 집계를 "합 · 평균 · 최소 · 최대" 문자열로 만듭니다.
+     * @param {Object} aggregate - { sum, avg, min, max }
+     * @returns {string} 표시 문자열
+     */
+    formatGroupAggregate(aggregate) {
+        // 정밀도를 유지한 10진수 문자열은 그대로 표시
+        const format = value => typeof value === 'string' ? value : this.formatNumber(value);
+        return `합 ${format(aggregate.sum)} · 평균 ${format(aggregate.avg)} · 최소 ${format(aggregate.min)} · 최대 ${format(aggregate.max)}`;
+    }
+
+    /**
+     * 그룹 집계를 표시할 숫자 컬럼을 isNumericColumn으로 고릅니다. 그룹 컬럼 자체는 제외합니다.
+     * @param {Array} data - 테이블 데이터
+     * @param {Array} headers - 헤더 배열
+     * @returns {Array} 숫자 컬럼
+     */
+    getGroupNumericColumns(data, headers) {
+        const groupColumns = new Set(this.tableGrouper.columns);
+
+        return headers.filter(header => {
+            if (groupColumns.has(header)) return false;
+
+            // 렌더링 전이므로 셀 요소 대신 값이 있는 행의 텍스트로 판단
+            const samples = [];
+            for (let i = 0; i < data.length && samples.length < 5; i++) {
+                const value = this.getNestedValue(data[i], header);
+                if (value !== null && value !== undefined && value !== '') {
+                    samples.push(typeof value === 'object' ? this.preciseNumbers.stringify(value) : String(value));
                 }
-                
-                tr.appendChild(td);
-            });
+            }
+            return this.isNumericColumn(header, samples);
+        });
+    }
+
+    /**
+     * 그룹을 접거나 펼치고 바디를 다시 그립니다. 검색 일치 항목은 그대로 유지합니다.
+     * @param {string} key - 그룹 키
+     */
+    toggleGroup(key) {
+        this.tableGrouper.toggleCollapsed(key);
+        this.refreshGroupRows();
+    }
+
+    /**
+     * 그룹 접힘 상태가 바뀐 뒤 바디의 행을 다시 그리고 너비, 고정 위치, 하이라이트를 맞춥니다.
+     */
+    refreshGroupRows() {
+        if (!this.currentGroups || !this.tableBody) return;
+
+        const scrollTop = this.tableWrapper ? this.tableWrapper.scrollTop : 0;
+        this.renderBodyRows(this.currentData, this.currentHeaders);
+
+        if (this.virtualScroll) {
+            // 가상 스크롤은 처음 위치로 돌아가므로 접기 전 위치를 복원
+            this.tableWrapper.scrollTop = scrollTop;
+            this.renderVirtualRows(true);
+            return;
+        }
+
+        this.syncRowsWithHeader(Array.from(this.tableBody.querySelectorAll('tr')));
+        if (this.searchTerm) {
+            this.highlightSearchTerm(this.searchTerm);
+        }
+    }
+
+    /**
+     * 데이터 한 행에 해당하는 tr 요소를 생성합니다.
+     * @param {Object} row - 행 데이터
+     * @param {number} index - 표시 데이터 기준 행 인덱스
+     * @param {Array} headers - 헤더 배열
+     * @returns {HTMLElement} 생성된 tr 요소
+     */
+    createTableRow(row, index, headers) {
+        const tr = document.createElement('tr');
+        tr.setAttribute('data-row-index', index);
+
+        headers.forEach(header => {
+            const td = document.createElement('td');
+            
+            // 셀 데이터 가져오기 (점 표기법 지원)
+            const cellData = this.getNestedValue(row, header);
+            
+            // 저장된 컬럼 타입이 있으면 해당 타입으로 렌더링
+            const columnType = this.columnTypes[header] || 'auto';
+            if (columnType !== 'auto') {
+                this.renderCellWithType(td, cellData, columnType);
+            } else {
+                // 셀 데이터 렌더링 (기본)
+                this.renderCellContent(td, cellData, header);
+            }
+            
+            tr.appendChild(td);
+        });
+
+        return tr;
+    }
+
+    /**
+     * 가상 스크롤을 사용할지 확인합니다.
+     * @param {Array} data - 테이블 데이터
+     * @returns {boolean} 가상 스크롤 사용 여부
+     */
+    shouldUseVirtualScroll(data) {
+        return this.tableSettings.virtualScroll &&
+            !!this.tableWrapper &&
+            data.length > this.tableSettings.virtualScrollThreshold;
+    }
+
+    /**
+     * 가상 스크롤 모드를 활성화하고 첫 화면의 행을 렌더링합니다.
+     * @param {Array} data - 테이블 데이터
+     * @param {Array} headers - 헤더 배열
+     * @param {Array|null} entries - 그룹 표시 항목 (그룹이 없으면 null)
+     */
+    enableVirtualScroll(data, headers, entries = null) {
+        const rowHeight = this.virtualScroll
+            ? this.virtualScroll.rowHeight
+            : this.tableSettings.virtualRowHeight;
+
+        this.virtualScroll = {
+            data: data,
+            entries: entries,
+            headers: headers,
+            rowHeight: rowHeight,
+            measured: false,
+            start: -1,
+            end: -1
+        };
+
+        this.tableWrapper.classList.add('virtual-scroll');
+        this.tableWrapper.querySelector('table')?.classList.add('virtual-table');
+        this.tableWrapper.scrollTop = 0;
+
+        // 동일한 바인딩 함수이므로 여러 번 호출되어도 한 번만 등록됨
+        this.tableWrapper.addEventListener('scroll', this.handleVirtualScroll);
+
+        this.renderVirtualRows(true);
+    }
+
+    /**
+     * 가상 스크롤 모드를 해제합니다.
+     */
+    disableVirtualScroll() {
+        if (!this.virtualScroll) return;
+
+        this.virtualScroll = null;
+
+        if (this.virtualScrollFrame) {
+            cancelAnimationFrame(this.virtualScrollFrame);
+            this.virtualScrollFrame = null;
+        }
 
-            this.tableBody.appendChild(tr);
+        if (this.tableWrapper) {
+            this.tableWrapper.removeEventListener('scroll', this.handleVirtualScroll);
+            this.tableWrapper.classList.remove('virtual-scroll');
+            this.tableWrapper.querySelector('table')?.classList.remove('virtual-table');
+        }
+    }
+
+    /**
+     * 가상 스크롤 영역의 스크롤 이벤트를 처리합니다.
+     */
+    handleVirtualScroll() {
+        if (!this.virtualScroll || this.virtualScrollFrame) return;
+
+        // 프레임당 한 번만 다시 그리기
+        this.virtualScrollFrame = requestAnimationFrame(() => {
+            this.virtualScrollFrame = null;
+            this.renderVirtualRows();
         });
     }
 
+    /**
+     * 현재 스크롤 위치에서 보이는 행(과 여유분)만 렌더링합니다.
+     * 위/아래 빈 공간은 스페이서 행으로 채워 스크롤 높이를 유지합니다.
+     * @param {boolean} force - 표시 범위가 같아도 다시 그릴지 여부
+     */
+    renderVirtualRows(force = false) {
+        const state = this.virtualScroll;
+        if (!state || !this.tableBody) return;
+
+        const { data, entries, headers, rowHeight } = state;
+        const count = entries ? entries.length : data.length;
+        const overscan = this.tableSettings.virtualOverscan;
+        const viewportHeight = this.tableWrapper.clientHeight || window.innerHeight;
+        const scrollTop = this.tableWrapper.scrollTop;
+
+        const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+        const end = Math.min(count, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+
+        if (!force && start === state.start && end === state.end) {
+            return;
+        }
+
+        state.start = start;
+        state.end = end;
+
+        const fragment = document.createDocumentFragment();
+        fragment.appendChild(this.createSpacerRow(start * rowHeight, headers.length));
+
+        const rows = [];
+        for (let i = start; i < end; i++) {
+            const tr = this.createDisplayRow(data, entries, i, headers);
+            rows.push(tr);
+            fragment.appendChild(tr);
+        }
+
+        fragment.appendChild(this.createSpacerRow((count - end) * rowHeight, headers.length));
+
+        this.tableBody.innerHTML = '';
+        this.tableBody.appendChild(fragment);
+
+        // 첫 렌더링 후 실제 행 높이를 측정하여 보정
+        if (!state.measured && rows.length > 0 && rows[0].offsetHeight > 0) {
+            state.measured = true;
+            const measuredHeight = rows[0].offsetHeight;
+            if (Math.abs(measuredHeight - rowHeight) > 1) {
+                state.rowHeight = measuredHeight;
+                this.renderVirtualRows(true);
+                return;
+            }
+        }
+
+        // 새로 그려진 행에 헤더의 너비와 숫자 컬럼 속성 적용
+        this.syncRowsWithHeader(rows);
+
+        // 검색어 하이라이트 다시 적용
+        if (this.searchTerm) {
+            this.highlightSearchTerm(this.searchTerm);
+        }
+    }
+
+    /**
+     * 가상 스크롤용 빈 스페이서 행을 생성합니다.
+     * @param {number} height - 스페이서 높이 (픽셀)
+     * @param {number} columnCount - 컬럼 수
+     * @returns {HTMLElement} 스페이서 tr 요소
+     */
+    createSpacerRow(height, columnCount) {
+        const tr = document.createElement('tr');
+        tr.className = 'virtual-spacer';
+        tr.setAttribute('aria-hidden', 'true');
+
+        const td = document.createElement('td');
+        td.colSpan = Math.max(columnCount, 1);
+        td.style.height = `${height}px`;
+        if (height === 0) {
+            td.style.display = 'none';
+        }
+
+        tr.appendChild(td);
+        return tr;
+    }
+
+    /**
+     * 행의 셀에 헤더의 너비와 숫자 컬럼 속성을 적용합니다.
+     * @param {Array<HTMLElement>} rows - tr 요소 배열
+     */
+    syncRowsWithHeader(rows) {
+        const headerCells = this.tableHead?.querySelectorAll('th');
+        if (!headerCells || headerCells.length === 0) return;
+
+        rows.forEach(row => {
+            Array.from(row.children).forEach((cell, index) => {
+                const header = headerCells[index];
+                if (!header) return;
+
+                if (header.style.width) {
+                    cell.style.width = header.style.width;
+                    cell.style.minWidth = header.style.minWidth;
+                    cell.style.maxWidth = header.style.maxWidth;
+                }
+
+                if (header.getAttribute('data-numeric') === 'true') {
+                    cell.setAttribute('data-numeric', 'true');
+                }
+            });
+        });
+
+        const positions = this.getPinnedPositions();
+        if (positions) {
+            rows.forEach(row => this.applyPinnedPositions(row.children, positions));
+        }
+    }
+
     /**
      * 셀 내용을 렌더링합니다.
      * @param {HTMLElement} td - 테이블 셀 요소
@@ -541,7 +1440,7 @@ class TableRenderer {
             details.style.fontFamily = 'Monaco, Menlo, Ubuntu Mono, monospace';
             details.style.fontSize = '12px';
             details.style.whiteSpace = 'pre-wrap';
-            details.textContent = JSON.stringify(arr, null, 2);
+            details.textContent = this.preciseNumbers.stringify(arr, 2);
             
             const collapseToggle = document.createElement('span');
             collapseToggle.textContent = ' [축소]';
@@ -564,15 +1463,21 @@ class TableRenderer {
         if (data === null) return 'null';
         if (data === undefined) return 'undefined';
         if (Array.isArray(data)) return 'array';
+        // 정밀 숫자 모드의 큰 정수도 숫자로 취급
+        if (typeof data === 'bigint') return 'number';
         return typeof data;
     }
 
     /**
      * 숫자를 포맷합니다.
-     * @param {number} num - 포맷할 숫자
+     * @param {number|bigint} num - 포맷할 숫자
      * @returns {string} 포맷된 숫자 문자열
      */
     formatNumber(num) {
+        if (typeof num === 'bigint') {
+            // BigInt.toLocaleString은 정밀도 손실 없이 자릿수 구분
+            return num.toLocaleString();
+        }
         if (Number.isInteger(num)) {
             return num.toLocaleString();
         }
@@ -601,6 +1506,7 @@ class TableRenderer {
      */
     showTable() {
         this.hideAllStates();
+        this.removeNoResults();
         if (this.tableWrapper) {
             this.tableWrapper.style.display = 'block';
         }
@@ -639,11 +1545,45 @@ class TableRenderer {
 
     /**
      * 로딩 상태를 표시합니다.
+     * @param {Object} options - 표시 옵션
+     * @param {boolean} options.showProgress - 진행률 표시줄 표시 여부
+     * @param {boolean} options.cancellable - 취소 버튼 표시 여부
      */
-    showLoading() {
+    showLoading(options = {}) {
         this.hideAllStates();
         if (this.loadingState) {
             this.loadingState.style.display = 'block';
+
+            const progress = this.loadingState.querySelector('#loading-progress');
+            const cancelButton = this.loadingState.querySelector('#loading-cancel');
+
+            if (progress) {
+                progress.style.display = options.showProgress ? 'block' : 'none';
+            }
+            if (cancelButton) {
+                cancelButton.style.display = options.cancellable ? 'inline-flex' : 'none';
+            }
+
+            this.updateLoadingProgress(0, '데이터를 처리 중입니다...');
+        }
+    }
+
+    /**
+     * 로딩 진행률을 업데이트합니다.
+     * @param {number} percent - 진행률 (0-100)
+     * @param {string} message - 표시할 메시지
+     */
+    updateLoadingProgress(percent, message) {
+        if (!this.loadingState) return;
+
+        const progressBar = this.loadingState.querySelector('#loading-progress-bar');
+        const loadingText = this.loadingState.querySelector('#loading-text');
+
+        if (progressBar) {
+            progressBar.style.width = `${Math.max(0, Math.min(100, percent))}%`;
+        }
+        if (loadingText && message) {
+            loadingText.textContent = message;
         }
     }
 
@@ -663,6 +1603,11 @@ class TableRenderer {
      * 테이블을 초기화합니다.
      */
     clearTable() {
+        this.disableVirtualScroll();
+        this.searchTerm = '';
+        this.searchPattern = null;
+        this.tableSearch.clearMatches();
+
         if (this.tableHead) {
             this.tableHead.innerHTML = '';
         }
@@ -676,7 +1621,7 @@ class TableRenderer {
     }
 
     /**
-     * 테이블을 정렬합니다.
+     * 테이블을 한 컬럼으로 정렬합니다.
      * @param {string} column - 정렬할 컬럼
      * @param {string} direction - 정렬 방향 ('asc' 또는 'desc')
      * @param {Array} data - 원본 데이터
@@ -684,55 +1629,56 @@ class TableRenderer {
     sortTable(column, direction, data) {
         if (!data || data.length === 0) return;
 
-        const sortedData = [...data].sort((a, b) => {
-            const aVal = a[column];
-            const bVal = b[column];
-
-            // null/undefined 처리
-            if (aVal === null || aVal === undefined) return 1;
-            if (bVal === null || bVal === undefined) return -1;
-
-            // 숫자 비교
-            if (typeof aVal === 'number' && typeof bVal === 'number') {
-                return direction === 'asc' ? aVal - bVal : bVal - aVal;
-            }
-
-            // 문자열 비교
-            const aStr = String(aVal).toLowerCase();
-            const bStr = String(bVal).toLowerCase();
-            
-            if (direction === 'asc') {
-                return aStr.localeCompare(bStr);
-            } else {
-                return bStr.localeCompare(aStr);
-            }
-        });
+        this.tableSorter.setSort(column, direction);
+        const sortedData = this.sortRows(data);
 
         // 헤더 업데이트
-        this.updateSortHeaders(column, direction);
+        this.updateSortHeaders();
 
-        // 테이블 재렌더링
-        const headers = this.extractHeaders(sortedData);
+        // 테이블 재렌더링 (필터 결과를 정렬해도 컬럼이 바뀌지 않도록 현재 헤더 사용)
+        const headers = this.currentHeaders || this.extractHeaders(sortedData);
         this.renderTableBody(sortedData, headers);
+
+        if (this.searchTerm && !this.virtualScroll) {
+            this.highlightSearchTerm(this.searchTerm);
+        }
+    }
+
+    /**
+     * 현재 정렬 기준으로 행을 정렬합니다.
+     * 점 표기 헤더(category.name)는 중첩 값을, 비교 방식은 컬럼의 표시 타입을 따릅니다.
+     * @param {Array} data - 행 목록
+     * @returns {Array} 정렬된 행 (정렬 기준이 없으면 그대로)
+     */
+    sortRows(data) {
+        return this.tableSorter.sort(
+            data,
+            (row, column) => this.getNestedValue(row, column),
+            column => this.columnTypes[column] || 'auto'
+        );
     }
 
     /**
-     * 정렬 헤더를 업데이트합니다.
-     * @param {string} column - 정렬된 컬럼
-     * @param {string} direction - 정렬 방향
+     * 정렬 헤더를 현재 정렬 기준에 맞게 업데이트합니다.
+     * 여러 컬럼으로 정렬 중이면 헤더에 우선순위 번호를 표시합니다.
      */
-    updateSortHeaders(column, direction) {
+    updateSortHeaders() {
         if (!this.tableHead) return;
 
+        const isMultiSort = this.tableSorter.sortKeys.length > 1;
         const headers = this.tableHead.querySelectorAll('th');
         headers.forEach(header => {
-            const headerColumn = header.getAttribute('data-column');
+            const sortKey = this.tableSorter.getSortKey(header.getAttribute('data-column'));
             header.classList.remove('sort-asc', 'sort-desc');
             header.setAttribute('aria-sort', 'none');
+            header.removeAttribute('data-sort-order');
 
-            if (headerColumn === column) {
-                header.classList.add(direction === 'asc' ? 'sort-asc' : 'sort-desc');
-                header.setAttribute('aria-sort', direction === 'asc' ? 'ascending' : 'descending');
+            if (sortKey) {
+                header.classList.add(sortKey.direction === 'asc' ? 'sort-asc' : 'sort-desc');
+                header.setAttribute('aria-sort', sortKey.direction === 'asc' ? 'ascending' : 'descending');
+                if (isMultiSort) {
+                    header.setAttribute('data-sort-order', sortKey.order);
+                }
             }
         });
     }
@@ -770,6 +1716,11 @@ class TableRenderer {
             this.tableWrapper.style.width = '100%';
             this.tableWrapper.style.overflowX = 'auto';
 
+            // 가상 스크롤인 경우 변경된 뷰포트 높이에 맞춰 행 다시 그리기
+            if (this.virtualScroll) {
+                this.renderVirtualRows(true);
+            }
+
             // 컬럼 너비 자동 조정
             this.adjustColumnWidths(table, containerWidth);
 
@@ -783,6 +1734,7 @@ class TableRenderer {
 
     /**
      * 컬럼 너비를 자동으로 조정합니다.
+     * 사용자가 직접 정한 너비는 그대로 두고, 나머지 컬럼만 남은 공간에 맞춰 줄입니다.
      * @param {HTMLElement} table - 테이블 요소
      * @param {number} containerWidth - 컨테이너 너비
      */
@@ -793,12 +1745,15 @@ class TableRenderer {
             return;
         }
 
-        // 각 컬럼의 최적 너비 계산
+        // 각 컬럼의 최적 너비 계산 (직접 정한 너비가 있으면 그 값 사용)
         const columnWidths = [];
+        const manualWidths = [];
         headers.forEach((header, index) => {
-            const cells = table.querySelectorAll(`td:nth-child(${index + 1})`);
-            const optimalWidth = this.calculateOptimalColumnWidth(header, cells);
-            columnWidths.push(optimalWidth);
+            const manualWidth = this.columnManager.getWidth(header.getAttribute('data-column'));
+            manualWidths.push(manualWidth);
+            columnWidths.push(manualWidth !== null
+                ? manualWidth
+                : this.calculateOptimalColumnWidth(header, this.getColumnCells(table, index)));
         });
 
         // 총 너비 계산
@@ -811,9 +1766,10 @@ class TableRenderer {
             // 모든 컬럼이 들어갈 수 있는 경우
             adjustedWidths = columnWidths;
         } else {
-            // 비례적으로 축소
-            const ratio = availableWidth / totalWidth;
-            adjustedWidths = columnWidths.map(width => Math.max(
+            // 자동 너비 컬럼만 비례적으로 축소
+            const manualTotal = manualWidths.reduce((sum, width) => sum + (width || 0), 0);
+            const ratio = Math.max(0, availableWidth - manualTotal) / (totalWidth - manualTotal || 1);
+            adjustedWidths = columnWidths.map((width, index) => manualWidths[index] !== null ? width : Math.max(
                 this.tableSettings.minColumnWidth,
                 Math.floor(width * ratio)
             ));
@@ -821,25 +1777,18 @@ class TableRenderer {
 
         // 각 컬럼에 너비 적용
         headers.forEach((header, index) => {
-            const width = adjustedWidths[index];
-            const cells = table.querySelectorAll(`td:nth-child(${index + 1})`);
-            
-            header.style.width = `${width}px`;
-            header.style.minWidth = `${width}px`;
-            header.style.maxWidth = `${width}px`;
-            
-            cells.forEach(cell => {
-                cell.style.width = `${width}px`;
-                cell.style.minWidth = `${width}px`;
-                cell.style.maxWidth = `${width}px`;
-            });
+            this.setColumnElementsWidth([header, ...this.getColumnCells(table, index)], adjustedWidths[index]);
         });
+
+        // 너비가 바뀌었으므로 고정 컬럼 위치 다시 계산
+        this.applyPinnedColumns();
     }
 
     /**
      * 최적의 컬럼 너비를 계산합니다.
-     * @param {HTMLElement} header - 헤더 요소
-     * @param {NodeList} cells - 셀 요소들
+     * 렌더링되지 않은 컬럼(내보내기 등)은 요소 대신 텍스트를 넘길 수 있습니다.
+     * @param {HTMLElement|string} header - 헤더 요소 또는 헤더 텍스트
+     * @param {NodeList|Array} cells - 셀 요소들 또는 셀 텍스트 배열
      * @returns {number} 최적 너비
      */
     calculateOptimalColumnWidth(header, cells) {
@@ -890,11 +1839,12 @@ class TableRenderer {
 
     /**
      * 요소의 텍스트 내용을 가져옵니다.
-     * @param {HTMLElement} element - 요소
+     * @param {HTMLElement|string} element - 요소 (문자열이면 그대로 사용)
      * @returns {string} 텍스트 내용
      */
     getTextContent(element) {
         if (!element) return '';
+        if (typeof element === 'string') return element.trim();
         
         // 중첩된 요소들도 고려하여 텍스트 추출
         const textContent = element.textContent || element.innerText || '';
@@ -903,11 +1853,12 @@ class TableRenderer {
 
     /**
      * 셀의 표시 텍스트를 가져옵니다.
-     * @param {HTMLElement} cell - 셀 요소
+     * @param {HTMLElement|string} cell - 셀 요소 (문자열이면 그대로 사용)
      * @returns {string} 표시 텍스트
      */
     getCellDisplayText(cell) {
         if (!cell) return '';
+        if (typeof cell === 'string') return cell.trim();
         
         const cellContent = cell.querySelector('.cell-content');
         if (cellContent) {
@@ -1082,9 +2033,8 @@ class TableRenderer {
 
         // 각 컬럼의 최적 너비 계산 및 적용
         headers.forEach((header, index) => {
-            const cells = table.querySelectorAll(`td:nth-child(${index + 1})`);
+            const cells = this.getColumnCells(table, index);
             const isNumeric = this.isNumericColumn(header, cells);
-            const optimalWidth = this.calculateOptimalColumnWidth(header, cells);
             
             // 숫자 컬럼 속성 설정
             if (isNumeric) {
@@ -1093,6 +2043,15 @@ class TableRenderer {
                     cell.setAttribute('data-numeric', 'true');
                 });
             }
+
+            // 사용자가 직접 정한 너비는 덮어쓰지 않음
+            const manualWidth = this.columnManager.getWidth(header.getAttribute('data-column'));
+            if (manualWidth !== null) {
+                this.setColumnElementsWidth([header, ...cells], manualWidth);
+                return;
+            }
+
+            const optimalWidth = this.calculateOptimalColumnWidth(header, cells);
             
             // 너비 적용
             header.style.width = `${optimalWidth}px`;
@@ -1117,66 +2076,107 @@ class TableRenderer {
             return;
         }
 
+        // 가상 스크롤은 래퍼 자체가 세로 스크롤 영역이어야 함
+        const overflowY = this.virtualScroll ? 'auto' : 'visible';
+
         if (isMobile) {
             // 모바일에서는 테이블을 세로 스크롤 가능하게 설정
             table.classList.add('mobile-table');
             this.tableWrapper.style.overflowX = 'auto';
-            this.tableWrapper.style.overflowY = 'visible';
+            this.tableWrapper.style.overflowY = overflowY;
         } else {
             // 데스크톱에서는 원래 스타일 유지
             table.classList.remove('mobile-table');
             this.tableWrapper.style.overflowX = 'auto';
-            this.tableWrapper.style.overflowY = 'visible';
+            this.tableWrapper.style.overflowY = overflowY;
         }
     }
 
     /**
-     * 테이블에서 검색을 수행합니다.
-     * @param {string} searchTerm - 검색어
+     * 테이블에서 검색을 수행합니다. 컬럼 필터 조건도 함께 적용합니다.
+     * 검색어는 검색 옵션(정규식, 대소문자, 단어 단위, 컬럼)에 따라 비교합니다.
+     * 필터와 검색 결과에도 원본 데이터의 컬럼을 모두 표시합니다.
+     * @param {string} searchTerm - 검색어 (정규식 옵션에서 문법이 틀리면 예외 발생)
      * @param {Array} originalData - 원본 데이터
-     */
-    searchTable(searchTerm, originalData) {
-        if (!searchTerm || searchTerm.trim() === '') {
-            // 검색어가 없으면 원본 데이터 표시
-            this.renderTable(originalData);
+     * @param {Object} options - 검색 옵션
+     * @param {Function} options.query - 고급 검색 쿼리로 만든 행 검사 함수 (검색어 대신 사용)
+     * @param {string} options.queryText - 결과 없음 메시지에 표시할 쿼리 문자열
+     */
+    searchTable(searchTerm, originalData, options = {}) {
+        const headers = this.extractHeaders(originalData);
+        this.sourceData = originalData;
+        const query = options.query || null;
+        const hasSearchTerm = !query && !!searchTerm && searchTerm.trim() !== '';
+        const hasFilters = this.columnFilter.hasActiveFilters();
+
+        if (!hasSearchTerm && !hasFilters && !query) {
+            // 조건이 없으면 원본 데이터 표시
+            this.renderTable(originalData, { headers: headers });
             return;
         }
 
-        const filteredData = originalData.filter(row => {
-            return Object.values(row).some(value => {
-                const stringValue = String(value).toLowerCase();
-                return stringValue.includes(searchTerm.toLowerCase());
-            });
-        });
+        let filteredData = this.columnFilter.apply(originalData, (row, header) => this.getNestedValue(row, header));
+
+        if (query) {
+            filteredData = filteredData.filter(row => query(row));
+        }
+
+        if (hasSearchTerm) {
+            const pattern = this.tableSearch.createPattern(searchTerm);
+            filteredData = this.tableSearch.filter(filteredData, this.columnManager.apply(headers), pattern,
+                (row, header) => this.getNestedValue(row, header));
+        } else {
+            searchTerm = '';
+        }
 
         if (filteredData.length === 0) {
-            this.showNoResults(searchTerm);
+            // 표시 중인 행이 없으므로 내보내기 등에서 이전 결과를 쓰지 않도록 비움
+            this.currentData = [];
+            this.tableSearch.clearMatches();
+            if (hasFilters) {
+                // 필터 행을 계속 쓸 수 있도록 헤더는 남겨 둠
+                this.showNoFilterResults(this.columnManager.apply(headers));
+            } else if (query) {
+                this.showNoResults(options.queryText || '', '쿼리 조건에 맞는 행이 없습니다.');
+            } else {
+                this.showNoResults(searchTerm);
+            }
         } else {
-            this.renderTable(filteredData);
-            this.highlightSearchTerm(searchTerm);
+            this.renderTable(filteredData, { searchTerm: searchTerm, headers: headers });
+
+            // 가상 스크롤은 행을 그릴 때마다 하이라이트를 적용함
+            if (!this.virtualScroll) {
+                this.highlightSearchTerm(searchTerm);
+            }
         }
     }
 
     /**
      * 검색 결과가 없을 때 메시지를 표시합니다.
      * @param {string} searchTerm - 검색어
+     * @param {string} title - 제목 (기본값: 검색 결과가 없습니다)
      */
-    showNoResults(searchTerm) {
+    showNoResults(searchTerm, title = '검색 결과가 없습니다') {
         if (!this.tableContainer) return;
 
         // 기존 테이블 숨기기
         if (this.tableWrapper) {
             this.tableWrapper.style.display = 'none';
         }
+        this.removeNoResults();
 
         // 검색 결과 없음 메시지 표시
         const noResultsDiv = document.createElement('div');
         noResultsDiv.className = 'no-results';
         noResultsDiv.innerHTML = `
             <div class="no-results__icon">🔍</div>
-            <h3 class="no-results__title">검색 결과가 없습니다</h3>
-            <p class="no-results__description">"${searchTerm}"에 대한 검색 결과를 찾을 수 없습니다.</p>
+            <h3 class="no-results__title"></h3>
+            <p class="no-results__description"></p>
         `;
+        // 검색어와 쿼리에 <, & 등이 들어갈 수 있으므로 텍스트로 넣음
+        noResultsDiv.querySelector('.no-results__title').textContent = title;
+        noResultsDiv.querySelector('.no-results__description').textContent =
+            `"${searchTerm}"에 대한 검색 결과를 찾을 수 없습니다.`;
         noResultsDiv.style.cssText = `
             text-align: center;
             padding: 2rem;
@@ -1186,30 +2186,118 @@ class TableRenderer {
         this.tableContainer.appendChild(noResultsDiv);
     }
 
+    /**
+     * 검색 결과 없음 메시지를 제거합니다.
+     */
+    removeNoResults() {
+        if (this.tableContainer) {
+            this.tableContainer.querySelectorAll(':scope > .no-results').forEach(element => element.remove());
+        }
+    }
+
+    /**
+     * 필터 조건에 맞는 행이 없을 때 헤더와 필터 행을 남긴 채 안내 행을 표시합니다.
+     * @param {Array} headers - 원본 데이터의 헤더
+     */
+    showNoFilterResults(headers) {
+        if (!this.isHeaderRendered(headers)) {
+            this.currentHeaders = headers;
+            this.renderTableHeader(headers);
+        }
+
+        this.renderTableBody([], headers);
+
+        const tr = document.createElement('tr');
+        tr.className = 'no-results-row';
+        const td = document.createElement('td');
+        td.colSpan = Math.max(headers.length, 1);
+        td.textContent = '필터 조건에 맞는 행이 없습니다.';
+        tr.appendChild(td);
+        this.tableBody.appendChild(tr);
+
+        this.searchTerm = '';
+        this.searchPattern = null;
+        this.updateTableInfo([]);
+        this.showTable();
+    }
+
     /**
      * 검색어를 하이라이트합니다.
+     * 검색 컬럼의 셀만 하이라이트하고, 현재 일치 항목의 셀은 따로 표시합니다.
      * @param {string} searchTerm - 검색어
      */
     highlightSearchTerm(searchTerm) {
         if (!this.tableBody) return;
 
-        const cells = this.tableBody.querySelectorAll('td');
-        cells.forEach(cell => {
-            const text = cell.textContent;
-            const lowerText = text.toLowerCase();
-            const lowerSearchTerm = searchTerm.toLowerCase();
+        let pattern;
+        try {
+            pattern = this.tableSearch.createPattern(searchTerm);
+        } catch (error) {
+            return;
+        }
+        if (!pattern) return;
+
+        const headers = this.currentHeaders || [];
+        const columns = new Set(this.tableSearch.getSearchColumns(headers));
+        const current = this.tableSearch.getCurrentMatch();
+
+        this.tableBody.querySelectorAll('tr[data-row-index]').forEach(tr => {
+            const rowIndex = Number(tr.getAttribute('data-row-index'));
+
+            Array.from(tr.children).forEach((cell, columnIndex) => {
+                const column = headers[columnIndex];
+                if (!columns.has(column)) return;
 
-            if (lowerText.includes(lowerSearchTerm)) {
-                const regex = new RegExp(`(${searchTerm})`, 'gi');
-                const highlightedText = text.replace(regex, '<span class="highlight">$1</span>');
-                
-                // 하이라이트된 텍스트로 교체
                 const cellContent = cell.querySelector('.cell-content');
                 if (cellContent) {
-                    cellContent.innerHTML = highlightedText;
+                    this.tableSearch.highlightElement(cellContent, pattern);
                 }
+
+                const isCurrent = !!current && current.row === rowIndex && current.column === column;
+                cell.classList.toggle('search-match--current', isCurrent);
+            });
+        });
+    }
+
+    /**
+     * 검색 일치 항목의 셀로 스크롤하고 현재 일치 항목으로 표시합니다.
+     * 접힌 그룹 안의 행이면 그룹을 펼치고, 가상 스크롤에서는 해당 행이 그려지도록 스크롤 위치를 먼저 옮깁니다.
+     * @param {Object} match - { row, column }
+     */
+    revealSearchMatch(match) {
+        if (!this.tableBody || !this.currentHeaders) return;
+
+        // 그룹으로 묶여 있으면 접힌 그룹을 펼치고 표시 항목에서의 위치를 찾음
+        let position = match.row;
+        if (this.displayEntries) {
+            if (this.tableGrouper.expandToRow(this.currentGroups, match.row)) {
+                this.refreshGroupRows();
             }
+            position = this.displayEntries.indexOf(match.row);
+        }
+
+        if (this.virtualScroll && this.tableWrapper) {
+            const { rowHeight } = this.virtualScroll;
+            const top = position * rowHeight;
+            const viewportHeight = this.tableWrapper.clientHeight;
+            const scrollTop = this.tableWrapper.scrollTop;
+
+            if (top < scrollTop || top + rowHeight > scrollTop + viewportHeight) {
+                this.tableWrapper.scrollTop = Math.max(0, top - viewportHeight / 2);
+            }
+            this.renderVirtualRows(true);
+        }
+
+        this.tableBody.querySelectorAll('.search-match--current').forEach(cell => {
+            cell.classList.remove('search-match--current');
         });
+
+        const tr = this.tableBody.querySelector(`tr[data-row-index="${match.row}"]`);
+        const cell = tr ? tr.children[this.currentHeaders.indexOf(match.column)] : null;
+        if (cell) {
+            cell.classList.add('search-match--current');
+            cell.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        }
     }
 
     /**
@@ -1223,7 +2311,7 @@ class TableRenderer {
             if (cellData === null || cellData === undefined) {
                 copyText = 'null';
             } else if (typeof cellData === 'object') {
-                copyText = JSON.stringify(cellData, null, 2);
+                copyText = this.preciseNumbers.stringify(cellData, 2);
             } else {
                 copyText = String(cellData);
             }
@@ -1252,7 +2340,7 @@ class TableRenderer {
             }
             copyText += columnData.map(value => {
                 if (value === null || value === undefined) return 'null';
-                if (typeof value === 'object') return JSON.stringify(value);
+                if (typeof value === 'object') return this.preciseNumbers.stringify(value);
                 return String(value);
             }).join('\n');
 
@@ -1274,13 +2362,13 @@ class TableRenderer {
             let copyText;
             
             if (format === 'json') {
-                copyText = JSON.stringify(rowData, null, 2);
+                copyText = this.preciseNumbers.stringify(rowData, 2);
             } else {
                 // key-value 형식
                 copyText = Object.entries(rowData)
                     .map(([key, value]) => {
                         const valueStr = value === null || value === undefined ? 'null' : 
-                                       typeof value === 'object' ? JSON.stringify(value) : 
+                                       typeof value === 'object' ? this.preciseNumbers.stringify(value) : 
                                        String(value);
                         return `${key}: ${valueStr}`;
                     })
@@ -1304,7 +2392,7 @@ class TableRenderer {
         // 셀 우클릭 이벤트
         this.tableWrapper.addEventListener('contextmenu', (event) => {
             const cell = event.target.closest('td');
-            if (!cell) return;
+            if (!cell || cell.closest('tr.virtual-spacer, tr.no-results-row, tr.group-row, thead')) return;
 
             event.preventDefault();
             this.showCopyContextMenu(event, cell);
@@ -1316,7 +2404,8 @@ class TableRenderer {
                 const selectedElement = document.activeElement;
                 const cell = selectedElement.closest('td');
                 
-                if (cell) {
+                // 필터 입력과 그룹 머리행에서는 기본 복사 동작 유지
+                if (cell && !cell.closest('thead, tr.group-row')) {
                     event.preventDefault();
                     this.handleCellCopy(cell);
                 }
@@ -1490,6 +2579,10 @@ class TableRenderer {
             
             switch (dataType) {
                 case 'number':
+                    // 큰 정수는 BigInt로 복원하여 정밀도 유지
+                    if (/^-?\d+$/.test(tooltipText) && !Number.isSafeInteger(Number(tooltipText))) {
+                        return BigInt(tooltipText);
+                    }
                     return parseFloat(tooltipText) || 0;
                 case 'boolean':
                     return tooltipText === 'true';
@@ -1655,7 +2748,7 @@ class TableRenderer {
                     this.renderObjectCell(cell, value, depth);
                 } else {
                     // 너무 깊은 경우 JSON 문자열로 표시
-                    cell.textContent = JSON.stringify(value, null, 2);
+                    cell.textContent = this.preciseNumbers.stringify(value, 2);
                     cell.style.fontFamily = 'monospace';
                     cell.style.fontSize = '11px';
                     cell.style.backgroundColor = 'var(--surface-color)';
@@ -1669,7 +2762,7 @@ class TableRenderer {
                 if (depth < 5) {
                     this.renderArrayInNestedTable(cell, value, depth);
                 } else {
-                    cell.textContent = JSON.stringify(value, null, 2);
+                    cell.textContent = this.preciseNumbers.stringify(value, 2);
                     cell.style.fontFamily = 'monospace';
                     cell.style.fontSize = '11px';
                     cell.style.backgroundColor = 'var(--surface-color)';
@@ -1877,6 +2970,17 @@ class TableRenderer {
         } else {
             console.warn('테이블 데이터가 없습니다.');
         }
+
+        // 필터 종류가 바뀌어 적용 중이던 조건이 지워졌으면 다시 필터링
+        if (this.columnFilter.updateColumnKind(columnName, this.getFilterKind(columnName))) {
+            this.columnFilter.notifyChange();
+        } else if (this.tableSorter.getSortKey(columnName) && this.currentData && this.currentData.length > 0) {
+            // 정렬 기준 컬럼이면 바뀐 타입의 비교 방식으로 다시 정렬
+            this.renderTableBody(this.sortRows(this.currentData), this.currentHeaders);
+            if (this.searchTerm && !this.virtualScroll) {
+                this.highlightSearchTerm(this.searchTerm);
+            }
+        }
         
         // 설정 저장 (로컬 스토리지)
         this.saveColumnTypes();
@@ -1902,7 +3006,11 @@ class TableRenderer {
         const columnType = this.columnTypes[columnName] || 'auto';
         console.log(`표시 타입: ${columnType}`);
         
-        rows.forEach((row, rowIndex) => {
+        rows.forEach(row => {
+            // 가상 스크롤의 스페이서 행은 건너뜀
+            if (!row.hasAttribute('data-row-index')) return;
+
+            const rowIndex = Number(row.getAttribute('data-row-index'));
             const cell = row.querySelector(`td:nth-child(${columnIndex + 1})`);
             if (cell && this.currentData[rowIndex]) {
                 // 원본 데이터에서 직접 가져오기 (점 표기법 지원)
@@ -1957,7 +3065,7 @@ class TableRenderer {
         // 툴팁 생성 (원본 값 표시)
         const tooltip = document.createElement('div');
         tooltip.classList.add('cell-tooltip');
-        tooltip.textContent = typeof cellData === 'object' ? JSON.stringify(cellData) : String(cellData);
+        tooltip.textContent = typeof cellData === 'object' ? this.preciseNumbers.stringify(cellData) : String(cellData);
         
         // 타입에 따른 렌더링
         switch (displayType) {
@@ -1968,7 +3076,7 @@ class TableRenderer {
                 cellContent.textContent = String(cellData);
                 break;
             case 'number':
-                if (typeof cellData === 'number') {
+                if (typeof cellData === 'number' || typeof cellData === 'bigint') {
                     cellContent.textContent = this.formatNumber(cellData);
                 } else {
                     cellContent.textContent = String(cellData);
@@ -1994,7 +3102,7 @@ class TableRenderer {
                 if (typeof cellData === 'object' && cellData !== null) {
                     this.renderObjectCell(cellContent, cellData);
                 } else {
-                    cellContent.textContent = JSON.stringify(cellData);
+                    cellContent.textContent = this.preciseNumbers.stringify(cellData);
                 }
                 break;
             case 'date':
@@ -2011,6 +3119,39 @@ class TableRenderer {
         cell.appendChild(tooltip);
     }
 
+    /**
+     * 값을 컬럼 표시 타입에 맞는 텍스트로 변환합니다. (내보내기 등 DOM 없이 표시 형식이 필요할 때)
+     * @param {*} cellData - 셀 데이터 (객체가 아닌 값)
+     * @param {string} displayType - 표시 타입
+     * @returns {string} 표시 텍스트
+     */
+    formatCellText(cellData, displayType) {
+        const isNumber = typeof cellData === 'number' || typeof cellData === 'bigint';
+
+        switch (displayType) {
+            case 'number-time':
+                return this.formatAsTime(cellData);
+            case 'number-hex':
+                return this.formatAsHex(cellData);
+            case 'number-binary':
+                return this.formatAsBinary(cellData);
+            case 'date':
+                return this.formatAsDate(cellData);
+            case 'json':
+                return this.preciseNumbers.stringify(cellData);
+            case 'string':
+            case 'boolean':
+            case 'raw':
+                return String(cellData);
+            default:
+                // 'auto', 'number': 테이블 셀과 같은 표시
+                if (cellData === null || cellData === undefined) {
+                    return 'null';
+                }
+                return isNumber ? this.formatNumber(cellData) : String(cellData);
+        }
+    }
+
     /**
      * 숫자를 timestamp로 해석하여 날짜 시간으로 포맷팅합니다.
      * @param {*} value - 값
@@ -2069,6 +3210,11 @@ class TableRenderer {
      * @returns {string} 16진수 문자열
      */
     formatAsHex(value) {
+        // 정수는 BigInt로 변환하여 2^53을 넘어도 정확하게 변환
+        const hex = this.preciseNumbers.toHex(value);
+        if (hex !== null) {
+            return hex;
+        }
         if (typeof value === 'number') {
             return `0x${value.toString(16).toUpperCase()}`;
         }
@@ -2081,6 +3227,10 @@ class TableRenderer {
      * @returns {string} 2진수 문자열
      */
     formatAsBinary(value) {
+        const binary = this.preciseNumbers.toBinary(value);
+        if (binary !== null) {
+            return binary;
+        }
         if (typeof value === 'number' && Number.isInteger(value)) {
             return `0b${value.toString(2)}`;
         }
@@ -0,0 +1,402 @@
+/**
+ * 테이블 검색 모듈
+ * 검색창 옆의 옵션(정규식, 대소문자 구분, 단어 단위, 검색 컬럼)에 따라 검색어를 정규식으로 만들고,
+ * 표시 중인 행에서 일치하는 셀을 찾아 "n / m" 형식으로 이전/다음 일치 항목을 탐색합니다.
+ */
+
+class TableSearch {
+    constructor() {
+        // 검색 옵션
+        this.options = {
+            regex: false,
+            caseSensitive: false,
+            wholeWord: false,
+            column: '' // 빈 문자열이면 모든 컬럼
+        };
+
+        // 단어 단위 검색에서 단어를 이루는 문자 (한글 등 비 ASCII 문자 포함)
+        this.wordCharacters = 'A-Za-z0-9_\\u00C0-\\uFFFF';
+
+        // 표시 중인 행에서 찾은 일치 셀 ({ row, column }) 과 현재 위치
+        this.matches = [];
+        this.currentMatch = -1;
+
+        // 옵션이 바뀌었을 때 호출되는 콜백
+        this.onChange = null;
+
+        // 일치 항목으로 이동할 때 호출되는 콜백 (match) => void
+        this.onNavigate = null;
+
+        this.preciseNumbers = new PreciseNumbers();
+
+        // DOM 요소 참조
+        this.optionsContainer = null;
+        this.regexToggle = null;
+        this.caseToggle = null;
+        this.wordToggle = null;
+        this.columnSelect = null;
+        this.matchCount = null;
+        this.prevButton = null;
+        this.nextButton = null;
+
+        this.init();
+    }
+
+    /**
+     * 검색 옵션과 탐색 버튼을 초기화합니다.
+     */
+    init() {
+        this.optionsContainer = document.getElementById('search-options');
+        this.regexToggle = document.getElementById('search-regex');
+        this.caseToggle = document.getElementById('search-case');
+        this.wordToggle = document.getElementById('search-word');
+        this.columnSelect = document.getElementById('search-column');
+        this.matchCount = document.getElementById('search-count');
+        this.prevButton = document.getElementById('search-prev');
+        this.nextButton = document.getElementById('search-next');
+
+        const toggles = [
+            [this.regexToggle, 'regex'],
+            [this.caseToggle, 'caseSensitive'],
+            [this.wordToggle, 'wholeWord']
+        ];
+        toggles.forEach(([button, option]) => {
+            if (!button) {
+                return;
+            }
+            button.addEventListener('click', () => {
+                this.setOption(option, !this.options[option]);
+                this.notifyChange();
+            });
+        });
+
+        if (this.columnSelect) {
+            this.columnSelect.addEventListener('change', () => {
+                this.options.column = this.columnSelect.value;
+                this.notifyChange();
+            });
+        }
+
+        if (this.prevButton) {
+            this.prevButton.addEventListener('click', () => this.prev());
+        }
+        if (this.nextButton) {
+            this.nextButton.addEventListener('click', () => this.next());
+        }
+
+        this.updateCount();
+    }
+
+    /**
+     * 검색 옵션을 설정하고 토글 버튼 상태를 맞춥니다.
+     * @param {string} option - 'regex', 'caseSensitive', 'wholeWord'
+     * @param {boolean} enabled - 사용 여부
+     */
+    setOption(option, enabled) {
+        this.options[option] = !!enabled;
+
+        const button = {
+            regex: this.regexToggle,
+            caseSensitive: this.caseToggle,
+            wholeWord: this.wordToggle
+        }[option];
+
+        if (button) {
+            button.setAttribute('aria-pressed', String(this.options[option]));
+            button.classList.toggle('btn--active', this.options[option]);
+        }
+    }
+
+    /**
+     * 검색 옵션 영역을 표시하거나 숨깁니다.
+     * @param {boolean} visible - 표시 여부
+     */
+    setVisible(visible) {
+        if (this.optionsContainer) {
+            this.optionsContainer.style.display = visible ? '' : 'none';
+        }
+    }
+
+    /**
+     * 검색 옵션 사용 여부를 설정합니다. (고급 쿼리 모드에서는 사용하지 않음)
+     * @param {boolean} enabled - 사용 여부
+     */
+    setEnabled(enabled) {
+        [this.regexToggle, this.caseToggle, this.wordToggle, this.columnSelect].forEach(control => {
+            if (control) {
+                control.disabled = !enabled;
+            }
+        });
+    }
+
+    /**
+     * 검색 컬럼 목록을 헤더로 채웁니다. 선택한 컬럼이 없어지면 모든 컬럼으로 돌아갑니다.
+     * @param {Array} headers - 헤더 배열
+     */
+    setColumns(headers) {
+        if (!headers.includes(this.options.column)) {
+            this.options.column = '';
+        }
+
+        if (!this.columnSelect) {
+            return;
+        }
+
+        this.columnSelect.innerHTML = '';
+        const allOption = document.createElement('option');
+        allOption.value = '';
+        allOption.textContent = '모든 컬럼';
+        this.columnSelect.appendChild(allOption);
+
+        headers.forEach(header => {
+            const option = document.createElement('option');
+            option.value = header;
+            option.textContent = header;
+            this.columnSelect.appendChild(option);
+        });
+
+        this.columnSelect.value = this.options.column;
+    }
+
+    /**
+     * 검색할 컬럼 목록을 반환합니다.
+     * @param {Array} headers - 헤더 배열
+     * @returns {Array} 검색 컬럼
+     */
+    getSearchColumns(headers) {
+        return this.options.column && headers.includes(this.options.column)
+            ? [this.options.column]
+            : headers;
+    }
+
+    /**
+     * 검색어와 옵션으로 정규식을 만듭니다.
+     * 정규식 옵션이 꺼져 있으면 검색어의 특수 문자를 모두 이스케이프합니다.
+     * @param {string} searchTerm - 검색어
+     * @returns {RegExp|null} 정규식 (g 플래그 없음, 검색어가 비어 있으면 null)
+     * @throws {Error} 정규식 문법 오류
+     */
+    createPattern(searchTerm) {
+        if (!searchTerm || searchTerm.trim() === '') {
+            return null;
+        }
+
+        let source = this.options.regex ? searchTerm : this.escapeRegExp(searchTerm);
+        if (this.options.wholeWord) {
+            source = `(?<![${this.wordCharacters}])(?:${source})(?![${this.wordCharacters}])`;
+        }
+
+        try {
+            return new RegExp(source, this.options.caseSensitive ? '' : 'i');
+        } catch (error) {
+            throw new Error(`올바른 정규식이 아닙니다: ${error.message}`);
+        }
+    }
+
+    /**
+     * 검색어가 현재 옵션에서 올바른지 확인합니다.
+     * @param {string} searchTerm - 검색어
+     * @returns {string|null} 오류 메시지 (올바르면 null)
+     */
+    validate(searchTerm) {
+        try {
+            this.createPattern(searchTerm);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    /**
+     * 정규식 특수 문자를 이스케이프합니다.
+     * @param {string} text - 문자열
+     * @returns {string} 이스케이프된 문자열
+     */
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * 셀 값을 검색 대상 문자열로 변환합니다.
+     * @param {*} value - 셀 값
+     * @returns {string} 검색 대상 문자열
+     */
+    getSearchText(value) {
+        if (value === undefined) {
+            return '';
+        }
+        if (value !== null && typeof value === 'object') {
+            return this.preciseNumbers.stringify(value);
+        }
+        return String(value);
+    }
+
+    /**
+     * 행 중에서 검색 컬럼 값이 정규식과 일치하는 행만 남깁니다.
+     * @param {Array} rows - 행 목록
+     * @param {Array} headers - 헤더 배열
+     * @param {RegExp} pattern - createPattern으로 만든 정규식
+     * @param {Function} getValue - (row, header) => 값
+     * @returns {Array} 일치하는 행
+     */
+    filter(rows, headers, pattern, getValue) {
+        const columns = this.getSearchColumns(headers);
+        return rows.filter(row => columns.some(column => pattern.test(this.getSearchText(getValue(row, column)))));
+    }
+
+    /**
+     * 표시 중인 행에서 일치하는 셀을 모두 찾습니다. 현재 위치는 첫 번째 일치 항목으로 돌아갑니다.
+     * @param {Array} rows - 표시 중인 행
+     * @param {Array} headers - 헤더 배열
+     * @param {RegExp|null} pattern - 정규식 (null이면 일치 항목을 비움)
+     * @param {Function} getValue - (row, header) => 값
+     */
+    findMatches(rows, headers, pattern, getValue) {
+        this.matches = [];
+
+        if (pattern) {
+            const columns = this.getSearchColumns(headers);
+            rows.forEach((row, rowIndex) => {
+                columns.forEach(column => {
+                    if (pattern.test(this.getSearchText(getValue(row, column)))) {
+                        this.matches.push({ row: rowIndex, column: column });
+                    }
+                });
+            });
+        }
+
+        this.currentMatch = this.matches.length > 0 ? 0 : -1;
+        this.updateCount();
+    }
+
+    /**
+     * 일치 항목을 비웁니다.
+     */
+    clearMatches() {
+        this.matches = [];
+        this.currentMatch = -1;
+        this.updateCount();
+    }
+
+    /**
+     * 현재 일치 항목을 반환합니다.
+     * @returns {Object|null} { row, column }
+     */
+    getCurrentMatch() {
+        return this.matches[this.currentMatch] || null;
+    }
+
+    /**
+     * 다음 일치 항목으로 이동합니다. 마지막 다음은 처음으로 돌아갑니다.
+     */
+    next() {
+        this.moveTo(this.currentMatch + 1);
+    }
+
+    /**
+     * 이전 일치 항목으로 이동합니다. 처음 이전은 마지막으로 돌아갑니다.
+     */
+    prev() {
+        this.moveTo(this.currentMatch - 1);
+    }
+
+    /**
+     * 지정한 일치 항목으로 이동합니다.
+     * @param {number} index - 일치 항목 인덱스
+     */
+    moveTo(index) {
+        const total = this.matches.length;
+        if (total === 0) {
+            return;
+        }
+
+        this.currentMatch = (index + total) % total;
+        this.updateCount();
+
+        if (this.onNavigate) {
+            this.onNavigate(this.matches[this.currentMatch]);
+        }
+    }
+
+    /**
+     * "n / m" 일치 항목 수와 탐색 버튼 상태를 갱신합니다.
+     */
+    updateCount() {
+        const total = this.matches.length;
+
+        if (this.matchCount) {
+            this.matchCount.textContent = `${total > 0 ? this.currentMatch + 1 : 0} / ${total}`;
+            this.matchCount.title = `일치하는 셀 ${total}개`;
+        }
+        [this.prevButton, this.nextButton].forEach(button => {
+            if (button) {
+                button.disabled = total === 0;
+            }
+        });
+    }
+
+    /**
+     * 요소 안의 텍스트에서 정규식과 일치하는 부분을 하이라이트 요소로 감쌉니다.
+     * 텍스트 노드만 나누므로 셀의 다른 요소와 이벤트는 그대로 유지됩니다.
+     * @param {HTMLElement} element - 하이라이트할 요소
+     * @param {RegExp} pattern - createPattern으로 만든 정규식
+     * @returns {boolean} 하이라이트한 부분이 있는지 여부
+     */
+    highlightElement(element, pattern) {
+        const globalPattern = new RegExp(pattern.source, pattern.flags + 'g');
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+
+        let highlighted = false;
+        textNodes.forEach(node => {
+            // 이미 하이라이트한 부분은 다시 감싸지 않음
+            if (node.parentNode.classList && node.parentNode.classList.contains('highlight')) {
+                return;
+            }
+
+            const text = node.nodeValue;
+            const fragment = document.createDocumentFragment();
+            let lastIndex = 0;
+            let match;
+
+            globalPattern.lastIndex = 0;
+            while ((match = globalPattern.exec(text)) !== null) {
+                if (match[0] === '') {
+                    // 빈 문자열과 일치하는 정규식(a* 등)에서 무한 반복 방지
+                    globalPattern.lastIndex++;
+                    continue;
+                }
+
+                fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+                const mark = document.createElement('span');
+                mark.className = 'highlight';
+                mark.textContent = match[0];
+                fragment.appendChild(mark);
+                lastIndex = match.index + match[0].length;
+            }
+
+            if (lastIndex > 0) {
+                fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+                node.parentNode.replaceChild(fragment, node);
+                highlighted = true;
+            }
+        });
+
+        return highlighted;
+    }
+
+    /**
+     * 옵션 변경 콜백을 호출합니다.
+     */
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+}
+
+// 전역에서 사용할 수 있도록 내보내기
+window.TableSearch = TableSearch;
@@ -0,0 +1,343 @@
+/**
+ * 테이블 정렬 모듈
+ * 여러 컬럼을 우선순위대로 정렬합니다. 헤더를 클릭하면 그 컬럼 하나로, Shift+클릭하면 보조 정렬 기준을 추가합니다.
+ * 비교 방식은 컬럼의 표시 타입(날짜, Hex, 숫자로 된 문자열, 자연 정렬 문자열)을 따르고,
+ * 빈 값(null, undefined)은 정렬 방향과 관계없이 설정한 위치(처음 또는 마지막)에 둡니다.
+ */
+
+class TableSorter {
+    constructor() {
+        // 정렬 기준 ({ column, direction }) 목록, 앞쪽이 우선
+        this.sortKeys = [];
+
+        // 빈 값 위치 ('first' 또는 'last')
+        this.nullPosition = 'last';
+
+        // 빈 값 위치가 바뀌었을 때 호출되는 콜백
+        this.onChange = null;
+
+        // "item2" < "item10"처럼 숫자 부분을 숫자로 비교하는 자연 정렬
+        this.collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+        this.preciseNumbers = new PreciseNumbers();
+
+        // DOM 요소 참조
+        this.nullPositionSelect = null;
+
+        this.init();
+    }
+
+    /**
+     * 빈 값 위치 선택 상자를 초기화합니다.
+     */
+    init() {
+        this.nullPositionSelect = document.getElementById('sort-nulls');
+
+        if (this.nullPositionSelect) {
+            this.nullPositionSelect.addEventListener('change', () => {
+                this.setNullPosition(this.nullPositionSelect.value);
+                if (this.onChange) {
+                    this.onChange();
+                }
+            });
+        }
+    }
+
+    /**
+     * 빈 값 위치를 설정합니다.
+     * @param {string} position - 'first' 또는 'last'
+     */
+    setNullPosition(position) {
+        this.nullPosition = position === 'first' ? 'first' : 'last';
+        if (this.nullPositionSelect) {
+            this.nullPositionSelect.value = this.nullPosition;
+        }
+    }
+
+    /**
+     * 헤더 클릭에 따라 정렬 기준을 바꿉니다.
+     * 같은 컬럼을 누를 때마다 오름차순 → 내림차순 → 정렬 해제 순서로 바뀝니다.
+     * @param {string} column - 컬럼 이름
+     * @param {boolean} additive - 기존 기준에 추가할지 여부 (Shift+클릭)
+     */
+    toggle(column, additive = false) {
+        const index = this.sortKeys.findIndex(key => key.column === column);
+        const key = this.sortKeys[index];
+
+        if (!additive) {
+            const isOnlyKey = this.sortKeys.length === 1 && index === 0;
+            if (isOnlyKey && key.direction === 'asc') {
+                this.sortKeys = [{ column: column, direction: 'desc' }];
+            } else if (isOnlyKey) {
+                this.sortKeys = [];
+            } else {
+                this.sortKeys = [{ column: column, direction: 'asc' }];
+            }
+            return;
+        }
+
+        if (!key) {
+            this.sortKeys.push({ column: column, direction: 'asc' });
+        } else if (key.direction === 'asc') {
+            key.direction = 'desc';
+        } else {
+            this.sortKeys.splice(index, 1);
+        }
+    }
+
+    /**
+     * 정렬 기준을 한 컬럼으로 설정합니다.
+     * @param {string} column - 컬럼 이름
+     * @param {string} direction - 'asc' 또는 'desc'
+     */
+    setSort(column, direction) {
+        this.sortKeys = [{ column: column, direction: direction === 'desc' ? 'desc' : 'asc' }];
+    }
+
+    /**
+     * 정렬 기준을 모두 지웁니다.
+     */
+    reset() {
+        this.sortKeys = [];
+    }
+
+    /**
+     * 컬럼의 정렬 기준을 반환합니다.
+     * @param {string} column - 컬럼 이름
+     * @returns {Object|null} { column, direction, order } (order는 1부터 시작하는 우선순위)
+     */
+    getSortKey(column) {
+        const index = this.sortKeys.findIndex(key => key.column === column);
+        return index === -1 ? null : { ...this.sortKeys[index], order: index + 1 };
+    }
+
+    /**
+     * 정렬 기준을 사람이 읽을 수 있는 문자열로 만듭니다.
+     * @returns {string} 예: "name ↑, age ↓"
+     */
+    describe() {
+        return this.sortKeys.map(key => `${key.column} ${key.direction === 'asc' ? '↑' : '↓'}`).join(', ');
+    }
+
+    /**
+     * 행을 정렬 기준에 따라 정렬한 새 배열을 반환합니다. 기준이 없으면 원래 순서를 유지합니다.
+     * @param {Array} rows - 행 목록
+     * @param {Function} getValue - (row, column) => 값 (점 표기 경로 지원)
+     * @param {Function} getColumnType - (column) => 표시 타입 ('auto', 'number', 'date', ...)
+     * @returns {Array} 정렬된 행
+     */
+    sort(rows, getValue, getColumnType) {
+        if (this.sortKeys.length === 0 || rows.length < 2) {
+            return rows;
+        }
+
+        const keys = this.sortKeys.map(key => ({
+            column: key.column,
+            sign: key.direction === 'desc' ? -1 : 1,
+            compare: this.getComparator(getColumnType(key.column))
+        }));
+
+        // 값을 한 번만 꺼내도록 행마다 정렬 값을 미리 계산 (Array.prototype.sort는 안정 정렬)
+        const entries = rows.map((row, index) => ({
+            row: row,
+            index: index,
+            values: keys.map(key => getValue(row, key.column))
+        }));
+
+        entries.sort((a, b) => {
+            for (let i = 0; i < keys.length; i++) {
+                const result = this.compareWithNulls(a.values[i], b.values[i], keys[i]);
+                if (result !== 0) {
+                    return result;
+                }
+            }
+            return a.index - b.index;
+        });
+
+        return entries.map(entry => entry.row);
+    }
+
+    /**
+     * 빈 값 위치를 적용해 두 값을 비교합니다. 빈 값의 위치는 정렬 방향의 영향을 받지 않습니다.
+     * @param {*} a - 첫 번째 값
+     * @param {*} b - 두 번째 값
+     * @param {Object} key - { sign, compare }
+     * @returns {number} 비교 결과
+     */
+    compareWithNulls(a, b, key) {
+        const aMissing = a === null || a === undefined;
+        const bMissing = b === null || b === undefined;
+
+        if (aMissing || bMissing) {
+            if (aMissing && bMissing) return 0;
+            const missingFirst = this.nullPosition === 'first' ? -1 : 1;
+            return aMissing ? missingFirst : -missingFirst;
+        }
+
+        return key.sign * key.compare(a, b);
+    }
+
+    /**
+     * 표시 타입에 맞는 비교 함수를 반환합니다.
+     * @param {string} columnType - 컬럼 표시 타입
+     * @returns {Function} (a, b) => number
+     */
+    getComparator(columnType) {
+        switch (columnType) {
+            case 'number':
+            case 'number-time':
+            case 'number-binary':
+                return (a, b) => this.compareNumbers(a, b);
+            case 'number-hex':
+                return (a, b) => this.compareNumbers(this.parseHex(a), this.parseHex(b));
+            case 'date':
+                return (a, b) => this.compareDates(a, b);
+            case 'boolean':
+                return (a, b) => this.compareBooleans(a, b);
+            case 'string':
+            case 'json':
+            case 'raw':
+                return (a, b) => this.compareStrings(a, b);
+            default:
+                return (a, b) => this.compareAuto(a, b);
+        }
+    }
+
+    /**
+     * 값의 종류에 따라 비교합니다. (자동 타입)
+     * 숫자끼리(숫자 문자열 포함)는 정밀도를 유지해 비교하고, 종류가 다르면 불리언 < 숫자 < 문자열 < 객체 순서로 둡니다.
+     * @param {*} a - 첫 번째 값
+     * @param {*} b - 두 번째 값
+     * @returns {number} 비교 결과
+     */
+    compareAuto(a, b) {
+        const aValue = typeof a === 'string' ? a.trim() : a;
+        const bValue = typeof b === 'string' ? b.trim() : b;
+
+        // "-10"과 "-5", "1.10"과 "1.5"처럼 숫자 문자열은 사전 순이 아닌 값 크기로 비교
+        if (this.preciseNumbers.isNumeric(aValue) && this.preciseNumbers.isNumeric(bValue)) {
+            return this.preciseNumbers.compare(aValue, bValue);
+        }
+        if (typeof a === 'boolean' && typeof b === 'boolean') {
+            return this.compareBooleans(a, b);
+        }
+
+        const rankA = this.getTypeRank(a);
+        const rankB = this.getTypeRank(b);
+        if (rankA !== rankB) {
+            return rankA - rankB;
+        }
+
+        return this.compareStrings(a, b);
+    }
+
+    /**
+     * 자동 타입 비교에서 값 종류의 순서를 반환합니다.
+     * @param {*} value - 값
+     * @returns {number} 순서
+     */
+    getTypeRank(value) {
+        if (typeof value === 'boolean') return 0;
+        if (typeof value === 'number' || typeof value === 'bigint') return 1;
+        if (typeof value === 'object') return 3;
+        return 2;
+    }
+
+    /**
+     * 숫자로 비교합니다. 숫자로 된 문자열도 숫자로 보고, 숫자가 아닌 값은 숫자 뒤에 자연 정렬합니다.
+     * @param {*} a - 첫 번째 값
+     * @param {*} b - 두 번째 값
+     * @returns {number} 비교 결과
+     */
+    compareNumbers(a, b) {
+        const aNumeric = this.preciseNumbers.isNumeric(typeof a === 'string' ? a.trim() : a);
+        const bNumeric = this.preciseNumbers.isNumeric(typeof b === 'string' ? b.trim() : b);
+
+        if (aNumeric && bNumeric) {
+            return this.preciseNumbers.compare(
+                typeof a === 'string' ? a.trim() : a,
+                typeof b === 'string' ? b.trim() : b
+            );
+        }
+        if (aNumeric !== bNumeric) {
+            return aNumeric ? -1 : 1;
+        }
+        return this.compareStrings(a, b);
+    }
+
+    /**
+     * "0x1F" 같은 16진수 문자열을 숫자로 바꿉니다. 그 밖의 값은 그대로 반환합니다.
+     * @param {*} value - 값
+     * @returns {*} 숫자 또는 원래 값
+     */
+    parseHex(value) {
+        if (typeof value === 'string' && /^[+-]?0[xX][0-9a-fA-F]+$/.test(value.trim())) {
+            return this.preciseNumbers.parseNumberToken(value.trim());
+        }
+        return value;
+    }
+
+    /**
+     * 날짜로 비교합니다. 숫자는 밀리초 타임스탬프로, 문자열은 Date.parse로 해석합니다.
+     * 날짜로 해석할 수 없는 값은 날짜 뒤에 자연 정렬합니다.
+     * @param {*} a - 첫 번째 값
+     * @param {*} b - 두 번째 값
+     * @returns {number} 비교 결과
+     */
+    compareDates(a, b) {
+        const timeA = this.toTime(a);
+        const timeB = this.toTime(b);
+
+        if (timeA !== null && timeB !== null) {
+            return timeA - timeB;
+        }
+        if ((timeA === null) !== (timeB === null)) {
+            return timeA !== null ? -1 : 1;
+        }
+        return this.compareStrings(a, b);
+    }
+
+    /**
+     * 값을 밀리초 타임스탬프로 바꿉니다.
+     * @param {*} value - 값
+     * @returns {number|null} 타임스탬프 (해석할 수 없으면 null)
+     */
+    toTime(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? value : null;
+        }
+        if (typeof value === 'string') {
+            const time = Date.parse(value.trim());
+            return isNaN(time) ? null : time;
+        }
+        return null;
+    }
+
+    /**
+     * 불리언으로 비교합니다. (false < true)
+     * @param {*} a - 첫 번째 값
+     * @param {*} b - 두 번째 값
+     * @returns {number} 비교 결과
+     */
+    compareBooleans(a, b) {
+        if (typeof a === 'boolean' && typeof b === 'boolean') {
+            return Number(a) - Number(b);
+        }
+        return this.compareStrings(a, b);
+    }
+
+    /**
+     * 문자열로 자연 정렬합니다. 객체는 JSON 문자열로 비교합니다.
+     * @param {*} a - 첫 번째 값
+     * @param {*} b - 두 번째 값
+     * @returns {number} 비교 결과
+     */
+    compareStrings(a, b) {
+        const textA = typeof a === 'object' ? this.preciseNumbers.stringify(a) : String(a);
+        const textB = typeof b === 'object' ? this.preciseNumbers.stringify(b) : String(b);
+        return this.collator.compare(textA, textB);
+    }
+}
+
+// 전역에서 사용할 수 있도록 내보내기
+window.TableSorter = TableSorter;
@@ -0,0 +1,394 @@
+/**
+ * XLSX 작성 모듈
+ * 시트 목록을 Office Open XML 통합 문서(.xlsx)로 만듭니다.
+ * 숫자, 불리언, 날짜 셀을 실제 타입으로 쓰고 헤더 행을 틀 고정합니다.
+ * 압축 라이브러리 없이 무압축(stored) ZIP으로 묶습니다.
+ */
+
+class XLSXWriter {
+    constructor() {
+        // 셀 스타일 인덱스 (styles.xml의 cellXfs 순서)
+        this.styles = {
+            default: 0,
+            header: 1,
+            date: 2,
+            dateTime: 3,
+            time: 4
+        };
+
+        // 시트 이름에 쓸 수 없는 문자와 최대 길이 (Excel 제한)
+        this.invalidSheetNameChars = /[\\/?*:[\]]/g;
+        this.maxSheetNameLength = 31;
+
+        this.crcTable = null;
+        this.textEncoder = null;
+    }
+
+    /**
+     * 통합 문서를 만듭니다.
+     * 셀은 { type: 'number' | 'boolean' | 'date' | 'dateTime' | 'time' | 'string', value } 형식이며,
+     * 날짜 계열 셀의 value는 Excel 일련번호입니다. null 셀은 비워 둡니다.
+     * @param {Array} sheets - 시트 목록 ({ name, columns: [{ label, width }], rows: [[cell]] })
+     * @param {Object} options - { includeHeaders, freezeHeader }
+     * @returns {Uint8Array} XLSX 파일 바이트
+     */
+    createWorkbook(sheets, options = {}) {
+        const settings = { includeHeaders: true, freezeHeader: true, ...options };
+        const names = this.createSheetNames(sheets.map(sheet => sheet.name));
+
+        const files = [
+            { path: '[Content_Types].xml', content: this.createContentTypes(sheets.length) },
+            { path: '_rels/.rels', content: this.createRootRelationships() },
+            { path: 'xl/workbook.xml', content: this.createWorkbookXML(names) },
+            { path: 'xl/_rels/workbook.xml.rels', content: this.createWorkbookRelationships(sheets.length) },
+            { path: 'xl/styles.xml', content: this.createStyles() }
+        ];
+
+        sheets.forEach((sheet, index) => {
+            files.push({
+                path: `xl/worksheets/sheet${index + 1}.xml`,
+                content: this.createWorksheet(sheet, settings)
+            });
+        });
+
+        return this.createZip(files);
+    }
+
+    /**
+     * Excel 규칙에 맞는 고유한 시트 이름을 만듭니다.
+     * @param {Array} names - 원하는 시트 이름 목록
+     * @returns {Array} 시트 이름 목록
+     */
+    createSheetNames(names) {
+        const used = new Set();
+
+        return names.map((name, index) => {
+            let base = String(name || '')
+                .replace(this.invalidSheetNameChars, '_')
+                .replace(/^'+|'+$/g, '')
+                .trim() || `Sheet${index + 1}`;
+            base = base.slice(0, this.maxSheetNameLength);
+
+            // 대소문자를 구분하지 않고 겹치면 번호를 붙임
+            let candidate = base;
+            for (let count = 2; used.has(candidate.toLowerCase()); count++) {
+                const suffix = ` (${count})`;
+                candidate = base.slice(0, this.maxSheetNameLength - suffix.length) + suffix;
+            }
+
+            used.add(candidate.toLowerCase());
+            return candidate;
+        });
+    }
+
+    /**
+     * 시트 XML을 만듭니다.
+     * @param {Object} sheet - 시트 ({ columns, rows })
+     * @param {Object} settings - { includeHeaders, freezeHeader }
+     * @returns {string} 시트 XML
+     */
+    createWorksheet(sheet, settings) {
+        const rows = [];
+        let rowNumber = 1;
+
+        if (settings.includeHeaders) {
+            const cells = sheet.columns.map((column, index) =>
+                this.createCellXML({ type: 'string', value: column.label }, `${this.getColumnName(index)}${rowNumber}`, this.styles.header));
+            rows.push(`<row r="${rowNumber}">${cells.join('')}</row>`);
+            rowNumber++;
+        }
+
+        sheet.rows.forEach(row => {
+            const cells = [];
+            row.forEach((cell, index) => {
+                if (cell && cell.value !== null && cell.value !== undefined) {
+                    cells.push(this.createCellXML(cell, `${this.getColumnName(index)}${rowNumber}`));
+                }
+            });
+            rows.push(`<row r="${rowNumber}">${cells.join('')}</row>`);
+            rowNumber++;
+        });
+
+        const freeze = settings.includeHeaders && settings.freezeHeader && sheet.rows.length > 0;
+        const sheetView = freeze
+            ? '<sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/><selection pane="bottomLeft" activeCell="A2" sqref="A2"/></sheetView>'
+            : '<sheetView workbookViewId="0"/>';
+
+        const cols = sheet.columns.length > 0
+            ? `<cols>${sheet.columns.map((column, index) =>
+                `<col min="${index + 1}" max="${index + 1}" width="${column.width}" customWidth="1"/>`).join('')}</cols>`
+            : '';
+
+        const lastCell = `${this.getColumnName(Math.max(sheet.columns.length - 1, 0))}${Math.max(rowNumber - 1, 1)}`;
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+            + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            + `<dimension ref="A1:${lastCell}"/>`
+            + `<sheetViews>${sheetView}</sheetViews>`
+            + '<sheetFormatPr defaultRowHeight="15"/>'
+            + cols
+            + `<sheetData>${rows.join('')}</sheetData>`
+            + '</worksheet>';
+    }
+
+    /**
+     * 셀 XML을 만듭니다.
+     * @param {Object} cell - 셀 ({ type, value })
+     * @param {string} reference - 셀 주소 (A1 등)
+     * @param {number} style - 스타일 인덱스 (문자열 셀에만 사용)
+     * @returns {string} 셀 XML
+     */
+    createCellXML(cell, reference, style = this.styles.default) {
+        switch (cell.type) {
+            case 'number':
+                return `<c r="${reference}"><v>${cell.value}</v></c>`;
+            case 'boolean':
+                return `<c r="${reference}" t="b"><v>${cell.value ? 1 : 0}</v></c>`;
+            case 'date':
+            case 'dateTime':
+            case 'time':
+                return `<c r="${reference}" s="${this.styles[cell.type]}"><v>${cell.value}</v></c>`;
+            default: {
+                const styleAttribute = style !== this.styles.default ? ` s="${style}"` : '';
+                return `<c r="${reference}" t="inlineStr"${styleAttribute}><is><t xml:space="preserve">${this.escapeXML(String(cell.value))}</t></is></c>`;
+            }
+        }
+    }
+
+    /**
+     * 0부터 시작하는 컬럼 번호를 컬럼 이름(A, B, ..., AA)으로 변환합니다.
+     * @param {number} index - 컬럼 번호
+     * @returns {string} 컬럼 이름
+     */
+    getColumnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    /**
+     * 날짜를 Excel 일련번호(1900 날짜 체계)로 변환합니다.
+     * Excel에는 시간대가 없으므로 로컬 시간 기준으로 변환합니다.
+     * @param {Date} date - 날짜
+     * @param {boolean} utc - 로컬 시간 대신 UTC 기준으로 변환할지 여부 (시간이 없는 날짜 문자열용)
+     * @returns {number|null} 일련번호 (Excel이 표시할 수 없는 날짜면 null)
+     */
+    toSerialDate(date, utc = false) {
+        const time = date.getTime();
+        if (isNaN(time)) {
+            return null;
+        }
+
+        const offset = utc ? 0 : date.getTimezoneOffset() * 60000;
+        const serial = (time - offset) / 86400000 + 25569;
+
+        // 1900-03-01 이전(윤년 버그 구간)과 9999년 이후는 문자열로 남김
+        if (serial < 61 || serial >= 2958466) {
+            return null;
+        }
+        return Math.round(serial * 86400000) / 86400000;
+    }
+
+    /**
+     * XML 특수 문자와 XML에서 허용하지 않는 제어 문자를 처리합니다.
+     * @param {string} text - 텍스트
+     * @returns {string} 이스케이프된 텍스트
+     */
+    escapeXML(text) {
+        return text
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * [Content_Types].xml을 만듭니다.
+     * @param {number} sheetCount - 시트 수
+     * @returns {string} XML
+     */
+    createContentTypes(sheetCount) {
+        const sheets = Array.from({ length: sheetCount }, (_, index) =>
+            `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`);
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+            + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+            + sheets.join('')
+            + '</Types>';
+    }
+
+    /**
+     * 패키지 관계(_rels/.rels)를 만듭니다.
+     * @returns {string} XML
+     */
+    createRootRelationships() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            + '</Relationships>';
+    }
+
+    /**
+     * 통합 문서 XML을 만듭니다.
+     * @param {Array} names - 시트 이름 목록
+     * @returns {string} XML
+     */
+    createWorkbookXML(names) {
+        const sheets = names.map((name, index) =>
+            `<sheet name="${this.escapeXML(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`);
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+            + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            + '<workbookPr/>'
+            + '<bookViews><workbookView/></bookViews>'
+            + `<sheets>${sheets.join('')}</sheets>`
+            + '</workbook>';
+    }
+
+    /**
+     * 통합 문서 관계(시트와 스타일)를 만듭니다.
+     * @param {number} sheetCount - 시트 수
+     * @returns {string} XML
+     */
+    createWorkbookRelationships(sheetCount) {
+        const sheets = Array.from({ length: sheetCount }, (_, index) =>
+            `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`);
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + sheets.join('')
+            + `<Relationship Id="rId${sheetCount + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+            + '</Relationships>';
+    }
+
+    /**
+     * 스타일 XML을 만듭니다. cellXfs 순서는 this.styles와 같아야 합니다.
+     * @returns {string} XML
+     */
+    createStyles() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+            + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            + '<numFmts count="3">'
+            + '<numFmt numFmtId="164" formatCode="yyyy-mm-dd"/>'
+            + '<numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm:ss"/>'
+            + '<numFmt numFmtId="166" formatCode="hh:mm:ss"/>'
+            + '</numFmts>'
+            + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+            + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+            + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+            + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+            + '<cellXfs count="5">'
+            + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+            + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+            + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+            + '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+            + '<xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+            + '</cellXfs>'
+            + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+            + '</styleSheet>';
+    }
+
+    /**
+     * 파일들을 무압축 ZIP으로 묶습니다.
+     * @param {Array} files - 파일 목록 ({ path, content })
+     * @returns {Uint8Array} ZIP 바이트
+     */
+    createZip(files) {
+        if (!this.textEncoder) {
+            this.textEncoder = new TextEncoder();
+        }
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = this.textEncoder.encode(file.path);
+            const data = this.textEncoder.encode(file.content);
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true); // 로컬 파일 헤더 시그니처
+            local.setUint16(4, 20, true); // 필요 버전
+            local.setUint16(6, 0x0800, true); // UTF-8 파일 이름
+            local.setUint16(8, 0, true); // 무압축
+            local.setUint16(10, 0, true); // 수정 시간
+            local.setUint16(12, 0x21, true); // 수정 날짜 (1980-01-01)
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // 중앙 디렉터리 시그니처
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, 0, true);
+            central.setUint16(14, 0x21, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true); // 로컬 헤더 위치
+
+            localParts.push(new Uint8Array(local.buffer), name, data);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // 중앙 디렉터리 끝 시그니처
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            result.set(part, position);
+            position += part.length;
+        });
+
+        return result;
+    }
+
+    /**
+     * CRC-32 체크섬을 계산합니다.
+     * @param {Uint8Array} data - 데이터
+     * @returns {number} CRC-32 값
+     */
+    crc32(data) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = this.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+// 전역에서 사용할 수 있도록 내보내기
+window.XLSXWriter = XLSXWriter;
@@ -0,0 +1,220 @@
+/**
+ * XML 파싱 모듈
+ * 반복되는 요소를 테이블 행(객체 배열)으로 변환합니다.
+ * 속성은 접두사를 붙인 키(@id 등)로, 자식 요소는 태그 이름 키로,
+ * 속성이나 자식과 함께 있는 텍스트는 텍스트 키(#text 등)로 변환됩니다.
+ */
+
+class XMLParser {
+    constructor() {
+        this.defaultOptions = {
+            rowElement: '', // 행으로 사용할 요소 이름 ('' = 가장 많이 반복되는 요소)
+            attributePrefix: '@', // 속성 키 접두사
+            textKey: '#text', // 텍스트 노드 키
+            preciseNumbers: false // 큰 정수를 BigInt로 보존할지 여부
+        };
+
+        // 숫자로 변환할 텍스트 (CSV와 같은 규칙: 앞자리 0으로 시작하면 문자열 유지)
+        this.numberPattern = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+        this.integerPattern = /^-?\d+$/;
+
+        this.preciseNumbers = new PreciseNumbers();
+    }
+
+    /**
+     * 파일 이름이나 MIME 타입으로 XML 파일인지 확인합니다.
+     * @param {File} file - 확인할 파일
+     * @returns {boolean} XML 파일 여부
+     */
+    isXMLFile(file) {
+        const fileName = file.name.toLowerCase();
+        return fileName.endsWith('.xml') || ['application/xml', 'text/xml'].includes(file.type);
+    }
+
+    /**
+     * XML 문자열을 테이블 행으로 변환합니다.
+     * @param {string} text - XML 문자열
+     * @param {Object} options - 변환 옵션 (rowElement, attributePrefix, textKey, preciseNumbers)
+     * @returns {Object} { rows, rowElement, candidates: [{ name, count }], errors: [{ message }] }
+     */
+    parse(text, options = {}) {
+        const settings = { ...this.defaultOptions, ...options };
+        const result = { rows: [], rowElement: '', candidates: [], errors: [] };
+
+        const xml = new DOMParser().parseFromString(text, 'application/xml');
+        const parserError = xml.getElementsByTagName('parsererror')[0];
+        if (parserError) {
+            result.errors.push({ message: `XML 형식이 올바르지 않습니다: ${this.getParserErrorMessage(parserError)}` });
+            return result;
+        }
+
+        const root = xml.documentElement;
+        result.candidates = this.findRepeatedElements(root);
+
+        // 선택한 요소가 문서에 없으면 자동 선택으로 대체
+        const requested = settings.rowElement;
+        const rowElement = requested && root.getElementsByTagName(requested).length > 0
+            ? requested
+            : (result.candidates.length > 0 ? result.candidates[0].name : root.tagName);
+
+        if (requested && requested !== rowElement) {
+            result.errors.push({ message: `행 요소 <${requested}>를 찾을 수 없어 <${rowElement}>를 사용했습니다.`, severity: 'warning' });
+        }
+
+        result.rowElement = rowElement;
+        result.rows = this.getRowElements(root, rowElement).map(element => {
+            const value = this.elementToValue(element, settings);
+            // 텍스트만 있는 행도 컬럼을 가지도록 객체로 감쌈
+            return typeof value === 'object' && value !== null ? value : { [settings.textKey]: value };
+        });
+
+        return result;
+    }
+
+    /**
+     * 같은 부모 아래에서 두 번 이상 반복되는 요소를 찾습니다.
+     * @param {Element} root - 루트 요소
+     * @returns {Array} 반복 요소 목록 ({ name, count }, 많이 나오는 순)
+     */
+    findRepeatedElements(root) {
+        const repeated = new Map();
+        const depths = new Map();
+        const stack = [{ element: root, depth: 0 }];
+
+        while (stack.length > 0) {
+            const { element, depth } = stack.pop();
+            const siblingCounts = new Map();
+
+            Array.from(element.children).forEach(child => {
+                siblingCounts.set(child.tagName, (siblingCounts.get(child.tagName) || 0) + 1);
+                stack.push({ element: child, depth: depth + 1 });
+            });
+
+            siblingCounts.forEach((count, name) => {
+                if (count > 1) {
+                    repeated.set(name, true);
+                    depths.set(name, Math.min(depths.get(name) ?? Infinity, depth + 1));
+                }
+            });
+        }
+
+        return Array.from(repeated.keys())
+            .map(name => ({ name: name, count: this.getRowElements(root, name).length, depth: depths.get(name) }))
+            .sort((a, b) => b.count - a.count || a.depth - b.depth)
+            .map(({ name, count }) => ({ name: name, count: count }));
+    }
+
+    /**
+     * 행으로 사용할 요소들을 문서 순서대로 가져옵니다.
+     * 같은 이름의 요소 안에 중첩된 요소는 바깥 요소의 값에 포함되므로 제외합니다.
+     * @param {Element} root - 루트 요소
+     * @param {string} name - 요소 이름
+     * @returns {Array} 요소 목록
+     */
+    getRowElements(root, name) {
+        if (root.tagName === name) {
+            return [root];
+        }
+
+        return Array.from(root.getElementsByTagName(name)).filter(element => {
+            for (let parent = element.parentElement; parent && parent !== root; parent = parent.parentElement) {
+                if (parent.tagName === name) {
+                    return false;
+                }
+            }
+            return true;
+        });
+    }
+
+    /**
+     * 요소를 JSON 값으로 변환합니다.
+     * 속성과 자식이 없는 요소는 텍스트 값(비어 있으면 null)이 됩니다.
+     * @param {Element} element - 변환할 요소
+     * @param {Object} settings - 변환 옵션
+     * @returns {*} 변환된 값
+     */
+    elementToValue(element, settings) {
+        const result = {};
+        let hasFields = false;
+
+        Array.from(element.attributes).forEach(attribute => {
+            result[`${settings.attributePrefix}${attribute.name}`] = this.inferValue(attribute.value, settings.preciseNumbers);
+            hasFields = true;
+        });
+
+        // 같은 이름의 자식이 여러 번 나오면 배열로 모음
+        const repeatedNames = new Set();
+        Array.from(element.children).forEach(child => {
+            const value = this.elementToValue(child, settings);
+            const name = child.tagName;
+
+            if (!Object.prototype.hasOwnProperty.call(result, name)) {
+                result[name] = value;
+            } else if (repeatedNames.has(name)) {
+                result[name].push(value);
+            } else {
+                result[name] = [result[name], value];
+                repeatedNames.add(name);
+            }
+            hasFields = true;
+        });
+
+        const text = Array.from(element.childNodes)
+            .filter(node => node.nodeType === 3 || node.nodeType === 4) // 텍스트, CDATA
+            .map(node => node.nodeValue)
+            .join('')
+            .trim();
+
+        if (!hasFields) {
+            return text === '' ? null : this.inferValue(text, settings.preciseNumbers);
+        }
+
+        if (text !== '') {
+            result[settings.textKey] = this.inferValue(text, settings.preciseNumbers);
+        }
+
+        return result;
+    }
+
+    /**
+     * 텍스트 값의 타입을 추론합니다. (숫자, 불리언, 그 외는 문자열)
+     * @param {string} value - 텍스트
+     * @param {boolean} preciseNumbers - 큰 정수를 BigInt로 보존할지 여부
+     * @returns {*} 추론된 값
+     */
+    inferValue(value, preciseNumbers = false) {
+        const trimmed = value.trim();
+
+        if (trimmed === 'true' || trimmed === 'false') {
+            return trimmed === 'true';
+        }
+
+        if (this.numberPattern.test(trimmed)) {
+            if (preciseNumbers) {
+                return this.preciseNumbers.parseNumberToken(trimmed);
+            }
+
+            const number = Number(trimmed);
+            // 정밀도를 잃는 큰 정수(ID 등)는 문자열로 유지
+            if (this.integerPattern.test(trimmed) && !Number.isSafeInteger(number)) {
+                return value;
+            }
+            return number;
+        }
+
+        return value;
+    }
+
+    /**
+     * 브라우저마다 다른 parsererror 요소에서 오류 메시지를 꺼냅니다.
+     * @param {Element} parserError - parsererror 요소
+     * @returns {string} 오류 메시지
+     */
+    getParserErrorMessage(parserError) {
+        const detail = parserError.querySelector('div') || parserError;
+        return detail.textContent.trim().split('\n')[0];
+    }
+}
+
+// 전역에서 사용할 수 있도록 내보내기
+window.XMLParser = XMLParser;
@@ -0,0 +1,1213 @@
+/**
+ * YAML 파싱 모듈
+ * YAML 1.2 문서를 JSON 값으로 변환합니다.
+ * - 블록/플로우 매핑과 시퀀스, 블록 스칼라(| >), 따옴표 문자열
+ * - 여러 문서(---, ...), 앵커(&)와 별칭(*), 병합 키(<<)
+ * - 코어 스키마 타입 추론 (null, 불리언, 정수, 실수)과 기본 태그(!!str, !!int 등)
+ * 첫 번째 문법 오류에서 멈추고 줄/열 위치를 보고합니다.
+ */
+
+class YAMLParser {
+    constructor(options = {}) {
+        this.options = {
+            preciseNumbers: false, // 큰 정수/고정밀 소수를 BigInt/문자열로 보존
+            duplicateKeys: 'last', // 중복 키 처리: 'first', 'last' 또는 'array'
+            onProgress: null, // 진행 상황 콜백 (읽은 문자 수, 전체 문자 수)
+            progressInterval: 1024 * 1024, // 진행 상황을 알리는 간격 (문자 수)
+            ...options
+        };
+
+        this.preciseNumbers = this.options.preciseNumbers ? new PreciseNumbers() : null;
+
+        this.text = '';
+        this.pos = 0;
+        this.anchors = new Map();
+        this.duplicates = [];
+        this.lineStarts = null;
+        this.nextProgress = 0;
+    }
+
+    /**
+     * YAML 문자열을 파싱합니다.
+     * 문서가 하나면 그 값을, 여러 개면 문서 배열을 반환합니다.
+     * @param {string} text - YAML 문자열
+     * @returns {Object} { value, documentCount, errors, duplicateKeys }
+     */
+    parse(text) {
+        this.text = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+        this.pos = 0;
+        this.duplicates = [];
+        this.lineStarts = null;
+        this.nextProgress = this.options.progressInterval;
+
+        const documents = [];
+        const errors = [];
+
+        try {
+            while (true) {
+                this.skipDirectives();
+                if (this.pos >= this.text.length) {
+                    break;
+                }
+
+                if (this.isDocumentMarker('---')) {
+                    this.pos += 3;
+                }
+
+                this.anchors = new Map();
+                const node = this.parseBlockNode(-1, false);
+
+                // 빈 문서(--- 만 있는 경우 등)는 행으로 만들지 않음
+                if (!node.empty) {
+                    documents.push(node.value);
+                }
+
+                this.finishLine();
+                this.skipBlankLines();
+
+                if (this.isDocumentMarker('...')) {
+                    this.pos += 3;
+                    this.finishLine();
+                } else if (this.pos < this.text.length && !this.isDocumentMarker('---')) {
+                    this.error('문서가 끝난 뒤에 해석할 수 없는 내용이 있습니다. 들여쓰기를 확인하세요.', this.pos);
+                }
+            }
+        } catch (error) {
+            if (error.position === undefined) {
+                throw error;
+            }
+            errors.push(this.describeError(error));
+        }
+
+        return {
+            value: documents.length === 0 ? null : (documents.length === 1 ? documents[0] : documents),
+            documentCount: documents.length,
+            errors: errors,
+            duplicateKeys: this.duplicates.map(duplicate => ({
+                ...this.describeError(duplicate),
+                key: duplicate.key,
+                severity: 'warning'
+            }))
+        };
+    }
+
+    // ===== 위치와 공백 처리 =====
+
+    /**
+     * 문법 오류를 발생시킵니다.
+     * @param {string} message - 오류 메시지
+     * @param {number} position - 오류 위치 (문자 인덱스)
+     * @param {number} length - 오류 범위 길이
+     */
+    error(message, position, length = 1) {
+        const error = new SyntaxError(message);
+        error.position = Math.min(position, this.text.length);
+        error.length = Math.max(length, 1);
+        throw error;
+    }
+
+    /**
+     * 오류에 줄/열 번호와 해당 줄의 원문을 추가합니다.
+     * @param {Object} error - 오류 객체 ({ message, position, length })
+     * @returns {Object} 위치 정보가 포함된 오류 객체
+     */
+    describeError(error) {
+        const { line, column } = this.getLineColumn(error.position);
+        const lineStart = this.lineStarts[line - 1];
+        const lineEnd = line < this.lineStarts.length ? this.lineStarts[line] - 1 : this.text.length;
+
+        return {
+            message: error.message,
+            position: error.position,
+            length: Math.min(error.length, Math.max(this.text.length - error.position, 1)),
+            line: line,
+            column: column,
+            snippet: this.text.slice(lineStart, lineEnd).replace(/\r$/, '')
+        };
+    }
+
+    /**
+     * 문자 인덱스를 줄/열 번호(1부터 시작)로 변환합니다.
+     * @param {number} position - 문자 인덱스
+     * @returns {Object} { line, column }
+     */
+    getLineColumn(position) {
+        if (!this.lineStarts) {
+            this.lineStarts = [0];
+            for (let i = 0; i < this.text.length; i++) {
+                if (this.text.charCodeAt(i) === 10) {
+                    this.lineStarts.push(i + 1);
+                }
+            }
+        }
+
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.lineStarts[mid] <= position) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return { line: low + 1, column: position - this.lineStarts[low] + 1 };
+    }
+
+    /**
+     * 현재 위치의 열(0부터 시작)을 반환합니다.
+     * @returns {number} 열 번호
+     */
+    column() {
+        return this.pos - (this.text.lastIndexOf('\n', this.pos - 1) + 1);
+    }
+
+    /**
+     * 현재 위치 앞에 들여쓰기 공백만 있는지 확인합니다.
+     * 하위 노드가 끝나면 다음 줄의 들여쓰기 뒤에 멈춰 있습니다.
+     * @returns {boolean} 들여쓰기 위치 여부
+     */
+    isAtLineIndent() {
+        for (let index = this.pos - 1; index >= 0; index--) {
+            const char = this.text[index];
+            if (char === '\n') {
+                return true;
+            }
+            if (char !== ' ') {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * 문자가 공백 또는 줄 끝(파일 끝 포함)인지 확인합니다.
+     * @param {string|undefined} char - 문자
+     * @returns {boolean} 구분 문자 여부
+     */
+    isSeparator(char) {
+        return char === undefined || char === ' ' || char === '\t' || char === '\n' || char === '\r';
+    }
+
+    /**
+     * 줄 안의 공백과 탭을 건너뜁니다.
+     */
+    skipInlineSpace() {
+        while (this.text[this.pos] === ' ' || this.text[this.pos] === '\t') {
+            this.pos++;
+        }
+    }
+
+    /**
+     * 현재 위치가 줄 끝(주석, 줄바꿈, 파일 끝)인지 확인합니다.
+     * @returns {boolean} 줄 끝 여부
+     */
+    isLineEnd() {
+        const char = this.text[this.pos];
+        return char === undefined || char === '\n' || char === '\r' || char === '#';
+    }
+
+    /**
+     * 현재 줄의 남은 공백과 주석을 건너뛰고 다음 줄로 이동합니다.
+     * 다른 내용이 남아 있으면 오류입니다.
+     */
+    finishLine() {
+        if (this.pos >= this.text.length || this.isAtLineIndent()) {
+            return;
+        }
+
+        this.skipInlineSpace();
+
+        if (this.text[this.pos] === '#') {
+            const end = this.text.indexOf('\n', this.pos);
+            this.pos = end === -1 ? this.text.length : end;
+        }
+        if (this.text[this.pos] === '\r') {
+            this.pos++;
+        }
+        if (this.text[this.pos] === '\n') {
+            this.pos++;
+            return;
+        }
+        if (this.text[this.pos] === ':') {
+            this.error('여기에는 매핑 값을 쓸 수 없습니다. 들여쓰기를 확인하세요.', this.pos);
+        }
+        if (this.pos < this.text.length) {
+            this.error(`예상하지 못한 문자 "${this.text[this.pos]}"가 있습니다.`, this.pos);
+        }
+    }
+
+    /**
+     * 빈 줄과 주석 줄을 건너뛰고 다음 내용의 첫 글자로 이동합니다.
+     * 줄 시작에서 호출해야 합니다.
+     */
+    skipBlankLines() {
+        while (this.pos < this.text.length) {
+            while (this.text[this.pos] === ' ') {
+                this.pos++;
+            }
+
+            let contentStart = this.pos;
+            while (this.text[contentStart] === ' ' || this.text[contentStart] === '\t') {
+                contentStart++;
+            }
+
+            const char = this.text[contentStart];
+            if (char === undefined || char === '\n' || char === '\r' || char === '#') {
+                const end = this.text.indexOf('\n', contentStart);
+                this.pos = end === -1 ? this.text.length : end + 1;
+                continue;
+            }
+
+            if (contentStart !== this.pos) {
+                this.error('들여쓰기에는 탭을 사용할 수 없습니다.', this.pos);
+            }
+            return;
+        }
+    }
+
+    /**
+     * 문서 앞의 빈 줄, 주석, 지시어(%YAML 등)를 건너뜁니다.
+     */
+    skipDirectives() {
+        this.finishLine();
+        this.skipBlankLines();
+
+        while (this.text[this.pos] === '%' && this.column() === 0) {
+            const end = this.text.indexOf('\n', this.pos);
+            this.pos = end === -1 ? this.text.length : end + 1;
+            this.skipBlankLines();
+        }
+    }
+
+    /**
+     * 현재 위치가 줄 맨 앞의 문서 표시(--- 또는 ...)인지 확인합니다.
+     * @param {string} marker - '---' 또는 '...'
+     * @returns {boolean} 문서 표시 여부
+     */
+    isDocumentMarker(marker) {
+        return this.column() === 0 &&
+            this.text.startsWith(marker, this.pos) &&
+            this.isSeparator(this.text[this.pos + 3]);
+    }
+
+    /**
+     * 현재 위치가 블록 시퀀스 항목('- ')인지 확인합니다.
+     * @returns {boolean} 시퀀스 항목 여부
+     */
+    isSequenceEntry() {
+        return this.text[this.pos] === '-' && this.isSeparator(this.text[this.pos + 1]);
+    }
+
+    // ===== 블록 구조 =====
+
+    /**
+     * 블록 노드를 파싱합니다. 노드는 현재 줄에서 시작하거나 다음 줄에 더 깊게 들여쓰여 올 수 있습니다.
+     * @param {number} parentIndent - 부모 노드의 들여쓰기 (노드는 이보다 깊어야 함)
+     * @param {boolean} allowCompactSequence - 매핑 값처럼 같은 들여쓰기의 '- ' 시퀀스를 허용할지 여부
+     * @returns {Object} { value, empty }
+     */
+    parseBlockNode(parentIndent, allowCompactSequence) {
+        this.skipInlineSpace();
+        if (this.isDocumentMarker('---') || this.isDocumentMarker('...')) {
+            return { value: null, empty: true };
+        }
+
+        let properties = this.parseProperties();
+
+        if (this.isLineEnd()) {
+            this.finishLine();
+            this.skipBlankLines();
+
+            const column = this.column();
+            const isEmpty = this.pos >= this.text.length ||
+                this.isDocumentMarker('---') ||
+                this.isDocumentMarker('...') ||
+                column < parentIndent ||
+                (column === parentIndent && !(allowCompactSequence && this.isSequenceEntry()));
+
+            if (isEmpty) {
+                return { value: this.applyProperties(null, 'empty', properties), empty: !properties.anchor && !properties.tag };
+            }
+
+            // 다음 줄에 따로 적힌 속성
+            const nextProperties = this.parseProperties();
+            properties = {
+                anchor: nextProperties.anchor || properties.anchor,
+                tag: nextProperties.tag || properties.tag,
+                position: properties.position
+            };
+            if (this.isLineEnd()) {
+                return this.parseBlockNode(parentIndent, allowCompactSequence);
+            }
+        }
+
+        const content = this.parseNodeContent(parentIndent);
+        return { value: this.applyProperties(content.value, content.kind, properties, content.raw), empty: false };
+    }
+
+    /**
+     * 노드 속성(&앵커, !태그)을 읽습니다.
+     * @returns {Object} { anchor, tag, position }
+     */
+    parseProperties() {
+        const properties = { anchor: null, tag: null, position: this.pos };
+
+        while (true) {
+            const char = this.text[this.pos];
+            if (char === '&' && !properties.anchor) {
+                properties.anchor = this.readName(1);
+            } else if (char === '!' && !properties.tag) {
+                properties.tag = this.readName(0);
+            } else {
+                break;
+            }
+            this.skipInlineSpace();
+        }
+
+        return properties;
+    }
+
+    /**
+     * 앵커/별칭/태그 이름을 읽습니다.
+     * @param {number} prefixLength - 건너뛸 접두 문자 수 (&, * 는 1, 태그는 0)
+     * @returns {string} 이름
+     */
+    readName(prefixLength) {
+        const start = this.pos;
+        this.pos += prefixLength;
+        while (this.pos < this.text.length && !this.isSeparator(this.text[this.pos]) && !',[]{}'.includes(this.text[this.pos])) {
+            this.pos++;
+        }
+
+        const name = this.text.slice(start + prefixLength, this.pos);
+        if (!name && prefixLength > 0) {
+            this.error('앵커 또는 별칭 이름이 비어 있습니다.', start);
+        }
+        return name;
+    }
+
+    /**
+     * 진행 상황 콜백이 있으면 일정 길이를 읽을 때마다 읽은 위치를 알립니다.
+     */
+    reportProgress() {
+        if (this.options.onProgress && this.pos >= this.nextProgress) {
+            this.nextProgress = this.pos + this.options.progressInterval;
+            this.options.onProgress(this.pos, this.text.length);
+        }
+    }
+
+    /**
+     * 노드 내용을 파싱합니다.
+     * @param {number} parentIndent - 부모 노드의 들여쓰기
+     * @returns {Object} { value, kind: 'plain'|'quoted'|'block'|'collection'|'alias', raw }
+     */
+    parseNodeContent(parentIndent) {
+        this.reportProgress();
+
+        const char = this.text[this.pos];
+        const column = this.column();
+
+        if (char === '*') {
+            return { value: this.readAlias(), kind: 'alias' };
+        }
+
+        if (this.isSequenceEntry()) {
+            return { value: this.parseBlockSequence(column), kind: 'collection' };
+        }
+
+        if ((char === '|' || char === '>')) {
+            const text = this.parseBlockScalar(parentIndent);
+            return { value: text, kind: 'block', raw: text };
+        }
+
+        if (char === '[' || char === '{') {
+            return { value: this.parseFlowCollection(), kind: 'collection' };
+        }
+
+        if ((char === '?' && this.isSeparator(this.text[this.pos + 1])) || this.looksLikeMappingKey()) {
+            return { value: this.parseBlockMapping(column), kind: 'collection' };
+        }
+
+        if (char === '"' || char === "'") {
+            const text = char === '"' ? this.readDoubleQuoted() : this.readSingleQuoted();
+            return { value: text, kind: 'quoted', raw: text };
+        }
+
+        if (char === '-' && this.isSeparator(this.text[this.pos + 1])) {
+            this.error('시퀀스 항목을 여기에 쓸 수 없습니다.', this.pos);
+        }
+
+        const raw = this.readPlainScalar(parentIndent);
+        return { value: this.resolvePlainScalar(raw), kind: 'plain', raw: raw };
+    }
+
+    /**
+     * 노드에 태그를 적용하고 앵커를 등록합니다.
+     * @param {*} value - 노드 값
+     * @param {string} kind - 노드 종류
+     * @param {Object} properties - { anchor, tag }
+     * @param {string} raw - 스칼라 원문
+     * @returns {*} 태그가 적용된 값
+     */
+    applyProperties(value, kind, properties, raw = '') {
+        let result = value;
+
+        if (properties.tag && kind !== 'collection' && kind !== 'alias') {
+            const text = kind === 'empty' ? '' : String(raw);
+            switch (properties.tag) {
+                case '!!str':
+                    result = text;
+                    break;
+                case '!!int':
+                case '!!float':
+                    result = this.toNumber(text.trim());
+                    break;
+                case '!!bool':
+                    result = /^(true|True|TRUE)$/.test(text.trim());
+                    break;
+                case '!!null':
+                    result = null;
+                    break;
+                default:
+                    // 사용자 정의 태그(!Ref 등)는 무시하고 값만 사용
+                    break;
+            }
+        }
+
+        if (properties.anchor) {
+            this.anchors.set(properties.anchor, result);
+        }
+
+        return result;
+    }
+
+    /**
+     * 별칭(*이름)을 읽고 앵커의 값을 반환합니다.
+     * @returns {*} 앵커 값
+     */
+    readAlias() {
+        const start = this.pos;
+        const name = this.readName(1);
+
+        if (!this.anchors.has(name)) {
+            this.error(`정의되지 않은 별칭 "*${name}"입니다.`, start, name.length + 1);
+        }
+        return this.anchors.get(name);
+    }
+
+    /**
+     * 현재 줄이 '키: 값' 형태로 시작하는지 확인합니다.
+     * @returns {boolean} 매핑 키 여부
+     */
+    looksLikeMappingKey() {
+        let index = this.pos;
+        const char = this.text[index];
+
+        if (char === '"' || char === "'") {
+            // 한 줄짜리 따옴표 키
+            index++;
+            while (index < this.text.length && this.text[index] !== '\n') {
+                if (char === '"' && this.text[index] === '\\') {
+                    index += 2;
+                    continue;
+                }
+                if (this.text[index] === char) {
+                    if (char === "'" && this.text[index + 1] === "'") {
+                        index += 2;
+                        continue;
+                    }
+                    break;
+                }
+                index++;
+            }
+            index++;
+            while (this.text[index] === ' ' || this.text[index] === '\t') {
+                index++;
+            }
+            return this.text[index] === ':' && this.isSeparator(this.text[index + 1]);
+        }
+
+        for (; index < this.text.length; index++) {
+            const current = this.text[index];
+            if (current === '\n' || current === '\r') {
+                return false;
+            }
+            if (current === '#' && (this.text[index - 1] === ' ' || this.text[index - 1] === '\t')) {
+                return false;
+            }
+            if (current === ':' && this.isSeparator(this.text[index + 1])) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 블록 매핑을 파싱합니다.
+     * @param {number} indent - 매핑 키의 들여쓰기
+     * @returns {Object} 매핑 객체
+     */
+    parseBlockMapping(indent) {
+        const result = {};
+        const merges = [];
+        const arrayKeys = new Set();
+
+        while (true) {
+            const keyStart = this.pos;
+            let key;
+            let value = null;
+
+            if (this.text[this.pos] === '?' && this.isSeparator(this.text[this.pos + 1])) {
+                // 명시적 키 (? 키 / : 값)
+                this.pos++;
+                key = this.toKey(this.parseBlockNode(indent, false).value);
+                this.finishLine();
+                this.skipBlankLines();
+
+                if (this.column() === indent && this.text[this.pos] === ':' && this.isSeparator(this.text[this.pos + 1])) {
+                    this.pos++;
+                    value = this.parseBlockNode(indent, true).value;
+                }
+            } else {
+                if (!this.looksLikeMappingKey()) {
+                    this.error('매핑 키가 필요합니다. ("키: 값" 형식)', this.pos);
+                }
+
+                const keyNode = this.readMappingKey();
+                key = keyNode.key;
+                this.skipInlineSpace();
+                this.pos++; // ':'
+
+                value = this.parseBlockNode(indent, true).value;
+
+                if (key === '<<' && keyNode.plain) {
+                    merges.push({ value: value, position: keyStart });
+                    key = null;
+                }
+            }
+
+            if (key !== null) {
+                this.assignProperty(result, key, value, keyStart, arrayKeys);
+            }
+
+            this.finishLine();
+            this.skipBlankLines();
+
+            if (this.pos >= this.text.length || this.isDocumentMarker('---') || this.isDocumentMarker('...')) {
+                break;
+            }
+
+            const column = this.column();
+            if (column < indent) {
+                break;
+            }
+            if (column > indent) {
+                this.error('들여쓰기가 맞지 않습니다.', this.pos);
+            }
+            if (this.isSequenceEntry()) {
+                this.error('매핑과 같은 들여쓰기에 시퀀스 항목을 쓸 수 없습니다.', this.pos);
+            }
+        }
+
+        merges.forEach(merge => this.applyMerge(result, merge));
+        return result;
+    }
+
+    /**
+     * 매핑 키(따옴표 또는 일반 스칼라)를 읽습니다.
+     * @returns {Object} { key, plain }
+     */
+    readMappingKey() {
+        const char = this.text[this.pos];
+
+        if (char === '"' || char === "'") {
+            return { key: char === '"' ? this.readDoubleQuoted() : this.readSingleQuoted(), plain: false };
+        }
+
+        const start = this.pos;
+        while (!(this.text[this.pos] === ':' && this.isSeparator(this.text[this.pos + 1]))) {
+            this.pos++;
+        }
+        return { key: this.text.slice(start, this.pos).trim(), plain: true };
+    }
+
+    /**
+     * 값을 객체 키 문자열로 변환합니다.
+     * @param {*} value - 키 값
+     * @returns {string} 키 문자열
+     */
+    toKey(value) {
+        if (typeof value === 'object' && value !== null) {
+            return JSON.stringify(value);
+        }
+        return String(value);
+    }
+
+    /**
+     * 중복 키 정책에 따라 속성을 설정합니다.
+     * @param {Object} obj - 대상 객체
+     * @param {string} key - 키
+     * @param {*} value - 값
+     * @param {number} keyStart - 키 위치 (경고용)
+     * @param {Set} arrayKeys - 'array' 정책으로 이미 배열이 된 키
+     */
+    assignProperty(obj, key, value, keyStart, arrayKeys) {
+        if (!Object.prototype.hasOwnProperty.call(obj, key)) {
+            this.setProperty(obj, key, value);
+            return;
+        }
+
+        this.duplicates.push({
+            message: `중복된 키 "${key}"입니다.`,
+            position: keyStart,
+            length: Math.max(key.length, 1),
+            key: key
+        });
+
+        switch (this.options.duplicateKeys) {
+            case 'first':
+                break;
+            case 'array':
+                if (arrayKeys.has(key)) {
+                    obj[key].push(value);
+                } else {
+                    this.setProperty(obj, key, [obj[key], value]);
+                    arrayKeys.add(key);
+                }
+                break;
+            default:
+                this.setProperty(obj, key, value);
+        }
+    }
+
+    /**
+     * __proto__ 같은 키도 일반 속성으로 설정합니다.
+     * @param {Object} obj - 대상 객체
+     * @param {string} key - 키
+     * @param {*} value - 값
+     */
+    setProperty(obj, key, value) {
+        Object.defineProperty(obj, key, { value: value, writable: true, enumerable: true, configurable: true });
+    }
+
+    /**
+     * 병합 키(<<)의 값을 매핑에 합칩니다. 직접 적은 키가 우선하고, 목록에서는 앞의 매핑이 우선합니다.
+     * @param {Object} target - 대상 매핑
+     * @param {Object} merge - { value, position }
+     */
+    applyMerge(target, merge) {
+        const sources = Array.isArray(merge.value) ? merge.value : [merge.value];
+
+        sources.forEach(source => {
+            if (typeof source !== 'object' || source === null || Array.isArray(source)) {
+                this.error('병합 키(<<)의 값은 매핑이나 매핑 목록이어야 합니다.', merge.position, 2);
+            }
+            Object.keys(source).forEach(key => {
+                if (!Object.prototype.hasOwnProperty.call(target, key)) {
+                    this.setProperty(target, key, source[key]);
+                }
+            });
+        });
+    }
+
+    /**
+     * 블록 시퀀스를 파싱합니다.
+     * @param {number} indent - '-' 의 들여쓰기
+     * @returns {Array} 시퀀스 배열
+     */
+    parseBlockSequence(indent) {
+        const result = [];
+
+        while (true) {
+            this.pos++; // '-'
+            result.push(this.parseBlockNode(indent, false).value);
+
+            this.finishLine();
+            this.skipBlankLines();
+
+            if (this.pos >= this.text.length || this.isDocumentMarker('---') || this.isDocumentMarker('...')) {
+                break;
+            }
+
+            const column = this.column();
+            if (column < indent || (column === indent && !this.isSequenceEntry())) {
+                break;
+            }
+            if (column > indent) {
+                this.error('들여쓰기가 맞지 않습니다.', this.pos);
+            }
+        }
+
+        return result;
+    }
+
+    // ===== 스칼라 =====
+
+    /**
+     * 블록 스칼라(| 또는 >)를 읽습니다.
+     * @param {number} parentIndent - 부모 노드의 들여쓰기
+     * @returns {string} 문자열 값
+     */
+    parseBlockScalar(parentIndent) {
+        const folded = this.text[this.pos] === '>';
+        let chomping = 'clip';
+        let indentIndicator = 0;
+        this.pos++;
+
+        // 헤더: 들여쓰기 숫자와 끝 줄바꿈 처리(+/-)
+        while (!this.isSeparator(this.text[this.pos]) && this.text[this.pos] !== '#') {
+            const char = this.text[this.pos];
+            if (char === '+' || char === '-') {
+                chomping = char === '+' ? 'keep' : 'strip';
+            } else if (/[1-9]/.test(char)) {
+                indentIndicator = Number(char);
+            } else {
+                this.error(`블록 스칼라 헤더에 알 수 없는 문자 "${char}"가 있습니다.`, this.pos);
+            }
+            this.pos++;
+        }
+        this.finishLine();
+
+        const baseIndent = Math.max(parentIndent, 0);
+        let blockIndent = indentIndicator ? baseIndent + indentIndicator : null;
+        const lines = [];
+        let trailingBlankLines = 0;
+
+        while (this.pos < this.text.length) {
+            const lineStart = this.pos;
+            const lineEnd = this.text.indexOf('\n', lineStart);
+            const end = lineEnd === -1 ? this.text.length : lineEnd;
+            const line = this.text.slice(lineStart, end).replace(/\r$/, '');
+            const indent = line.length - line.replace(/^ +/, '').length;
+
+            if (line.trim() === '') {
+                lines.push(null);
+                trailingBlankLines++;
+                this.pos = lineEnd === -1 ? this.text.length : lineEnd + 1;
+                continue;
+            }
+
+            if (blockIndent === null) {
+                blockIndent = indent;
+            }
+
+            if (indent < blockIndent || indent <= parentIndent || (indent === 0 && (line.startsWith('---') || line.startsWith('...')) && this.isSeparator(line[3]))) {
+                break;
+            }
+
+            lines.push(line.slice(blockIndent));
+            trailingBlankLines = 0;
+            this.pos = lineEnd === -1 ? this.text.length : lineEnd + 1;
+        }
+
+        // 끝의 빈 줄은 줄바꿈 처리 규칙에서만 사용
+        const contentLines = lines.slice(0, lines.length - trailingBlankLines);
+        let result = '';
+        let hasContent = false;
+        let emptyLines = 0;
+        let moreIndented = false;
+
+        contentLines.forEach(line => {
+            if (line === null) {
+                emptyLines++;
+                return;
+            }
+
+            if (folded) {
+                if (line[0] === ' ' || line[0] === '\t') {
+                    moreIndented = true;
+                    result += '\n'.repeat(hasContent ? 1 + emptyLines : emptyLines);
+                } else if (moreIndented) {
+                    moreIndented = false;
+                    result += '\n'.repeat(emptyLines + 1);
+                } else if (emptyLines === 0) {
+                    if (hasContent) {
+                        result += ' ';
+                    }
+                } else {
+                    result += '\n'.repeat(emptyLines);
+                }
+            } else {
+                result += '\n'.repeat(hasContent ? 1 + emptyLines : emptyLines);
+            }
+
+            result += line;
+            hasContent = true;
+            emptyLines = 0;
+        });
+
+        if (chomping === 'keep') {
+            result += '\n'.repeat((hasContent ? 1 : 0) + emptyLines + trailingBlankLines);
+        } else if (chomping === 'clip' && hasContent) {
+            result += '\n';
+        }
+
+        return result;
+    }
+
+    /**
+     * 큰따옴표 문자열을 읽습니다. 이스케이프와 여러 줄 접기를 처리합니다.
+     * @returns {string} 문자열 값
+     */
+    readDoubleQuoted() {
+        const start = this.pos;
+        const escapes = {
+            '0': '\0', 'a': '\x07', 'b': '\b', 't': '\t', '\t': '\t', 'n': '\n', 'v': '\v',
+            'f': '\f', 'r': '\r', 'e': '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\',
+            'N': '\x85', '_': '\xa0', 'L': ' ', 'P': ' '
+        };
+        const hexLengths = { x: 2, u: 4, U: 8 };
+        let result = '';
+        this.pos++;
+
+        while (this.pos < this.text.length) {
+            const char = this.text[this.pos];
+
+            if (char === '"') {
+                this.pos++;
+                return result;
+            }
+
+            if (char === '\\') {
+                const next = this.text[this.pos + 1];
+                if (next === '\n' || next === '\r') {
+                    // 줄 이어쓰기: 줄바꿈과 다음 줄 앞 공백 제거
+                    this.pos = this.text.indexOf('\n', this.pos) + 1;
+                    this.skipInlineSpace();
+                    continue;
+                }
+                if (hexLengths[next]) {
+                    const hex = this.text.substr(this.pos + 2, hexLengths[next]);
+                    if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== hexLengths[next]) {
+                        this.error(`잘못된 이스케이프 "\\${next}${hex}"입니다.`, this.pos, 2 + hex.length);
+                    }
+                    result += String.fromCodePoint(parseInt(hex, 16));
+                    this.pos += 2 + hexLengths[next];
+                    continue;
+                }
+                if (!Object.prototype.hasOwnProperty.call(escapes, next)) {
+                    this.error(`알 수 없는 이스케이프 "\\${next || ''}"입니다.`, this.pos, 2);
+                }
+                result += escapes[next];
+                this.pos += 2;
+                continue;
+            }
+
+            if (char === '\n' || char === '\r') {
+                result = result.replace(/[ \t]+$/, '') + this.foldQuotedLineBreaks();
+                continue;
+            }
+
+            result += char;
+            this.pos++;
+        }
+
+        this.error('닫히지 않은 큰따옴표 문자열입니다.', start, this.text.length - start);
+    }
+
+    /**
+     * 작은따옴표 문자열을 읽습니다. ''는 작은따옴표 하나입니다.
+     * @returns {string} 문자열 값
+     */
+    readSingleQuoted() {
+        const start = this.pos;
+        let result = '';
+        this.pos++;
+
+        while (this.pos < this.text.length) {
+            const char = this.text[this.pos];
+
+            if (char === "'") {
+                if (this.text[this.pos + 1] === "'") {
+                    result += "'";
+                    this.pos += 2;
+                    continue;
+                }
+                this.pos++;
+                return result;
+            }
+
+            if (char === '\n' || char === '\r') {
+                result = result.replace(/[ \t]+$/, '') + this.foldQuotedLineBreaks();
+                continue;
+            }
+
+            result += char;
+            this.pos++;
+        }
+
+        this.error('닫히지 않은 작은따옴표 문자열입니다.', start, this.text.length - start);
+    }
+
+    /**
+     * 따옴표 문자열 안의 줄바꿈을 접습니다. 줄바꿈 하나는 공백, 빈 줄은 줄바꿈이 됩니다.
+     * @returns {string} 접힌 결과
+     */
+    foldQuotedLineBreaks() {
+        let breaks = 0;
+
+        while (this.pos < this.text.length) {
+            const char = this.text[this.pos];
+            if (char === '\r') {
+                this.pos++;
+            } else if (char === '\n') {
+                breaks++;
+                this.pos++;
+            } else if (char === ' ' || char === '\t') {
+                this.pos++;
+            } else {
+                break;
+            }
+        }
+
+        return breaks === 1 ? ' ' : '\n'.repeat(breaks - 1);
+    }
+
+    /**
+     * 블록 문맥의 일반(따옴표 없는) 스칼라를 읽습니다.
+     * 부모보다 깊게 들여쓴 다음 줄은 공백으로 이어 붙입니다.
+     * @param {number} parentIndent - 부모 노드의 들여쓰기
+     * @returns {string} 스칼라 원문
+     */
+    readPlainScalar(parentIndent) {
+        let result = this.readPlainLine();
+
+        while (true) {
+            // 다음 줄이 이어지는 줄인지 미리 확인
+            const saved = this.pos;
+            this.finishLine();
+            let emptyLines = 0;
+
+            while (this.pos < this.text.length) {
+                const lineEnd = this.text.indexOf('\n', this.pos);
+                const line = this.text.slice(this.pos, lineEnd === -1 ? this.text.length : lineEnd);
+                if (line.trim() !== '') {
+                    break;
+                }
+                emptyLines++;
+                this.pos = lineEnd === -1 ? this.text.length : lineEnd + 1;
+            }
+
+            const lineStart = this.pos;
+            this.skipInlineSpace();
+            const indent = this.pos - lineStart;
+            const char = this.text[this.pos];
+
+            const continues = this.pos < this.text.length &&
+                indent > parentIndent &&
+                char !== '#' &&
+                !(indent === 0 && (this.isDocumentMarker('---') || this.isDocumentMarker('...')));
+
+            if (!continues) {
+                this.pos = saved;
+                return result;
+            }
+
+            result += emptyLines > 0 ? '\n'.repeat(emptyLines) : ' ';
+            result += this.readPlainLine();
+        }
+    }
+
+    /**
+     * 일반 스칼라의 한 줄을 읽습니다. (': ' 또는 ' #' 앞까지)
+     * @returns {string} 앞뒤 공백을 제거한 내용
+     */
+    readPlainLine() {
+        const start = this.pos;
+
+        while (this.pos < this.text.length) {
+            const char = this.text[this.pos];
+            if (char === '\n' || char === '\r') {
+                break;
+            }
+            if (char === ':' && this.isSeparator(this.text[this.pos + 1])) {
+                break;
+            }
+            if (char === '#' && (this.text[this.pos - 1] === ' ' || this.text[this.pos - 1] === '\t')) {
+                break;
+            }
+            this.pos++;
+        }
+
+        return this.text.slice(start, this.pos).trim();
+    }
+
+    // ===== 플로우 구조 =====
+
+    /**
+     * 플로우 컬렉션([...] 또는 {...})을 파싱합니다. 여러 줄에 걸칠 수 있습니다.
+     * @returns {Array|Object} 컬렉션 값
+     */
+    parseFlowCollection() {
+        const start = this.pos;
+        const isSequence = this.text[this.pos] === '[';
+        const closing = isSequence ? ']' : '}';
+        const result = isSequence ? [] : {};
+        const arrayKeys = new Set();
+        this.pos++;
+
+        while (true) {
+            this.skipFlowSpace();
+
+            if (this.pos >= this.text.length) {
+                this.error(`닫히지 않은 "${isSequence ? '[' : '{'}"입니다.`, start);
+            }
+            if (this.text[this.pos] === closing) {
+                this.pos++;
+                return result;
+            }
+
+            const keyStart = this.pos;
+            const item = this.parseFlowNode();
+            this.skipFlowSpace();
+
+            let value = null;
+            let hasValue = false;
+            if (this.text[this.pos] === ':') {
+                this.pos++;
+                value = this.parseFlowNode();
+                hasValue = true;
+                this.skipFlowSpace();
+            }
+
+            if (isSequence) {
+                // [a: b] 는 한 쌍짜리 매핑
+                result.push(hasValue ? { [this.toKey(item)]: value } : item);
+            } else {
+                this.assignProperty(result, this.toKey(item), value, keyStart, arrayKeys);
+            }
+
+            if (this.text[this.pos] === ',') {
+                this.pos++;
+            } else if (this.text[this.pos] !== closing) {
+                this.error(`"${closing}" 또는 ","가 필요합니다.`, this.pos);
+            }
+        }
+    }
+
+    /**
+     * 플로우 컬렉션 안의 공백, 줄바꿈, 주석을 건너뜁니다.
+     */
+    skipFlowSpace() {
+        while (this.pos < this.text.length) {
+            const char = this.text[this.pos];
+            if (char === ' ' || char === '\t' || char === '\n' || char === '\r') {
+                this.pos++;
+            } else if (char === '#') {
+                const end = this.text.indexOf('\n', this.pos);
+                this.pos = end === -1 ? this.text.length : end;
+            } else {
+                break;
+            }
+        }
+    }
+
+    /**
+     * 플로우 컬렉션 안의 노드를 파싱합니다.
+     * @returns {*} 노드 값
+     */
+    parseFlowNode() {
+        this.skipFlowSpace();
+        const properties = this.parseProperties();
+        this.skipFlowSpace();
+
+        const char = this.text[this.pos];
+        let content;
+
+        if (char === '*') {
+            content = { value: this.readAlias(), kind: 'alias' };
+        } else if (char === '[' || char === '{') {
+            content = { value: this.parseFlowCollection(), kind: 'collection' };
+        } else if (char === '"' || char === "'") {
+            const text = char === '"' ? this.readDoubleQuoted() : this.readSingleQuoted();
+            content = { value: text, kind: 'quoted', raw: text };
+        } else {
+            const raw = this.readFlowPlainScalar();
+            content = raw === ''
+                ? { value: null, kind: 'empty', raw: '' }
+                : { value: this.resolvePlainScalar(raw), kind: 'plain', raw: raw };
+        }
+
+        return this.applyProperties(content.value, content.kind, properties, content.raw);
+    }
+
+    /**
+     * 플로우 문맥의 일반 스칼라를 읽습니다. (, [ ] { } 와 ': ' 앞까지)
+     * @returns {string} 스칼라 원문
+     */
+    readFlowPlainScalar() {
+        const start = this.pos;
+
+        while (this.pos < this.text.length) {
+            const char = this.text[this.pos];
+            const next = this.text[this.pos + 1];
+
+            if (',[]{}'.includes(char)) {
+                break;
+            }
+            if (char === ':' && (this.isSeparator(next) || ',[]{}'.includes(next))) {
+                break;
+            }
+            if (char === '#' && /\s/.test(this.text[this.pos - 1] || '')) {
+                break;
+            }
+            this.pos++;
+        }
+
+        return this.text.slice(start, this.pos)
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line !== '')
+            .join(' ');
+    }
+
+    // ===== 타입 추론 =====
+
+    /**
+     * 일반 스칼라의 타입을 YAML 1.2 코어 스키마로 추론합니다.
+     * .inf, .nan은 JSON으로 표현할 수 없어 문자열로 유지합니다.
+     * @param {string} raw - 스칼라 원문
+     * @returns {*} 추론된 값
+     */
+    resolvePlainScalar(raw) {
+        if (raw === '' || /^(~|null|Null|NULL)$/.test(raw)) {
+            return null;
+        }
+        if (/^(true|True|TRUE)$/.test(raw)) {
+            return true;
+        }
+        if (/^(false|False|FALSE)$/.test(raw)) {
+            return false;
+        }
+        if (/^[-+]?[0-9]+$/.test(raw) ||
+            /^0o[0-7]+$/.test(raw) ||
+            /^0x[0-9a-fA-F]+$/.test(raw) ||
+            /^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/.test(raw)) {
+            return this.toNumber(raw);
+        }
+        return raw;
+    }
+
+    /**
+     * 숫자 원문을 숫자로 변환합니다.
+     * @param {string} raw - 숫자 원문 (10진수, 0x16진수, 0o8진수)
+     * @returns {number|bigint|string} 숫자 (변환할 수 없으면 원문)
+     */
+    toNumber(raw) {
+        if (/^0o[0-7]+$/.test(raw)) {
+            const value = BigInt(`0o${raw.slice(2)}`);
+            return this.preciseNumbers ? this.preciseNumbers.toSafeValue(value) : Number(value);
+        }
+        if (this.preciseNumbers) {
+            return this.preciseNumbers.parseNumberToken(raw.replace(/^\+/, ''));
+        }
+
+        const number = /^0x/.test(raw) ? parseInt(raw.slice(2), 16) : Number(raw);
+        return Number.isNaN(number) ? raw : number;
+    }
+}
+
+// 전역에서 사용할 수 있도록 내보내기
+window.YAMLParser = YAMLParser;